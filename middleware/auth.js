@@ -1,47 +1,78 @@
 // backend/middleware/auth.js - FULL PRODUCTION-READY VERSION
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/sessions');
 
-module.exports = async (req, res, next) => {
+// 🔍 Extract token from Authorization header OR cookie
+const extractToken = (req) => {
+  let token = req.header('Authorization')?.replace('Bearer ', '');
+
+  // Fallback: Check cookie (if using httpOnly cookies)
+  if (!token && req.cookies?.token) {
+    token = req.cookies.token;
+  }
+
+  return token;
+};
+
+// 👤 Shape attached to req.user
+const toRequestUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  role: user.role || 'user',
+  emailVerified: user.isEmailVerified(),
+  preferences: user.preferences
+});
+
+const auth = async (req, res, next) => {
   try {
-    // 🔍 Extract token from Authorization header OR cookie
-    let token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    // Fallback: Check cookie (if using httpOnly cookies)
-    if (!token && req.cookies?.token) {
-      token = req.cookies.token;
-    }
+    const token = extractToken(req);
 
     // 🚫 No token → 401
     if (!token) {
-      return res.status(401).json({ 
-        message: 'No token provided, authorization denied' 
+      return res.status(401).json({
+        message: 'No token provided, authorization denied'
       });
     }
 
     // 🔓 Verify JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    const decoded = verifyAccessToken(token);
+
+    // 🚪 Logged-out / revoked sessions can't keep using their access token
+    if (!(await Session.isActive(decoded.sid))) {
+      return res.status(401).json({
+        message: 'Session expired or revoked - please login again'
+      });
+    }
+
     // 👤 Fetch fresh user (not just token data)
     const user = await User.findById(decoded.id).select('-password');
     if (!user) {
-      return res.status(401).json({ 
-        message: 'User not found - token invalid' 
+      return res.status(401).json({
+        message: 'User not found - token invalid'
+      });
+    }
+
+    // 🚫 Suspended accounts are locked out of every protected route
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Your account has been suspended',
+        reason: user.suspension.reason || undefined,
+        until: user.suspension.until || undefined
       });
     }
 
     // ✅ Attach user to request
-    req.user = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar
-    };
+    req.user = toRequestUser(user);
+    req.sessionId = decoded.sid;
 
     next();
   } catch (err) {
     console.error('Auth middleware error:', err.message);
-    
+
     // 📄 Specific error messages
     if (err.name === 'JsonWebTokenError') {
       return res.status(401).json({ message: 'Invalid token format' });
@@ -49,7 +80,31 @@ module.exports = async (req, res, next) => {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ message: 'Token expired - please login again' });
     }
-    
+
     res.status(401).json({ message: 'Token invalid or expired' });
   }
 };
+
+// 🌐 Optional auth for public routes: attaches req.user when a valid token
+// is present, otherwise continues anonymously (never responds 401)
+auth.optional = async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) return next();
+
+  try {
+    const decoded = verifyAccessToken(token);
+    if (!(await Session.isActive(decoded.sid))) return next();
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (user && !user.isSuspended()) {
+      req.user = toRequestUser(user);
+      req.sessionId = decoded.sid;
+    }
+  } catch (err) {
+    // Bad/expired token on a public route → treat as anonymous
+  }
+
+  next();
+};
+
+module.exports = auth;
@@ -0,0 +1,14 @@
+// backend/middleware/requirePermission.js - Gate a route on a role permission
+// Usage: router.patch('/users/:id/role', auth, requirePermission('users.manageRoles'), ...)
+const { hasPermission } = require('../utils/permissions');
+
+module.exports = (...permissions) => (req, res, next) => {
+  if (permissions.every(permission => hasPermission(req.user, permission))) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'You do not have permission to do that'
+  });
+};
@@ -0,0 +1,15 @@
+// backend/middleware/requireVerifiedEmail.js - Enforce the verified-email policy
+// Usage: router.post('/', auth, requireVerifiedEmail('recipes'), ...)
+const { isVerificationRequired } = require('../utils/emailVerification');
+
+module.exports = (action) => (req, res, next) => {
+  if (!isVerificationRequired(action) || req.user?.emailVerified !== false) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address first'
+  });
+};
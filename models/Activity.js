@@ -0,0 +1,47 @@
+// backend/models/Activity.js - What people did (likes, comments, ratings) for feeds
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['like', 'comment', 'rating'];
+
+const activitySchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  recipeAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  comment: mongoose.Schema.Types.ObjectId, // comment activities only
+  rating: Number, // rating activities only
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Feed reads: newest activity of a set of people, (createdAt, _id) as the cursor
+activitySchema.index({ actor: 1, createdAt: -1, _id: -1 });
+activitySchema.index({ recipe: 1 });
+// One like/rating activity per person per recipe (re-rating moves it to the top)
+activitySchema.index(
+  { actor: 1, type: 1, recipe: 1 },
+  { unique: true, partialFilterExpression: { type: { $in: ['like', 'rating'] } } }
+);
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+Activity.TYPES = ACTIVITY_TYPES;
+
+module.exports = Activity;
@@ -0,0 +1,96 @@
+// backend/models/Collection.js - User-curated cookbooks of recipes
+const mongoose = require('mongoose');
+
+const MAX_RECIPES = 500;
+const MAX_COLLABORATORS = 20;
+
+// Array order is the display order chosen by the owner/collaborators
+const entrySchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Invited by the owner; can contribute once they accept
+const collaboratorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: Date
+}, { _id: false });
+
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  coverImage: {
+    type: String,
+    default: ''
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'private'
+  },
+  // Where the collection sits on its owner's shelf (lowest first)
+  position: {
+    type: Number,
+    default: 0
+  },
+  recipes: {
+    type: [entrySchema],
+    validate: [list => list.length <= MAX_RECIPES, `A collection can hold at most ${MAX_RECIPES} recipes`]
+  },
+  collaborators: {
+    type: [collaboratorSchema],
+    validate: [list => list.length <= MAX_COLLABORATORS, `A collection can have at most ${MAX_COLLABORATORS} collaborators`]
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ owner: 1, position: 1 });
+collectionSchema.index({ 'collaborators.user': 1 });
+collectionSchema.index({ 'recipes.recipe': 1 });
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+Collection.MAX_RECIPES = MAX_RECIPES;
+Collection.MAX_COLLABORATORS = MAX_COLLABORATORS;
+
+module.exports = Collection;
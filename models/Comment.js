@@ -0,0 +1,76 @@
+// backend/models/Comment.js - Recipe comments with one level of replies
+const mongoose = require('mongoose');
+
+const MAX_COMMENT_LENGTH = 500;
+
+// Top-level comments have no parent; replies point at a top-level comment
+// (replying to a reply attaches to the same thread)
+const commentSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_COMMENT_LENGTH
+  },
+  // @username mentions that matched an account when the text was saved
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  likesCount: {
+    type: Number,
+    default: 0
+  },
+  repliesCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // 🚩 Moderation: hidden comments are only visible to their writer and moderators
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: Date,
+  hiddenReason: {
+    type: String,
+    enum: ['reports', 'moderator']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Threads: newest / top-liked top-level comments, then replies oldest first
+commentSchema.index({ recipe: 1, parent: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ recipe: 1, parent: 1, likesCount: -1, _id: -1 });
+commentSchema.index({ parent: 1, createdAt: 1, _id: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+Comment.MAX_LENGTH = MAX_COMMENT_LENGTH;
+
+module.exports = Comment;
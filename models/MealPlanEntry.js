@@ -0,0 +1,58 @@
+// backend/models/MealPlanEntry.js - One planned recipe in a user's meal calendar
+const mongoose = require('mongoose');
+
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const mealPlanEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Calendar day as YYYY-MM-DD - plans follow the user's wall clock, not UTC
+  day: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be YYYY-MM-DD']
+  },
+  slot: {
+    type: String,
+    enum: MEAL_SLOTS,
+    required: true
+  },
+  // null once the author deletes the recipe; the snapshot below keeps the entry readable
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    default: null
+  },
+  recipeTitle: {
+    type: String,
+    default: ''
+  },
+  recipeDeletedAt: Date,
+  // Overrides the recipe's own servings (null = cook it as written)
+  servings: {
+    type: Number,
+    min: [1, 'Servings must be at least 1'],
+    max: [100, 'Servings cannot exceed 100'],
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+mealPlanEntrySchema.index({ user: 1, day: 1, slot: 1 });
+mealPlanEntrySchema.index({ recipe: 1 });
+
+const MealPlanEntry = mongoose.model('MealPlanEntry', mealPlanEntrySchema);
+
+MealPlanEntry.SLOTS = MEAL_SLOTS;
+
+module.exports = MealPlanEntry;
@@ -0,0 +1,73 @@
+// backend/models/Notification.js - In-app notifications, grouped per recipe & type
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['like', 'comment', 'reply', 'mention', 'rating', 'follow'];
+const MAX_RECENT_ACTORS = 10;
+
+// While unread, every new like (comment, ...) on the same recipe folds into one
+// notification: "Ana and 12 others liked your Lasagna". Once read, the next
+// event starts a fresh one.
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // null for follows
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    default: null
+  },
+  // Most recent first, capped at MAX_RECENT_ACTORS - for display only
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Everyone in the group, uncapped, so joining and leaving stay exact
+  // once older actors have dropped out of `actors`
+  members: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
+  },
+  actorCount: {
+    type: Number,
+    default: 0
+  },
+  // Latest comment text / rating value
+  preview: {
+    type: String,
+    default: ''
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  latestAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, latestAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+// At most one unread group per recipient, type and recipe
+notificationSchema.index(
+  { recipient: 1, type: 1, recipe: 1 },
+  { unique: true, partialFilterExpression: { read: false } }
+);
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.TYPES = NOTIFICATION_TYPES;
+Notification.MAX_RECENT_ACTORS = MAX_RECENT_ACTORS;
+
+module.exports = Notification;
@@ -1,4 +1,49 @@
 const mongoose = require('mongoose');
+const { parseIngredientList, isLegacyIngredientList } = require('../utils/ingredients');
+const { estimateNutrition } = require('../utils/nutrition');
+const { ingredientKeys } = require('../utils/ingredientNames');
+
+const ingredientSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  quantityMax: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  item: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  group: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+}, { _id: false });
+
+const nutrientsSchema = new mongoose.Schema({
+  calories: Number,
+  protein: Number,
+  fat: Number,
+  carbs: Number,
+  fibre: Number,
+  sodium: Number, // mg
+}, { _id: false });
 
 const recipeSchema = new mongoose.Schema({
   title: {
@@ -11,13 +56,27 @@ const recipeSchema = new mongoose.Schema({
     trim: true,
   },
   ingredients: {
-    type: [String],
+    type: [ingredientSchema],
     required: true,
   },
+  // Canonical ingredient names for "similar recipes" (derived on save)
+  ingredientKeys: [String],
   instructions: {
     type: [String],
     required: true,
   },
+  servings: {
+    type: Number,
+    min: 1,
+    max: 100,
+  },
+  nutrition: {
+    total: nutrientsSchema,
+    perServing: nutrientsSchema,
+    unmatched: [String],
+    matchedCount: Number,
+    computedAt: Date,
+  },
   tags: [String],
   image: String,
   author: {
@@ -29,6 +88,23 @@ const recipeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   }],
+  // 📊 Counters kept in step by utils/counters.js (never set these directly)
+  likesCount: {
+    type: Number,
+    default: 0,
+  },
+  ratingsCount: {
+    type: Number,
+    default: 0,
+  },
+  ratingSum: {
+    type: Number,
+    default: 0,
+  },
+  avgRating: {
+    type: Number,
+    default: 0,
+  },
   ratings: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -40,25 +116,123 @@ const recipeSchema = new mongoose.Schema({
       max: 5,
     },
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    },
-    text: {
-      type: String,
-      required: true,
-      trim: true,
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-  }],
+  // 💬 Comments live in models/Comment.js; this counts the visible ones
+  commentsCount: {
+    type: Number,
+    default: 0,
+  },
+  // 🚩 Moderation: hidden content is only visible to its author and moderators
+  hidden: {
+    type: Boolean,
+    default: false,
+  },
+  hiddenAt: Date,
+  hiddenReason: {
+    type: String,
+    enum: ['reports', 'moderator'],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  // Last content edit (see models/RecipeRevision.js for the history)
+  updatedAt: Date,
+  // 🍴 Lineage: set on forks; the original may since have been deleted
+  forkedFrom: {
+    recipe: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe',
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    title: String,
+  },
+  forksCount: {
+    type: Number,
+    default: 0,
+  },
+  // 🌐 Where an imported recipe came from (POST /api/recipes/import)
+  source: {
+    url: String,
+    name: String,
+    author: String,
+    importedAt: Date,
+  },
+  viewsCount: {
+    type: Number,
+    default: 0,
+  },
+  // 🔥 Ranking scores, rewritten by utils/trending.js on a schedule
+  trending: {
+    day: { type: Number, default: 0 },
+    week: { type: Number, default: 0 },
+    month: { type: Number, default: 0 },
+    refreshedAt: Date,
+  },
+  hotScore: {
+    type: Number,
+    default: 0,
+  },
+});
+
+recipeSchema.index({ 'nutrition.perServing.calories': 1 });
+// 📰 Feeds: newest recipes from a set of authors
+recipeSchema.index({ author: 1, createdAt: -1, _id: -1 });
+recipeSchema.index({ createdAt: -1 });
+recipeSchema.index({ 'forkedFrom.recipe': 1, createdAt: -1 });
+// 📊 Sorting by engagement
+recipeSchema.index({ avgRating: -1, createdAt: -1 });
+recipeSchema.index({ likesCount: -1, createdAt: -1 });
+recipeSchema.index({ commentsCount: -1, createdAt: -1 });
+// 🔥 sort=trending / sort=hot (ties broken by _id for cursors)
+recipeSchema.index({ 'trending.day': -1, _id: -1 });
+recipeSchema.index({ 'trending.week': -1, _id: -1 });
+recipeSchema.index({ 'trending.month': -1, _id: -1 });
+recipeSchema.index({ hotScore: -1, _id: -1 });
+// 🧭 Candidates for similar recipes and recommendations
+recipeSchema.index({ tags: 1 });
+recipeSchema.index({ ingredientKeys: 1 });
+
+// 🔎 Weighted full-text search (English stemming). `ingredients` covers
+// legacy string-only documents that haven't been migrated yet.
+recipeSchema.index({
+  title: 'text',
+  tags: 'text',
+  'ingredients.item': 'text',
+  ingredients: 'text',
+  description: 'text',
+  instructions: 'text',
+}, {
+  name: 'recipe_text_search',
+  default_language: 'english',
+  weights: {
+    title: 10,
+    tags: 6,
+    'ingredients.item': 4,
+    ingredients: 4,
+    description: 2,
+    instructions: 1,
+  },
+});
+
+// 🥗 Recompute nutrition (and ingredient keys) whenever ingredients or servings change
+recipeSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('ingredients') || this.isModified('servings')) {
+    this.nutrition = estimateNutrition(this.ingredients, this.servings);
+  }
+  if (this.isNew || this.isModified('ingredients')) {
+    this.ingredientKeys = ingredientKeys(this.ingredients.map(entry => entry.item));
+  }
+  next();
+});
+
+// 🔄 Upgrade legacy string-only ingredients on read (see scripts/migrate-ingredients.js)
+recipeSchema.pre('init', function(raw) {
+  if (isLegacyIngredientList(raw.ingredients)) {
+    raw.ingredients = parseIngredientList(raw.ingredients);
+  }
 });
 
-module.exports = mongoose.model('Recipe', recipeSchema);
\ No newline at end of file
+module.exports = mongoose.model('Recipe', recipeSchema);
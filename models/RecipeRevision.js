@@ -0,0 +1,45 @@
+// backend/models/RecipeRevision.js - Full snapshots of a recipe after each edit
+const mongoose = require('mongoose');
+
+const recipeRevisionSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  // 1 = as first published; increases by one per edit
+  number: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedFields: [String],
+  // Set when this revision restored an older one
+  revertedFrom: Number,
+  // Recipes created before history existed get their first revision on their
+  // first edit, dated to their creation
+  baseline: {
+    type: Boolean,
+    default: false
+  },
+  snapshot: {
+    title: String,
+    description: String,
+    ingredients: [mongoose.Schema.Types.Mixed],
+    instructions: [String],
+    tags: [String],
+    servings: Number,
+    image: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recipeRevisionSchema.index({ recipe: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('RecipeRevision', recipeRevisionSchema);
@@ -0,0 +1,46 @@
+// backend/models/RecipeStat.js - Hourly engagement buckets behind trending scores
+const mongoose = require('mongoose');
+
+// Buckets older than the longest trending window (30 days) plus some slack
+// are dropped by MongoDB's TTL monitor.
+const RETENTION_DAYS = 35;
+
+// One per recipe per hour. utils/trending.js $inc's these as people view,
+// like, rate and comment, and folds them into Recipe.trending on a schedule.
+const recipeStatSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  // Start of the hour (UTC) the events fall in
+  hour: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  ratings: {
+    type: Number,
+    default: 0
+  },
+  comments: {
+    type: Number,
+    default: 0
+  }
+});
+
+recipeStatSchema.index({ recipe: 1, hour: 1 }, { unique: true });
+recipeStatSchema.index({ hour: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const RecipeStat = mongoose.model('RecipeStat', recipeStatSchema);
+
+RecipeStat.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = RecipeStat;
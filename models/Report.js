@@ -0,0 +1,76 @@
+// backend/models/Report.js - User reports against recipes, comments and profiles
+const mongoose = require('mongoose');
+
+const REPORT_TARGETS = ['recipe', 'comment', 'user'];
+const REPORT_REASONS = ['spam', 'offensive', 'harassment', 'inappropriate', 'copyright', 'misinformation', 'other'];
+const REPORT_ACTIONS = ['dismiss', 'hide', 'delete', 'suspend_author'];
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: REPORT_TARGETS,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The recipe a reported comment belongs to, so moderators can see it in context
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  },
+  // Whoever owns the reported content (the profile itself for user reports)
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolution: {
+    action: { type: String, enum: REPORT_ACTIONS },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+// 🔁 One open report per reporter per piece of content - once it's resolved
+// they can report the same content again if it comes back
+reportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+Report.TARGETS = REPORT_TARGETS;
+Report.REASONS = REPORT_REASONS;
+Report.ACTIONS = REPORT_ACTIONS;
+
+module.exports = Report;
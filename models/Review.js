@@ -0,0 +1,68 @@
+// backend/models/Review.js - "I made this" reviews: stars, notes and photos
+const mongoose = require('mongoose');
+
+const MAX_PHOTOS = 4;
+
+// One per person per recipe. The star value is mirrored into Recipe.ratings,
+// which the averages and the histogram are computed from.
+const reviewSchema = new mongoose.Schema({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  // "Used honey instead of sugar, baked 5 minutes less"
+  modifications: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  // The public_id is what Cloudinary needs to delete a photo
+  photos: {
+    type: [{ _id: false, url: String, publicId: String }],
+    validate: [list => list.length <= MAX_PHOTOS, `A review can have at most ${MAX_PHOTOS} photos`]
+  },
+  helpful: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ recipe: 1, user: 1 }, { unique: true });
+reviewSchema.index({ recipe: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ recipe: 1, createdAt: -1 });
+reviewSchema.index({ recipe: 1, rating: -1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+Review.MAX_PHOTOS = MAX_PHOTOS;
+
+module.exports = Review;
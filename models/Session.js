@@ -0,0 +1,69 @@
+// backend/models/Session.js - One document per signed-in device (a refresh token family)
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 🔑 SHA-256 of the current refresh token (raw tokens are never stored)
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes already rotated out - presenting one again means the token leaked
+  rotatedHashes: {
+    type: [String],
+    default: []
+  },
+
+  // 📱 Client info for "where you're signed in"
+  device: { type: String, default: 'Unknown device' },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset', 'suspended', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// 🧹 Mongo drops sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.isActive = async function(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+};
+
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.tokenHash;
+  delete session.rotatedHashes;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
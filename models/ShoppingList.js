@@ -0,0 +1,73 @@
+// backend/models/ShoppingList.js - Consolidated shopping lists built from recipes
+const mongoose = require('mongoose');
+
+const MAX_ITEMS = 300;
+const MAX_SHARES = 10;
+
+const amountSchema = new mongoose.Schema({
+  quantity: Number,
+  quantityMax: { type: Number, default: null },
+  unit: { type: String, default: '' }
+}, { _id: false });
+
+// Which recipe line(s) an item came from, so it can be rebuilt when recipes change
+const itemSourceSchema = new mongoose.Schema({
+  recipe: { type: mongoose.Schema.Types.ObjectId, ref: 'Recipe' },
+  recipeTitle: String,
+  text: String
+}, { _id: false });
+
+const itemSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // canonical name used for merging
+  name: { type: String, required: true },
+  amounts: [amountSchema],
+  text: { type: String, required: true },
+  aisle: { type: String, default: 'other' },
+  checked: { type: Boolean, default: false },
+  manual: { type: Boolean, default: false },
+  sources: [itemSourceSchema]
+});
+
+// The recipes (and how many batches) the list was generated from
+const listSourceSchema = new mongoose.Schema({
+  recipe: { type: mongoose.Schema.Types.ObjectId, ref: 'Recipe', required: true },
+  recipeTitle: String,
+  multiplier: { type: Number, min: 0.1, max: 20, default: 1 }
+}, { _id: false });
+
+const shoppingListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+    default: 'Shopping list'
+  },
+  recipes: [listSourceSchema],
+  items: {
+    type: [itemSchema],
+    validate: [list => list.length <= MAX_ITEMS, `A shopping list can hold at most ${MAX_ITEMS} items`]
+  },
+  // Shared users can check items off, add their own and regenerate the list
+  sharedWith: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    validate: [list => list.length <= MAX_SHARES, `A list can be shared with at most ${MAX_SHARES} people`]
+  },
+  generatedAt: Date
+}, {
+  timestamps: true
+});
+
+shoppingListSchema.index({ owner: 1, updatedAt: -1 });
+shoppingListSchema.index({ sharedWith: 1 });
+
+const ShoppingList = mongoose.model('ShoppingList', shoppingListSchema);
+
+ShoppingList.MAX_ITEMS = MAX_ITEMS;
+ShoppingList.MAX_SHARES = MAX_SHARES;
+
+module.exports = ShoppingList;
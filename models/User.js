@@ -1,6 +1,7 @@
 // backend/models/User.js - 🎉 FULLY FIXED: No index warnings + production-ready
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   // 👤 Basic Info - unique: true creates indexes automatically
@@ -27,6 +28,46 @@ const userSchema = new mongoose.Schema({
     select: false  // 🔑 Login uses .select('+password')
   },
 
+  // 🛡️ Access control
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  suspension: {
+    at: Date,
+    until: Date, // null/absent = until lifted
+    reason: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+
+  // 🚩 Hidden profiles (too many reports / moderator action)
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: Date,
+  hiddenReason: {
+    type: String,
+    enum: ['reports', 'moderator']
+  },
+
+  // ✉️ Email verification - accounts created before verification existed have
+  // no value (undefined) and are treated as verified; new signups start at false
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerification: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+
+  // 🔁 Password reset (single-use, only the SHA-256 hash is stored)
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+
   // 🌐 Profile
   avatar: {
     type: String,
@@ -48,6 +89,24 @@ const userSchema = new mongoose.Schema({
     ref: 'User'
   }],
 
+  // ⚙️ Preferences
+  preferences: {
+    units: {
+      type: String,
+      enum: ['original', 'metric', 'imperial'],
+      default: 'original'
+    },
+    // 🔔 false mutes that kind of notification
+    notifications: {
+      like: { type: Boolean, default: true },
+      comment: { type: Boolean, default: true },
+      reply: { type: Boolean, default: true },
+      mention: { type: Boolean, default: true },
+      rating: { type: Boolean, default: true },
+      follow: { type: Boolean, default: true }
+    }
+  },
+
   // 📊 Stats
   recipesCount: {
     type: Number,
@@ -73,6 +132,9 @@ userSchema.virtual('fullName').get(function() {
 // unique: true already indexes username/email
 userSchema.index({ followers: 1 });
 userSchema.index({ following: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
 
 // 🔐 Pre-save: Auto-hash password
 userSchema.pre('save', async function(next) {
@@ -86,6 +148,17 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// ✉️ Only an explicit false blocks (see emailVerified above)
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+// 🚫 Suspended until `until` (or indefinitely when it's not set)
+userSchema.methods.isSuspended = function() {
+  if (!this.suspension?.at) return false;
+  return !this.suspension.until || this.suspension.until > new Date();
+};
+
 // 🔐 Password methods
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -94,6 +167,8 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordReset;
+  delete user.emailVerification;
   return user;
 };
 
@@ -0,0 +1,161 @@
+// backend/routes/admin.js - User administration (roles & suspensions)
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const User = require('../models/User');
+const { ROLES } = require('../utils/permissions');
+const { suspendUser } = require('../utils/moderation');
+
+const adminView = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  role: user.role || 'user',
+  suspended: user.isSuspended(),
+  suspension: user.suspension?.at ? user.suspension : null,
+  createdAt: user.createdAt
+});
+
+// 👥 GET /api/admin/users?role=moderator&suspended=true&q=ann - Browse accounts
+router.get('/users', auth, requirePermission('users.manageRoles'), async (req, res) => {
+  try {
+    const { role, suspended, q, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const query = {};
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      // Accounts created before roles existed have no value
+      query.role = role === 'user' ? { $in: ['user', null] } : role;
+    }
+    if (suspended === 'true') {
+      query['suspension.at'] = { $ne: null };
+      query.$or = [{ 'suspension.until': null }, { 'suspension.until': { $gt: new Date() } }];
+    }
+    if (q) {
+      const safe = String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$and = [{ $or: [
+        { username: { $regex: safe, $options: 'i' } },
+        { email: { $regex: safe, $options: 'i' } }
+      ] }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      users: users.map(adminView),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum * limitNum < total,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (err) {
+    console.error('🚨 Admin users error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shared guard: valid target id, not yourself
+const loadTarget = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid user ID' });
+    return null;
+  }
+  if (req.params.id === String(req.user.id)) {
+    res.status(400).json({ message: "You can't change your own account this way" });
+    return null;
+  }
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// 🛡️ PATCH /api/admin/users/:id/role - { role: 'user' | 'moderator' | 'admin' }
+router.patch('/users/:id/role', auth, requirePermission('users.manageRoles'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await loadTarget(req, res);
+    if (!user) return;
+
+    user.role = role;
+    await user.save();
+
+    console.log(`🛡️ ROLE: ${user.username} → ${role} (by ${req.user.username})`);
+    res.json({ success: true, user: adminView(user) });
+  } catch (err) {
+    console.error('🚨 Change role error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 🚫 POST /api/admin/users/:id/suspend - { reason, days? } (no days = indefinite)
+router.post('/users/:id/suspend', auth, requirePermission('users.suspend'), async (req, res) => {
+  try {
+    const { reason, days } = req.body;
+    let dayCount = null;
+    if (days !== undefined && days !== null && days !== '') {
+      dayCount = Number(days);
+      if (!Number.isFinite(dayCount) || dayCount <= 0 || dayCount > 3650) {
+        return res.status(400).json({ message: 'Days must be a positive number' });
+      }
+    }
+
+    const user = await loadTarget(req, res);
+    if (!user) return;
+
+    if (user.role === 'admin') {
+      return res.status(400).json({ message: 'Demote an admin before suspending them' });
+    }
+
+    // Also kicks them off every device right away
+    await suspendUser(user, { reason, days: dayCount, by: req.user.id });
+
+    console.log(`🚫 SUSPENDED: ${user.username} (by ${req.user.username})`);
+    res.json({ success: true, user: adminView(user) });
+  } catch (err) {
+    console.error('🚨 Suspend error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ POST /api/admin/users/:id/unsuspend - Lift a suspension
+router.post('/users/:id/unsuspend', auth, requirePermission('users.suspend'), async (req, res) => {
+  try {
+    const user = await loadTarget(req, res);
+    if (!user) return;
+
+    user.suspension = undefined;
+    await user.save();
+
+    console.log(`✅ UNSUSPENDED: ${user.username} (by ${req.user.username})`);
+    res.json({ success: true, user: adminView(user) });
+  } catch (err) {
+    console.error('🚨 Unsuspend error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
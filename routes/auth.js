@@ -1,9 +1,26 @@
 // backend/routes/auth.js - 🎉 FULLY FIXED PRODUCTION VERSION
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const {
+  REFRESH_TOKEN_COOKIE,
+  accessTtlMinutes,
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../utils/sessions');
+const { sendTemplate, frontendUrl } = require('../utils/mail');
+const { sendVerificationEmail, confirmEmailToken } = require('../utils/emailVerification');
 
 const router = express.Router();
 
@@ -41,25 +58,30 @@ router.post('/register', async (req, res) => {
     const user = new User({ 
       username: cleanUsername,
       email: cleanEmail,
-      password // Plaintext - model handles bcrypt.hash()
+      password, // Plaintext - model handles bcrypt.hash()
+      emailVerified: false
     });
     await user.save();
 
-    const token = jwt.sign(
-      { id: user._id, username: user.username }, 
-      process.env.JWT_SECRET || 'fallback-secret-change-in-prod',
-      { expiresIn: '7d' }
-    );
+    // ✉️ Don't fail signup if the mail server hiccups - they can resend
+    await sendVerificationEmail(user)
+      .catch(err => console.error('🚨 Verification email failed:', err.message));
+
+    // 🔑 Short-lived access token + rotating refresh token (httpOnly cookies)
+    const tokens = await createSession(user, req);
+    setAuthCookies(res, tokens);
 
     console.log('✅ REGISTER:', user.username);
     res.status(201).json({
       success: true,
       message: 'Account created successfully',
-      token,
+      token: tokens.accessToken,
+      expiresIn: accessTtlMinutes() * 60,
       user: { 
         id: user._id, 
         username: user.username, 
         email: user.email,
+        emailVerified: false,
         createdAt: user.createdAt 
       }
     });
@@ -110,21 +132,30 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { id: user._id, username: user.username }, 
-      process.env.JWT_SECRET || 'fallback-secret-change-in-prod',
-      { expiresIn: '7d' }
-    );
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Your account has been suspended',
+        reason: user.suspension.reason || undefined,
+        until: user.suspension.until || undefined
+      });
+    }
+
+    const tokens = await createSession(user, req);
+    setAuthCookies(res, tokens);
 
     console.log('✅ LOGIN OK:', user.username);
     res.json({
       success: true,
-      token,
+      token: tokens.accessToken,
+      expiresIn: accessTtlMinutes() * 60,
       user: { 
         id: user._id,
         username: user.username, 
         email: user.email,
-        avatar: user.avatar
+        avatar: user.avatar,
+        role: user.role,
+        emailVerified: user.isEmailVerified()
       }
     });
   } catch (err) {
@@ -145,6 +176,8 @@ router.get('/me', auth, async (req, res) => {
         email: user.email,
         avatar: user.avatar,
         bio: user.bio,
+        role: user.role,
+        emailVerified: user.isEmailVerified(),
         followers: user.followers?.length || 0,
         following: user.following?.length || 0
       }
@@ -154,9 +187,248 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// ✅ POST /api/auth/logout
-router.post('/logout', (req, res) => {
-  res.json({ success: true, message: 'Logged out' });
+// 🔄 POST /api/auth/refresh - Rotate refresh token, issue new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const rawToken = req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body?.refreshToken;
+    if (!rawToken) {
+      return res.status(401).json({ message: 'No refresh token provided' });
+    }
+
+    const tokens = await rotateRefreshToken(rawToken, req);
+    setAuthCookies(res, tokens);
+
+    res.json({
+      success: true,
+      token: tokens.accessToken,
+      expiresIn: accessTtlMinutes() * 60
+    });
+  } catch (err) {
+    if (err.status === 401) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: err.message });
+    }
+    console.error('🚨 Refresh error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ POST /api/auth/logout - Revoke this device's session
+router.post('/logout', auth.optional, async (req, res) => {
+  try {
+    // A verified access token identifies the session; otherwise the refresh
+    // cookie must carry the session's current secret
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
+    } else {
+      await revokeRefreshToken(req.cookies?.[REFRESH_TOKEN_COOKIE], 'logout');
+    }
+
+    clearAuthCookies(res);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('🚨 Logout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 🚪 POST /api/auth/logout-all - Sign out every device (including this one)
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+    clearAuthCookies(res);
+    res.json({ success: true, message: 'Logged out everywhere', revoked });
+  } catch (err) {
+    console.error('🚨 Logout-all error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 📱 GET /api/auth/sessions - Active sessions for the current user
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      sessions: sessions.map(s => ({
+        id: s._id,
+        device: s.device,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: s._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (err) {
+    console.error('🚨 Sessions error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ❌ DELETE /api/auth/sessions/:id - Sign out one device
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+
+    const session = await revokeSession(req.params.id, 'revoked', req.user.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (req.params.id === String(req.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('🚨 Revoke session error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✉️ POST /api/auth/verify-email - Confirm an email address with its token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await confirmEmailToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    console.log('✅ EMAIL VERIFIED:', user.username);
+    res.json({ success: true, message: 'Email verified', emailVerified: true });
+  } catch (err) {
+    console.error('🚨 Verify email error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Per-account limit on top of the shared auth limiter: 3 resends per hour
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: (req) => req.user.id.toString(),
+  message: { message: 'Too many verification emails, please try again later' }
+});
+
+// 🔁 POST /api/auth/resend-verification - Send a new verification link
+router.post('/resend-verification', auth, resendVerificationLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const user = await User.findById(req.user.id);
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    console.error('🚨 Resend verification error:', err);
+    res.status(500).json({ message: 'Could not send verification email' });
+  }
+});
+
+// 🔁 POST /api/auth/forgot-password - Email a single-use reset link
+// Always answers the same way so it can't be used to probe for accounts
+router.post('/forgot-password', async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  };
+
+  try {
+    const cleanEmail = req.body.email?.toLowerCase().trim();
+    if (!cleanEmail) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: cleanEmail });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // A new request replaces any earlier, still-unused link
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'passwordReset.tokenHash': hashToken(token),
+        'passwordReset.expiresAt': new Date(Date.now() + expiresInMinutes * 60 * 1000)
+      }
+    });
+
+    // Not awaited: delivery time must not reveal whether the account exists
+    sendTemplate('passwordReset', user.email, {
+      username: user.username,
+      resetUrl: frontendUrl(`/reset-password?token=${token}`),
+      expiresInMinutes
+    }).catch(err => console.error('🚨 Reset email failed:', err.message));
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error('🚨 Forgot password error:', err);
+    res.json(genericResponse);
+  }
+});
+
+// 🔐 POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Reset token is required' });
+    }
+    if (!password || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    // Claim the token atomically so it can only ever be used once
+    const claimed = await User.findOneAndUpdate(
+      {
+        'passwordReset.tokenHash': hashToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() }
+      },
+      { $unset: { passwordReset: 1 } }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // ✅ Plain password → model pre('save') hashes it
+    const user = await User.findById(claimed._id);
+    user.password = password;
+    await user.save();
+
+    // 🚪 Every existing session (including a stolen one) must sign in again
+    await revokeAllSessions(user._id, 'password_reset');
+
+    sendTemplate('passwordChanged', user.email, { username: user.username })
+      .catch(err => console.error('🚨 Password changed email failed:', err.message));
+
+    clearAuthCookies(res);
+    res.json({ success: true, message: 'Password updated - please login with your new password' });
+  } catch (err) {
+    console.error('🚨 Reset password error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
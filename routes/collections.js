@@ -0,0 +1,470 @@
+// backend/routes/collections.js - Cookbooks: named, ordered recipe collections
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Collection = require('../models/Collection');
+const Recipe = require('../models/Recipe');
+const User = require('../models/User');
+const { upload, destroyImage } = require('../utils/uploads');
+const { canModify, isOwner } = require('../utils/permissions');
+const {
+  roleFor,
+  canView,
+  canContribute,
+  summarize,
+  summarizeCollections,
+  reorderVisible
+} = require('../utils/collections');
+
+const VISIBILITIES = ['public', 'private'];
+
+// Multipart forms send everything as strings
+const parseFields = (body, { partial }) => {
+  const fields = {};
+  const errors = [];
+
+  if (!partial || body.title !== undefined) {
+    const title = String(body.title || '').trim();
+    if (!title) errors.push('Title is required');
+    else if (title.length > 100) errors.push('Title cannot exceed 100 characters');
+    else fields.title = title;
+  }
+  if (body.description !== undefined) {
+    const description = String(body.description).trim();
+    if (description.length > 500) errors.push('Description cannot exceed 500 characters');
+    else fields.description = description;
+  }
+  if (body.visibility !== undefined) {
+    if (!VISIBILITIES.includes(body.visibility)) errors.push('Visibility must be public or private');
+    else fields.visibility = body.visibility;
+  }
+
+  return { fields, errors };
+};
+
+// Shared guard: valid id, and private collections look missing to outsiders
+const loadCollection = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid collection ID' });
+    return null;
+  }
+  const collection = await Collection.findById(req.params.id);
+  if (!collection || !canView(collection, req.user)) {
+    res.status(404).json({ message: 'Collection not found' });
+    return null;
+  }
+  return collection;
+};
+
+const discardUpload = (req) => destroyImage(req.file?.filename);
+
+// 📚 GET /api/collections - My collections, ones I help with and pending invitations
+router.get('/', auth, async (req, res) => {
+  try {
+    const [owned, shared] = await Promise.all([
+      Collection.find({ owner: req.user.id })
+        .sort({ position: 1, createdAt: 1 })
+        .populate('collaborators.user', 'username avatar')
+        .lean(),
+      Collection.find({ 'collaborators.user': req.user.id })
+        .sort({ updatedAt: -1 })
+        .populate('owner', 'username avatar')
+        .populate('collaborators.user', 'username avatar')
+        .lean()
+    ]);
+
+    const sharedSummaries = await summarizeCollections(shared, req.user);
+
+    res.json({
+      collections: await summarizeCollections(owned, req.user),
+      collaborating: sharedSummaries.filter(c => c.role === 'collaborator'),
+      invitations: sharedSummaries.filter(c => c.role === 'invited')
+    });
+  } catch (err) {
+    console.error('🚨 List collections error:', err.message);
+    res.status(500).json({ message: 'Server error fetching collections' });
+  }
+});
+
+// ➕ POST /api/collections - { title, description?, visibility? } + optional coverImage file
+router.post('/', auth, upload.single('coverImage'), async (req, res) => {
+  try {
+    const { fields, errors } = parseFields(req.body, { partial: false });
+    if (errors.length) {
+      await discardUpload(req);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const last = await Collection.findOne({ owner: req.user.id }).sort({ position: -1 }).select('position').lean();
+
+    const collection = await Collection.create({
+      ...fields,
+      owner: req.user.id,
+      coverImage: req.file?.path || '',
+      position: last ? last.position + 1 : 0
+    });
+
+    res.status(201).json({ success: true, collection: summarize(collection, req.user) });
+  } catch (err) {
+    await discardUpload(req);
+    console.error('🚨 Create collection error:', err.message);
+    res.status(500).json({ message: 'Failed to create collection' });
+  }
+});
+
+// 🔀 PUT /api/collections/order - { collectionIds: [...] } in the new shelf order
+router.put('/order', auth, async (req, res) => {
+  try {
+    const { collectionIds } = req.body;
+    if (!Array.isArray(collectionIds) || !collectionIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'collectionIds must be an array of collection IDs' });
+    }
+
+    const owned = await Collection.find({ owner: req.user.id }).select('_id').lean();
+    const ownedIds = new Set(owned.map(c => String(c._id)));
+    const requested = new Set(collectionIds.map(String));
+    if (requested.size !== collectionIds.length || requested.size !== ownedIds.size ||
+        [...requested].some(id => !ownedIds.has(id))) {
+      return res.status(400).json({ message: 'collectionIds must list each of your collections exactly once' });
+    }
+
+    await Collection.bulkWrite(collectionIds.map((id, position) => ({
+      updateOne: { filter: { _id: id, owner: req.user.id }, update: { $set: { position } } }
+    })));
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('🚨 Reorder collections error:', err.message);
+    res.status(500).json({ message: 'Server error reordering collections' });
+  }
+});
+
+// 📖 GET /api/collections/:id - A collection with its recipes in order
+router.get('/:id', auth.optional, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    await collection.populate([
+      { path: 'owner', select: 'username avatar' },
+      { path: 'collaborators.user', select: 'username avatar' },
+      { path: 'recipes.addedBy', select: 'username' },
+      {
+        path: 'recipes.recipe',
+        select: 'title description image tags author likesCount hidden createdAt',
+        populate: { path: 'author', select: 'username avatar' }
+      }
+    ]);
+
+    // Deleted recipes populate as null; hidden ones stay out of sight
+    const recipes = collection.recipes
+      .filter(entry => entry.recipe && (!entry.recipe.hidden || canModify(req.user, entry.recipe.author, 'content.viewHidden')))
+      .map(entry => ({
+        recipe: {
+          _id: entry.recipe._id,
+          title: entry.recipe.title,
+          description: entry.recipe.description,
+          image: entry.recipe.image,
+          tags: entry.recipe.tags,
+          author: entry.recipe.author || { username: 'Unknown' },
+          likesCount: entry.recipe.likesCount || 0,
+          createdAt: entry.recipe.createdAt
+        },
+        addedBy: entry.addedBy,
+        addedAt: entry.addedAt
+      }));
+
+    res.json({
+      collection: {
+        ...summarize(collection, req.user, recipes.find(r => r.recipe.image)?.recipe.image),
+        recipesCount: recipes.length
+      },
+      recipes
+    });
+  } catch (err) {
+    console.error('🚨 Collection detail error:', err.message);
+    res.status(500).json({ message: 'Server error fetching collection' });
+  }
+});
+
+// ✏️ PATCH /api/collections/:id - Owner only; send removeCover=true to drop the cover
+router.patch('/:id', auth, upload.single('coverImage'), async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return discardUpload(req);
+
+    if (!isOwner(req.user, collection.owner)) {
+      await discardUpload(req);
+      return res.status(403).json({ message: 'Only the owner can edit this collection' });
+    }
+
+    const { fields, errors } = parseFields(req.body, { partial: true });
+    if (errors.length) {
+      await discardUpload(req);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const previousCover = collection.coverImage;
+    if (req.file) {
+      fields.coverImage = req.file.path;
+    } else if (String(req.body.removeCover) === 'true') {
+      fields.coverImage = '';
+    }
+
+    collection.set(fields);
+    await collection.save();
+
+    if (fields.coverImage !== undefined && previousCover && previousCover !== fields.coverImage) {
+      await destroyImage(previousCover);
+    }
+
+    res.json({ success: true, collection: summarize(collection, req.user) });
+  } catch (err) {
+    await discardUpload(req);
+    console.error('🚨 Update collection error:', err.message);
+    res.status(500).json({ message: 'Failed to update collection' });
+  }
+});
+
+// 🗑️ DELETE /api/collections/:id - Owner only (the recipes themselves are untouched)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    if (!isOwner(req.user, collection.owner)) {
+      return res.status(403).json({ message: 'Only the owner can delete this collection' });
+    }
+
+    await collection.deleteOne();
+    await destroyImage(collection.coverImage);
+
+    res.json({ success: true, message: 'Collection deleted' });
+  } catch (err) {
+    console.error('🚨 Delete collection error:', err.message);
+    res.status(500).json({ message: 'Failed to delete collection' });
+  }
+});
+
+// 📌 POST /api/collections/:id/recipes - { recipeId, position? } (appends by default)
+router.post('/:id/recipes', auth, async (req, res) => {
+  try {
+    const { recipeId, position } = req.body;
+    if (!mongoose.isValidObjectId(recipeId)) {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    if (!canContribute(collection, req.user)) {
+      return res.status(403).json({ message: 'Only the owner and collaborators can add recipes' });
+    }
+
+    const recipe = await Recipe.findOne({ _id: recipeId, hidden: { $ne: true } }).select('_id').lean();
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    const push = { $each: [{ recipe: recipe._id, addedBy: req.user.id, addedAt: new Date() }] };
+    if (position !== undefined) {
+      const index = parseInt(position);
+      if (isNaN(index) || index < 0) {
+        return res.status(400).json({ message: 'Position must be a non-negative number' });
+      }
+      push.$position = index;
+    }
+
+    // Conditions make duplicate adds and overfilling safe under concurrent requests
+    const result = await Collection.updateOne(
+      {
+        _id: collection._id,
+        'recipes.recipe': { $ne: recipe._id },
+        [`recipes.${Collection.MAX_RECIPES - 1}`]: { $exists: false }
+      },
+      { $push: { recipes: push } }
+    );
+
+    if (!result.modifiedCount) {
+      const already = await Collection.exists({ _id: collection._id, 'recipes.recipe': recipe._id });
+      return already
+        ? res.status(409).json({ message: 'Recipe is already in this collection' })
+        : res.status(400).json({ message: `A collection can hold at most ${Collection.MAX_RECIPES} recipes` });
+    }
+
+    res.status(201).json({ success: true, recipesCount: collection.recipes.length + 1 });
+  } catch (err) {
+    console.error('🚨 Add to collection error:', err.message);
+    res.status(500).json({ message: 'Server error adding recipe' });
+  }
+});
+
+// ➖ DELETE /api/collections/:id/recipes/:recipeId
+router.delete('/:id/recipes/:recipeId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.recipeId)) {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    if (!canContribute(collection, req.user)) {
+      return res.status(403).json({ message: 'Only the owner and collaborators can remove recipes' });
+    }
+
+    const result = await Collection.updateOne(
+      { _id: collection._id },
+      { $pull: { recipes: { recipe: req.params.recipeId } } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(404).json({ message: 'Recipe is not in this collection' });
+    }
+
+    res.json({ success: true, recipesCount: collection.recipes.length - 1 });
+  } catch (err) {
+    console.error('🚨 Remove from collection error:', err.message);
+    res.status(500).json({ message: 'Server error removing recipe' });
+  }
+});
+
+// 🔀 PUT /api/collections/:id/recipes/order - { recipeIds: [...] } in the new order
+router.put('/:id/recipes/order', auth, async (req, res) => {
+  try {
+    const { recipeIds } = req.body;
+    if (!Array.isArray(recipeIds) || !recipeIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'recipeIds must be an array of recipe IDs' });
+    }
+
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    if (!canContribute(collection, req.user)) {
+      return res.status(403).json({ message: 'Only the owner and collaborators can reorder recipes' });
+    }
+
+    // Only what GET shows the caller gets reordered; hidden and deleted recipes stay put
+    const recipes = await Recipe.find({ _id: { $in: collection.recipes.map(entry => entry.recipe) } })
+      .select('hidden author')
+      .lean();
+    const visible = new Set(recipes
+      .filter(recipe => !recipe.hidden || canModify(req.user, recipe.author, 'content.viewHidden'))
+      .map(recipe => String(recipe._id)));
+
+    const reordered = reorderVisible(collection.recipes, visible, recipeIds);
+    if (!reordered) {
+      return res.status(409).json({ message: 'recipeIds must list every recipe in the collection exactly once' });
+    }
+
+    collection.recipes = reordered.map(entry => entry.toObject());
+    await collection.save();
+
+    res.json({
+      success: true,
+      recipeIds: collection.recipes.map(entry => entry.recipe).filter(id => visible.has(String(id)))
+    });
+  } catch (err) {
+    console.error('🚨 Reorder collection error:', err.message);
+    res.status(500).json({ message: 'Server error reordering recipes' });
+  }
+});
+
+// 🤝 POST /api/collections/:id/collaborators - Owner invites { username } or { userId }
+router.post('/:id/collaborators', auth, async (req, res) => {
+  try {
+    const { username, userId } = req.body;
+
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    if (!isOwner(req.user, collection.owner)) {
+      return res.status(403).json({ message: 'Only the owner can invite collaborators' });
+    }
+
+    let invitee = null;
+    if (userId && mongoose.isValidObjectId(userId)) {
+      invitee = await User.findById(userId).select('username avatar hidden');
+    } else if (username) {
+      invitee = await User.findOne({ username: String(username).trim() }).select('username avatar hidden');
+    }
+    if (!invitee || invitee.hidden) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (String(invitee._id) === String(req.user.id)) {
+      return res.status(400).json({ message: "You can't invite yourself" });
+    }
+    if (roleFor(collection, { id: invitee._id })) {
+      return res.status(409).json({ message: 'That user is already invited' });
+    }
+    if (collection.collaborators.length >= Collection.MAX_COLLABORATORS) {
+      return res.status(400).json({ message: `A collection can have at most ${Collection.MAX_COLLABORATORS} collaborators` });
+    }
+
+    collection.collaborators.push({ user: invitee._id });
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      collaborator: { user: { _id: invitee._id, username: invitee.username, avatar: invitee.avatar }, status: 'pending' }
+    });
+  } catch (err) {
+    console.error('🚨 Invite collaborator error:', err.message);
+    res.status(500).json({ message: 'Server error inviting collaborator' });
+  }
+});
+
+// ✅ POST /api/collections/:id/collaborators/accept - Invitee accepts
+router.post('/:id/collaborators/accept', auth, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    if (roleFor(collection, req.user) !== 'invited') {
+      return res.status(400).json({ message: 'No pending invitation for this collection' });
+    }
+
+    await Collection.updateOne(
+      { _id: collection._id, collaborators: { $elemMatch: { user: req.user.id, status: 'pending' } } },
+      { $set: { 'collaborators.$.status': 'accepted', 'collaborators.$.acceptedAt': new Date() } }
+    );
+
+    res.json({ success: true, role: 'collaborator' });
+  } catch (err) {
+    console.error('🚨 Accept invitation error:', err.message);
+    res.status(500).json({ message: 'Server error accepting invitation' });
+  }
+});
+
+// 🚪 DELETE /api/collections/:id/collaborators/:userId
+// The owner removes someone, or a collaborator leaves / declines their invitation
+router.delete('/:id/collaborators/:userId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    const self = req.params.userId === String(req.user.id);
+    if (!self && !isOwner(req.user, collection.owner)) {
+      return res.status(403).json({ message: 'Only the owner can remove collaborators' });
+    }
+
+    const result = await Collection.updateOne(
+      { _id: collection._id },
+      { $pull: { collaborators: { user: req.params.userId } } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('🚨 Remove collaborator error:', err.message);
+    res.status(500).json({ message: 'Server error removing collaborator' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+// backend/routes/comments.js - Threaded recipe comments
+// Mounted under /api/recipes/:id/comments (and the older /:id/comment paths)
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const Comment = require('../models/Comment');
+const Recipe = require('../models/Recipe');
+const { canModify } = require('../utils/permissions');
+const { parseReportBody, fileReport } = require('../utils/moderation');
+const { recordActivity } = require('../utils/activity');
+const { notify } = require('../utils/notifications');
+const { publish, recipeChannel } = require('../utils/realtime');
+const { decodeCursor } = require('../utils/cursor');
+const { adjustComments } = require('../utils/counters');
+const {
+  SORTS,
+  resolveMentions,
+  visibilityFilter,
+  populateComment,
+  presentComments,
+  loadThreads,
+  loadReplies,
+  removeComment
+} = require('../utils/comments');
+
+// Shared guards: the recipe must exist and be visible to the caller
+const loadRecipe = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid recipe ID' });
+    return null;
+  }
+  const recipe = await Recipe.findById(req.params.id).select('title author hidden commentsCount').lean();
+  if (!recipe || (recipe.hidden && !canModify(req.user, recipe.author, 'content.viewHidden'))) {
+    res.status(404).json({ success: false, message: 'Recipe not found' });
+    return null;
+  }
+  return recipe;
+};
+
+const loadComment = async (req, res, recipe) => {
+  if (!mongoose.isValidObjectId(req.params.commentId)) {
+    res.status(400).json({ success: false, message: 'Invalid comment ID' });
+    return null;
+  }
+  const comment = await Comment.findOne({
+    $and: [{ _id: req.params.commentId, recipe: recipe._id }, visibilityFilter(req.user)]
+  });
+  if (!comment) {
+    res.status(404).json({ success: false, message: 'Comment not found' });
+    return null;
+  }
+  return comment;
+};
+
+const parseText = (text) => {
+  const clean = typeof text === 'string' ? text.trim() : '';
+  return clean && clean.length <= Comment.MAX_LENGTH ? clean : null;
+};
+
+const parseLimit = (value) => Math.min(50, Math.max(1, parseInt(value) || 20));
+
+const presentOne = async (comment, viewer) => {
+  const populated = await populateComment(Comment.findById(comment._id)).lean();
+  const [presented] = await presentComments([populated], viewer);
+  return presented;
+};
+
+const currentCount = async (recipeId) =>
+  (await Recipe.findById(recipeId).select('commentsCount').lean())?.commentsCount || 0;
+
+// Tells everyone @mentioned, except those already told some other way
+const notifyMentions = async ({ mentions, skip, actor, recipe, preview }) => {
+  const skipped = new Set(skip.map(String));
+  for (const user of mentions) {
+    if (skipped.has(String(user._id))) continue;
+    await notify({ recipient: user._id, actor, type: 'mention', recipe: recipe._id, preview });
+  }
+};
+
+// 💬 GET /api/recipes/:id/comments?sort=newest|top&limit=20&cursor=...
+// Top-level comments with their first few replies
+router.get('/', auth.optional, async (req, res) => {
+  try {
+    const sort = req.query.sort || 'newest';
+    if (!SORTS.includes(sort)) {
+      return res.status(400).json({ success: false, message: `Sort must be one of: ${SORTS.join(', ')}` });
+    }
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+
+    const page = await loadThreads({
+      recipeId: recipe._id,
+      viewer: req.user,
+      sort,
+      cursor,
+      limit: parseLimit(req.query.limit)
+    });
+    if (!page) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    res.json({
+      comments: page.comments,
+      sort,
+      commentsCount: recipe.commentsCount || 0,
+      nextCursor: page.nextCursor,
+      hasMore: !!page.nextCursor
+    });
+  } catch (err) {
+    console.error('Comments error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 💬 GET /api/recipes/:id/comments/:commentId/replies?limit=20&cursor=...
+router.get('/:commentId/replies', auth.optional, async (req, res) => {
+  try {
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+    const comment = await loadComment(req, res, recipe);
+    if (!comment) return;
+
+    const page = await loadReplies({
+      parentId: comment.parent || comment._id,
+      viewer: req.user,
+      cursor,
+      limit: parseLimit(req.query.limit)
+    });
+    if (!page) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    res.json({
+      replies: page.comments,
+      nextCursor: page.nextCursor,
+      hasMore: !!page.nextCursor
+    });
+  } catch (err) {
+    console.error('Replies error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ✍️ POST /api/recipes/:id/comments - { text, parentId? }
+// Replying to a reply joins the same thread (one level of nesting)
+router.post('/', auth, requireVerifiedEmail('comments'), async (req, res) => {
+  try {
+    const text = parseText(req.body.text);
+    if (!text) {
+      return res.status(400).json({ success: false, message: `Comment must be 1-${Comment.MAX_LENGTH} characters` });
+    }
+
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+
+    let parent = null;
+    if (req.body.parentId) {
+      if (!mongoose.isValidObjectId(req.body.parentId)) {
+        return res.status(400).json({ success: false, message: 'Invalid parent comment ID' });
+      }
+      const replyingTo = await Comment.findOne({
+        $and: [{ _id: req.body.parentId, recipe: recipe._id }, visibilityFilter(req.user)]
+      }).lean();
+      if (!replyingTo) {
+        return res.status(404).json({ success: false, message: 'Comment not found' });
+      }
+      parent = replyingTo.parent
+        ? await Comment.findById(replyingTo.parent).lean()
+        : replyingTo;
+      if (!parent) {
+        return res.status(404).json({ success: false, message: 'Comment not found' });
+      }
+    }
+
+    const mentions = await resolveMentions(text);
+    const comment = await Comment.create({
+      recipe: recipe._id,
+      user: req.user.id,
+      parent: parent?._id || null,
+      text,
+      mentions: mentions.map(user => user._id)
+    });
+
+    const commentsCount = await adjustComments(recipe._id, 1);
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { repliesCount: 1 } });
+    }
+
+    await recordActivity({ actor: req.user.id, type: 'comment', recipe, comment: comment._id });
+    const told = [recipe.author];
+    if (parent) {
+      await notify({ recipient: parent.user, actor: req.user.id, type: 'reply', recipe: recipe._id, preview: text });
+      told.push(parent.user);
+    }
+    if (String(parent?.user) !== String(recipe.author)) {
+      await notify({ recipient: recipe.author, actor: req.user.id, type: 'comment', recipe: recipe._id, preview: text });
+    }
+    await notifyMentions({ mentions, skip: told, actor: req.user.id, recipe, preview: text });
+
+    const presented = await presentOne(comment, req.user);
+    await publish(recipeChannel(recipe._id), 'comment', {
+      recipeId: recipe._id,
+      comment: { ...presented, liked: false },
+      commentsCount
+    });
+
+    res.status(201).json({ success: true, comment: presented, commentsCount });
+  } catch (err) {
+    console.error('Comment error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ✏️ PATCH /api/recipes/:id/comments/:commentId - { text }
+router.patch('/:commentId', auth, requireVerifiedEmail('comments'), async (req, res) => {
+  try {
+    const text = parseText(req.body.text);
+    if (!text) {
+      return res.status(400).json({ success: false, message: `Comment must be 1-${Comment.MAX_LENGTH} characters` });
+    }
+
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+    const comment = await loadComment(req, res, recipe);
+    if (!comment) return;
+
+    if (!canModify(req.user, comment.user, 'comments.editAny')) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    if (text !== comment.text) {
+      const previous = comment.mentions.map(String);
+      const mentions = await resolveMentions(text);
+
+      comment.text = text;
+      comment.mentions = mentions.map(user => user._id);
+      comment.editedAt = new Date();
+      await comment.save();
+
+      // Only people newly mentioned by the edit hear about it
+      await notifyMentions({
+        mentions: mentions.filter(user => !previous.includes(String(user._id))),
+        skip: [],
+        actor: comment.user,
+        recipe,
+        preview: text
+      });
+    }
+
+    const presented = await presentOne(comment, req.user);
+    if (!comment.hidden) {
+      await publish(recipeChannel(recipe._id), 'comment_edited', {
+        recipeId: recipe._id,
+        comment: { ...presented, liked: false }
+      });
+    }
+
+    res.json({ success: true, comment: presented });
+  } catch (err) {
+    console.error('Edit comment error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🗑️ DELETE /api/recipes/:id/comments/:commentId - Replies go with it
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+    const comment = await loadComment(req, res, recipe);
+    if (!comment) return;
+
+    // Comment owner, recipe author, or a moderator/admin
+    if (!canModify(req.user, comment.user, 'comments.deleteAny') && !canModify(req.user, recipe.author)) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const removed = await removeComment(comment);
+    const commentsCount = await currentCount(recipe._id);
+    await publish(recipeChannel(recipe._id), 'comment_deleted', {
+      recipeId: recipe._id,
+      commentId: comment._id,
+      parentId: comment.parent,
+      removedIds: removed,
+      commentsCount
+    });
+
+    res.json({ success: true, message: 'Comment deleted', removed: removed.length, commentsCount });
+  } catch (err) {
+    console.error('Delete comment error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ❤️ POST /api/recipes/:id/comments/:commentId/like - Toggle
+router.post('/:commentId/like', auth, async (req, res) => {
+  try {
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+    const comment = await loadComment(req, res, recipe);
+    if (!comment) return;
+
+    const userId = req.user.id;
+    const added = await Comment.updateOne(
+      { _id: comment._id, likes: { $ne: userId } },
+      { $addToSet: { likes: userId }, $inc: { likesCount: 1 } }
+    );
+    let liked = true;
+    if (!added.modifiedCount) {
+      await Comment.updateOne(
+        { _id: comment._id, likes: userId },
+        { $pull: { likes: userId }, $inc: { likesCount: -1 } }
+      );
+      liked = false;
+    }
+
+    const { likesCount } = await Comment.findById(comment._id).select('likesCount').lean();
+    if (!comment.hidden) {
+      await publish(recipeChannel(recipe._id), 'comment_likes', {
+        recipeId: recipe._id,
+        commentId: comment._id,
+        likesCount
+      });
+    }
+
+    res.json({ success: true, liked, likesCount });
+  } catch (err) {
+    console.error('Comment like error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🚩 POST /api/recipes/:id/comments/:commentId/report - { reason, details? }
+router.post('/:commentId/report', auth, async (req, res) => {
+  try {
+    const { reason, details } = parseReportBody(req.body);
+    const { duplicate } = await fileReport({
+      targetType: 'comment',
+      targetId: req.params.commentId,
+      recipe: req.params.id,
+      reporter: req.user.id,
+      reason,
+      details
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'You already reported this comment' : 'Thanks - our moderators will take a look'
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Report comment error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
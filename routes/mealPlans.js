@@ -0,0 +1,350 @@
+// backend/routes/mealPlans.js - Weekly meal planner (days × breakfast/lunch/dinner/snack)
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const MealPlanEntry = require('../models/MealPlanEntry');
+const Recipe = require('../models/Recipe');
+const { canModify } = require('../utils/permissions');
+const { parseDay, addDays, daysBetween, weekStart, today, dayRange } = require('../utils/mealPlan');
+
+const MAX_ENTRIES_PER_DAY = 20;
+const MAX_RANGE_DAYS = 31;
+
+router.use(auth);
+
+const RECIPE_FIELDS = 'title image servings nutrition.perServing.calories hidden author';
+
+const parseServings = (value) => {
+  if (value === null || value === '') return { servings: null };
+  const servings = Number(value);
+  if (!Number.isInteger(servings) || servings < 1 || servings > 100) {
+    return { error: 'Servings must be a whole number between 1 and 100' };
+  }
+  return { servings };
+};
+
+// Entries whose recipe was deleted (or hidden by moderators) stay on the plan
+// with their title snapshot so the user can see what used to be there
+const presentEntry = (entry, viewer) => {
+  const recipe = entry.recipe && (!entry.recipe.hidden || canModify(viewer, entry.recipe.author, 'content.viewHidden'))
+    ? entry.recipe
+    : null;
+  const servings = entry.servings || recipe?.servings || null;
+
+  return {
+    id: entry._id,
+    day: entry.day,
+    slot: entry.slot,
+    recipe: recipe && {
+      _id: recipe._id,
+      title: recipe.title,
+      image: recipe.image,
+      servings: recipe.servings || null,
+      caloriesPerServing: recipe.nutrition?.perServing?.calories ?? null
+    },
+    recipeTitle: recipe?.title || entry.recipeTitle,
+    recipeRemoved: !recipe,
+    servings,
+    servingsOverride: entry.servings ?? null,
+    note: entry.note
+  };
+};
+
+// Servings per slot for one day, plus calories where the recipes have nutrition data
+const summarizeDay = (entries) => {
+  const servingsBySlot = Object.fromEntries(MealPlanEntry.SLOTS.map(slot => [slot, 0]));
+  let calories = 0;
+  let caloriesComplete = true;
+
+  for (const entry of entries) {
+    if (entry.recipeRemoved) continue;
+    servingsBySlot[entry.slot] += entry.servings || 0;
+    if (entry.servings && entry.recipe.caloriesPerServing !== null) {
+      calories += entry.recipe.caloriesPerServing * entry.servings;
+    } else {
+      caloriesComplete = false;
+    }
+  }
+
+  return {
+    entries: entries.length,
+    servings: Object.values(servingsBySlot).reduce((sum, n) => sum + n, 0),
+    servingsBySlot,
+    calories: Math.round(calories),
+    caloriesComplete
+  };
+};
+
+const loadEntry = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid entry ID' });
+    return null;
+  }
+  const entry = await MealPlanEntry.findOne({ _id: req.params.id, user: req.user.id });
+  if (!entry) {
+    res.status(404).json({ message: 'Meal plan entry not found' });
+    return null;
+  }
+  return entry;
+};
+
+const dayIsFull = async (userId, day) =>
+  (await MealPlanEntry.countDocuments({ user: userId, day })) >= MAX_ENTRIES_PER_DAY;
+
+const populateAndPresent = async (entry, viewer) => {
+  await entry.populate('recipe', RECIPE_FIELDS);
+  return presentEntry(entry, viewer);
+};
+
+// 📅 GET /api/meal-plans?start=2024-05-06&days=7 - Calendar with per-day summaries
+// (defaults to the current Monday-to-Sunday week)
+router.get('/', async (req, res) => {
+  try {
+    const start = req.query.start ? parseDay(req.query.start) : weekStart(today());
+    if (!start) {
+      return res.status(400).json({ message: 'Start must be a date in YYYY-MM-DD format' });
+    }
+    const dayCount = req.query.days === undefined ? 7 : parseInt(req.query.days);
+    if (isNaN(dayCount) || dayCount < 1 || dayCount > MAX_RANGE_DAYS) {
+      return res.status(400).json({ message: `Days must be between 1 and ${MAX_RANGE_DAYS}` });
+    }
+
+    const days = dayRange(start, dayCount);
+    const entries = await MealPlanEntry.find({ user: req.user.id, day: { $gte: days[0], $lte: days[days.length - 1] } })
+      .sort({ day: 1, createdAt: 1 })
+      .populate('recipe', RECIPE_FIELDS)
+      .lean();
+
+    const presented = entries.map(entry => presentEntry(entry, req.user));
+
+    res.json({
+      start,
+      end: days[days.length - 1],
+      days: days.map(day => {
+        const dayEntries = presented.filter(entry => entry.day === day);
+        return {
+          day,
+          slots: Object.fromEntries(MealPlanEntry.SLOTS.map(slot => [slot, dayEntries.filter(e => e.slot === slot)])),
+          summary: summarizeDay(dayEntries)
+        };
+      })
+    });
+  } catch (err) {
+    console.error('🚨 Meal plan error:', err.message);
+    res.status(500).json({ message: 'Server error fetching meal plan' });
+  }
+});
+
+// ➕ POST /api/meal-plans/entries - { day, slot, recipeId, servings?, note? }
+router.post('/entries', async (req, res) => {
+  try {
+    const { recipeId, slot, note = '' } = req.body;
+    const day = parseDay(req.body.day);
+
+    if (!day) {
+      return res.status(400).json({ message: 'Day must be a date in YYYY-MM-DD format' });
+    }
+    if (!MealPlanEntry.SLOTS.includes(slot)) {
+      return res.status(400).json({ message: `Slot must be one of: ${MealPlanEntry.SLOTS.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(recipeId)) {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    const { servings, error } = req.body.servings === undefined ? { servings: null } : parseServings(req.body.servings);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const recipe = await Recipe.findOne({ _id: recipeId, hidden: { $ne: true } }).select('title').lean();
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+    if (await dayIsFull(req.user.id, day)) {
+      return res.status(400).json({ message: `A day can hold at most ${MAX_ENTRIES_PER_DAY} entries` });
+    }
+
+    const entry = await MealPlanEntry.create({
+      user: req.user.id,
+      day,
+      slot,
+      recipe: recipe._id,
+      recipeTitle: recipe.title,
+      servings,
+      note: String(note).slice(0, 200)
+    });
+
+    res.status(201).json({ success: true, entry: await populateAndPresent(entry, req.user) });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('🚨 Add meal plan entry error:', err.message);
+    res.status(500).json({ message: 'Server error adding entry' });
+  }
+});
+
+// 🔀 PATCH /api/meal-plans/entries/:id - Move ({ day?, slot? }) and/or edit { servings?, note? }
+// servings: null goes back to the recipe's own servings
+router.patch('/entries/:id', async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    if (req.body.day !== undefined) {
+      const day = parseDay(req.body.day);
+      if (!day) {
+        return res.status(400).json({ message: 'Day must be a date in YYYY-MM-DD format' });
+      }
+      if (day !== entry.day && await dayIsFull(req.user.id, day)) {
+        return res.status(400).json({ message: `A day can hold at most ${MAX_ENTRIES_PER_DAY} entries` });
+      }
+      entry.day = day;
+    }
+    if (req.body.slot !== undefined) {
+      if (!MealPlanEntry.SLOTS.includes(req.body.slot)) {
+        return res.status(400).json({ message: `Slot must be one of: ${MealPlanEntry.SLOTS.join(', ')}` });
+      }
+      entry.slot = req.body.slot;
+    }
+    if (req.body.servings !== undefined) {
+      const { servings, error } = parseServings(req.body.servings);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      entry.servings = servings;
+    }
+    if (req.body.note !== undefined) {
+      entry.note = String(req.body.note).slice(0, 200);
+    }
+
+    await entry.save();
+    res.json({ success: true, entry: await populateAndPresent(entry, req.user) });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('🚨 Update meal plan entry error:', err.message);
+    res.status(500).json({ message: 'Server error updating entry' });
+  }
+});
+
+// 📋 POST /api/meal-plans/entries/:id/copy - { day, slot? } (slot defaults to the original's)
+router.post('/entries/:id/copy', async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    const day = parseDay(req.body.day);
+    const slot = req.body.slot === undefined ? entry.slot : req.body.slot;
+    if (!day) {
+      return res.status(400).json({ message: 'Day must be a date in YYYY-MM-DD format' });
+    }
+    if (!MealPlanEntry.SLOTS.includes(slot)) {
+      return res.status(400).json({ message: `Slot must be one of: ${MealPlanEntry.SLOTS.join(', ')}` });
+    }
+    if (!entry.recipe) {
+      return res.status(409).json({ message: 'This recipe has been deleted and can no longer be planned' });
+    }
+    if (await dayIsFull(req.user.id, day)) {
+      return res.status(400).json({ message: `A day can hold at most ${MAX_ENTRIES_PER_DAY} entries` });
+    }
+
+    const copy = await MealPlanEntry.create({
+      user: req.user.id,
+      day,
+      slot,
+      recipe: entry.recipe,
+      recipeTitle: entry.recipeTitle,
+      servings: entry.servings,
+      note: entry.note
+    });
+
+    res.status(201).json({ success: true, entry: await populateAndPresent(copy, req.user) });
+  } catch (err) {
+    console.error('🚨 Copy meal plan entry error:', err.message);
+    res.status(500).json({ message: 'Server error copying entry' });
+  }
+});
+
+// 🗑️ DELETE /api/meal-plans/entries/:id
+router.delete('/entries/:id', async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    await entry.deleteOne();
+    res.json({ success: true, message: 'Entry removed' });
+  } catch (err) {
+    console.error('🚨 Delete meal plan entry error:', err.message);
+    res.status(500).json({ message: 'Server error removing entry' });
+  }
+});
+
+// 🗓️ POST /api/meal-plans/weeks/duplicate - { from, to, replace? }
+// Copies the Monday-to-Sunday week containing `from` onto the week containing `to`.
+// replace=true clears the target week first; otherwise entries are added alongside.
+router.post('/weeks/duplicate', async (req, res) => {
+  try {
+    const from = parseDay(req.body.from);
+    const to = parseDay(req.body.to);
+    if (!from || !to) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const source = weekStart(from);
+    const target = weekStart(to);
+    if (source === target) {
+      return res.status(400).json({ message: 'Pick a different week to copy into' });
+    }
+
+    const offset = daysBetween(source, target);
+    const entries = await MealPlanEntry.find({
+      user: req.user.id,
+      day: { $gte: source, $lte: addDays(source, 6) },
+      recipe: { $ne: null } // deleted recipes aren't carried forward
+    }).lean();
+
+    const targetWeek = { user: req.user.id, day: { $gte: target, $lte: addDays(target, 6) } };
+    if (req.body.replace === true || req.body.replace === 'true') {
+      await MealPlanEntry.deleteMany(targetWeek);
+    } else {
+      // Added alongside, so every target day must still fit under the cap
+      const perDay = {};
+      for (const { day } of await MealPlanEntry.find(targetWeek).select('day').lean()) {
+        perDay[day] = (perDay[day] || 0) + 1;
+      }
+      for (const entry of entries) {
+        const day = addDays(entry.day, offset);
+        perDay[day] = (perDay[day] || 0) + 1;
+        if (perDay[day] > MAX_ENTRIES_PER_DAY) {
+          return res.status(400).json({ message: `A day can hold at most ${MAX_ENTRIES_PER_DAY} entries` });
+        }
+      }
+    }
+
+    const created = entries.length
+      ? await MealPlanEntry.insertMany(entries.map(entry => ({
+        user: req.user.id,
+        day: addDays(entry.day, offset),
+        slot: entry.slot,
+        recipe: entry.recipe,
+        recipeTitle: entry.recipeTitle,
+        servings: entry.servings,
+        note: entry.note
+      })))
+      : [];
+
+    res.status(201).json({
+      success: true,
+      from: source,
+      to: target,
+      copied: created.length
+    });
+  } catch (err) {
+    console.error('🚨 Duplicate week error:', err.message);
+    res.status(500).json({ message: 'Server error duplicating week' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+// backend/routes/moderation.js - Moderation queue for reported content
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const Report = require('../models/Report');
+const Recipe = require('../models/Recipe');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+const { resolveReport } = require('../utils/moderation');
+
+router.use(auth, requirePermission('reports.moderate'));
+
+// 🔎 Short preview of the reported content so moderators don't need to click through
+const loadPreview = async (report) => {
+  if (report.targetType === 'recipe') {
+    const recipe = await Recipe.findById(report.targetId).select('title image hidden').lean();
+    return recipe && { title: recipe.title, image: recipe.image, hidden: !!recipe.hidden };
+  }
+  if (report.targetType === 'comment') {
+    const comment = await Comment.findOne({ _id: report.targetId, recipe: report.recipe })
+      .select('text hidden recipe')
+      .populate('recipe', 'title')
+      .lean();
+    return comment && { text: comment.text, recipeTitle: comment.recipe?.title, hidden: !!comment.hidden };
+  }
+  const user = await User.findById(report.targetId).select('username avatar bio hidden').lean();
+  return user && { username: user.username, avatar: user.avatar, bio: user.bio, hidden: !!user.hidden };
+};
+
+// 📋 GET /api/moderation/reports?status=open&targetType=recipe&reason=spam
+router.get('/reports', async (req, res) => {
+  try {
+    const { status = 'open', targetType, reason, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const query = {};
+    if (status !== 'all') {
+      if (!['open', 'resolved', 'dismissed'].includes(status)) {
+        return res.status(400).json({ message: 'Status must be open, resolved, dismissed or all' });
+      }
+      query.status = status;
+    }
+    if (targetType) {
+      if (!Report.TARGETS.includes(targetType)) {
+        return res.status(400).json({ message: `Target type must be one of: ${Report.TARGETS.join(', ')}` });
+      }
+      query.targetType = targetType;
+    }
+    if (reason) {
+      if (!Report.REASONS.includes(reason)) {
+        return res.status(400).json({ message: `Reason must be one of: ${Report.REASONS.join(', ')}` });
+      }
+      query.reason = reason;
+    }
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .sort({ createdAt: status === 'open' ? 1 : -1 }) // oldest open reports first
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('reporter', 'username avatar')
+        .populate('targetOwner', 'username avatar')
+        .populate('resolution.by', 'username')
+        .lean(),
+      Report.countDocuments(query)
+    ]);
+
+    // How many open reports each listed target has in total
+    const openCounts = await Report.aggregate([
+      { $match: { status: 'open', targetId: { $in: reports.map(r => r.targetId) } } },
+      { $group: { _id: '$targetId', count: { $sum: 1 } } }
+    ]);
+    const countByTarget = new Map(openCounts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      reports: reports.map(r => ({
+        ...r,
+        openReportsForTarget: countByTarget.get(r.targetId.toString()) || 0
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum * limitNum < total,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (err) {
+    console.error('🚨 Moderation queue error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 🔍 GET /api/moderation/reports/:id - One report with a preview of the target
+router.get('/reports/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid report ID' });
+    }
+
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', 'username avatar')
+      .populate('targetOwner', 'username avatar')
+      .populate('resolution.by', 'username')
+      .lean();
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const [target, otherReports] = await Promise.all([
+      loadPreview(report),
+      Report.find({ targetType: report.targetType, targetId: report.targetId, _id: { $ne: report._id } })
+        .select('reason details status createdAt')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean()
+    ]);
+
+    res.json({ report, target, targetDeleted: !target, otherReports });
+  } catch (err) {
+    console.error('🚨 Report detail error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ POST /api/moderation/reports/:id/resolve - { action, note?, days? }
+// action: dismiss | hide | delete | suspend_author (closes every open report on the target)
+router.post('/reports/:id/resolve', async (req, res) => {
+  try {
+    const { action, note, days } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid report ID' });
+    }
+    if (!Report.ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Action must be one of: ${Report.ACTIONS.join(', ')}` });
+    }
+    if (action === 'suspend_author' && !hasPermission(req.user, 'users.suspend')) {
+      return res.status(403).json({ message: 'Only admins can suspend accounts' });
+    }
+
+    let dayCount = null;
+    if (days !== undefined && days !== null && days !== '') {
+      dayCount = Number(days);
+      if (!Number.isFinite(dayCount) || dayCount <= 0 || dayCount > 3650) {
+        return res.status(400).json({ message: 'Days must be a positive number' });
+      }
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+      return res.status(409).json({ message: 'Report has already been handled', resolution: report.resolution });
+    }
+
+    const resolution = await resolveReport(report, {
+      action,
+      note,
+      days: dayCount,
+      moderator: req.user
+    });
+
+    res.json({ success: true, resolution });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('🚨 Resolve report error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
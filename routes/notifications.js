@@ -0,0 +1,154 @@
+// backend/routes/notifications.js - In-app notifications & mute preferences
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { unreadSummary, present, publishUnread } = require('../utils/notifications');
+
+router.use(auth);
+
+const currentPreferences = (user) => Object.fromEntries(
+  Notification.TYPES.map(type => [type, user?.preferences?.notifications?.[type] !== false])
+);
+
+// 🔔 GET /api/notifications?unread=true&type=like&page=1&limit=20
+router.get('/', async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const query = { recipient: req.user.id };
+    if (unread === 'true') query.read = false;
+    if (type) {
+      if (!Notification.TYPES.includes(type)) {
+        return res.status(400).json({ message: `Type must be one of: ${Notification.TYPES.join(', ')}` });
+      }
+      query.type = type;
+    }
+
+    const [notifications, total, summary] = await Promise.all([
+      Notification.find(query)
+        .sort({ latestAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('actors', 'username avatar')
+        .populate('recipe', 'title image')
+        .lean(),
+      Notification.countDocuments(query),
+      unreadSummary(req.user.id)
+    ]);
+
+    res.json({
+      notifications: notifications.map(present),
+      ...summary,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum * limitNum < total,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (err) {
+    console.error('🚨 Notifications error:', err.message);
+    res.status(500).json({ message: 'Server error fetching notifications' });
+  }
+});
+
+// 🔢 GET /api/notifications/unread-count - Cheap badge polling
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json(await unreadSummary(req.user.id));
+  } catch (err) {
+    console.error('🚨 Unread count error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ⚙️ GET /api/notifications/preferences - { like: true, comment: false, ... }
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('preferences.notifications').lean();
+    res.json({ preferences: currentPreferences(user) });
+  } catch (err) {
+    console.error('🚨 Notification preferences error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ⚙️ PATCH /api/notifications/preferences - { comment: false } mutes comment notifications
+router.patch('/preferences', async (req, res) => {
+  try {
+    const updates = {};
+    for (const [type, enabled] of Object.entries(req.body || {})) {
+      if (!Notification.TYPES.includes(type)) {
+        return res.status(400).json({ message: `Type must be one of: ${Notification.TYPES.join(', ')}` });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ message: `${type} must be true or false` });
+      }
+      updates[`preferences.notifications.${type}`] = enabled;
+    }
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ message: 'No preferences to update' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true })
+      .select('preferences.notifications')
+      .lean();
+
+    res.json({ success: true, preferences: currentPreferences(user) });
+  } catch (err) {
+    console.error('🚨 Update notification preferences error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ POST /api/notifications/read-all - { type? } marks everything (or one type) read
+router.post('/read-all', async (req, res) => {
+  try {
+    const { type } = req.body || {};
+    const query = { recipient: req.user.id, read: false };
+    if (type) {
+      if (!Notification.TYPES.includes(type)) {
+        return res.status(400).json({ message: `Type must be one of: ${Notification.TYPES.join(', ')}` });
+      }
+      query.type = type;
+    }
+
+    const result = await Notification.updateMany(query, { $set: { read: true, readAt: new Date() } });
+    res.json({ success: true, marked: result.modifiedCount, ...(await publishUnread(req.user.id)) });
+  } catch (err) {
+    console.error('🚨 Mark all read error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ POST /api/notifications/:id/read
+router.post('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.id },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ success: true, ...(await publishUnread(req.user.id)) });
+  } catch (err) {
+    console.error('🚨 Mark read error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
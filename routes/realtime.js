@@ -0,0 +1,144 @@
+// backend/routes/realtime.js - Server-Sent Events stream for live updates
+// GET /api/realtime/stream?recipes=<id>,<id>
+//   recipe:<id> → comment, comment_edited, comment_deleted, comment_likes, likes, rating
+//   user:<me>   → notification, notifications_read (when signed in)
+// Browsers reconnect on their own and send Last-Event-ID; anything missed in
+// the meantime is replayed, or a `resync` event says to refetch.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Recipe = require('../models/Recipe');
+const Session = require('../models/Session');
+const { canModify } = require('../utils/permissions');
+const {
+  getAdapter,
+  recipeChannel,
+  userChannel,
+  compareEventIds,
+  isEventId
+} = require('../utils/realtime');
+
+const MAX_RECIPES = 20;
+const HEARTBEAT_MS = 25 * 1000;
+const SESSION_CHECK_MS = 5 * 60 * 1000;
+
+// EventSource can't set headers: accept ?access_token= when there's no header or cookie
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.access_token && !req.header('Authorization') && !req.cookies?.token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+const parseRecipeIds = (value) => [...new Set(String(value || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean))];
+
+const writeEvent = (res, channel, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ channel, ...event.data })}\n\n`);
+  res.flush?.(); // compression() buffers otherwise
+};
+
+// 📡 GET /api/realtime/stream
+router.get('/stream', tokenFromQuery, auth.optional, async (req, res) => {
+  try {
+    const recipeIds = parseRecipeIds(req.query.recipes);
+    if (recipeIds.length > MAX_RECIPES) {
+      return res.status(400).json({ message: `Maximum ${MAX_RECIPES} recipes per stream` });
+    }
+    if (!recipeIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+
+    // Hidden recipes only stream to those who may see them
+    const recipes = recipeIds.length
+      ? await Recipe.find({ _id: { $in: recipeIds } }).select('author hidden').lean()
+      : [];
+    const channels = recipes
+      .filter(r => !r.hidden || canModify(req.user, r.author, 'content.viewHidden'))
+      .map(r => recipeChannel(r._id));
+    if (req.user) {
+      channels.push(userChannel(req.user.id));
+    }
+    if (!channels.length) {
+      return res.status(400).json({ message: 'Nothing to subscribe to - sign in or pass ?recipes=' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx/Render proxies
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const adapter = getAdapter();
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    let delivered = isEventId(lastEventId) ? lastEventId : null;
+
+    // Subscribe first and hold live events until the replay has gone out,
+    // so nothing slips between the two
+    let pending = [];
+    const deliver = (channel, event) => {
+      if (delivered && compareEventIds(event.id, delivered) <= 0) return;
+      writeEvent(res, channel, event);
+      delivered = event.id;
+    };
+    const unsubscribers = channels.map(channel => adapter.subscribe(channel, event => {
+      if (pending) pending.push({ channel, event });
+      else deliver(channel, event);
+    }));
+
+    if (delivered) {
+      const histories = await Promise.all(channels.map(channel => adapter.since(channel, delivered)));
+      if (histories.some(events => events === null)) {
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'history_expired' })}\n\n`);
+      }
+      const missed = histories
+        .flatMap((events, i) => (events || []).map(event => ({ channel: channels[i], event })))
+        .concat(pending)
+        .sort((a, b) => compareEventIds(a.event.id, b.event.id));
+      missed.forEach(({ channel, event }) => deliver(channel, event));
+    } else {
+      pending.forEach(({ channel, event }) => deliver(channel, event));
+    }
+    pending = null;
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ channels })}\n\n`);
+    res.flush?.();
+
+    // Keep proxies from closing an idle connection; end it if the user logs out
+    let sinceSessionCheck = 0;
+    const heartbeat = setInterval(async () => {
+      res.write(': ping\n\n');
+      res.flush?.();
+
+      sinceSessionCheck += HEARTBEAT_MS;
+      if (req.sessionId && sinceSessionCheck >= SESSION_CHECK_MS) {
+        sinceSessionCheck = 0;
+        const active = await Session.isActive(req.sessionId).catch(() => true);
+        if (!active) {
+          res.write('event: session_ended\ndata: {}\n\n');
+          res.end();
+        }
+      }
+    }, HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    });
+  } catch (err) {
+    console.error('🚨 Realtime stream error:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error opening stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
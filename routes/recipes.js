@@ -2,52 +2,38 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const { canModify } = require('../utils/permissions');
+const { parseReportBody, fileReport } = require('../utils/moderation');
+const { cloudinary, upload, destroyImage, importImage } = require('../utils/uploads');
+const { cleanupDeletedRecipe } = require('../utils/recipeCleanup');
+const { recordActivity, removeActivity } = require('../utils/activity');
+const { notify, retract } = require('../utils/notifications');
+const { publish, recipeChannel } = require('../utils/realtime');
+const { snapshotOf, changedFields, diffSnapshots, recordRevision, applySnapshot } = require('../utils/revisions');
 const Recipe = require('../models/Recipe');
-const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Enhanced Cloudinary storage with better params
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: async (req, file) => {
-    const isValidFormat = ['jpg', 'jpeg', 'png', 'webp'].includes(file.mimetype.split('/')[1]);
-    if (!isValidFormat) {
-      throw new Error('Invalid image format');
-    }
-
-    return {
-      folder: 'recipeverse/recipes',
-      allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
-      public_id: `recipe_${Date.now()}_${Math.round(Math.random() * 1e9)}`,
-      transformation: [
-        { width: 1200, height: 800, crop: 'fill', quality: 'auto' },
-        { width: 400, height: 267, crop: 'fill', quality: 'auto' }
-      ],
-    };
-  },
-});
-
-// File size limit: 5MB
-const fileFilter = (req, file, cb) => {
-  if (file.size > 5 * 1024 * 1024) {
-    return cb(new Error('File size too large. Maximum 5MB allowed.'), false);
-  }
-  cb(null, true);
-};
-
-const upload = multer({ 
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 },
-  fileFilter 
-});
+const RecipeRevision = require('../models/RecipeRevision');
+const Review = require('../models/Review');
+const { buildFork, describeOrigin } = require('../utils/forks');
+const { loadThreads } = require('../utils/comments');
+const { parseRating, ratingSummary, applyRating } = require('../utils/reviews');
+const { CARD_COUNTERS, toggleLike, recipeCreated } = require('../utils/counters');
+const { WINDOWS, DEFAULT_WINDOW, trendingField, recordView, trendingTags } = require('../utils/trending');
+const { similarRecipes } = require('../utils/recommendations');
+const { importRecipe } = require('../utils/recipeImport');
+const commentsRouter = require('./comments');
+const reviewsRouter = require('./reviews');
+const {
+  MAX_ITEM_LENGTH,
+  parseIngredientList,
+  scaleIngredients,
+  presentIngredients
+} = require('../utils/ingredients');
+const { UNIT_SYSTEMS, convertIngredients, convertInstructions } = require('../utils/units');
+const { parseSearchQuery, highlightRecipe } = require('../utils/search');
+const { parsePaging, keysetFilter, pageResult } = require('../utils/cursor');
+const { DEFAULT_STAPLES, ingredientKeys } = require('../utils/ingredientNames');
+const { toPantryKeys, candidateSearchTerms, scoreRecipe } = require('../utils/pantry');
 
 // Rate limiting middleware for POST endpoints
 const rateLimit = require('express-rate-limit');
@@ -56,97 +42,175 @@ const createRecipeLimiter = rateLimit({
   max: 5, // 5 recipes per 15 minutes
   message: { error: 'Too many recipe creation attempts, please try again later.' }
 });
+const importLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10, // each import may fetch a remote page
+  message: { error: 'Too many import attempts, please try again later.' }
+});
 
-// Validation middleware
-const validateRecipeData = (req, res, next) => {
-  try {
-    const { title, ingredients, instructions, tags } = req.body;
-    
-    if (!title?.trim()) {
-      return res.status(400).json({ message: 'Title is required' });
+// Recipe form rules, shared by create/update and import. List fields arrive
+// as JSON strings. Returns the cleaned data; throws with the first problem.
+const checkRecipeData = (body) => {
+  const { title, ingredients, instructions, tags } = body;
+  
+  if (!title?.trim()) {
+    throw new Error('Title is required');
+  }
+  if (title.trim().length < 3 || title.trim().length > 100) {
+    throw new Error('Title must be 3-100 characters');
+  }
+
+  const parsedIngredients = JSON.parse(ingredients || '[]');
+  if (!Array.isArray(parsedIngredients) || parsedIngredients.length === 0) {
+    throw new Error('At least one ingredient is required');
+  }
+  // Lines may be free text ("2 cups flour, sifted") or structured entries
+  parsedIngredients.forEach((ing, i) => {
+    const text = typeof ing === 'string' ? ing : ing?.item;
+    if (!text?.trim() || text.trim().length > MAX_ITEM_LENGTH) {
+      throw new Error(`Ingredient ${i + 1} invalid`);
     }
-    if (title.trim().length < 3 || title.trim().length > 100) {
-      return res.status(400).json({ message: 'Title must be 3-100 characters' });
+    if (typeof ing === 'object' && (
+      String(ing.note || '').length > MAX_ITEM_LENGTH ||
+      String(ing.unit || '').length > 20 ||
+      String(ing.group || '').length > 50
+    )) {
+      throw new Error(`Ingredient ${i + 1} invalid`);
     }
+  });
+  const structuredIngredients = parseIngredientList(parsedIngredients);
+  if (structuredIngredients.length === 0) {
+    throw new Error('At least one ingredient is required');
+  }
+  if (structuredIngredients.length > 20) {
+    throw new Error('Maximum 20 ingredients allowed');
+  }
 
-    const parsedIngredients = JSON.parse(ingredients || '[]');
-    if (!Array.isArray(parsedIngredients) || parsedIngredients.length === 0) {
-      return res.status(400).json({ message: 'At least one ingredient is required' });
-    }
-    if (parsedIngredients.length > 20) {
-      return res.status(400).json({ message: 'Maximum 20 ingredients allowed' });
+  const parsedInstructions = JSON.parse(instructions || '[]');
+  if (!Array.isArray(parsedInstructions) || parsedInstructions.length === 0) {
+    throw new Error('At least one instruction step is required');
+  }
+  if (parsedInstructions.length > 15) {
+    throw new Error('Maximum 15 instruction steps allowed');
+  }
+  parsedInstructions.forEach((step, i) => {
+    if (!step?.trim() || step.trim().length > 300) {
+      throw new Error(`Instruction step ${i + 1} invalid`);
     }
-    parsedIngredients.forEach((ing, i) => {
-      if (!ing?.trim() || ing.trim().length > 150) {
-        throw new Error(`Ingredient ${i + 1} invalid`);
-      }
-    });
+  });
 
-    const parsedInstructions = JSON.parse(instructions || '[]');
-    if (!Array.isArray(parsedInstructions) || parsedInstructions.length === 0) {
-      return res.status(400).json({ message: 'At least one instruction step is required' });
+  let parsedTags = [];
+  if (tags) {
+    parsedTags = JSON.parse(tags);
+    if (!Array.isArray(parsedTags)) {
+      throw new Error('Tags must be an array');
     }
-    if (parsedInstructions.length > 15) {
-      return res.status(400).json({ message: 'Maximum 15 instruction steps allowed' });
+    parsedTags = parsedTags.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (parsedTags.length > 10) {
+      parsedTags = parsedTags.slice(0, 10);
     }
-    parsedInstructions.forEach((step, i) => {
-      if (!step?.trim() || step.trim().length > 300) {
-        throw new Error(`Instruction step ${i + 1} invalid`);
-      }
-    });
+    parsedTags = [...new Set(parsedTags)]; // Remove duplicates
+  }
 
-    let parsedTags = [];
-    if (tags) {
-      parsedTags = JSON.parse(tags);
-      if (!Array.isArray(parsedTags)) {
-        return res.status(400).json({ message: 'Tags must be an array' });
-      }
-      parsedTags = parsedTags.map(tag => tag.trim().toLowerCase()).filter(Boolean);
-      if (parsedTags.length > 10) {
-        parsedTags = parsedTags.slice(0, 10);
-      }
-      parsedTags = [...new Set(parsedTags)]; // Remove duplicates
+  const data = {
+    title: title.trim(),
+    description: body.description?.trim() || '',
+    ingredients: structuredIngredients,
+    instructions: parsedInstructions.map(step => step.trim()),
+    tags: parsedTags
+  };
+
+  // Servings is optional, but required later for ?servings= scaling
+  if (body.servings !== undefined && body.servings !== '') {
+    const servings = Number(body.servings);
+    if (!Number.isInteger(servings) || servings < 1 || servings > 100) {
+      throw new Error('Servings must be a whole number between 1 and 100');
     }
+    data.servings = servings;
+  }
 
-    req.validatedData = {
-      title: title.trim(),
-      description: req.body.description?.trim() || '',
-      ingredients: parsedIngredients.map(ing => ing.trim()),
-      instructions: parsedInstructions.map(step => step.trim()),
-      tags: parsedTags
-    };
+  return data;
+};
 
+// Validation middleware
+const validateRecipeData = (req, res, next) => {
+  try {
+    req.validatedData = checkRecipeData(req.body);
     next();
   } catch (error) {
     res.status(400).json({ message: error.message || 'Invalid recipe data format' });
   }
 };
 
+// Sorts that ?after= / ?before= cursors can follow, and the field behind each
+// (sort=trending reads trending.<window>, see utils/trending.js)
+const CURSOR_SORTS = {
+  createdAt: 'createdAt',
+  rating: 'avgRating',
+  likes: 'likesCount',
+  comments: 'commentsCount',
+  calories: 'nutrition.perServing.calories',
+  relevance: 'score',
+  hot: 'hotScore'
+};
+
+// Fields of a recipe card in lists (author is looked up separately)
+const CARD_FIELDS = {
+  title: 1,
+  description: 1,
+  image: 1,
+  tags: 1,
+  ...CARD_COUNTERS,
+  caloriesPerServing: '$nutrition.perServing.calories',
+  createdAt: 1,
+  updatedAt: 1
+};
+
 // GET ALL recipes - Enhanced search and pagination
-router.get('/', async (req, res) => {
+// ?search= uses the weighted text index: words, "exact phrases", -exclusions
+// ?sort=trending&window=day|week|month ranks by recent engagement, ?sort=hot by
+// engagement against age (both refreshed every few minutes, not live)
+// ?page= pages by offset; ?after= / ?before= (or paginate=cursor) follow opaque
+// cursors instead. includeTotal=true|false turns the total count on or off.
+// `fixedSort` pins the order and `trendingOnly` drops recipes scoring 0 (GET /trending).
+const listRecipes = ({ fixedSort, trendingOnly = false } = {}) => async (req, res) => {
   try {
     const { 
       search, 
       tag, 
-      page = 1, 
-      limit = 12, 
-      sort = 'createdAt',
-      order = 'desc'
+      order = 'desc',
+      maxCalories,
+      window = DEFAULT_WINDOW
     } = req.query;
+    const parsedSearch = search ? parseSearchQuery(search) : null;
+    const sort = fixedSort || req.query.sort || (parsedSearch ? 'relevance' : 'createdAt');
+
+    if (search && !parsedSearch) {
+      return res.status(400).json({ message: 'Search must include at least one word or "phrase"' });
+    }
+    if (sort === 'relevance' && !parsedSearch) {
+      return res.status(400).json({ message: 'sort=relevance requires a search query' });
+    }
+
+    if (sort === 'trending' && !WINDOWS[window]) {
+      return res.status(400).json({ message: `Window must be one of: ${Object.keys(WINDOWS).join(', ')}` });
+    }
 
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-    const skip = (pageNum - 1) * limitNum;
+    const direction = sort === 'relevance' || order !== 'asc' ? -1 : 1;
+    // Cursors from one trending window don't carry over to another
+    const sortKey = sort === 'trending' ? `trending-${window}` : sort;
+    const paging = parsePaging(req.query, { sort: `${sortKey}:${direction}` });
+    const cursorField = sort === 'trending' ? trendingField(window) : CURSOR_SORTS[sort];
+    if (paging.mode === 'cursor' && !cursorField) {
+      return res.status(400).json({ message: `Cursor pagination supports sort=${[...Object.keys(CURSOR_SORTS), 'trending'].join('|')}` });
+    }
 
-    let query = {};
+    // Hidden (reported/moderated) recipes never show up in listings
+    let query = { hidden: { $ne: true } };
 
-    // Multi-field search
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    // Full-text search (title > tags > ingredients > description > instructions)
+    if (parsedSearch) {
+      query.$text = { $search: parsedSearch.search };
     }
 
     // Tag filter
@@ -154,57 +218,196 @@ router.get('/', async (req, res) => {
       query.tags = { $in: [tag.toLowerCase()] };
     }
 
-    // Build sort object
-    const sortObj = {};
-    sortObj[sort === 'rating' ? 'avgRating' : sort] = order === 'asc' ? 1 : -1;
+    // Calories per serving (recipes without servings have no per-serving data)
+    if (maxCalories !== undefined) {
+      const calories = parseFloat(maxCalories);
+      if (isNaN(calories) || calories < 0) {
+        return res.status(400).json({ message: 'maxCalories must be a positive number' });
+      }
+      query['nutrition.perServing.calories'] = { $lte: calories };
+    }
 
-    const recipes = await Recipe.aggregate([
-      { $match: query },
-      {
-        $addFields: {
-          avgRating: {
-            $divide: [
-              { $sum: '$ratings.value' },
-              { $cond: [{ $gt: [{ $size: '$ratings' }, 0] }, { $size: '$ratings' }, 1] }
-            ]
+    if (trendingOnly) {
+      query[cursorField] = { $gt: 0 };
+    }
+
+    // Build sort object (engagement sorts read the indexed counters).
+    // Cursor mode always breaks ties by _id; `before` pages are read backwards.
+    const sortField = cursorField || sort;
+    const scan = paging.backwards ? -direction : direction;
+    const sortObj = { [sortField]: scan, _id: scan };
+
+    const [rows, total] = await Promise.all([
+      Recipe.aggregate([
+        { $match: query },
+        ...(parsedSearch ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        ...(paging.position ? [{ $match: keysetFilter(sortField, scan, paging.position) }] : []),
+        { $sort: sortObj },
+        ...(paging.mode === 'page' ? [{ $skip: paging.skip }] : []),
+        { $limit: paging.limit + 1 },
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'author',
+            foreignField: '_id',
+            as: 'author',
+            pipeline: [{ $project: { username: 1, avatar: 1 } }]
+          }
+        },
+        { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            author: { $ifNull: ['$author', { username: 'Unknown' }] },
+            ...CARD_FIELDS,
+            ...(sort === 'trending' ? { trendingScore: { $round: [{ $ifNull: [`$${cursorField}`, 0] }, 3] } } : {}),
+            ...(sort === 'hot' ? { hotScore: { $round: [{ $ifNull: ['$hotScore', 0] }, 6] } } : {}),
+            // Raw sort value for cursors, stripped before responding
+            ...(cursorField ? { sortValue: `$${cursorField}` } : {}),
+            // Only needed to build highlights below, stripped before responding
+            ...(parsedSearch ? {
+              score: { $round: ['$score', 3] },
+              ingredients: 1,
+              instructions: 1
+            } : {})
           }
         }
-      },
-      { $sort: sortObj },
-      { $skip: skip },
-      { $limit: limitNum },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'author',
-          foreignField: '_id',
-          as: 'author',
-          pipeline: [{ $project: { username: 1, avatar: 1 } }]
-        }
-      },
-      { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          author: { $ifNull: ['$author', { username: 'Unknown' }] },
-          title: 1,
-          description: 1,
-          image: 1,
-          tags: 1,
-          avgRating: { $round: ['$avgRating', 1] },
-          ratingsCount: { $size: '$ratings' },
-          likesCount: { $size: '$likes' },
-          commentsCount: { $size: '$comments' },
-          createdAt: 1,
-          updatedAt: 1
-        }
-      }
+      ]),
+      paging.includeTotal ? Recipe.countDocuments(query) : null
     ]);
 
-    // Get total count for pagination
-    const total = await Recipe.countDocuments(query);
+    const { items: recipes, pagination } = pageResult(rows, paging, {
+      sort: `${sortKey}:${direction}`,
+      valueOf: recipe => recipe.sortValue,
+      total
+    });
+    if (!cursorField) pagination.nextCursor = null;
+
+    recipes.forEach(recipe => {
+      delete recipe.sortValue;
+      if (parsedSearch) {
+        recipe.highlights = highlightRecipe(recipe, parsedSearch);
+        delete recipe.ingredients;
+        delete recipe.instructions;
+      }
+    });
+
+    res.json({ recipes, pagination, ...(sort === 'trending' ? { window } : {}) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error fetching recipes:', err);
+    res.status(500).json({ message: 'Server error while fetching recipes' });
+  }
+};
+
+router.get('/', listRecipes());
+
+// 🔥 GET /api/recipes/trending?window=day|week|month&tag=vegan - Recipes with
+// engagement in the window, highest trending score first (same paging as GET /)
+router.get('/trending', listRecipes({ fixedSort: 'trending', trendingOnly: true }));
+
+// 🏷️ GET /api/recipes/trending/tags?window=week&limit=10 - Trending tags with
+// their top three recipes each
+router.get('/trending/tags', async (req, res) => {
+  try {
+    const { window = DEFAULT_WINDOW } = req.query;
+    if (!WINDOWS[window]) {
+      return res.status(400).json({ message: `Window must be one of: ${Object.keys(WINDOWS).join(', ')}` });
+    }
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const tags = await trendingTags({ window, limit, cardProjection: { author: 1, ...CARD_FIELDS } });
+    res.json({ window, tags });
+  } catch (err) {
+    console.error('Error fetching trending tags:', err);
+    res.status(500).json({ message: 'Server error while fetching trending tags' });
+  }
+});
+
+// POST /api/recipes/match - "What can I cook?"
+// Body: { ingredients: ['chicken', 'rice', ...], staples?: [...], useDefaultStaples?, minMatch?, tag?, page?, limit? }
+// Ranks recipes by how much of their ingredient list the pantry covers.
+const MATCH_CANDIDATES = 500;
+const MAX_PANTRY_ITEMS = 50;
+
+router.post('/match', async (req, res) => {
+  try {
+    const { ingredients, staples = [], useDefaultStaples = false, tag, page = 1, limit = 12 } = req.body;
+
+    if (!Array.isArray(ingredients) || !ingredients.length) {
+      return res.status(400).json({ message: 'Ingredients must be a non-empty array' });
+    }
+    if (!Array.isArray(staples)) {
+      return res.status(400).json({ message: 'Staples must be an array' });
+    }
+    if (ingredients.length + staples.length > MAX_PANTRY_ITEMS) {
+      return res.status(400).json({ message: `Maximum ${MAX_PANTRY_ITEMS} ingredients and staples allowed` });
+    }
+
+    const minMatch = req.body.minMatch === undefined ? 0 : Number(req.body.minMatch);
+    if (!Number.isFinite(minMatch) || minMatch < 0 || minMatch > 100) {
+      return res.status(400).json({ message: 'minMatch must be a percentage between 0 and 100' });
+    }
+
+    const pantryKeys = toPantryKeys(ingredients);
+    if (!pantryKeys.length) {
+      return res.status(400).json({ message: 'Ingredients must include at least one recognisable item' });
+    }
+    const stapleKeys = toPantryKeys([...staples, ...(useDefaultStaples ? DEFAULT_STAPLES : [])]);
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 12));
+
+    // The text index narrows things down to recipes mentioning at least one
+    // pantry item; exact coverage is worked out below
+    const query = {
+      hidden: { $ne: true },
+      $text: { $search: candidateSearchTerms(pantryKeys) }
+    };
+    if (tag) {
+      query.tags = { $in: [String(tag).toLowerCase()] };
+    }
+
+    const candidates = await Recipe.find(query, { score: { $meta: 'textScore' } })
+      .select('title description image tags ingredients likesCount author createdAt')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MATCH_CANDIDATES)
+      .populate('author', 'username avatar')
+      .lean();
+
+    const ranked = candidates
+      .map(recipe => ({ recipe, match: scoreRecipe(recipe.ingredients, pantryKeys, stapleKeys) }))
+      .filter(({ match }) => match.matchedCount > 0 && match.matchPercent >= minMatch)
+      .sort((a, b) =>
+        b.match.matchPercent - a.match.matchPercent ||
+        a.match.missing.length - b.match.missing.length ||
+        (b.recipe.likesCount || 0) - (a.recipe.likesCount || 0)
+      );
+
+    const total = ranked.length;
+    const recipes = ranked
+      .slice((pageNum - 1) * limitNum, pageNum * limitNum)
+      .map(({ recipe, match }) => ({
+        _id: recipe._id,
+        title: recipe.title,
+        description: recipe.description,
+        image: recipe.image,
+        tags: recipe.tags,
+        author: recipe.author || { username: 'Unknown' },
+        likesCount: recipe.likesCount || 0,
+        createdAt: recipe.createdAt,
+        matchPercent: match.matchPercent,
+        matchedCount: match.matchedCount,
+        totalIngredients: match.totalCount,
+        matchedIngredients: match.matched,
+        missingIngredients: match.missing
+      }));
 
     res.json({
       recipes,
+      pantry: pantryKeys,
+      staples: stapleKeys,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -215,38 +418,66 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (err) {
-    console.error('Error fetching recipes:', err);
-    res.status(500).json({ message: 'Server error while fetching recipes' });
+    console.error('🚨 Pantry match error:', err.message);
+    res.status(500).json({ message: 'Server error while matching recipes' });
   }
 });
 
 // GET single recipe by ID - Enhanced
-router.get('/:id', async (req, res) => {
+// ?servings=N scales quantities, ?units=metric|imperial|original converts them
+// (defaults to the signed-in user's preference)
+router.get('/:id', auth.optional, async (req, res) => {
   try {
+    const units = req.query.units || req.user?.preferences?.units || 'original';
+    if (!UNIT_SYSTEMS.includes(units)) {
+      return res.status(400).json({ message: `Units must be one of: ${UNIT_SYSTEMS.join(', ')}` });
+    }
+
+    let targetServings = null;
+    if (req.query.servings !== undefined) {
+      targetServings = Number(req.query.servings);
+      if (!Number.isFinite(targetServings) || targetServings <= 0 || targetServings > 100) {
+        return res.status(400).json({ message: 'Servings must be a number between 1 and 100' });
+      }
+    }
+
     const recipe = await Recipe.findById(req.params.id);
-    if (!recipe) {
+    if (!recipe || (recipe.hidden && !canModify(req.user, recipe.author, 'content.viewHidden'))) {
       return res.status(404).json({ message: 'Recipe not found' });
     }
 
-    // Calculate average rating
-    const avgRating = recipe.ratings.reduce((sum, r) => sum + r.value, 0) / 
-                     (recipe.ratings.length || 1);
+    // Authors re-reading their own recipe don't count towards trending
+    if (String(recipe.author) !== String(req.user?.id)) {
+      await recordView(recipe._id);
+    }
+
+    if (targetServings !== null && !recipe.servings) {
+      return res.status(400).json({ message: 'This recipe does not specify servings and cannot be scaled' });
+    }
+
+    await recipe.populate('author', 'username avatar');
+    const plain = recipe.toObject();
+    const scaled = targetServings !== null
+      ? scaleIngredients(plain.ingredients, targetServings / recipe.servings)
+      : plain.ingredients;
 
     const result = {
-      ...recipe.toObject(),
-      avgRating: parseFloat(avgRating.toFixed(1)),
-      ratingsCount: recipe.ratings.length
+      ...plain,
+      ingredients: presentIngredients(convertIngredients(scaled, units)),
+      instructions: convertInstructions(plain.instructions, units),
+      units,
+      servings: targetServings ?? recipe.servings ?? null,
+      originalServings: recipe.servings ?? null,
+      ...ratingSummary(plain.ratings),
+      forkedFrom: await describeOrigin(plain.forkedFrom, req.user),
+      forksCount: recipe.forksCount || 0
     };
 
-    // Populate author and recent comments
-    await recipe.populate([
-      { path: 'author', select: 'username avatar' },
-      { 
-        path: 'comments', 
-        populate: { path: 'user', select: 'username avatar' },
-        options: { limit: 10, sort: { createdAt: -1 } }
-      }
-    ]);
+    // First page of comments; the rest come from GET /:id/comments
+    const thread = await loadThreads({ recipeId: recipe._id, viewer: req.user, limit: 10 });
+    result.comments = thread.comments;
+    result.commentsCount = recipe.commentsCount || 0;
+    result.commentsCursor = thread.nextCursor;
 
     res.json(result);
   } catch (err) {
@@ -258,8 +489,106 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// 🌐 POST /api/recipes/import - Bring a recipe in from a web page's schema.org markup
+// Body: { url } or { html } as JSON, or the page itself as text/html.
+// Answers with a preview ({ draft, warnings }) unless save=true (body or query),
+// which creates the recipe with the page credited in `source`.
+const MAX_IMPORT_HTML = 3 * 1024 * 1024;
+
+router.post('/import', auth, requireVerifiedEmail('recipes'), importLimiter, express.text({ type: ['text/html', 'text/plain'], limit: '3mb' }), async (req, res) => {
+  let image = null;
+  try {
+    const pasted = typeof req.body === 'string';
+    // xss-clean escapes "<" in JSON bodies; the parser needs the markup back
+    const html = pasted ? req.body : req.body?.html?.replace(/&lt;/g, '<');
+    const url = pasted ? req.query.url : req.body?.url;
+    const save = req.query.save === 'true' || [true, 'true'].includes(req.body?.save);
+
+    if (!html && !url) {
+      return res.status(400).json({ message: 'Send a url or the page html' });
+    }
+    if (html && (typeof html !== 'string' || html.length > MAX_IMPORT_HTML)) {
+      return res.status(400).json({ message: 'html must be a page of at most 3MB' });
+    }
+    if (!html && typeof url !== 'string') {
+      return res.status(400).json({ message: 'url must be a string' });
+    }
+
+    const imported = await importRecipe({ html, url });
+    const { warnings } = imported;
+
+    let data;
+    try {
+      data = checkRecipeData(imported.body);
+    } catch (err) {
+      // Not enough on the page to make a valid recipe; show what was found
+      return res.status(422).json({
+        message: `The imported recipe is incomplete: ${err.message}`,
+        draft: {
+          ...imported.body,
+          ingredients: JSON.parse(imported.body.ingredients),
+          instructions: JSON.parse(imported.body.instructions),
+          tags: JSON.parse(imported.body.tags),
+          image: imported.image,
+          source: imported.source
+        },
+        warnings
+      });
+    }
+
+    if (!save) {
+      return res.json({
+        success: true,
+        saved: false,
+        format: imported.format,
+        draft: {
+          ...data,
+          ingredients: presentIngredients(data.ingredients),
+          image: imported.image,
+          source: imported.source
+        },
+        warnings
+      });
+    }
+
+    image = await importImage(imported.image);
+    if (imported.image && !image) {
+      warnings.push('The photo could not be copied - add one by editing the recipe');
+    }
+
+    const recipe = new Recipe({
+      ...data,
+      author: req.user.id,
+      ...(image ? { image } : {}),
+      source: { ...imported.source, importedAt: new Date() }
+    });
+    await recipe.save();
+    await recipeCreated(req.user.id);
+    await recordRevision(recipe, { editor: req.user.id });
+
+    const populated = await Recipe.findById(recipe._id)
+      .populate('author', 'username avatar')
+      .lean();
+
+    res.status(201).json({
+      success: true,
+      saved: true,
+      recipe: populated,
+      warnings,
+      message: 'Recipe imported successfully!'
+    });
+  } catch (err) {
+    if (image) await destroyImage(image);
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Import recipe error:', err);
+    res.status(500).json({ message: 'Failed to import recipe' });
+  }
+});
+
 // POST - Create new recipe (Enhanced)
-router.post('/', auth, createRecipeLimiter, upload.single('image'), validateRecipeData, async (req, res) => {
+router.post('/', auth, requireVerifiedEmail('recipes'), createRecipeLimiter, upload.single('image'), validateRecipeData, async (req, res) => {
   try {
     const recipeData = {
       ...req.validatedData,
@@ -273,6 +602,8 @@ router.post('/', auth, createRecipeLimiter, upload.single('image'), validateReci
 
     const recipe = new Recipe(recipeData);
     await recipe.save();
+    await recipeCreated(req.user.id);
+    await recordRevision(recipe, { editor: req.user.id });
 
     const populated = await Recipe.findById(recipe._id)
       .populate('author', 'username avatar')
@@ -304,24 +635,30 @@ router.put('/:id', auth, upload.single('image'), validateRecipeData, async (req,
       return res.status(404).json({ message: 'Recipe not found' });
     }
 
-    if (recipe.author.toString() !== req.user.id) {
+    // Author, or a moderator/admin
+    if (!canModify(req.user, recipe.author, 'recipes.editAny')) {
       return res.status(403).json({ message: 'Not authorized to edit this recipe' });
     }
 
-    // Update with validated data
+    // Update with validated data (the previous version lives on as a revision)
+    const before = snapshotOf(recipe);
     Object.assign(recipe, req.validatedData);
 
     // Handle image update
     if (req.file) {
       // Delete old image if exists
-      if (recipe.image && cloudinary.uploader.destroy) {
-        const publicId = recipe.image.split('/').pop().split('.')[0];
-        await cloudinary.uploader.destroy(publicId).catch(console.error);
-      }
+      await destroyImage(recipe.image);
       recipe.image = req.file.path;
     }
 
+    const edited = changedFields(before, snapshotOf(recipe)).length > 0;
+    if (edited) {
+      recipe.updatedAt = new Date();
+    }
     await recipe.save();
+    if (edited) {
+      await recordRevision(recipe, { editor: req.user.id, before });
+    }
 
     const populated = await Recipe.findById(recipe._id)
       .populate('author', 'username avatar')
@@ -346,17 +683,15 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Recipe not found' });
     }
 
-    if (recipe.author.toString() !== req.user.id) {
+    if (!canModify(req.user, recipe.author, 'recipes.deleteAny')) {
       return res.status(403).json({ message: 'Not authorized to delete this recipe' });
     }
 
     // Delete image from Cloudinary
-    if (recipe.image && cloudinary.uploader.destroy) {
-      const publicId = recipe.image.split('/').pop().split('.')[0];
-      await cloudinary.uploader.destroy(publicId).catch(console.error);
-    }
+    await destroyImage(recipe.image);
 
     await Recipe.findByIdAndDelete(req.params.id);
+    await cleanupDeletedRecipe(recipe);
 
     res.json({ 
       success: true, 
@@ -368,149 +703,406 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// LIKE / UNLIKE (enhanced)
-router.post('/:id/like', auth, async (req, res) => {
+// 🕓 Recipe history helpers: hidden recipes keep their history hidden too
+const loadRecipeForHistory = async (req, res) => {
+  const recipe = await Recipe.findById(req.params.id);
+  if (!recipe || (recipe.hidden && !canModify(req.user, recipe.author, 'content.viewHidden'))) {
+    res.status(404).json({ message: 'Recipe not found' });
+    return null;
+  }
+  return recipe;
+};
+
+const parseRevisionNumber = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// GET /:id/revisions - Edit history, newest first
+router.get('/:id/revisions', auth.optional, async (req, res) => {
+  try {
+    const recipe = await loadRecipeForHistory(req, res);
+    if (!recipe) return;
+
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const [revisions, total] = await Promise.all([
+      RecipeRevision.find({ recipe: recipe._id })
+        .select('-snapshot')
+        .sort({ number: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('editor', 'username avatar')
+        .lean(),
+      RecipeRevision.countDocuments({ recipe: recipe._id })
+    ]);
+
+    res.json({
+      revisions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum * limitNum < total,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    console.error('Revisions error:', err);
+    res.status(500).json({ message: 'Server error while fetching revisions' });
+  }
+});
+
+// GET /:id/revisions/compare?from=2&to=5 - Field-level diff (defaults: previous → latest)
+router.get('/:id/revisions/compare', auth.optional, async (req, res) => {
   try {
+    const recipe = await loadRecipeForHistory(req, res);
+    if (!recipe) return;
+
+    const latest = await RecipeRevision.findOne({ recipe: recipe._id }).sort({ number: -1 }).select('number').lean();
+    if (!latest) {
+      return res.status(404).json({ message: 'This recipe has no edit history yet' });
+    }
+
+    const to = req.query.to === undefined ? latest.number : parseRevisionNumber(req.query.to);
+    const from = req.query.from === undefined ? (to || 0) - 1 : parseRevisionNumber(req.query.from);
+    if (!to || !from) {
+      return res.status(400).json({ message: 'from and to must be revision numbers' });
+    }
+
+    const revisions = await RecipeRevision.find({ recipe: recipe._id, number: { $in: [from, to] } })
+      .populate('editor', 'username avatar')
+      .lean();
+    const byNumber = new Map(revisions.map(r => [r.number, r]));
+    if (!byNumber.has(from) || !byNumber.has(to)) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const describeRevision = ({ number, editor, createdAt }) => ({ number, editor, createdAt });
+    res.json({
+      from: describeRevision(byNumber.get(from)),
+      to: describeRevision(byNumber.get(to)),
+      diff: diffSnapshots(byNumber.get(from).snapshot, byNumber.get(to).snapshot)
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    console.error('Compare revisions error:', err);
+    res.status(500).json({ message: 'Server error while comparing revisions' });
+  }
+});
+
+// GET /:id/revisions/:rev - The recipe as it was at one revision
+router.get('/:id/revisions/:rev', auth.optional, async (req, res) => {
+  try {
+    const number = parseRevisionNumber(req.params.rev);
+    if (!number) {
+      return res.status(400).json({ message: 'Invalid revision number' });
+    }
+
+    const recipe = await loadRecipeForHistory(req, res);
+    if (!recipe) return;
+
+    const revision = await RecipeRevision.findOne({ recipe: recipe._id, number })
+      .populate('editor', 'username avatar')
+      .lean();
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    revision.snapshot.ingredients = presentIngredients(revision.snapshot.ingredients);
+    res.json(revision);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    console.error('Revision error:', err);
+    res.status(500).json({ message: 'Server error while fetching revision' });
+  }
+});
+
+// POST /:id/revisions/:rev/revert - Restore an older revision (recorded as a new one)
+router.post('/:id/revisions/:rev/revert', auth, async (req, res) => {
+  try {
+    const number = parseRevisionNumber(req.params.rev);
+    if (!number) {
+      return res.status(400).json({ message: 'Invalid revision number' });
+    }
+
     const recipe = await Recipe.findById(req.params.id);
     if (!recipe) {
-      return res.status(404).json({ success: false, message: 'Recipe not found' });
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+    if (!canModify(req.user, recipe.author, 'recipes.editAny')) {
+      return res.status(403).json({ message: 'Not authorized to edit this recipe' });
     }
 
-    const userId = req.user.id.toString();
-    const userIndex = recipe.likes.findIndex(like => like.toString() === userId);
+    const target = await RecipeRevision.findOne({ recipe: recipe._id, number }).lean();
+    if (!target) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
 
-    let liked;
-    if (userIndex > -1) {
-      recipe.likes.splice(userIndex, 1);
-      liked = false;
-    } else {
-      recipe.likes.push(req.user.id);
-      liked = true;
+    const before = snapshotOf(recipe);
+    applySnapshot(recipe, target.snapshot);
+    if (!changedFields(before, snapshotOf(recipe)).length) {
+      return res.status(400).json({ message: 'The recipe already matches that revision' });
     }
 
+    recipe.updatedAt = new Date();
     await recipe.save();
+    const revision = await recordRevision(recipe, { editor: req.user.id, before, revertedFrom: number });
+
+    const populated = await Recipe.findById(recipe._id)
+      .populate('author', 'username avatar')
+      .lean();
 
     res.json({
       success: true,
-      likesCount: recipe.likes.length,
-      liked,
+      recipe: populated,
+      revision: { number: revision.number, changedFields: revision.changedFields, revertedFrom: number },
+      message: `Recipe restored to revision ${number}`
     });
   } catch (err) {
-    console.error('Like error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    console.error('Revert recipe error:', err);
+    res.status(500).json({ message: 'Failed to revert recipe' });
   }
 });
 
-// ADD COMMENT (enhanced)
-router.post('/:id/comment', auth, async (req, res) => {
+// 🍴 POST /:id/fork - Copy a recipe into your own account, linked to the original
+// Body (optional): { title } to rename the fork
+router.post('/:id/fork', auth, requireVerifiedEmail('recipes'), createRecipeLimiter, async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text?.trim() || text.trim().length > 500) {
-      return res.status(400).json({ success: false, message: 'Comment must be 1-500 characters' });
-    }
-
-    const recipe = await Recipe.findByIdAndUpdate(
-      req.params.id,
-      {
-        $push: {
-          comments: {
-            user: req.user.id,
-            text: text.trim(),
-          }
-        }
-      },
-      { new: true }
-    );
+    const original = await Recipe.findById(req.params.id);
+    if (!original || (original.hidden && !canModify(req.user, original.author, 'content.viewHidden'))) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
 
-    if (!recipe) {
-      return res.status(404).json({ success: false, message: 'Recipe not found' });
+    const fork = buildFork(original, req.user.id);
+    if (req.body?.title !== undefined) {
+      const title = String(req.body.title).trim();
+      if (title.length < 3 || title.length > 100) {
+        return res.status(400).json({ message: 'Title must be 3-100 characters' });
+      }
+      fork.title = title;
     }
 
-    const populated = await Recipe.findById(recipe._id)
-      .select('comments')
-      .populate('comments.user', 'username avatar')
+    await fork.save();
+    await Recipe.updateOne({ _id: original._id }, { $inc: { forksCount: 1 } });
+    await recipeCreated(req.user.id);
+    await recordRevision(fork, { editor: req.user.id });
+
+    const populated = await Recipe.findById(fork._id)
+      .populate('author', 'username avatar')
       .lean();
 
-    res.json({
+    res.status(201).json({
       success: true,
-      comments: populated.comments,
-      commentsCount: recipe.comments.length
+      recipe: populated,
+      message: 'Recipe forked - it\'s yours to tweak!'
     });
   } catch (err) {
-    console.error('Comment error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    console.error('Fork recipe error:', err);
+    res.status(500).json({ message: 'Failed to fork recipe' });
   }
 });
 
-// DELETE COMMENT (protected)
-router.delete('/:id/comment/:commentId', auth, async (req, res) => {
+// GET /:id/forks - Recipes forked from this one, newest first
+router.get('/:id/forks', auth.optional, async (req, res) => {
   try {
-    const { id, commentId } = req.params;
-    const recipe = await Recipe.findById(id);
-    
-    if (!recipe) {
+    const recipe = await loadRecipeForHistory(req, res);
+    if (!recipe) return;
+
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit) || 12));
+    const query = { 'forkedFrom.recipe': recipe._id, hidden: { $ne: true } };
+
+    const [forks, total] = await Promise.all([
+      Recipe.find(query)
+        .select('title description image tags author likesCount commentsCount forksCount createdAt updatedAt')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('author', 'username avatar')
+        .lean(),
+      Recipe.countDocuments(query)
+    ]);
+
+    res.json({
+      forks: forks.map(fork => ({
+        ...fork,
+        author: fork.author || { username: 'Unknown' },
+        likesCount: fork.likesCount || 0,
+        commentsCount: fork.commentsCount || 0,
+        forksCount: fork.forksCount || 0
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum * limitNum < total,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    console.error('Forks error:', err);
+    res.status(500).json({ message: 'Server error while fetching forks' });
+  }
+});
+
+// 🧭 GET /api/recipes/:id/similar?limit=6&excludeAuthor=true - Recipes sharing
+// tags and ingredients, nudged up by ratings and likes
+router.get('/:id/similar', auth.optional, async (req, res) => {
+  try {
+    const recipe = await Recipe.findById(req.params.id).select('author tags ingredients ingredientKeys hidden');
+    if (!recipe || (recipe.hidden && !canModify(req.user, recipe.author, 'content.viewHidden'))) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    const limit = Math.min(24, Math.max(1, parseInt(req.query.limit) || 6));
+    const source = {
+      _id: recipe._id,
+      author: recipe.author,
+      tags: recipe.tags,
+      // Recipes saved before keys existed (see scripts/backfill-ingredient-keys.js)
+      ingredientKeys: recipe.ingredientKeys?.length
+        ? recipe.ingredientKeys
+        : ingredientKeys(recipe.ingredients.map(entry => entry.item))
+    };
+
+    const recipes = await similarRecipes(source, { limit, excludeAuthor: req.query.excludeAuthor === 'true' });
+    res.json({ recipes });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recipe ID' });
+    }
+    console.error('Similar recipes error:', err);
+    res.status(500).json({ message: 'Server error while fetching similar recipes' });
+  }
+});
+
+// LIKE / UNLIKE (enhanced) - one atomic toggle, safe under double clicks
+router.post('/:id/like', auth, async (req, res) => {
+  try {
+    // Same rules as comments and reviews: hidden recipes can't be liked by the public
+    const target = await Recipe.findById(req.params.id).select('author hidden').lean();
+    if (!target || (target.hidden && !canModify(req.user, target.author, 'content.viewHidden'))) {
       return res.status(404).json({ success: false, message: 'Recipe not found' });
     }
 
-    const comment = recipe.comments.id(commentId);
-    if (!comment) {
-      return res.status(404).json({ success: false, message: 'Comment not found' });
+    const result = await toggleLike(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Recipe not found' });
     }
 
-    // Only author or comment owner can delete
-    if (comment.user.toString() !== req.user.id && recipe.author.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: 'Not authorized' });
+    const { liked, likesCount, recipe } = result;
+    const like = { recipient: recipe.author, actor: req.user.id, type: 'like', recipe: recipe._id };
+    if (liked) {
+      await recordActivity({ actor: req.user.id, type: 'like', recipe });
+      await notify(like);
+    } else {
+      await removeActivity({ actor: req.user.id, type: 'like', recipe: recipe._id });
+      await retract(like);
     }
+    await publish(recipeChannel(recipe._id), 'likes', { recipeId: recipe._id, likesCount });
 
-    comment.remove();
-    await recipe.save();
+    res.json({
+      success: true,
+      likesCount,
+      liked,
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid recipe ID' });
+    }
+    console.error('Like error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 💬 Comments, replies, comment likes and reports (routes/comments.js).
+// The singular /:id/comment paths are kept for older clients.
+router.use('/:id/comments', commentsRouter);
+router.use('/:id/comment', commentsRouter);
 
-    res.json({ success: true, message: 'Comment deleted' });
+// ⭐ Reviews with text, photos and helpful votes (routes/reviews.js)
+router.use('/:id/reviews', reviewsRouter);
+
+// 🚩 REPORT recipe - { reason, details? }
+router.post('/:id/report', auth, async (req, res) => {
+  try {
+    const { reason, details } = parseReportBody(req.body);
+    const { duplicate } = await fileReport({
+      targetType: 'recipe',
+      targetId: req.params.id,
+      reporter: req.user.id,
+      reason,
+      details
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'You already reported this recipe' : 'Thanks - our moderators will take a look'
+    });
   } catch (err) {
-    console.error('Delete comment error:', err);
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Report recipe error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// RATE (enhanced)
-router.post('/:id/rate', auth, async (req, res) => {
+// RATE (enhanced) - stars only; the same as a review without text
+router.post('/:id/rate', auth, requireVerifiedEmail('comments'), async (req, res) => {
   try {
-    const { value } = req.body;
-    const ratingValue = parseInt(value);
-    
-    if (isNaN(ratingValue) || ratingValue < 1 || ratingValue > 5) {
+    const ratingValue = parseRating(req.body.value);
+    if (ratingValue === null) {
       return res.status(400).json({ 
         success: false, 
         message: 'Rating must be a number between 1 and 5' 
       });
     }
 
-    const recipe = await Recipe.findById(req.params.id);
-    if (!recipe) {
+    // Same rules as reviews: hidden recipes can't be rated by the public
+    const recipe = await Recipe.findById(req.params.id).select('author hidden').lean();
+    if (!recipe || (recipe.hidden && !canModify(req.user, recipe.author, 'content.viewHidden'))) {
       return res.status(404).json({ success: false, message: 'Recipe not found' });
     }
 
-    const userId = req.user.id.toString();
-    const existingRatingIndex = recipe.ratings.findIndex(r => r.user.toString() === userId);
-
-    if (existingRatingIndex > -1) {
-      recipe.ratings[existingRatingIndex].value = ratingValue;
-    } else {
-      recipe.ratings.push({ user: req.user.id, value: ratingValue });
-    }
-
-    await recipe.save();
-
-    const avgRating = recipe.ratings.reduce((sum, r) => sum + r.value, 0) / 
-                     (recipe.ratings.length || 1);
+    // Keeps any review text the caller already wrote
+    await Review.updateOne(
+      { recipe: recipe._id, user: req.user.id },
+      { $set: { rating: ratingValue } },
+      { upsert: true }
+    );
+    const { avgRating, ratingsCount } = await applyRating(recipe, req.user.id, ratingValue);
 
     res.json({
       success: true,
-      avgRating: parseFloat(avgRating.toFixed(1)),
-      ratingsCount: recipe.ratings.length,
+      avgRating,
+      ratingsCount,
       userRated: true
     });
   } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid recipe ID' });
+    }
     console.error('Rating error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -0,0 +1,286 @@
+// backend/routes/reviews.js - "I made this" reviews with photos and helpful votes
+// Mounted under /api/recipes/:id/reviews
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const Review = require('../models/Review');
+const Recipe = require('../models/Recipe');
+const { canModify } = require('../utils/permissions');
+const { upload, destroyImage } = require('../utils/uploads');
+const {
+  SORTS,
+  parseRating,
+  parseReviewFields,
+  parsePhotoList,
+  ratingSummary,
+  applyRating,
+  clearRating,
+  presentReviews
+} = require('../utils/reviews');
+
+const photoUpload = upload.array('photos', Review.MAX_PHOTOS);
+
+// Shared guard: the recipe must exist and be visible to the caller
+const loadRecipe = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid recipe ID' });
+    return null;
+  }
+  const recipe = await Recipe.findById(req.params.id).select('title author hidden ratings').lean();
+  if (!recipe || (recipe.hidden && !canModify(req.user, recipe.author, 'content.viewHidden'))) {
+    res.status(404).json({ success: false, message: 'Recipe not found' });
+    return null;
+  }
+  return recipe;
+};
+
+const loadReview = async (req, res, recipe) => {
+  if (!mongoose.isValidObjectId(req.params.reviewId)) {
+    res.status(400).json({ success: false, message: 'Invalid review ID' });
+    return null;
+  }
+  const review = await Review.findOne({ _id: req.params.reviewId, recipe: recipe._id });
+  if (!review) {
+    res.status(404).json({ success: false, message: 'Review not found' });
+    return null;
+  }
+  return review;
+};
+
+const uploadedPhotos = (req) => (req.files || []).map(file => ({ url: file.path, publicId: file.filename }));
+const discardUploads = (req) => Promise.all(uploadedPhotos(req).map(photo => destroyImage(photo.publicId)));
+
+const presentOne = async (reviewId, viewer) => {
+  const review = await Review.findById(reviewId).populate('user', 'username avatar').lean();
+  const [presented] = await presentReviews([review], viewer);
+  return presented;
+};
+
+// ⭐ GET /api/recipes/:id/reviews?sort=helpful|newest|highest|lowest&rating=5&withPhotos=true
+router.get('/', auth.optional, async (req, res) => {
+  try {
+    const { sort = 'helpful', rating, withPhotos, page = 1, limit = 10 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+
+    if (!SORTS[sort]) {
+      return res.status(400).json({ success: false, message: `Sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+    }
+
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+
+    const query = { recipe: recipe._id };
+    if (rating !== undefined) {
+      const stars = parseRating(rating);
+      if (stars === null) {
+        return res.status(400).json({ success: false, message: 'Rating filter must be 1-5' });
+      }
+      query.rating = stars;
+    }
+    if (withPhotos === 'true') query['photos.0'] = { $exists: true };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .select('-helpful')
+        .sort(SORTS[sort])
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('user', 'username avatar')
+        .lean(),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      reviews: await presentReviews(reviews, req.user),
+      summary: ratingSummary(recipe.ratings),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum * limitNum < total,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (err) {
+    console.error('Reviews error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🙋 GET /api/recipes/:id/reviews/mine - The caller's review, or null
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+
+    const review = await Review.findOne({ recipe: recipe._id, user: req.user.id }).select('_id').lean();
+    res.json({ review: review ? await presentOne(review._id, req.user) : null });
+  } catch (err) {
+    console.error('My review error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ✍️ POST /api/recipes/:id/reviews - { rating, text?, modifications? } + up to 4 `photos`
+// One review per person: edit it with PATCH instead
+router.post('/', auth, requireVerifiedEmail('comments'), photoUpload, async (req, res) => {
+  try {
+    const { fields, errors } = parseReviewFields(req.body, { partial: false });
+    if (errors.length) {
+      await discardUploads(req);
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+    }
+
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) {
+      await discardUploads(req);
+      return;
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        ...fields,
+        recipe: recipe._id,
+        user: req.user.id,
+        photos: uploadedPhotos(req)
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await discardUploads(req);
+      const existing = await Review.findOne({ recipe: recipe._id, user: req.user.id }).select('_id').lean();
+      return res.status(409).json({
+        success: false,
+        message: 'You already reviewed this recipe - edit your review instead',
+        reviewId: existing?._id
+      });
+    }
+
+    const summary = await applyRating(recipe, req.user.id, review.rating);
+
+    res.status(201).json({
+      success: true,
+      review: await presentOne(review._id, req.user),
+      ...summary
+    });
+  } catch (err) {
+    await discardUploads(req);
+    console.error('Create review error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ✏️ PATCH /api/recipes/:id/reviews/:reviewId - Any of { rating, text, modifications,
+// removePhotos: [url, ...] } + new `photos`
+router.patch('/:reviewId', auth, requireVerifiedEmail('comments'), photoUpload, async (req, res) => {
+  try {
+    const { fields, errors } = parseReviewFields(req.body, { partial: true });
+    if (errors.length) {
+      await discardUploads(req);
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+    }
+
+    const recipe = await loadRecipe(req, res);
+    const review = recipe && await loadReview(req, res, recipe);
+    if (!review) {
+      await discardUploads(req);
+      return;
+    }
+
+    if (String(review.user) !== String(req.user.id)) {
+      await discardUploads(req);
+      return res.status(403).json({ success: false, message: 'You can only edit your own review' });
+    }
+
+    const removeUrls = parsePhotoList(req.body.removePhotos);
+    const removed = review.photos.filter(photo => removeUrls.includes(photo.url));
+    const photos = [...review.photos.filter(photo => !removeUrls.includes(photo.url)), ...uploadedPhotos(req)];
+    if (photos.length > Review.MAX_PHOTOS) {
+      await discardUploads(req);
+      return res.status(400).json({ success: false, message: `A review can have at most ${Review.MAX_PHOTOS} photos` });
+    }
+
+    const ratingChanged = fields.rating !== undefined && fields.rating !== review.rating;
+    Object.assign(review, fields, { photos, editedAt: new Date() });
+    await review.save();
+    await Promise.all(removed.map(photo => destroyImage(photo.publicId)));
+
+    const summary = ratingChanged
+      ? await applyRating(recipe, req.user.id, review.rating)
+      : ratingSummary(recipe.ratings);
+
+    res.json({
+      success: true,
+      review: await presentOne(review._id, req.user),
+      ...summary
+    });
+  } catch (err) {
+    await discardUploads(req);
+    console.error('Update review error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🗑️ DELETE /api/recipes/:id/reviews/:reviewId - Also takes the stars back
+router.delete('/:reviewId', auth, async (req, res) => {
+  try {
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+    const review = await loadReview(req, res, recipe);
+    if (!review) return;
+
+    // Review owner or a moderator/admin
+    if (!canModify(req.user, review.user, 'comments.deleteAny')) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    await review.deleteOne();
+    await Promise.all(review.photos.map(photo => destroyImage(photo.publicId)));
+    const summary = await clearRating(recipe, review.user);
+
+    res.json({ success: true, message: 'Review deleted', ...summary });
+  } catch (err) {
+    console.error('Delete review error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 👍 POST /api/recipes/:id/reviews/:reviewId/helpful - Toggle a helpful vote
+router.post('/:reviewId/helpful', auth, async (req, res) => {
+  try {
+    const recipe = await loadRecipe(req, res);
+    if (!recipe) return;
+    const review = await loadReview(req, res, recipe);
+    if (!review) return;
+
+    if (String(review.user) === String(req.user.id)) {
+      return res.status(400).json({ success: false, message: "You can't vote on your own review" });
+    }
+
+    const userId = req.user.id;
+    const added = await Review.updateOne(
+      { _id: review._id, helpful: { $ne: userId } },
+      { $addToSet: { helpful: userId }, $inc: { helpfulCount: 1 } }
+    );
+    let votedHelpful = true;
+    if (!added.modifiedCount) {
+      await Review.updateOne(
+        { _id: review._id, helpful: userId },
+        { $pull: { helpful: userId }, $inc: { helpfulCount: -1 } }
+      );
+      votedHelpful = false;
+    }
+
+    const { helpfulCount } = await Review.findById(review._id).select('helpfulCount').lean();
+    res.json({ success: true, votedHelpful, helpfulCount });
+  } catch (err) {
+    console.error('Helpful vote error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
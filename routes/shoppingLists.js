@@ -0,0 +1,399 @@
+// backend/routes/shoppingLists.js - Shopping lists generated from recipes
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const ShoppingList = require('../models/ShoppingList');
+const Recipe = require('../models/Recipe');
+const User = require('../models/User');
+const { isOwner } = require('../utils/permissions');
+const { buildItems, buildManualItem, mergeRegenerated, groupByAisle } = require('../utils/shoppingList');
+
+const MAX_RECIPES = 30;
+
+router.use(auth);
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Validates `[{ recipeId, multiplier? , servings? }]` and loads the recipes.
+ * `servings` is turned into a multiplier using the recipe's own servings.
+ * Returns [{ recipe, multiplier }] or throws with err.status.
+ */
+const resolveSources = async (requested) => {
+  if (!Array.isArray(requested) || !requested.length) {
+    throw httpError(400, 'Recipes must be a non-empty array of { recipeId, multiplier?, servings? }');
+  }
+  if (requested.length > MAX_RECIPES) {
+    throw httpError(400, `Maximum ${MAX_RECIPES} recipes per list`);
+  }
+
+  for (const entry of requested) {
+    if (!mongoose.isValidObjectId(entry?.recipeId)) {
+      throw httpError(400, 'Invalid recipe ID');
+    }
+    if (entry.multiplier !== undefined) {
+      const multiplier = Number(entry.multiplier);
+      if (!Number.isFinite(multiplier) || multiplier < 0.1 || multiplier > 20) {
+        throw httpError(400, 'Multiplier must be between 0.1 and 20');
+      }
+    }
+    if (entry.servings !== undefined) {
+      const servings = Number(entry.servings);
+      if (!Number.isInteger(servings) || servings < 1 || servings > 100) {
+        throw httpError(400, 'Servings must be a whole number between 1 and 100');
+      }
+    }
+  }
+
+  const ids = requested.map(entry => entry.recipeId);
+  const recipes = await Recipe.find({ _id: { $in: ids }, hidden: { $ne: true } })
+    .select('title ingredients servings');
+  const byId = new Map(recipes.map(recipe => [String(recipe._id), recipe]));
+
+  const missing = ids.filter(id => !byId.has(String(id)));
+  if (missing.length) {
+    throw Object.assign(httpError(404, 'Some recipes were not found'), { missing });
+  }
+
+  return requested.map(entry => {
+    const recipe = byId.get(String(entry.recipeId));
+    let multiplier = entry.multiplier === undefined ? 1 : Number(entry.multiplier);
+    if (entry.servings !== undefined) {
+      if (!recipe.servings) {
+        throw httpError(400, `"${recipe.title}" doesn't list servings - use a multiplier instead`);
+      }
+      multiplier = Number(entry.servings) / recipe.servings;
+    }
+    return { recipe, multiplier: Math.round(multiplier * 1000) / 1000 };
+  });
+};
+
+const listSources = (sources) => sources.map(({ recipe, multiplier }) => ({
+  recipe: recipe._id,
+  recipeTitle: recipe.title,
+  multiplier
+}));
+
+const roleFor = (list, user) => {
+  if (isOwner(user, list.owner)) return 'owner';
+  return list.sharedWith.some(id => String(id._id || id) === String(user.id)) ? 'shared' : null;
+};
+
+const presentList = (list, user) => ({
+  id: list._id,
+  title: list.title,
+  owner: list.owner,
+  sharedWith: list.sharedWith,
+  role: roleFor(list, user),
+  recipes: list.recipes,
+  itemsCount: list.items.length,
+  checkedCount: list.items.filter(item => item.checked).length,
+  aisles: groupByAisle(list.items.map(item => (item.toObject ? item.toObject() : item))),
+  generatedAt: list.generatedAt,
+  updatedAt: list.updatedAt
+});
+
+// Owner or someone it's shared with; anyone else gets a 404
+const loadList = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid list ID' });
+    return null;
+  }
+  const list = await ShoppingList.findById(req.params.id);
+  if (!list || !roleFor(list, req.user)) {
+    res.status(404).json({ message: 'Shopping list not found' });
+    return null;
+  }
+  return list;
+};
+
+const handleError = (res, err, label, message) => {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message, ...(err.missing ? { missing: err.missing } : {}) });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ message: err.message });
+  }
+  console.error(`🚨 ${label}:`, err.message);
+  res.status(500).json({ message });
+};
+
+// 🛒 POST /api/shopping-lists - { title?, recipes: [{ recipeId, multiplier? | servings? }] }
+router.post('/', async (req, res) => {
+  try {
+    const sources = await resolveSources(req.body.recipes);
+
+    const list = await ShoppingList.create({
+      owner: req.user.id,
+      title: req.body.title ? String(req.body.title).trim() : undefined,
+      recipes: listSources(sources),
+      items: buildItems(sources),
+      generatedAt: new Date()
+    });
+
+    res.status(201).json({ success: true, list: presentList(list, req.user) });
+  } catch (err) {
+    handleError(res, err, 'Create shopping list error', 'Server error creating shopping list');
+  }
+});
+
+// 📋 GET /api/shopping-lists - My lists and lists shared with me
+router.get('/', async (req, res) => {
+  try {
+    const lists = await ShoppingList.find({ $or: [{ owner: req.user.id }, { sharedWith: req.user.id }] })
+      .sort({ updatedAt: -1 })
+      .limit(100)
+      .populate('owner', 'username avatar')
+      .lean();
+
+    res.json({
+      lists: lists.map(list => ({
+        id: list._id,
+        title: list.title,
+        owner: list.owner,
+        role: roleFor(list, req.user),
+        recipesCount: list.recipes.length,
+        itemsCount: list.items.length,
+        checkedCount: list.items.filter(item => item.checked).length,
+        updatedAt: list.updatedAt
+      }))
+    });
+  } catch (err) {
+    handleError(res, err, 'List shopping lists error', 'Server error fetching shopping lists');
+  }
+});
+
+// 🧾 GET /api/shopping-lists/:id - Items grouped by aisle
+router.get('/:id', async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    await list.populate([
+      { path: 'owner', select: 'username avatar' },
+      { path: 'sharedWith', select: 'username avatar' }
+    ]);
+    res.json({ list: presentList(list, req.user) });
+  } catch (err) {
+    handleError(res, err, 'Shopping list error', 'Server error fetching shopping list');
+  }
+});
+
+// ✏️ PATCH /api/shopping-lists/:id - { title }
+router.patch('/:id', async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    const title = String(req.body.title || '').trim();
+    if (!title) {
+      return res.status(400).json({ message: 'Title is required' });
+    }
+
+    list.title = title;
+    await list.save();
+    res.json({ success: true, list: presentList(list, req.user) });
+  } catch (err) {
+    handleError(res, err, 'Rename shopping list error', 'Server error updating shopping list');
+  }
+});
+
+// 🗑️ DELETE /api/shopping-lists/:id - Owner only
+router.delete('/:id', async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    if (roleFor(list, req.user) !== 'owner') {
+      return res.status(403).json({ message: 'Only the owner can delete this list' });
+    }
+
+    await list.deleteOne();
+    res.json({ success: true, message: 'Shopping list deleted' });
+  } catch (err) {
+    handleError(res, err, 'Delete shopping list error', 'Server error deleting shopping list');
+  }
+});
+
+// 🔄 POST /api/shopping-lists/:id/regenerate - { recipes? }
+// Rebuilds recipe items from the recipes' current ingredients (optionally a new
+// selection). Unchanged items stay checked; manual items are kept.
+router.post('/:id/regenerate', async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    let removedRecipes = [];
+    let requested = req.body.recipes;
+    if (requested !== undefined && !Array.isArray(requested)) {
+      // An object or null would otherwise read as "no recipes" and clear the list
+      return res.status(400).json({ message: 'Recipes must be an array of { recipeId, multiplier?, servings? }' });
+    }
+    if (requested === undefined) {
+      // Recipes deleted since the list was made are dropped (and reported back)
+      const existing = await Recipe.find({ _id: { $in: list.recipes.map(r => r.recipe) }, hidden: { $ne: true } })
+        .select('_id')
+        .lean();
+      const alive = new Set(existing.map(r => String(r._id)));
+      removedRecipes = list.recipes
+        .filter(r => !alive.has(String(r.recipe)))
+        .map(r => ({ recipe: r.recipe, recipeTitle: r.recipeTitle }));
+      requested = list.recipes
+        .filter(r => alive.has(String(r.recipe)))
+        .map(r => ({ recipeId: r.recipe, multiplier: r.multiplier }));
+    }
+
+    const sources = requested.length ? await resolveSources(requested) : [];
+    list.recipes = listSources(sources);
+    list.items = mergeRegenerated(list.items.map(item => item.toObject()), buildItems(sources));
+    list.generatedAt = new Date();
+    await list.save();
+
+    res.json({ success: true, list: presentList(list, req.user), removedRecipes });
+  } catch (err) {
+    handleError(res, err, 'Regenerate shopping list error', 'Server error regenerating shopping list');
+  }
+});
+
+// ➕ POST /api/shopping-lists/:id/items - { text: '2 lemons' }
+router.post('/:id/items', async (req, res) => {
+  try {
+    const text = String(req.body.text || '').trim();
+    if (!text || text.length > 150) {
+      return res.status(400).json({ message: 'Item text must be 1-150 characters' });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    const item = buildManualItem(text);
+    const result = await ShoppingList.updateOne(
+      { _id: list._id, [`items.${ShoppingList.MAX_ITEMS - 1}`]: { $exists: false } },
+      { $push: { items: item } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(400).json({ message: `A shopping list can hold at most ${ShoppingList.MAX_ITEMS} items` });
+    }
+
+    const updated = await ShoppingList.findById(list._id);
+    res.status(201).json({ success: true, item: updated.items[updated.items.length - 1] });
+  } catch (err) {
+    handleError(res, err, 'Add shopping item error', 'Server error adding item');
+  }
+});
+
+// ✅ PATCH /api/shopping-lists/:id/items/:itemId - { checked }
+router.patch('/:id/items/:itemId', async (req, res) => {
+  try {
+    if (typeof req.body.checked !== 'boolean') {
+      return res.status(400).json({ message: 'checked must be true or false' });
+    }
+    if (!mongoose.isValidObjectId(req.params.itemId)) {
+      return res.status(400).json({ message: 'Invalid item ID' });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    // Positional update so two shoppers ticking items at once don't clobber each other
+    const result = await ShoppingList.updateOne(
+      { _id: list._id, 'items._id': req.params.itemId },
+      { $set: { 'items.$.checked': req.body.checked } }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    res.json({ success: true, checked: req.body.checked });
+  } catch (err) {
+    handleError(res, err, 'Check shopping item error', 'Server error updating item');
+  }
+});
+
+// ➖ DELETE /api/shopping-lists/:id/items/:itemId
+router.delete('/:id/items/:itemId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.itemId)) {
+      return res.status(400).json({ message: 'Invalid item ID' });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    const result = await ShoppingList.updateOne(
+      { _id: list._id },
+      { $pull: { items: { _id: req.params.itemId } } }
+    );
+    if (!result.modifiedCount) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    res.json({ success: true, message: 'Item removed' });
+  } catch (err) {
+    handleError(res, err, 'Remove shopping item error', 'Server error removing item');
+  }
+});
+
+// 🤝 POST /api/shopping-lists/:id/share - Owner shares with { username } or { userId }
+router.post('/:id/share', async (req, res) => {
+  try {
+    const { username, userId } = req.body;
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    if (roleFor(list, req.user) !== 'owner') {
+      return res.status(403).json({ message: 'Only the owner can share this list' });
+    }
+
+    let user = null;
+    if (userId && mongoose.isValidObjectId(userId)) {
+      user = await User.findById(userId).select('username avatar hidden');
+    } else if (username) {
+      user = await User.findOne({ username: String(username).trim() }).select('username avatar hidden');
+    }
+    if (!user || user.hidden) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (String(user._id) === String(req.user.id)) {
+      return res.status(400).json({ message: "You can't share a list with yourself" });
+    }
+    if (list.sharedWith.length >= ShoppingList.MAX_SHARES) {
+      return res.status(400).json({ message: `A list can be shared with at most ${ShoppingList.MAX_SHARES} people` });
+    }
+
+    await ShoppingList.updateOne({ _id: list._id }, { $addToSet: { sharedWith: user._id } });
+
+    res.json({ success: true, sharedWith: { _id: user._id, username: user.username, avatar: user.avatar } });
+  } catch (err) {
+    handleError(res, err, 'Share shopping list error', 'Server error sharing list');
+  }
+});
+
+// 🚪 DELETE /api/shopping-lists/:id/share/:userId - Owner unshares, or a user leaves
+router.delete('/:id/share/:userId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    if (req.params.userId !== String(req.user.id) && roleFor(list, req.user) !== 'owner') {
+      return res.status(403).json({ message: 'Only the owner can stop sharing this list' });
+    }
+
+    const result = await ShoppingList.updateOne({ _id: list._id }, { $pull: { sharedWith: req.params.userId } });
+    if (!result.modifiedCount) {
+      return res.status(404).json({ message: 'List is not shared with that user' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    handleError(res, err, 'Unshare shopping list error', 'Server error updating sharing');
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,190 @@
 // backend/routes/users.js - 🎉 FULLY FIXED: No CastError + production-ready
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const User = require('../models/User');
 const Recipe = require('../models/Recipe');
+const Collection = require('../models/Collection');
+const { presentIngredients } = require('../utils/ingredients');
+const { UNIT_SYSTEMS } = require('../utils/units');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { canModify, isOwner } = require('../utils/permissions');
+const { parseReportBody, fileReport } = require('../utils/moderation');
+const { summarizeCollections } = require('../utils/collections');
+const { encodeCursor, decodeCursor, parsePaging, keysetFilter, pageResult } = require('../utils/cursor');
+const { followingPage, popularPage } = require('../utils/feed');
+const { recommendationsFor } = require('../utils/recommendations');
+const { notify, retract } = require('../utils/notifications');
+
+// 📰 GET /api/users/me/feed?mode=following|for_you&activity=true&limit=20&cursor=...
+// Followed users' new recipes (and likes/comments/ratings with activity=true),
+// newest first. "for_you" tops pages up with popular recipes once the
+// followed content runs out. Pass back `nextCursor` to get the next page.
+router.get('/me/feed', auth, async (req, res) => {
+  try {
+    const { mode = 'following', activity } = req.query;
+    if (!['following', 'for_you'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be following or for_you' });
+    }
+    const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : {};
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const me = await User.findById(req.user.id).select('following').lean();
+    const following = me?.following || [];
+
+    const page = cursor.f
+      ? { items: [], last: null, exhausted: true }
+      : await followingPage({
+        following,
+        position: cursor,
+        limit: limitNum,
+        includeActivity: activity === 'true'
+      });
+
+    let items = page.items;
+    let nextCursor = page.exhausted ? null : encodeCursor({ ...page.last, f: 0 });
+
+    if (mode === 'for_you' && page.exhausted) {
+      const skip = parseInt(cursor.p) || 0;
+      const wanted = limitNum - items.length;
+      const popular = await popularPage({ exclude: [...following, req.user.id], skip, limit: wanted });
+      items = items.concat(popular);
+      nextCursor = popular.length === wanted && wanted > 0
+        ? encodeCursor({ f: 1, p: skip + popular.length })
+        : null;
+      // The last followed item filled the page exactly - start the backfill next time
+      if (wanted === 0) nextCursor = encodeCursor({ f: 1, p: 0 });
+    }
+
+    res.json({
+      items,
+      mode,
+      followingCount: following.length,
+      nextCursor,
+      hasMore: !!nextCursor
+    });
+  } catch (err) {
+    console.error('🚨 Feed error:', err.message);
+    res.status(500).json({ message: 'Server error fetching feed' });
+  }
+});
+
+// 🧭 GET /api/users/me/recommendations?limit=12 - Recipes matching the tags and
+// ingredients of what the user liked or rated highly, that they haven't seen yet.
+// Each recipe has reason: 'taste' | 'trending' (backfill for thin histories).
+router.get('/me/recommendations', auth, async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 12));
+    const { recipes, basedOn } = await recommendationsFor(req.user.id, { limit });
+    res.json({ recipes, basedOn });
+  } catch (err) {
+    console.error('🚨 Recommendations error:', err.message);
+    res.status(500).json({ message: 'Server error fetching recommendations' });
+  }
+});
+
+// 👤 GET /api/users/me - Current user (PROTECTED)
+// Registered before /:id so "me" isn't taken for a user id
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      avatar: user.avatar,
+      bio: user.bio,
+      followers: user.followers?.length || 0,
+      following: user.following?.length || 0,
+      recipesCount: user.recipesCount || 0,
+      totalLikes: user.totalLikes || 0,
+      preferences: user.preferences
+    });
+  } catch (err) {
+    console.error('🚨 /me error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 🔍 GET /api/users/search?q=ann&limit=10 - Usernames containing `q`, A→Z.
+// Returns a plain array; add paginate=cursor (or after=/before=) for
+// { users, pagination } with cursors.
+router.get('/search', async (req, res) => {
+  try {
+    const { q } = req.query;
+    const paging = parsePaging(req.query, { sort: 'username:1', defaultLimit: 10 });
+    const legacy = paging.mode === 'page';
+
+    if (!q || q.length < 2) {
+      return res.json(legacy ? [] : { users: [], pagination: pageResult([], paging, { sort: 'username:1' }).pagination });
+    }
+
+    const safe = String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const clauses = [
+      { username: { $regex: safe, $options: 'i' } },
+      { hidden: { $ne: true } }
+    ];
+    if (paging.position) {
+      clauses.push(keysetFilter('username', paging.backwards ? -1 : 1, paging.position));
+    }
+    const scan = paging.backwards ? -1 : 1;
+
+    const rows = await User.find({ $and: clauses })
+      .select('username avatar bio followers')
+      .sort({ username: scan, _id: scan })
+      .skip(legacy ? paging.skip : 0)
+      .limit(paging.limit + 1)
+      .lean();
+
+    const { items, pagination } = pageResult(rows, paging, {
+      sort: 'username:1',
+      valueOf: user => user.username
+    });
+    res.json(legacy ? items : { users: items, pagination });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('🚨 Search error:', err.message);
+    res.status(500).json({ message: 'Server error searching users' });
+  }
+});
+
+// A user's recipes, newest first, in page or cursor mode (see utils/cursor.js)
+const recipesPage = async (userId, canSeeHidden, paging) => {
+  const scan = paging.backwards ? 1 : -1;
+  const base = canSeeHidden ? { author: userId } : { author: userId, hidden: { $ne: true } };
+  const query = paging.position
+    ? { $and: [base, keysetFilter('createdAt', scan, paging.position)] }
+    : base;
+
+  const [rows, total] = await Promise.all([
+    Recipe.find(query)
+      .sort({ createdAt: scan, _id: scan })
+      .skip(paging.mode === 'page' ? paging.skip : 0)
+      .limit(paging.limit + 1)
+      .populate('author', 'username avatar')
+      .lean(),
+    paging.includeTotal ? Recipe.countDocuments(base) : null
+  ]);
+
+  // .lean() skips the model's init hook, so upgrade legacy ingredients here
+  rows.forEach(r => { r.ingredients = presentIngredients(r.ingredients); });
+
+  return pageResult(rows, paging, { sort: 'createdAt:-1', valueOf: recipe => recipe.createdAt, total });
+};
 
 // 📱 GET /api/users/:id - Public profile + recipes
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth.optional, async (req, res) => {
   try {
     const userId = req.params.id;
     
@@ -15,19 +193,20 @@ router.get('/:id', async (req, res) => {
       return res.status(400).json({ message: 'Invalid user ID format' });
     }
 
+    // 🚩 Hidden profiles (and their hidden recipes) only for the owner & moderators
+    const canSeeHidden = canModify(req.user, userId, 'content.viewHidden');
+
     const user = await User.findById(userId).select('-password');
-    if (!user) {
+    if (!user || (user.hidden && !canSeeHidden)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const recipes = await Recipe.find({ author: userId })
-      .sort({ createdAt: -1 })
-      .limit(12)
-      .populate('author', 'username avatar')
-      .lean();
-
-    const recipesCount = recipes.length;
-    const totalLikes = recipes.reduce((sum, r) => sum + (r.likes?.length || 0), 0);
+    // First 12; GET /:id/recipes?after=<recipesCursor> continues the list
+    const { items: recipes, pagination } = await recipesPage(
+      userId,
+      canSeeHidden,
+      parsePaging({ paginate: 'cursor', limit: 12 }, { sort: 'createdAt:-1' })
+    );
 
     res.json({ 
       user: {
@@ -38,11 +217,12 @@ router.get('/:id', async (req, res) => {
         bio: user.bio,
         followers: user.followers?.length || 0,
         following: user.following?.length || 0,
-        recipesCount,
-        totalLikes,
+        recipesCount: user.recipesCount || 0,
+        totalLikes: user.totalLikes || 0,
         createdAt: user.createdAt
       },
-      recipes 
+      recipes,
+      recipesCursor: pagination.nextCursor
     });
   } catch (err) {
     console.error('🚨 Profile error:', err.message);
@@ -50,33 +230,60 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// 👤 GET /api/users/me - Current user (PROTECTED)
-router.get('/me', auth, async (req, res) => {
+// 📖 GET /api/users/:id/recipes?page=2 | ?after=... | ?before=... - All of a user's recipes
+router.get('/:id/recipes', auth.optional, async (req, res) => {
   try {
-    // ✅ FIXED: Validate req.user.id before query
-    if (!req.user?.id || req.user.id === 'undefined' || req.user.id.length !== 24) {
-      return res.status(401).json({ message: 'Invalid authentication - login required' });
+    const userId = req.params.id;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
     }
 
-    const user = await User.findById(req.user.id).select('-password');
-    if (!user) {
+    const paging = parsePaging(req.query, { sort: 'createdAt:-1' });
+    const canSeeHidden = canModify(req.user, userId, 'content.viewHidden');
+
+    const user = await User.findById(userId).select('hidden').lean();
+    if (!user || (user.hidden && !canSeeHidden)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json({
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar,
-      bio: user.bio,
-      followers: user.followers?.length || 0,
-      following: user.following?.length || 0,
-      recipesCount: user.recipesCount || 0,
-      totalLikes: user.totalLikes || 0
-    });
+    const { items, pagination } = await recipesPage(userId, canSeeHidden, paging);
+    res.json({ recipes: items, pagination });
   } catch (err) {
-    console.error('🚨 /me error:', err.message);
-    res.status(500).json({ message: 'Server error' });
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('🚨 User recipes error:', err.message);
+    res.status(500).json({ message: 'Server error fetching recipes' });
+  }
+});
+
+// 📚 GET /api/users/:id/collections - Public cookbooks (owners also see their private ones)
+router.get('/:id/collections', auth.optional, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(userId).select('hidden').lean();
+    if (!user || (user.hidden && !canModify(req.user, userId, 'content.viewHidden'))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const query = { owner: userId };
+    if (!isOwner(req.user, userId)) {
+      query.visibility = 'public';
+    }
+
+    const collections = await Collection.find(query)
+      .sort({ position: 1, createdAt: 1 })
+      .populate('collaborators.user', 'username avatar')
+      .lean();
+
+    res.json({ collections: await summarizeCollections(collections, req.user) });
+  } catch (err) {
+    console.error('🚨 User collections error:', err.message);
+    res.status(500).json({ message: 'Server error fetching collections' });
   }
 });
 
@@ -84,13 +291,10 @@ router.get('/me', auth, async (req, res) => {
 router.post('/:id/follow', auth, async (req, res) => {
   try {
     const targetUserId = req.params.id;
-    const currentUserId = req.user.id;
+    // req.user.id is an ObjectId; compare as strings
+    const currentUserId = String(req.user.id);
 
-    // ✅ FIXED: Full ID validation
-    if (!currentUserId || currentUserId === 'undefined' || currentUserId.length !== 24) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-    if (!targetUserId || targetUserId === 'undefined' || targetUserId.length !== 24) {
+    if (!mongoose.isValidObjectId(targetUserId)) {
       return res.status(400).json({ message: 'Invalid target user ID' });
     }
 
@@ -118,6 +322,9 @@ router.post('/:id/follow', auth, async (req, res) => {
     await currentUser.save();
     await targetUser.save();
 
+    const follow = { recipient: targetUser._id, actor: currentUser._id, type: 'follow' };
+    await (isFollowing ? retract(follow) : notify(follow));
+
     res.json({
       following: !isFollowing,
       followersCount: targetUser.followers.length,
@@ -129,29 +336,28 @@ router.post('/:id/follow', auth, async (req, res) => {
   }
 });
 
-// 👥 GET /api/users/search?q=john - Search users
-router.get('/search', async (req, res) => {
+// 🚩 POST /api/users/:id/report - Report an abusive profile { reason, details? }
+router.post('/:id/report', auth, async (req, res) => {
   try {
-    const { q, limit = 10 } = req.query;
-    
-    if (!q || q.length < 2) {
-      return res.json([]);
-    }
-
-    const users = await User.find({
-      $or: [
-        { username: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } }
-      ]
-    })
-    .select('username email avatar bio followers')
-    .limit(parseInt(limit))
-    .lean();
+    const { reason, details } = parseReportBody(req.body);
+    const { duplicate } = await fileReport({
+      targetType: 'user',
+      targetId: req.params.id,
+      reporter: req.user.id,
+      reason,
+      details
+    });
 
-    res.json(users);
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'You already reported this user' : 'Thanks - our moderators will take a look'
+    });
   } catch (err) {
-    console.error('🚨 Search error:', err.message);
-    res.status(500).json({ message: 'Server error searching users' });
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('🚨 Report user error:', err.message);
+    res.status(500).json({ message: 'Server error reporting user' });
   }
 });
 
@@ -171,18 +377,40 @@ router.patch('/me', auth, async (req, res) => {
       if (updates[key] !== undefined) updateData[key] = updates[key];
     }
 
+    // ⚙️ Preferences (dot paths so one setting doesn't wipe the others)
+    if (updates.preferences?.units !== undefined) {
+      if (!UNIT_SYSTEMS.includes(updates.preferences.units)) {
+        return res.status(400).json({ message: `Units must be one of: ${UNIT_SYSTEMS.join(', ')}` });
+      }
+      updateData['preferences.units'] = updates.preferences.units;
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({ message: 'No valid fields to update' });
     }
 
+    // ✉️ A new address has to be verified again
+    const emailChanged = updateData.email !== undefined &&
+      String(updateData.email).toLowerCase().trim() !== req.user.email;
+    if (emailChanged) {
+      updateData.emailVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id, 
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (emailChanged) {
+      await sendVerificationEmail(user)
+        .catch(err => console.error('🚨 Verification email failed:', err.message));
+    }
+
     res.json({
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated - check your inbox to verify your new email'
+        : 'Profile updated successfully',
       user
     });
   } catch (err) {
@@ -190,6 +418,9 @@ router.patch('/me', auth, async (req, res) => {
     if (err.name === 'ValidationError') {
       return res.status(400).json({ message: err.message });
     }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Email or username already taken' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
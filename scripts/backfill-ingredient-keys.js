@@ -0,0 +1,52 @@
+// backend/scripts/backfill-ingredient-keys.js - Derive ingredient keys for recipes saved before they existed
+// Usage: npm run ingredients:keys [-- --all --dry-run]   (--all recomputes every recipe)
+// Similar recipes and recommendations only match ingredients through these keys.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const { ingredientKeys } = require('../utils/ingredientNames');
+
+const BATCH_SIZE = 200;
+
+const run = async () => {
+  const recomputeAll = process.argv.includes('--all');
+  const dryRun = process.argv.includes('--dry-run');
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('✅ MongoDB Connected');
+
+  const filter = recomputeAll ? {} : { ingredientKeys: { $exists: false } };
+  let updated = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length && !dryRun) await Recipe.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+    ops = [];
+  };
+
+  // Documents come through the model, so legacy string ingredients are upgraded on read
+  for await (const recipe of Recipe.find(filter).select('ingredients').cursor()) {
+    ops.push({
+      updateOne: {
+        filter: { _id: recipe._id },
+        update: { $set: { ingredientKeys: ingredientKeys(recipe.ingredients.map(entry => entry.item)) } }
+      }
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '🧪 Would update' : '✅ Updated'} ingredient keys on ${updated} recipe(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥 Ingredient key backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+// backend/scripts/backfill-nutrition.js - Compute nutrition for recipes saved before it existed
+// Usage: npm run nutrition:backfill [-- --all]   (--all recomputes every recipe)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const { estimateNutrition } = require('../utils/nutrition');
+
+const run = async () => {
+  const recomputeAll = process.argv.includes('--all');
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('✅ MongoDB Connected');
+
+  const filter = recomputeAll ? {} : { 'nutrition.computedAt': { $exists: false } };
+  let updated = 0;
+
+  for await (const recipe of Recipe.find(filter).select('ingredients servings').cursor()) {
+    await Recipe.updateOne(
+      { _id: recipe._id },
+      { $set: { nutrition: estimateNutrition(recipe.ingredients, recipe.servings) } }
+    );
+    updated++;
+  }
+
+  console.log(`✅ Nutrition computed for ${updated} recipe(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥 Nutrition backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,71 @@
+// backend/scripts/migrate-comments.js - Move embedded recipe comments into their own collection
+// Usage: npm run migrate:comments [-- --dry-run]
+// Safe to re-run: a recipe's comments are only removed once they've been copied.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('✅ MongoDB Connected');
+
+  // Raw collection: the Recipe model no longer knows about `comments`
+  const recipes = mongoose.connection.collection('recipes');
+  const cursor = recipes.find(
+    { comments: { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let recipeCount = 0;
+  let commentCount = 0;
+
+  for await (const doc of cursor) {
+    const comments = (doc.comments || []).filter(c => c.user && c.text);
+
+    if (!dryRun) {
+      if (comments.length) {
+        // Keep the original ids so reports and feed activity still point at them
+        await Comment.bulkWrite(comments.map(c => ({
+          updateOne: {
+            filter: { _id: c._id },
+            update: {
+              $setOnInsert: {
+                recipe: doc._id,
+                user: c.user,
+                parent: null,
+                text: c.text,
+                hidden: !!c.hidden,
+                createdAt: c.createdAt || doc._id.getTimestamp()
+              }
+            },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+
+      const visible = await Comment.countDocuments({ recipe: doc._id, hidden: { $ne: true } });
+      await recipes.updateOne(
+        { _id: doc._id },
+        { $set: { commentsCount: visible }, $unset: { comments: 1 } }
+      );
+    }
+
+    recipeCount += 1;
+    commentCount += comments.length;
+  }
+
+  console.log(`${dryRun ? '🧪 Would migrate' : '✅ Migrated'} ${commentCount} comment(s) on ${recipeCount} recipe(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥 Comment migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
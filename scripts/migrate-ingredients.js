@@ -0,0 +1,58 @@
+// backend/scripts/migrate-ingredients.js - Upgrade string-only ingredients in place
+// Usage: npm run migrate:ingredients [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { parseIngredientList } = require('../utils/ingredients');
+
+const BATCH_SIZE = 200;
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('✅ MongoDB Connected');
+
+  // Raw collection: the model would upgrade documents on init and hide them
+  const recipes = mongoose.connection.collection('recipes');
+  const cursor = recipes.find(
+    { ingredients: { $elemMatch: { $type: 'string' } } },
+    { projection: { ingredients: 1 } }
+  );
+
+  let ops = [];
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        // Whole list at once so "For the sauce:" headers become groups, not items
+        update: { $set: { ingredients: parseIngredientList(doc.ingredients) } }
+      }
+    });
+
+    if (ops.length >= BATCH_SIZE) {
+      if (!dryRun) await recipes.bulkWrite(ops, { ordered: false });
+      migrated += ops.length;
+      ops = [];
+    }
+  }
+
+  if (ops.length) {
+    if (!dryRun) await recipes.bulkWrite(ops, { ordered: false });
+    migrated += ops.length;
+  }
+
+  console.log(`${dryRun ? '🧪 Would migrate' : '✅ Migrated'} ${migrated} recipe(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥 Ingredient migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,31 @@
+// backend/scripts/reconcile-counters.js - Recompute likes/ratings/comments/recipe counters and repair drift
+// Usage: npm run counters:reconcile [-- --dry-run]
+// Also backfills the counters on recipes and users saved before they existed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcileRecipes, reconcileUsers } = require('../utils/counters');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('✅ MongoDB Connected');
+
+  const recipes = await reconcileRecipes({ dryRun });
+  console.log(`${dryRun ? '🧪 Would repair' : '✅ Repaired'} ${recipes.repaired} of ${recipes.checked} recipe(s)`);
+
+  // Users last: their totals are read from the recipes' likes
+  const users = await reconcileUsers({ dryRun });
+  console.log(`${dryRun ? '🧪 Would repair' : '✅ Repaired'} ${users.repaired} of ${users.checked} user(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥 Counter reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
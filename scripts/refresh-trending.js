@@ -0,0 +1,30 @@
+// backend/scripts/refresh-trending.js - Recompute trending and hot scores now
+// Usage: npm run trending:refresh [-- --dry-run]
+// The API does this on its own every TRENDING_REFRESH_MINUTES; run it after a
+// deploy or to backfill scores on recipes saved before they existed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { refreshTrending } = require('../utils/trending');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri);
+  console.log('✅ MongoDB Connected');
+
+  const { trending, cooled, hot } = await refreshTrending({ dryRun });
+  const verb = dryRun ? '🧪 Would update' : '✅ Updated';
+  console.log(`${verb} trending scores on ${trending} recipe(s), reset ${cooled} quiet recipe(s)`);
+  console.log(`${verb} hot scores on ${hot} recipe(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥 Trending refresh failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// backend/scripts/set-role.js - Grant a role from the command line (bootstraps the first admin)
+// Usage: npm run user:role -- someone@example.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../utils/permissions');
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run user:role -- <email> <${ROLES.join('|')}>`);
+  }
+
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { $set: { role } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  console.log(`✅ ${user.username} is now ${role}`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
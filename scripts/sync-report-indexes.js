@@ -0,0 +1,34 @@
+// backend/scripts/sync-report-indexes.js - Bring the reports collection's indexes in line with the model
+// Usage: npm run reports:indexes [-- --dry-run]
+// The one-report-per-reporter index used to cover resolved reports too; it's
+// now partial on open reports, and MongoDB can't change that in place.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGO_URI not set in environment');
+  }
+
+  await mongoose.connect(mongoUri, { autoIndex: false });
+  console.log('✅ MongoDB Connected');
+
+  const { toDrop, toCreate } = await Report.diffIndexes();
+  if (dryRun) {
+    console.log(`🧪 Would drop ${toDrop.length ? toDrop.join(', ') : 'nothing'} and create ${toCreate.length} index(es)`);
+    return;
+  }
+
+  const dropped = await Report.syncIndexes();
+  console.log(`✅ Report indexes synced (dropped: ${dropped.length ? dropped.join(', ') : 'none'})`);
+};
+
+run()
+  .catch(err => {
+    console.error('💥 Report index sync failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -4,7 +4,6 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
@@ -12,6 +11,8 @@ const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const hpp = require('hpp');
 const path = require('path');
+const requestLogger = require('./middleware/requestLogger');
+const { startTrendingJob, stopTrendingJob } = require('./utils/trending');
 
 // Graceful initialization
 let app;
@@ -76,7 +77,17 @@ const initServer = async () => {
     const authLimiter = rateLimit({
       windowMs: 15 * 60 * 1000,
       max: 10, // Strict auth limits
-      message: { error: 'Too many auth attempts' }
+      message: { error: 'Too many auth attempts' },
+      skip: (req) => req.path === '/refresh' // Has its own limiter below
+    });
+
+    // Every open tab refreshes once per access token lifetime (15 min by default)
+    const refreshLimiter = rateLimit({
+      windowMs: 15 * 60 * 1000,
+      max: 60,
+      message: { error: 'Too many token refreshes' },
+      standardHeaders: true,
+      legacyHeaders: false
     });
 
     const recipeLimiter = rateLimit({
@@ -104,11 +115,11 @@ const initServer = async () => {
 
     // 📊 LOGGING
     if (process.env.NODE_ENV !== 'production') {
-      app.use(morgan('dev', {
+      app.use(requestLogger('dev', {
         skip: (req) => req.url === '/api/health'
       }));
     } else {
-      app.use(morgan('combined', {
+      app.use(requestLogger('combined', {
         stream: { write: msg => console.log(`[${new Date().toISOString()}] ${msg.trim()}`) }
       }));
     }
@@ -138,10 +149,21 @@ const initServer = async () => {
     await mongoose.connect(mongoUri, mongooseOptions);
     console.log('✅ MongoDB Connected');
 
+    // 🔥 Trending/hot scores (TRENDING_REFRESH_MINUTES, 0 = off)
+    startTrendingJob();
+
     // 🚀 ROUTES (Protected with rate limits)
+    app.use('/api/auth/refresh', refreshLimiter);
     app.use('/api/auth', authLimiter, require('./routes/auth'));
     app.use('/api/recipes', apiLimiter, recipeLimiter, require('./routes/recipes'));
     app.use('/api/users', apiLimiter, require('./routes/users'));
+    app.use('/api/collections', apiLimiter, require('./routes/collections'));
+    app.use('/api/meal-plans', apiLimiter, require('./routes/mealPlans'));
+    app.use('/api/shopping-lists', apiLimiter, require('./routes/shoppingLists'));
+    app.use('/api/notifications', apiLimiter, require('./routes/notifications'));
+    app.use('/api/realtime', apiLimiter, require('./routes/realtime'));
+    app.use('/api/admin', apiLimiter, require('./routes/admin'));
+    app.use('/api/moderation', apiLimiter, require('./routes/moderation'));
 
     // 🩺 COMPREHENSIVE HEALTH CHECK
     app.get('/api/health', (req, res) => {
@@ -173,8 +195,13 @@ const initServer = async () => {
         endpoints: {
           health: 'GET /api/health',
           recipes: 'GET/POST /api/recipes',
-          auth: 'POST /api/auth/register, /api/auth/login',
-          users: 'GET /api/users/:id'
+          auth: 'POST /api/auth/register, /api/auth/login, /api/auth/refresh',
+          users: 'GET /api/users/:id',
+          collections: 'GET/POST /api/collections, GET /api/users/:id/collections',
+          mealPlans: 'GET /api/meal-plans, POST /api/meal-plans/entries',
+          shoppingLists: 'GET/POST /api/shopping-lists',
+          notifications: 'GET /api/notifications',
+          realtime: 'GET /api/realtime/stream (Server-Sent Events)'
         },
         status: '🟢 LIVE'
       });
@@ -273,6 +300,7 @@ const gracefulShutdown = async (signal) => {
   console.log(`🛑 Graceful shutdown initiated... (${signal})`);
   
   if (app) {
+    stopTrendingJob();
     const closePromises = [];
     
     // Close MongoDB
@@ -0,0 +1,85 @@
+// backend/test/collections.test.js - Cookbook access rules and reordering
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { cloudinary } = require('../utils/uploads');
+const { signAccessToken } = require('../utils/sessions');
+const { roleFor, canView, canContribute, reorderVisible } = require('../utils/collections');
+
+const collection = {
+  owner: 'owner1',
+  visibility: 'private',
+  collaborators: [
+    { user: 'friend1', status: 'accepted' },
+    { user: 'invitee1', status: 'pending' }
+  ]
+};
+
+test('roleFor, canView and canContribute follow the collaborator status', () => {
+  assert.equal(roleFor(collection, { id: 'owner1' }), 'owner');
+  assert.equal(roleFor(collection, { id: 'friend1' }), 'collaborator');
+  assert.equal(roleFor(collection, { id: 'invitee1' }), 'invited');
+  assert.equal(roleFor(collection, { id: 'stranger' }), null);
+  assert.equal(roleFor(collection, null), null);
+
+  assert.equal(canView(collection, { id: 'invitee1' }), true);
+  assert.equal(canView(collection, { id: 'stranger' }), false);
+  assert.equal(canView({ ...collection, visibility: 'public' }, null), true);
+
+  assert.equal(canContribute(collection, { id: 'friend1' }), true);
+  assert.equal(canContribute(collection, { id: 'invitee1' }), false);
+});
+
+const entries = ['a', 'hidden', 'b', 'c', 'gone'].map(recipe => ({ recipe }));
+const visible = new Set(['a', 'b', 'c']);
+
+test('reorderVisible moves visible entries and keeps the others in place', () => {
+  const result = reorderVisible(entries, visible, ['c', 'a', 'b']);
+  assert.deepEqual(result.map(entry => entry.recipe), ['c', 'hidden', 'a', 'b', 'gone']);
+  assert.equal(result[0], entries[3]);
+});
+
+test('reorderVisible needs every visible recipe exactly once', () => {
+  assert.equal(reorderVisible(entries, visible, ['a', 'b']), null);
+  assert.equal(reorderVisible(entries, visible, ['a', 'b', 'b']), null);
+  assert.equal(reorderVisible(entries, visible, ['a', 'b', 'c', 'hidden']), null);
+  assert.equal(reorderVisible(entries, visible, ['a', 'b', 'x']), null);
+});
+
+test('a rejected cover upload is deleted by its public_id', async (t) => {
+  const owner = new User({ username: 'owner', email: 'owner@example.com', password: 'secret-password' });
+  t.mock.method(Session, 'isActive', async () => true);
+  t.mock.method(User, 'findById', () => ({ select: async () => owner }));
+  t.mock.method(cloudinary.uploader, 'upload_stream', (options, callback) => new Writable({
+    write: (chunk, encoding, done) => done(),
+    final: (done) => {
+      const publicId = `${options.folder}/${options.public_id}`;
+      callback(null, { public_id: publicId, secure_url: `https://res.cloudinary.com/demo/image/upload/v1/${publicId}.png` });
+      done();
+    }
+  }));
+  const destroy = t.mock.method(cloudinary.uploader, 'destroy', async () => ({ result: 'ok' }));
+
+  const app = express();
+  app.use('/api/collections', require('../routes/collections'));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  after(() => server.close());
+
+  const form = new FormData();
+  form.append('title', '');
+  form.append('coverImage', new Blob([Buffer.from('png')], { type: 'image/png' }), 'cover.png');
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/collections`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${signAccessToken(owner, new mongoose.Types.ObjectId())}` },
+    body: form
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(destroy.mock.callCount(), 1);
+  assert.match(destroy.mock.calls[0].arguments[0], /^recipeverse\/recipes\/recipe_\d+_\d+$/);
+});
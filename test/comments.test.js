@@ -0,0 +1,23 @@
+// backend/test/comments.test.js - @mentions and hidden-comment visibility
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractMentions, visibilityFilter } = require('../utils/comments');
+
+test('extractMentions finds handles but not email addresses', () => {
+  assert.deepEqual(
+    extractMentions('Thanks @ana. Ask (@ben_c) or mail me@example.com - @ana @xy @long.name-'),
+    ['ana', 'ben_c', 'long.name']
+  );
+  assert.deepEqual(extractMentions(undefined), []);
+});
+
+test('extractMentions caps the number of mentions', () => {
+  const text = Array.from({ length: 15 }, (_, i) => `@user${i}`).join(' ');
+  assert.equal(extractMentions(text).length, 10);
+});
+
+test('visibilityFilter shows hidden comments to their writer and moderators only', () => {
+  assert.deepEqual(visibilityFilter(null), { hidden: { $ne: true } });
+  assert.deepEqual(visibilityFilter({ id: 'u1', role: 'user' }), { $or: [{ hidden: { $ne: true } }, { user: 'u1' }] });
+  assert.deepEqual(visibilityFilter({ id: 'm1', role: 'moderator' }), {});
+});
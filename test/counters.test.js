@@ -0,0 +1,128 @@
+// backend/test/counters.test.js - Atomic engagement counters (database calls stubbed)
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Recipe = require('../models/Recipe');
+const RecipeStat = require('../models/RecipeStat');
+const User = require('../models/User');
+const { toggleLike, setRating, removeRating, adjustComments } = require('../utils/counters');
+const { signAccessToken } = require('../utils/sessions');
+
+const recipeId = new mongoose.Types.ObjectId();
+const authorId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+// findOneAndUpdate(...).lean() answering with results[0], results[1], ...
+const stubUpdates = (t, model, method, results) => {
+  let call = 0;
+  return t.mock.method(model, method, () => ({ lean: async () => results[call++] ?? null }));
+};
+
+const stubSideEffects = (t) => ({
+  users: t.mock.method(User, 'updateOne', async () => ({})),
+  stats: t.mock.method(RecipeStat, 'updateOne', async () => ({}))
+});
+
+test('toggleLike adds a like only when the user has not liked yet', async (t) => {
+  const update = stubUpdates(t, Recipe, 'findOneAndUpdate', [{ _id: recipeId, author: authorId, likesCount: 3 }]);
+  const { users, stats } = stubSideEffects(t);
+
+  const result = await toggleLike(recipeId, userId);
+  assert.equal(result.liked, true);
+  assert.equal(result.likesCount, 3);
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter.likes, { $ne: userId });
+  assert.deepEqual(change.$inc, { likesCount: 1 });
+  assert.deepEqual(users.mock.calls[0].arguments[1], { $inc: { totalLikes: 1 } });
+  assert.deepEqual(stats.mock.calls[0].arguments[1], { $inc: { likes: 1 } });
+});
+
+test('toggleLike takes a like back, trending points included', async (t) => {
+  const update = stubUpdates(t, Recipe, 'findOneAndUpdate', [null, { _id: recipeId, author: authorId, likesCount: 2 }]);
+  const { users, stats } = stubSideEffects(t);
+
+  const result = await toggleLike(recipeId, userId);
+  assert.equal(result.liked, false);
+  assert.deepEqual(update.mock.calls[1].arguments[1].$inc, { likesCount: -1 });
+  assert.deepEqual(users.mock.calls[0].arguments[1], { $inc: { totalLikes: -1 } });
+  assert.deepEqual(stats.mock.calls[0].arguments[1], { $inc: { likes: -1 } });
+});
+
+test('toggleLike returns null for a missing recipe', async (t) => {
+  stubUpdates(t, Recipe, 'findOneAndUpdate', []);
+  stubSideEffects(t);
+  assert.equal(await toggleLike(recipeId, userId), null);
+});
+
+test('setRating changes an existing rating without counting a new one', async (t) => {
+  const update = stubUpdates(t, Recipe, 'findOneAndUpdate', [{ ratingsCount: 1, avgRating: 4 }]);
+  const { stats } = stubSideEffects(t);
+
+  assert.deepEqual(await setRating(recipeId, userId, 4), { ratingsCount: 1, avgRating: 4 });
+  assert.equal(update.mock.callCount(), 1);
+  assert.equal(stats.mock.callCount(), 0);
+});
+
+test('setRating adds a first rating and falls back to replacing after a race', async (t) => {
+  let update = stubUpdates(t, Recipe, 'findOneAndUpdate', [null, { ratingsCount: 2 }]);
+  const { stats } = stubSideEffects(t);
+
+  assert.deepEqual(await setRating(recipeId, userId, 5), { ratingsCount: 2 });
+  assert.deepEqual(update.mock.calls[1].arguments[0]['ratings.user'], { $ne: userId });
+  assert.deepEqual(stats.mock.calls[0].arguments[1], { $inc: { ratings: 1 } });
+
+  update.mock.restore();
+  update = stubUpdates(t, Recipe, 'findOneAndUpdate', [null, null, { ratingsCount: 2 }]);
+  assert.deepEqual(await setRating(recipeId, userId, 5), { ratingsCount: 2 });
+  assert.equal(update.mock.callCount(), 3);
+});
+
+test('removeRating takes the trending points back only when a rating went', async (t) => {
+  const update = stubUpdates(t, Recipe, 'findOneAndUpdate', [{ ratingsCount: 0 }, null]);
+  const find = t.mock.method(Recipe, 'findById', () => ({ select: () => ({ lean: async () => ({ ratingsCount: 0 }) }) }));
+  const { stats } = stubSideEffects(t);
+
+  assert.deepEqual(await removeRating(recipeId, userId), { ratingsCount: 0 });
+  assert.equal(update.mock.calls[0].arguments[0]['ratings.user'], userId);
+  assert.deepEqual(stats.mock.calls[0].arguments[1], { $inc: { ratings: -1 } });
+
+  assert.deepEqual(await removeRating(recipeId, userId), { ratingsCount: 0 });
+  assert.equal(find.mock.callCount(), 1);
+  assert.equal(stats.mock.callCount(), 1);
+});
+
+test('adjustComments returns the new count and tallies engagement', async (t) => {
+  stubUpdates(t, Recipe, 'findByIdAndUpdate', [{ commentsCount: 7 }]);
+  const { stats } = stubSideEffects(t);
+
+  assert.equal(await adjustComments(recipeId, 1), 7);
+  assert.deepEqual(stats.mock.calls[0].arguments[1], { $inc: { comments: 1 } });
+  assert.equal(await adjustComments(recipeId, -1), 0);
+});
+
+test('POST /api/recipes/:id/like hides hidden recipes from the public', async (t) => {
+  const user = new User({ username: 'fan', email: 'fan@example.com', password: 'secret-password' });
+  t.mock.method(Session, 'isActive', async () => true);
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+  t.mock.method(Recipe, 'findById', () => ({
+    select: () => ({ lean: async () => ({ _id: recipeId, author: authorId, hidden: true }) })
+  }));
+  const update = t.mock.method(Recipe, 'findOneAndUpdate', () => ({ lean: async () => null }));
+
+  const app = express();
+  app.use('/api/recipes', require('../routes/recipes'));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  after(() => server.close());
+
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/recipes/${recipeId}/like`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${signAccessToken(user, new mongoose.Types.ObjectId())}` }
+  });
+
+  assert.equal(res.status, 404);
+  assert.equal(update.mock.callCount(), 0);
+});
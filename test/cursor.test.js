@@ -0,0 +1,110 @@
+// backend/test/cursor.test.js - Opaque cursors and keyset pagination
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  compareNewestFirst,
+  positionCursor,
+  readPosition,
+  keysetFilter,
+  parsePaging,
+  pageResult
+} = require('../utils/cursor');
+
+const SORT = 'createdAt:-1';
+const ids = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+
+test('decodeCursor round-trips state and rejects tampering', () => {
+  assert.deepEqual(decodeCursor(encodeCursor({ t: 1, id: 'x' })), { t: 1, id: 'x' });
+  assert.equal(decodeCursor(''), null);
+  assert.equal(decodeCursor('not base64 json'), null);
+  assert.equal(decodeCursor(encodeCursor([1, 2])), null);
+});
+
+test('olderThan breaks createdAt ties by id and ignores bad positions', () => {
+  const at = new Date('2024-05-06T10:00:00Z');
+  const filter = olderThan({ t: at.toISOString(), id: String(ids[0]) });
+  assert.deepEqual(filter.$or[0], { createdAt: { $lt: at } });
+  assert.equal(String(filter.$or[1]._id.$lt), String(ids[0]));
+
+  assert.deepEqual(olderThan({ t: 'nonsense', id: String(ids[0]) }), {});
+  assert.deepEqual(olderThan({ t: at.toISOString(), id: 'bad' }), {});
+  assert.deepEqual(olderThan(null), {});
+});
+
+test('compareNewestFirst sorts by date, then id', () => {
+  const rows = [
+    { createdAt: '2024-01-01', _id: 'a' },
+    { createdAt: '2024-02-01', _id: 'a' },
+    { createdAt: '2024-01-01', _id: 'b' }
+  ];
+  assert.deepEqual(rows.sort(compareNewestFirst).map(r => `${r.createdAt}/${r._id}`),
+    ['2024-02-01/a', '2024-01-01/b', '2024-01-01/a']);
+});
+
+test('readPosition restores dates and refuses cursors from another order', () => {
+  const at = new Date('2024-05-06T10:00:00Z');
+  const cursor = positionCursor(SORT, at, ids[0]);
+
+  const position = readPosition(cursor, SORT);
+  assert.deepEqual(position.value, at);
+  assert.equal(String(position.id), String(ids[0]));
+
+  assert.equal(readPosition(cursor, 'likesCount:-1'), null);
+  assert.equal(readPosition(encodeCursor({ s: SORT, v: { date: 'x' }, id: String(ids[0]) }), SORT), null);
+  assert.equal(readPosition(positionCursor('likesCount:-1', null, ids[0]), 'likesCount:-1').value, null);
+});
+
+test('keysetFilter puts missing values last in descending order', () => {
+  const id = ids[0];
+  assert.deepEqual(keysetFilter('likesCount', -1, { value: 5, id }), {
+    $or: [{ likesCount: { $lt: 5 } }, { likesCount: 5, _id: { $lt: id } }, { likesCount: null }]
+  });
+  assert.deepEqual(keysetFilter('likesCount', 1, { value: 5, id }), {
+    $or: [{ likesCount: { $gt: 5 } }, { likesCount: 5, _id: { $gt: id } }]
+  });
+  assert.deepEqual(keysetFilter('likesCount', -1, { value: null, id }), { likesCount: null, _id: { $lt: id } });
+});
+
+test('parsePaging picks page or cursor mode and validates cursors', () => {
+  assert.deepEqual(parsePaging({ page: '3', limit: '10' }, { sort: SORT }),
+    { mode: 'page', limit: 10, page: 3, skip: 20, includeTotal: true });
+  assert.equal(parsePaging({ limit: '500' }, { sort: SORT, maxLimit: 50 }).limit, 50);
+
+  const cursorMode = parsePaging({ paginate: 'cursor' }, { sort: SORT });
+  assert.equal(cursorMode.mode, 'cursor');
+  assert.equal(cursorMode.position, null);
+  assert.equal(cursorMode.includeTotal, false);
+
+  const before = parsePaging({ before: positionCursor(SORT, new Date(), ids[0]) }, { sort: SORT });
+  assert.equal(before.backwards, true);
+
+  assert.throws(() => parsePaging({ after: 'junk' }, { sort: SORT }), { status: 400 });
+  assert.throws(() => parsePaging({ after: 'a', before: 'b' }, { sort: SORT }), { status: 400 });
+});
+
+test('pageResult trims the extra row and links to neighbouring pages', () => {
+  const rows = ids.map((_id, i) => ({ _id, createdAt: new Date(Date.UTC(2024, 0, 10 - i)) }));
+  const valueOf = (row) => row.createdAt;
+
+  const first = pageResult(rows, parsePaging({ paginate: 'cursor', limit: '3' }, { sort: SORT }), { sort: SORT, valueOf });
+  assert.equal(first.items.length, 3);
+  assert.equal(first.pagination.hasNext, true);
+  assert.equal(first.pagination.hasPrev, false);
+  assert.equal(String(readPosition(first.pagination.nextCursor, SORT).id), String(ids[2]));
+
+  // A `before` page is fetched in reverse and comes back in list order
+  const paging = parsePaging({ before: first.pagination.nextCursor, limit: '2' }, { sort: SORT });
+  const back = pageResult([rows[1], rows[0]], paging, { sort: SORT, valueOf });
+  assert.deepEqual(back.items.map(r => r._id), [ids[0], ids[1]]);
+  assert.equal(back.pagination.hasPrev, false);
+  assert.equal(back.pagination.hasNext, true);
+
+  const page = pageResult(rows.slice(0, 2), parsePaging({ page: '2', limit: '2' }, { sort: SORT }), { sort: SORT, valueOf, total: 4 });
+  assert.equal(page.pagination.pages, 2);
+  assert.equal(page.pagination.hasPrev, true);
+  assert.equal(page.pagination.hasNext, false);
+});
@@ -0,0 +1,77 @@
+// backend/test/emailVerification.test.js - Verification tokens and the verified-email policy
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const createOutboxTransport = require('../utils/mail/outboxTransport');
+const { setTransport } = require('../utils/mail');
+const { hashToken } = require('../utils/sessions');
+const { isVerificationRequired, sendVerificationEmail, confirmEmailToken } = require('../utils/emailVerification');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+
+const withPolicy = (t, value) => {
+  const previous = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  t.after(() => {
+    if (previous === undefined) delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    else process.env.EMAIL_VERIFICATION_REQUIRED_FOR = previous;
+  });
+  if (value === undefined) delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  else process.env.EMAIL_VERIFICATION_REQUIRED_FOR = value;
+};
+
+// Runs the middleware and reports whether it let the request through
+const passes = (action, user) => {
+  let status = null;
+  let passed = false;
+  const res = { status: (code) => { status = code; return res; }, json: () => res };
+  requireVerifiedEmail(action)({ user }, res, () => { passed = true; });
+  return passed || status;
+};
+
+test('the policy covers recipes and comments unless configured otherwise', (t) => {
+  withPolicy(t, undefined);
+  assert.equal(isVerificationRequired('recipes'), true);
+  assert.equal(isVerificationRequired('comments'), true);
+
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'none';
+  assert.equal(isVerificationRequired('recipes'), false);
+
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = ' comments ';
+  assert.equal(isVerificationRequired('recipes'), false);
+  assert.equal(isVerificationRequired('comments'), true);
+});
+
+test('requireVerifiedEmail blocks only accounts known to be unverified', (t) => {
+  withPolicy(t, 'comments');
+  assert.equal(passes('comments', { emailVerified: false }), 403);
+  assert.equal(passes('comments', { emailVerified: true }), true);
+  assert.equal(passes('comments', {}), true); // accounts from before verification existed
+  assert.equal(passes('recipes', { emailVerified: false }), true);
+});
+
+test('sendVerificationEmail stores only the token hash and mails the link', async (t) => {
+  const outbox = createOutboxTransport({ dir: null });
+  setTransport(outbox);
+  t.after(() => setTransport(null));
+  t.mock.method(console, 'log', () => {});
+  const update = t.mock.method(User, 'updateOne', async () => ({}));
+
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'ann@example.com', username: 'ann' };
+  await sendVerificationEmail(user);
+
+  const token = outbox.latestFor('ann@example.com').text.match(/token=([0-9a-f]+)/)[1];
+  const [, change] = update.mock.calls[0].arguments;
+  assert.equal(change.$set.emailVerified, false);
+  assert.equal(change.$set['emailVerification.tokenHash'], hashToken(token));
+  assert.ok(change.$set['emailVerification.expiresAt'] > new Date());
+});
+
+test('confirmEmailToken looks the account up by hash and unexpired token', async (t) => {
+  const update = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  await confirmEmailToken('abc');
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.equal(filter['emailVerification.tokenHash'], hashToken('abc'));
+  assert.ok(filter['emailVerification.expiresAt'].$gt instanceof Date);
+  assert.deepEqual(change.$unset, { emailVerification: 1 });
+});
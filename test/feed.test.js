@@ -0,0 +1,86 @@
+// backend/test/feed.test.js - Home feed merging and hydration
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const Activity = require('../models/Activity');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { followingPage, popularPage } = require('../utils/feed');
+
+const id = () => new mongoose.Types.ObjectId();
+const at = (minute) => new Date(Date.UTC(2024, 0, 1, 12, minute));
+
+// Chainable stand-in for a Mongoose query that resolves to `rows`
+const query = (rows) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    lean: async () => rows
+  };
+  return chain;
+};
+
+const alice = { _id: id(), username: 'alice' };
+const ownRecipe = { _id: id(), title: 'Soup', author: alice, createdAt: at(50) };
+const likedRecipe = { _id: id(), title: 'Bread', author: { username: 'bob' }, createdAt: at(10) };
+const comment = { _id: id(), text: 'Lovely' };
+
+const stubFeed = (t, { recipes, activities, comments = [comment] }) => {
+  t.mock.method(Recipe, 'aggregate', async ([{ $match }]) => ($match._id ? [likedRecipe] : recipes));
+  t.mock.method(Activity, 'find', () => query(activities));
+  t.mock.method(User, 'find', () => query([alice]));
+  t.mock.method(Comment, 'find', () => query(comments));
+};
+
+test('followed recipes and activity are merged newest first', async (t) => {
+  const like = { _id: id(), type: 'like', actor: alice._id, recipe: likedRecipe._id, createdAt: at(40) };
+  const commented = { _id: id(), type: 'comment', actor: alice._id, recipe: likedRecipe._id, comment: comment._id, createdAt: at(55) };
+  stubFeed(t, { recipes: [ownRecipe], activities: [commented, like] });
+
+  const { items, last, exhausted } = await followingPage({ following: [alice._id], position: null, limit: 5, includeActivity: true });
+
+  assert.deepEqual(items.map(item => item.type), ['comment', 'recipe', 'like']);
+  assert.deepEqual(items[0].comment, { id: comment._id, text: 'Lovely' });
+  assert.equal(items[2].actor, alice);
+  assert.ok(items.every(item => item.reason === 'following'));
+  assert.deepEqual(last, { t: at(40).toISOString(), id: String(like._id) });
+  assert.equal(exhausted, true);
+});
+
+test('activity on a hidden comment is dropped', async (t) => {
+  const commented = { _id: id(), type: 'comment', actor: alice._id, recipe: likedRecipe._id, comment: comment._id, createdAt: at(55) };
+  stubFeed(t, { recipes: [ownRecipe], activities: [commented], comments: [] });
+
+  const { items } = await followingPage({ following: [alice._id], position: null, limit: 5, includeActivity: true });
+  assert.deepEqual(items.map(item => item.type), ['recipe']);
+});
+
+test('a page is not exhausted while more entries were read than shown', async (t) => {
+  const older = { ...ownRecipe, _id: id(), createdAt: at(5) };
+  stubFeed(t, { recipes: [ownRecipe, older], activities: [] });
+
+  const page = await followingPage({ following: [alice._id], position: null, limit: 1, includeActivity: false });
+  assert.equal(page.items.length, 1);
+  assert.equal(page.exhausted, false);
+  assert.equal(page.last.id, String(ownRecipe._id));
+});
+
+test('following nobody reads nothing', async (t) => {
+  const aggregate = t.mock.method(Recipe, 'aggregate', async () => []);
+  assert.deepEqual(await followingPage({ following: [], position: null, limit: 5 }), { items: [], last: null, exhausted: true });
+  assert.equal(aggregate.mock.callCount(), 0);
+});
+
+test('popular backfill leaves out followed authors and hidden recipes', async (t) => {
+  const aggregate = t.mock.method(Recipe, 'aggregate', async () => [likedRecipe]);
+  const exclude = [alice._id];
+
+  const items = await popularPage({ exclude, skip: 0, limit: 3 });
+  const { $match } = aggregate.mock.calls[0].arguments[0][0];
+  assert.deepEqual($match.author, { $nin: exclude });
+  assert.deepEqual($match.hidden, { $ne: true });
+  assert.deepEqual(items.map(item => item.reason), ['popular']);
+  assert.deepEqual(await popularPage({ exclude, skip: 0, limit: 0 }), []);
+});
@@ -0,0 +1,58 @@
+// backend/test/forks.test.js - Forking recipes and describing their origin
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const { buildFork, describeOrigin } = require('../utils/forks');
+
+const authorId = new mongoose.Types.ObjectId();
+const forkerId = new mongoose.Types.ObjectId();
+
+const original = new Recipe({
+  title: 'Soup',
+  description: 'Warming',
+  ingredients: [{ quantity: 2, item: 'onions' }],
+  instructions: ['Chop.'],
+  tags: ['soup'],
+  servings: 4,
+  image: 'https://img/soup.jpg',
+  author: authorId
+});
+
+// Recipe.findById(...).select(...).populate(...).lean() resolving to `doc`
+const stubFindById = (t, doc) => t.mock.method(Recipe, 'findById', () => {
+  const query = { select: () => query, populate: () => query, lean: async () => doc };
+  return query;
+});
+
+test('buildFork copies the content but not the image, and links back', () => {
+  const fork = buildFork(original, forkerId);
+
+  assert.equal(fork.isNew, true);
+  assert.equal(fork.title, 'Soup');
+  assert.equal(fork.ingredients[0].item, 'onions');
+  assert.equal(String(fork.author), String(forkerId));
+  assert.ok(!fork.image);
+  assert.equal(String(fork.forkedFrom.recipe), String(original._id));
+  assert.equal(String(fork.forkedFrom.author), String(authorId));
+  assert.equal(fork.forkedFrom.title, 'Soup');
+});
+
+test('describeOrigin links to a visible original', async (t) => {
+  stubFindById(t, { _id: original._id, title: 'Soup', author: { _id: authorId, username: 'ann' } });
+  const origin = await describeOrigin({ recipe: original._id }, null);
+  assert.equal(origin.available, true);
+  assert.equal(origin.author.username, 'ann');
+});
+
+test('describeOrigin hides deleted or hidden originals', async (t) => {
+  assert.equal(await describeOrigin(null, null), null);
+
+  const find = stubFindById(t, null);
+  assert.deepEqual(await describeOrigin({ recipe: original._id }, null), { available: false });
+
+  find.mock.restore();
+  stubFindById(t, { _id: original._id, title: 'Soup', hidden: true, author: { _id: authorId } });
+  assert.deepEqual(await describeOrigin({ recipe: original._id }, { id: forkerId, role: 'user' }), { available: false });
+  assert.equal((await describeOrigin({ recipe: original._id }, { id: authorId, role: 'user' })).available, true);
+});
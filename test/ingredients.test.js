@@ -0,0 +1,93 @@
+// backend/test/ingredients.test.js - Structured ingredient parsing and formatting
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Recipe = require('../models/Recipe');
+const {
+  parseNumber,
+  parseIngredient,
+  parseIngredientList,
+  normalizeIngredient,
+  normalizeIngredientList,
+  presentIngredients,
+  formatQuantity,
+  formatIngredient,
+  scaleIngredients
+} = require('../utils/ingredients');
+
+test('parseNumber reads whole numbers, decimals, fractions and mixed numbers', () => {
+  assert.equal(parseNumber('2'), 2);
+  assert.equal(parseNumber('.5'), 0.5);
+  assert.equal(parseNumber('3/4'), 0.75);
+  assert.equal(parseNumber('1 1/2'), 1.5);
+});
+
+test('parseIngredient splits quantity, unit, item and note', () => {
+  assert.deepEqual(parseIngredient('2 cups all-purpose flour, sifted'), {
+    quantity: 2, quantityMax: null, unit: 'cup', item: 'all-purpose flour', note: 'sifted', group: ''
+  });
+  assert.deepEqual(parseIngredient('1½ tbsp olive oil (optional)'), {
+    quantity: 1.5, quantityMax: null, unit: 'tbsp', item: 'olive oil', note: 'optional', group: ''
+  });
+});
+
+test('parseIngredient handles ranges, articles and bare items', () => {
+  const range = parseIngredient('2-3 cloves garlic');
+  assert.equal(range.quantity, 2);
+  assert.equal(range.quantityMax, 3);
+  assert.equal(range.unit, 'clove');
+
+  const pinch = parseIngredient('a pinch of salt');
+  assert.equal(pinch.quantity, 1);
+  assert.equal(pinch.unit, 'pinch');
+  assert.equal(pinch.item, 'salt');
+
+  const bare = parseIngredient('salt and pepper to taste');
+  assert.equal(bare.quantity, null);
+  assert.equal(bare.item, 'salt and pepper to taste');
+});
+
+test('parseIngredientList turns "For the ...:" headers into groups', () => {
+  const entries = parseIngredientList(['500 g pasta', 'For the sauce:', '2 tbsp butter', 'Topping:', '50 g parmesan']);
+  assert.deepEqual(entries.map(e => [e.item, e.group]), [
+    ['pasta', ''],
+    ['butter', 'sauce'],
+    ['parmesan', 'Topping']
+  ]);
+});
+
+test('legacy string lists are upgraded with groups when a recipe is loaded', () => {
+  const recipe = Recipe.hydrate({ title: 'Pasta', ingredients: ['500 g pasta', 'For the sauce:', '2 tbsp butter'] });
+  assert.deepEqual(recipe.ingredients.map(e => [e.item, e.group]), [['pasta', ''], ['butter', 'sauce']]);
+});
+
+test('normalizeIngredient cleans up structured entries', () => {
+  assert.deepEqual(normalizeIngredient({ quantity: '2', quantityMax: '1', unit: 'Tablespoons', item: ' sugar ' }), {
+    quantity: 2, quantityMax: null, unit: 'tbsp', item: 'sugar', note: '', group: ''
+  });
+});
+
+test('formatQuantity uses cook-friendly fractions', () => {
+  assert.equal(formatQuantity(2.5), '2 1/2');
+  assert.equal(formatQuantity(0.333), '1/3');
+  assert.equal(formatQuantity(1.04), '1');
+  assert.equal(formatQuantity(12.3, 'g'), '12');
+});
+
+test('formatIngredient round-trips a parsed line', () => {
+  assert.equal(formatIngredient(parseIngredient('2 cups flour, sifted')), '2 cups flour, sifted');
+  assert.equal(formatIngredient(parseIngredient('1-2 tbsp honey')), '1-2 tbsp honey');
+});
+
+test('scaleIngredients multiplies quantities and leaves unquantified lines alone', () => {
+  const scaled = scaleIngredients(parseIngredientList(['1 1/2 cups milk', 'salt to taste']), 2);
+  assert.equal(scaled[0].quantity, 3);
+  assert.equal(scaled[1].quantity, null);
+});
+
+test('lean legacy lists are upgraded as a whole wherever they are read', () => {
+  const legacy = ['500 g pasta', 'For the sauce:', '2 tbsp butter'];
+  assert.deepEqual(normalizeIngredientList(legacy).map(e => [e.item, e.group]), [['pasta', ''], ['butter', 'sauce']]);
+  assert.deepEqual(presentIngredients(legacy).map(e => e.text), ['500 g pasta', '2 tbsp butter']);
+  assert.deepEqual(normalizeIngredientList([{ quantity: '2', item: 'eggs' }]).map(e => e.quantity), [2]);
+  assert.deepEqual(normalizeIngredientList(undefined), []);
+});
@@ -0,0 +1,39 @@
+// backend/test/mail.test.js - Mail templates and the outbox transport
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const createOutboxTransport = require('../utils/mail/outboxTransport');
+const { setTransport, sendTemplate, frontendUrl } = require('../utils/mail');
+
+test('sendTemplate renders into the configured transport', async (t) => {
+  const outbox = createOutboxTransport({ dir: null });
+  setTransport(outbox);
+  t.after(() => setTransport(null));
+  t.mock.method(console, 'log', () => {});
+
+  await sendTemplate('passwordReset', 'ann@example.com', {
+    username: '<Ann>',
+    resetUrl: 'https://app.example/reset?token=a&b',
+    expiresInMinutes: 30
+  });
+
+  const message = outbox.latestFor('ann@example.com');
+  assert.equal(message.subject, 'Reset your RecipeVerse password');
+  assert.ok(message.text.includes('https://app.example/reset?token=a&b'));
+  assert.ok(message.html.includes('Hi &lt;Ann&gt;'));
+  assert.ok(message.html.includes('href="https://app.example/reset?token=a&amp;b"'));
+  assert.ok(message.from);
+});
+
+test('sendTemplate refuses unknown templates', () => {
+  assert.throws(() => sendTemplate('newsletter', 'ann@example.com', {}), /Unknown mail template/);
+});
+
+test('frontendUrl joins the configured origin and a path', (t) => {
+  const previous = process.env.FRONTEND_URL;
+  t.after(() => {
+    if (previous === undefined) delete process.env.FRONTEND_URL;
+    else process.env.FRONTEND_URL = previous;
+  });
+  process.env.FRONTEND_URL = 'https://recipes.example/';
+  assert.equal(frontendUrl('/verify?token=x'), 'https://recipes.example/verify?token=x');
+});
@@ -0,0 +1,29 @@
+// backend/test/mealPlan.test.js - Calendar-day helpers
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDay, addDays, daysBetween, weekStart, dayRange } = require('../utils/mealPlan');
+
+test('parseDay accepts real dates only', () => {
+  assert.equal(parseDay('2024-02-29'), '2024-02-29');
+  assert.equal(parseDay('2023-02-29'), null);
+  assert.equal(parseDay('2024-13-01'), null);
+  assert.equal(parseDay('2024-5-6'), null);
+  assert.equal(parseDay(undefined), null);
+});
+
+test('addDays and daysBetween cross months, years and DST changes', () => {
+  assert.equal(addDays('2024-12-30', 3), '2025-01-02');
+  assert.equal(addDays('2024-03-31', -1), '2024-03-30');
+  assert.equal(daysBetween('2024-03-25', '2024-04-01'), 7);
+  assert.equal(daysBetween('2024-04-01', '2024-03-25'), -7);
+});
+
+test('weekStart is the Monday of the week', () => {
+  assert.equal(weekStart('2024-05-06'), '2024-05-06');
+  assert.equal(weekStart('2024-05-12'), '2024-05-06');
+  assert.equal(weekStart('2024-05-13'), '2024-05-13');
+});
+
+test('dayRange lists consecutive days', () => {
+  assert.deepEqual(dayRange('2024-02-28', 3), ['2024-02-28', '2024-02-29', '2024-03-01']);
+});
@@ -0,0 +1,104 @@
+// backend/test/moderation.test.js - Reports and auto-hiding (database calls stubbed)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Recipe = require('../models/Recipe');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { parseReportBody, fileReport, resolveReport } = require('../utils/moderation');
+
+const authorId = new mongoose.Types.ObjectId();
+const reporter = new mongoose.Types.ObjectId();
+const recipeId = new mongoose.Types.ObjectId();
+
+const stubRecipe = (t, recipe) => t.mock.method(Recipe, 'findById', () => ({
+  select: () => ({ lean: async () => recipe })
+}));
+
+test('parseReportBody checks the reason and details length', () => {
+  assert.deepEqual(parseReportBody({ reason: 'spam', details: '  link farm ' }), { reason: 'spam', details: 'link farm' });
+  assert.throws(() => parseReportBody({ reason: 'boring' }), { status: 400 });
+  assert.throws(() => parseReportBody({ reason: 'other', details: 'x'.repeat(1001) }), { status: 400 });
+  assert.throws(() => parseReportBody(), { status: 400 });
+});
+
+test('fileReport rejects bad ids, missing targets and self-reports', async (t) => {
+  await assert.rejects(fileReport({ targetType: 'recipe', targetId: 'nope', reporter }), { status: 400 });
+
+  const find = stubRecipe(t, null);
+  await assert.rejects(fileReport({ targetType: 'recipe', targetId: recipeId, reporter }), { status: 404, message: 'Recipe not found' });
+
+  find.mock.restore();
+  stubRecipe(t, { author: authorId, hidden: false });
+  await assert.rejects(fileReport({ targetType: 'recipe', targetId: recipeId, reporter: authorId }), { status: 400 });
+});
+
+test('fileReport treats a repeat report as a duplicate', async (t) => {
+  stubRecipe(t, { author: authorId, hidden: false });
+  t.mock.method(Report, 'create', async () => { throw Object.assign(new Error('dup'), { code: 11000 }); });
+
+  const result = await fileReport({ targetType: 'recipe', targetId: recipeId, reporter, reason: 'spam' });
+  assert.deepEqual(result, { report: null, duplicate: true, hidden: false });
+});
+
+test('fileReport hides the target once enough reports are open', async (t) => {
+  stubRecipe(t, { author: authorId, hidden: false });
+  t.mock.method(Report, 'create', async (doc) => doc);
+  const count = t.mock.method(Report, 'countDocuments', async () => 4);
+  const update = t.mock.method(Recipe, 'updateOne', async () => ({}));
+  t.mock.method(console, 'log', () => {});
+
+  let result = await fileReport({ targetType: 'recipe', targetId: recipeId, reporter, reason: 'spam' });
+  assert.equal(result.hidden, false);
+  assert.equal(update.mock.callCount(), 0);
+
+  count.mock.mockImplementation(async () => 5);
+  result = await fileReport({ targetType: 'recipe', targetId: recipeId, reporter, reason: 'spam' });
+  assert.equal(result.hidden, true);
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.equal(String(filter._id), String(recipeId));
+  assert.equal(change.$set.hiddenReason, 'reports');
+});
+
+test('a report can be filed again once the earlier one is closed', () => {
+  const [, options] = Report.schema.indexes().find(([fields]) => fields.reporter);
+  assert.equal(options.unique, true);
+  assert.deepEqual(options.partialFilterExpression, { status: 'open' });
+});
+
+test('dismissing reports only lifts hides the reports caused', async (t) => {
+  const moderator = { id: new mongoose.Types.ObjectId(), username: 'mod' };
+  const report = { targetType: 'recipe', targetId: recipeId };
+  const find = stubRecipe(t, { author: authorId, hidden: true, hiddenReason: 'moderator' });
+  const update = t.mock.method(Recipe, 'updateOne', async () => ({}));
+  const close = t.mock.method(Report, 'updateMany', async () => ({}));
+  t.mock.method(console, 'log', () => {});
+
+  await resolveReport(report, { action: 'dismiss', moderator });
+  assert.equal(update.mock.callCount(), 0);
+  assert.equal(close.mock.calls[0].arguments[1].$set.status, 'dismissed');
+
+  find.mock.restore();
+  stubRecipe(t, { author: authorId, hidden: true, hiddenReason: 'reports' });
+  await resolveReport(report, { action: 'dismiss', moderator });
+  const [, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(change, { $set: { hidden: false }, $unset: { hiddenAt: 1, hiddenReason: 1 } });
+});
+
+test('comments and profiles record why they were hidden', async (t) => {
+  const moderator = { id: new mongoose.Types.ObjectId(), username: 'mod' };
+  const commentId = new mongoose.Types.ObjectId();
+  t.mock.method(Comment, 'findOneAndUpdate', () => ({ lean: async () => null }));
+  t.mock.method(User, 'updateOne', async () => ({}));
+  t.mock.method(Report, 'updateMany', async () => ({}));
+  t.mock.method(console, 'log', () => {});
+
+  await resolveReport({ targetType: 'comment', targetId: commentId, recipe: recipeId }, { action: 'hide', moderator });
+  const [filter, change] = Comment.findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(String(filter._id), String(commentId));
+  assert.equal(change.$set.hiddenReason, 'moderator');
+
+  await resolveReport({ targetType: 'user', targetId: authorId }, { action: 'hide', moderator });
+  assert.equal(User.updateOne.mock.calls[0].arguments[1].$set.hiddenReason, 'moderator');
+});
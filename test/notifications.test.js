@@ -0,0 +1,122 @@
+// backend/test/notifications.test.js - Notification grouping and wording
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { notify, retract, describe } = require('../utils/notifications');
+
+const recipient = new mongoose.Types.ObjectId();
+const actor = new mongoose.Types.ObjectId();
+
+const stubRecipient = (t, user) => t.mock.method(User, 'findById', () => ({
+  select: () => ({ lean: async () => user })
+}));
+
+test('describe folds several actors into one line', () => {
+  const recipe = { title: 'Lasagna' };
+  assert.equal(describe({ type: 'like', recipe, actors: [{ username: 'ana' }], actorCount: 1 }), 'ana liked your Lasagna');
+  assert.equal(describe({ type: 'like', recipe, actors: [{ username: 'ana' }, { username: 'ben' }], actorCount: 2 }),
+    'ana and ben liked your Lasagna');
+  assert.equal(describe({ type: 'comment', recipe, actors: [{ username: 'ana' }], actorCount: 13 }),
+    'ana and 12 others commented on your Lasagna');
+  assert.equal(describe({ type: 'follow', actors: [{ username: 'ana' }], actorCount: 1 }), 'ana started following you');
+  assert.equal(describe({ type: 'rating', actors: [], actorCount: 1 }), 'Someone rated your recipe');
+});
+
+test('notify skips self-actions and muted types', async (t) => {
+  const update = t.mock.method(Notification, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  await notify({ recipient, actor: recipient, type: 'like' });
+  stubRecipient(t, { preferences: { notifications: { like: false } } });
+  await notify({ recipient, actor, type: 'like' });
+
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('notify adds a new actor to the unread group for the same recipe', async (t) => {
+  stubRecipient(t, {});
+  const update = t.mock.method(Notification, 'updateOne', async () => ({ matchedCount: 1 }));
+  t.mock.method(Notification, 'findOne', () => ({ populate() { return this; }, lean: async () => null }));
+  const recipe = new mongoose.Types.ObjectId();
+
+  await notify({ recipient, actor, type: 'comment', recipe, preview: 'x'.repeat(200) });
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { recipient, type: 'comment', recipe, read: false, members: { $ne: actor } });
+  assert.deepEqual(change.$inc, { actorCount: 1 });
+  assert.equal(change.$set.preview.length, 140);
+});
+
+test('notify starts a new group when there is none to join', async (t) => {
+  stubRecipient(t, {});
+  t.mock.method(Notification, 'updateOne', async () => ({ matchedCount: 0 }));
+  const create = t.mock.method(Notification, 'create', async () => ({}));
+  t.mock.method(Notification, 'findOne', () => ({ populate() { return this; }, lean: async () => null }));
+
+  await notify({ recipient, actor, type: 'like' });
+
+  const [doc] = create.mock.calls[0].arguments;
+  assert.deepEqual(doc.actors, [actor]);
+  assert.deepEqual(doc.members, [actor]);
+  assert.equal(doc.actorCount, 1);
+  assert.equal(doc.read, false);
+});
+
+test('notify never throws', async (t) => {
+  t.mock.method(User, 'findById', () => { throw new Error('down'); });
+  const error = t.mock.method(console, 'error', () => {});
+  await notify({ recipient, actor, type: 'like' });
+  assert.equal(error.mock.callCount(), 1);
+});
+
+// One unread group kept in memory, applying just the updates notify/retract send
+const stubGroup = (t) => {
+  let group = null;
+  const has = (list, id) => list.some(member => String(member) === String(id));
+  t.mock.method(Notification, 'create', async (doc) => { group = { ...doc }; });
+  t.mock.method(Notification, 'findOne', () => ({ populate() { return this; }, lean: async () => null }));
+  t.mock.method(Notification, 'deleteOne', async () => {
+    if (group && group.actorCount <= 0) group = null;
+  });
+  t.mock.method(Notification, 'updateOne', async (filter, change) => {
+    if (!group) return { matchedCount: 0, modifiedCount: 0 };
+    if (filter.members?.$ne && has(group.members, filter.members.$ne)) return { matchedCount: 0, modifiedCount: 0 };
+    if (filter.members && !filter.members.$ne && !has(group.members, filter.members)) return { matchedCount: 0, modifiedCount: 0 };
+    if (filter.actors) throw new Error('membership must not be checked against the capped preview');
+
+    if (change.$push) {
+      const { $each, $slice } = change.$push.actors;
+      group.actors = [...$each, ...group.actors].slice(0, $slice);
+      group.members = [...group.members, change.$push.members];
+    }
+    if (change.$pull) {
+      group.actors = group.actors.filter(id => String(id) !== String(change.$pull.actors));
+      group.members = group.members.filter(id => String(id) !== String(change.$pull.members));
+    }
+    group.actorCount += change.$inc?.actorCount || 0;
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+  return () => group;
+};
+
+test('the count stays exact for actors who dropped out of the preview', async (t) => {
+  stubRecipient(t, {});
+  const group = stubGroup(t);
+  const recipe = new mongoose.Types.ObjectId();
+  const likers = Array.from({ length: Notification.MAX_RECENT_ACTORS + 2 }, () => new mongoose.Types.ObjectId());
+
+  for (const liker of likers) await notify({ recipient, actor: liker, type: 'like', recipe });
+  assert.equal(group().actorCount, likers.length);
+  assert.equal(group().actors.length, Notification.MAX_RECENT_ACTORS);
+
+  // The first liker is no longer shown; unliking and liking again must not drift
+  await retract({ recipient, actor: likers[0], type: 'like', recipe });
+  assert.equal(group().actorCount, likers.length - 1);
+  await notify({ recipient, actor: likers[0], type: 'like', recipe });
+  await notify({ recipient, actor: likers[0], type: 'like', recipe });
+  assert.equal(group().actorCount, likers.length);
+
+  for (const liker of likers) await retract({ recipient, actor: liker, type: 'like', recipe });
+  assert.equal(group(), null);
+});
@@ -0,0 +1,47 @@
+// backend/test/nutrition.test.js - Nutrition estimates from the bundled food table
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchFood, toGrams, estimateNutrition } = require('../utils/nutrition');
+const { parseIngredient } = require('../utils/ingredients');
+const { VOLUME_ML } = require('../utils/units');
+
+test('matchFood prefers the longest whole-word alias', () => {
+  assert.equal(matchFood('extra virgin olive oil').name, 'olive oil');
+  assert.equal(matchFood('crunchy peanut butter').name, 'peanut butter');
+  assert.equal(matchFood('unsalted butter').name, 'butter');
+  assert.equal(matchFood('2 large eggs').name, 'egg');
+  assert.equal(matchFood('unobtainium'), null);
+});
+
+test('toGrams uses weights, densities, piece weights and per-unit weights', () => {
+  const flour = matchFood('flour');
+  assert.equal(toGrams(parseIngredient('200 g flour'), flour), 200);
+  assert.equal(toGrams(parseIngredient('1 cup flour'), flour), VOLUME_ML.cup * flour.density);
+
+  const garlic = matchFood('garlic');
+  assert.equal(toGrams(parseIngredient('2-4 cloves garlic'), garlic), 3 * garlic.units.clove);
+  assert.equal(toGrams(parseIngredient('1 garlic'), garlic), garlic.pieceWeight);
+
+  assert.equal(toGrams(parseIngredient('salt to taste'), matchFood('salt')), null);
+});
+
+test('estimateNutrition sums matched lines and lists the rest', () => {
+  const egg = matchFood('egg');
+  const result = estimateNutrition(['2 eggs', '1 cup unobtainium'], 2);
+
+  assert.equal(result.matchedCount, 1);
+  assert.deepEqual(result.unmatched, ['1 cup unobtainium']);
+  assert.equal(result.total.calories, Math.round(egg.per100g.calories * egg.pieceWeight * 2 / 100));
+  assert.equal(result.perServing.calories, Math.round(egg.per100g.calories * egg.pieceWeight / 100));
+});
+
+test('estimateNutrition leaves perServing out without servings', () => {
+  const result = estimateNutrition(['100 g flour']);
+  assert.equal(result.perServing, null);
+  assert.equal(result.total.calories, matchFood('flour').per100g.calories);
+});
+
+test('estimateNutrition does not report legacy group headers as unmatched', () => {
+  const { unmatched } = estimateNutrition(['For the dough:', '200 g flour', 'a pinch of unobtainium'], 2);
+  assert.deepEqual(unmatched, ['1 pinch unobtainium']);
+});
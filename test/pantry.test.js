@@ -0,0 +1,73 @@
+// backend/test/pantry.test.js - Pantry coverage scoring
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { namesMatch, normalizeIngredientName } = require('../utils/ingredientNames');
+const { toPantryKeys, candidateSearchTerms, scoreRecipe } = require('../utils/pantry');
+
+test('normalizeIngredientName drops descriptors and maps synonyms', () => {
+  assert.equal(normalizeIngredientName('2 Roma Tomatoes, diced'), 'tomato');
+  assert.equal(normalizeIngredientName('fresh cilantro'), 'coriander');
+  assert.equal(normalizeIngredientName('Chicken Stock'), 'chicken broth');
+});
+
+test('namesMatch accepts equal names and more specific pantry items', () => {
+  assert.equal(namesMatch('milk', 'milk'), true);
+  assert.equal(namesMatch('whole milk', 'milk'), true);
+  assert.equal(namesMatch('chicken broth', 'broth'), true);
+  assert.equal(namesMatch('unsweetened almond milk', 'almond milk'), true);
+});
+
+test('namesMatch rejects a different head noun, a substitute or a less specific pantry item', () => {
+  assert.equal(namesMatch('chicken broth', 'chicken'), false);
+  assert.equal(namesMatch('milk', 'coconut milk'), false);
+  assert.equal(namesMatch('coconut milk', 'milk'), false);
+  assert.equal(namesMatch('almond butter', 'butter'), false);
+  assert.equal(namesMatch('lemon', 'lemon juice'), false);
+  assert.equal(namesMatch('garlic', 'garlic powder'), false);
+  assert.equal(namesMatch('pea', 'peanut'), false);
+  assert.equal(namesMatch('', 'milk'), false);
+});
+
+test('scoreRecipe does not let chicken broth cover chicken or coconut milk cover milk', () => {
+  const pantry = toPantryKeys(['chicken broth', 'coconut milk', 'whole milk']);
+  const result = scoreRecipe(['1 lb chicken', '1 cup milk', '1 can coconut milk'], pantry);
+
+  assert.equal(result.totalCount, 3);
+  assert.equal(result.matchedCount, 2);
+  assert.deepEqual(result.missing, ['1 lb chicken']);
+});
+
+test('scoreRecipe does not let base items cover their products', () => {
+  const pantry = toPantryKeys(['chicken', 'milk', 'lemon', 'garlic']);
+  const result = scoreRecipe(
+    ['2 cups chicken broth', '1 can coconut milk', '2 tbsp lemon juice', '1 tsp garlic powder'],
+    pantry
+  );
+
+  assert.equal(result.matchedCount, 0);
+  assert.equal(result.matchPercent, 0);
+});
+
+test('scoreRecipe counts staples and skips missing optional lines', () => {
+  const result = scoreRecipe(
+    ['2 tomatoes, diced', 'salt to taste', 'parsley, for garnish (optional)'],
+    toPantryKeys(['tomato']),
+    ['salt']
+  );
+
+  assert.equal(result.totalCount, 2);
+  assert.equal(result.matchPercent, 100);
+  assert.deepEqual(result.missing, []);
+});
+
+test('candidateSearchTerms includes regional spellings', () => {
+  const terms = candidateSearchTerms(['coriander']).split(' ');
+  assert.ok(terms.includes('cilantro'));
+  assert.ok(terms.includes('coriander'));
+});
+
+test('scoreRecipe ignores the group headers of legacy lists', () => {
+  const result = scoreRecipe(['For the sauce:', '2 tbsp butter'], toPantryKeys(['butter']));
+  assert.equal(result.totalCount, 1);
+  assert.equal(result.matchPercent, 100);
+});
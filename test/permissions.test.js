@@ -0,0 +1,36 @@
+// backend/test/permissions.test.js - Roles and ownership checks
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ROLES, hasPermission, isOwner, canModify } = require('../utils/permissions');
+
+const authorId = new mongoose.Types.ObjectId();
+const author = { id: authorId, role: 'user' };
+const stranger = { id: new mongoose.Types.ObjectId(), role: 'user' };
+const moderator = { id: new mongoose.Types.ObjectId(), role: 'moderator' };
+const admin = { id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+test('roles grant their permissions only', () => {
+  assert.deepEqual(ROLES, ['user', 'moderator', 'admin']);
+  assert.equal(hasPermission(moderator, 'content.viewHidden'), true);
+  assert.equal(hasPermission(moderator, 'users.manageRoles'), false);
+  assert.equal(hasPermission(admin, 'users.suspend'), true);
+  assert.equal(hasPermission(stranger, 'recipes.editAny'), false);
+  assert.equal(hasPermission({ role: 'superuser' }, 'recipes.editAny'), false);
+  assert.equal(hasPermission(null, 'recipes.editAny'), false);
+});
+
+test('isOwner compares ids, populated documents and strings alike', () => {
+  assert.equal(isOwner(author, authorId), true);
+  assert.equal(isOwner(author, String(authorId)), true);
+  assert.equal(isOwner(author, { _id: authorId, username: 'ann' }), true);
+  assert.equal(isOwner(stranger, authorId), false);
+  assert.equal(isOwner(author, null), false);
+  assert.equal(isOwner(null, authorId), false);
+});
+
+test('canModify lets owners and permitted roles through', () => {
+  assert.equal(canModify(author, authorId, 'recipes.editAny'), true);
+  assert.equal(canModify(moderator, authorId, 'recipes.editAny'), true);
+  assert.equal(canModify(stranger, authorId, 'recipes.editAny'), false);
+});
@@ -0,0 +1,98 @@
+// backend/test/realtime.test.js - In-memory pub/sub adapter, event ids and stream logging
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const requestLogger = require('../middleware/requestLogger');
+const createMemoryAdapter = require('../utils/realtime/memoryAdapter');
+const { compareEventIds, isEventId } = require('../utils/realtime/eventIds');
+
+test('event ids order by time, then sequence', () => {
+  assert.ok(compareEventIds('5-0', '4-9') > 0);
+  assert.ok(compareEventIds('5-1', '5-2') < 0);
+  assert.equal(compareEventIds('5-1', '5-1'), 0);
+  assert.equal(isEventId('1700000000000-3'), true);
+  assert.equal(isEventId('abc'), false);
+});
+
+test('subscribers get events for their channel until they unsubscribe', async () => {
+  const adapter = createMemoryAdapter();
+  const received = [];
+  const unsubscribe = adapter.subscribe('recipe:1', event => received.push(event.type));
+
+  await adapter.publish('recipe:1', { type: 'like', data: {} });
+  await adapter.publish('recipe:2', { type: 'other', data: {} });
+  unsubscribe();
+  await adapter.publish('recipe:1', { type: 'comment', data: {} });
+
+  assert.deepEqual(received, ['like']);
+});
+
+test('since() replays missed events with increasing ids', async () => {
+  const adapter = createMemoryAdapter();
+  const first = await adapter.publish('c', { type: 'a', data: 1 });
+  const second = await adapter.publish('c', { type: 'b', data: 2 });
+  const third = await adapter.publish('c', { type: 'c', data: 3 });
+
+  assert.ok(compareEventIds(second.id, first.id) > 0);
+  assert.deepEqual((await adapter.since('c', first.id)).map(e => e.id), [second.id, third.id]);
+  assert.deepEqual(await adapter.since('unknown', first.id), []);
+});
+
+test('since() returns null once the gap has been dropped from history', async () => {
+  const adapter = createMemoryAdapter({ historySize: 2 });
+  const first = await adapter.publish('c', { type: 'a', data: 1 });
+  await adapter.publish('c', { type: 'b', data: 2 });
+  await adapter.publish('c', { type: 'c', data: 3 });
+  await adapter.publish('c', { type: 'd', data: 4 });
+
+  assert.equal(await adapter.since('c', first.id), null);
+});
+
+test('since() returns null for ids from before a restart', async () => {
+  const adapter = createMemoryAdapter();
+  await adapter.publish('c', { type: 'a', data: 1 });
+
+  assert.equal(await adapter.since('c', `${Date.now() - 60000}-0`), null);
+  assert.equal(await adapter.since('unknown', `${Date.now() - 60000}-0`), null);
+});
+
+test('since() still returns null after the channel has been swept', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const adapter = createMemoryAdapter({ historyMs: 1000 });
+  const first = await adapter.publish('c', { type: 'a', data: 1 });
+  await adapter.publish('c', { type: 'b', data: 2 });
+
+  // Enough traffic elsewhere to trigger a sweep once 'c' has expired
+  now += 5000;
+  for (let i = 0; i < 500; i++) await adapter.publish('busy', { type: 'tick', data: i });
+
+  assert.equal(await adapter.since('c', first.id), null);
+  await adapter.publish('c', { type: 'c', data: 3 });
+  assert.equal(await adapter.since('c', first.id), null);
+});
+
+test('access logs blank out stream tokens passed in the query string', async () => {
+  const lines = [];
+  const log = requestLogger('combined', { stream: { write: line => lines.push(line) } });
+  const req = {
+    method: 'GET',
+    url: '/stream?access_token=secret.jwt.value&lastEventId=1-0',
+    originalUrl: '/api/realtime/stream?access_token=secret.jwt.value&lastEventId=1-0',
+    headers: {},
+    httpVersionMajor: 1,
+    httpVersionMinor: 1,
+    socket: {}
+  };
+  const res = new EventEmitter();
+  Object.assign(res, { statusCode: 200, getHeader: () => undefined, headersSent: true });
+
+  log(req, res, () => {});
+  res.emit('finish');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(lines.length, 1);
+  assert.doesNotMatch(lines[0], /secret/);
+  assert.match(lines[0], /\/api\/realtime\/stream\?access_token=REDACTED&lastEventId=1-0/);
+  assert.equal(requestLogger.redactUrl('/api/recipes?page=2'), '/api/recipes?page=2');
+});
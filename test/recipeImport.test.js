@@ -0,0 +1,144 @@
+// backend/test/recipeImport.test.js - schema.org Recipe extraction and drafts
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeEntities, toText, parseHtml } = require('../utils/recipeImport/html');
+const { isType, extractRecipe } = require('../utils/recipeImport/schemaOrg');
+const { LIMITS, buildDraft } = require('../utils/recipeImport/draft');
+const { importRecipe, setFetcher } = require('../utils/recipeImport');
+
+const jsonLdPage = (data, head = '') => `<!doctype html><html><head>${head}
+  <script type="application/ld+json">${JSON.stringify(data)}</script>
+</head><body><h1>Page</h1></body></html>`;
+
+test('decodeEntities and toText clean up markup', () => {
+  assert.equal(decodeEntities('Salt &amp; pepper &frac12; tsp &#8211; &#x2014; &bogus;'), 'Salt & pepper ½ tsp – — &bogus;');
+  assert.equal(toText('<p>Light and <b>fluffy</b>.</p>'), 'Light and fluffy.');
+  assert.equal(toText('<p>Mix.</p><p>Bake<br>well.</p>', { keepLines: true }), 'Mix.\nBake\nwell.');
+  assert.equal(toText('a<script>alert(1)</script>b'), 'a b');
+});
+
+test('parseHtml builds a tree and tolerates sloppy markup', () => {
+  const root = parseHtml('<div id=a><p>One<p>Two</div><img src="x.jpg"><script>if (a < b) {}</script>');
+  const [div, img, script] = root.children;
+  assert.equal(div.attrs.id, 'a');
+  assert.equal(img.tag, 'img');
+  assert.deepEqual(script.children, ['if (a < b) {}']);
+});
+
+test('isType accepts prefixed and listed types', () => {
+  assert.equal(isType({ '@type': 'Recipe' }, 'Recipe'), true);
+  assert.equal(isType({ '@type': ['Thing', 'http://schema.org/Recipe'] }, 'Recipe'), true);
+  assert.equal(isType({ '@type': 'schema:Recipe' }, 'Recipe'), true);
+  assert.equal(isType({ '@type': 'RecipeCollection' }, 'Recipe'), false);
+});
+
+test('extractRecipe finds a Recipe inside an @graph', () => {
+  const html = jsonLdPage({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', name: 'Good Food' },
+      { '@type': 'Recipe', name: 'Pancakes', recipeIngredient: ['2 eggs'] }
+    ]
+  });
+  const found = extractRecipe(html);
+  assert.equal(found.format, 'json-ld');
+  assert.equal(found.recipe.name, 'Pancakes');
+  assert.equal(found.meta.siteName, 'Good Food');
+});
+
+test('extractRecipe picks the recipe with the most ingredients', () => {
+  const html = jsonLdPage([
+    { '@type': 'Recipe', name: 'Teaser', recipeIngredient: ['1 egg'] },
+    { '@type': 'Recipe', name: 'Main', recipeIngredient: ['1 egg', '1 cup milk'] }
+  ]);
+  assert.equal(extractRecipe(html).recipe.name, 'Main');
+});
+
+test('extractRecipe skips broken JSON-LD and falls back to microdata', () => {
+  const html = `<script type="application/ld+json">{ not json</script>
+    <div itemscope itemtype="https://schema.org/Recipe">
+      <h1 itemprop="name">Tomato soup</h1>
+      <meta itemprop="recipeYield" content="4">
+      <ul><li itemprop="recipeIngredient">4 tomatoes</li><li itemprop="recipeIngredient">1 onion</li></ul>
+      <div itemprop="author" itemscope itemtype="https://schema.org/Person"><span itemprop="name">Ann</span></div>
+      <div itemprop="recipeInstructions"><p>Chop.</p><p>Simmer.</p></div>
+    </div>`;
+  const found = extractRecipe(html);
+  assert.equal(found.format, 'microdata');
+  assert.equal(found.recipe.name, 'Tomato soup');
+  assert.deepEqual(found.recipe.recipeIngredient, ['4 tomatoes', '1 onion']);
+  assert.equal(found.recipe.author.name, 'Ann');
+  assert.equal(found.recipe.recipeInstructions, 'Chop.\nSimmer.');
+});
+
+test('extractRecipe returns null without recipe markup', () => {
+  assert.equal(extractRecipe('<html><body><p>Just a blog post</p></body></html>'), null);
+});
+
+test('buildDraft maps fields into a recipe form body', () => {
+  const draft = buildDraft({
+    recipe: {
+      name: 'Pancakes',
+      description: '<p>Light &amp; fluffy</p>',
+      recipeIngredient: ['2 eggs', '1 cup milk'],
+      recipeInstructions: [
+        { '@type': 'HowToSection', name: 'Batter', itemListElement: [{ '@type': 'HowToStep', text: 'Whisk.' }] },
+        { '@type': 'HowToStep', text: 'Fry.' }
+      ],
+      recipeYield: ['4', '4 servings'],
+      keywords: 'Breakfast, easy',
+      recipeCuisine: 'American',
+      image: [{ '@type': 'ImageObject', url: '/img/pancakes.jpg' }],
+      author: { '@type': 'Person', name: 'Ann' }
+    },
+    meta: { siteName: null, canonicalUrl: null, title: null }
+  }, { pageUrl: 'https://www.example.com/pancakes' });
+
+  assert.equal(draft.body.title, 'Pancakes');
+  assert.equal(draft.body.description, 'Light & fluffy');
+  assert.deepEqual(JSON.parse(draft.body.ingredients), ['2 eggs', '1 cup milk']);
+  assert.deepEqual(JSON.parse(draft.body.instructions), ['Batter: Whisk.', 'Fry.']);
+  assert.deepEqual(JSON.parse(draft.body.tags), ['breakfast', 'easy', 'american']);
+  assert.equal(draft.body.servings, 4);
+  assert.equal(draft.image, 'https://www.example.com/img/pancakes.jpg');
+  assert.deepEqual(draft.source, { url: 'https://www.example.com/pancakes', name: 'example.com', author: 'Ann' });
+  assert.deepEqual(draft.warnings, []);
+});
+
+test('buildDraft trims to the recipe limits and says so', () => {
+  const longStep = `${'Stir the pot gently. '.repeat(25)}Serve.`;
+  const draft = buildDraft({
+    recipe: {
+      name: 'x'.repeat(150),
+      recipeIngredient: Array.from({ length: 25 }, (_, i) => `${i + 1} g thing`),
+      recipeInstructions: [longStep],
+      image: 'javascript:alert(1)'
+    },
+    meta: {}
+  });
+
+  assert.ok(draft.body.title.length <= LIMITS.titleMax);
+  assert.equal(JSON.parse(draft.body.ingredients).length, LIMITS.ingredients);
+  assert.ok(JSON.parse(draft.body.instructions).every(step => step.length <= LIMITS.stepLength));
+  assert.equal(draft.image, null);
+  assert.equal(draft.warnings.length, 3);
+});
+
+test('buildDraft escapes markup that survives as text', () => {
+  const draft = buildDraft({ recipe: { name: 'Pie &lt;script&gt;alert(1)&lt;/script&gt;' }, meta: {} });
+  assert.ok(!draft.body.title.includes('<'));
+});
+
+test('importRecipe uses the configured fetcher for URLs', async (t) => {
+  t.after(() => setFetcher(null));
+  setFetcher({
+    fetch: async (url) => ({ url: `${url}?final`, html: jsonLdPage({ '@type': 'Recipe', name: 'Soup' }) })
+  });
+
+  const result = await importRecipe({ url: 'https://example.com/soup' });
+  assert.equal(result.format, 'json-ld');
+  assert.equal(result.body.title, 'Soup');
+  assert.equal(result.source.url, 'https://example.com/soup?final');
+
+  await assert.rejects(importRecipe({ html: '<p>nothing</p>' }), { status: 422 });
+});
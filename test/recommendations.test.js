@@ -0,0 +1,76 @@
+// backend/test/recommendations.test.js - Similar-recipe scoring
+// Scoring runs in MongoDB; a small evaluator applies the generated similarity
+// stage to sample documents so the maths can be checked without a database.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const { ingredientKeys } = require('../utils/ingredientNames');
+const { similarRecipes } = require('../utils/recommendations');
+
+// Just the aggregation operators the similarity stage uses
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (!expr || typeof expr !== 'object') return expr;
+  if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc));
+  const [[op, rawArgs]] = Object.entries(expr);
+  if (op === '$literal') return rawArgs;
+  const args = [].concat(rawArgs).map(arg => evaluate(arg, doc));
+  switch (op) {
+    case '$add': return args.reduce((sum, value) => sum + value, 0);
+    case '$multiply': return args.reduce((product, value) => product * value, 1);
+    case '$divide': return args[0] / args[1];
+    case '$gt': return args[0] > args[1];
+    case '$cond': return args[0] ? args[1] : args[2];
+    case '$ifNull': return args[0] ?? args[1];
+    case '$size': return args[0].length;
+    case '$setUnion': return [...new Set(args.flat())];
+    case '$setIntersection': return [...new Set(args[0])].filter(value => args[1].includes(value));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const recipe = {
+  _id: new mongoose.Types.ObjectId(),
+  author: new mongoose.Types.ObjectId(),
+  tags: ['soup', 'vegan'],
+  ingredientKeys: ['tomato', 'onion', 'garlic']
+};
+
+const capturePipeline = (t, options) => {
+  const aggregate = t.mock.method(Recipe, 'aggregate', async () => []);
+  similarRecipes(recipe, options);
+  return aggregate.mock.calls[0]?.arguments[0];
+};
+
+test('ingredientKeys are distinct canonical names without staples', () => {
+  assert.deepEqual(ingredientKeys(['Roma Tomatoes', 'tomato', 'salt', 'olive oil', 'fresh cilantro']),
+    ['tomato', 'coriander']);
+});
+
+test('similarRecipes skips the recipe itself, hidden ones and optionally the author', (t) => {
+  const { $match } = capturePipeline(t, { excludeAuthor: true })[0];
+  assert.deepEqual($match.hidden, { $ne: true });
+  assert.deepEqual($match._id, { $ne: recipe._id });
+  assert.deepEqual($match.author, { $ne: recipe.author });
+  assert.deepEqual($match.$or, [{ tags: { $in: recipe.tags } }, { ingredientKeys: { $in: recipe.ingredientKeys } }]);
+});
+
+test('similarity weighs ingredient overlap above tag overlap', (t) => {
+  const stage = capturePipeline(t).find(s => s.$set?.similarity).$set.similarity;
+  const score = (doc) => evaluate(stage, doc);
+
+  assert.equal(score({ tags: ['soup', 'vegan'], ingredientKeys: ['tomato', 'onion', 'garlic'] }), 1);
+  assert.equal(score({ tags: [], ingredientKeys: [] }), 0);
+  assert.ok(Math.abs(score({ tags: ['soup'], ingredientKeys: [] }) - 0.4 * 0.5) < 1e-9);
+  assert.ok(score({ tags: [], ingredientKeys: ['tomato', 'onion', 'garlic'] }) > score({ tags: ['soup', 'vegan'], ingredientKeys: [] }));
+});
+
+test('user-entered values are passed as literals', (t) => {
+  const pipeline = JSON.stringify(capturePipeline(t));
+  assert.ok(pipeline.includes('{"$literal":["soup","vegan"]}'));
+});
+
+test('recipes with no tags or ingredients have no similar recipes', () => {
+  assert.deepEqual(similarRecipes({ _id: recipe._id, tags: [], ingredientKeys: [] }), []);
+});
@@ -0,0 +1,140 @@
+// backend/test/reviews.test.js - Review validation and rating summaries
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const express = require('express');
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const Recipe = require('../models/Recipe');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { cloudinary } = require('../utils/uploads');
+const { signAccessToken } = require('../utils/sessions');
+const { parseRating, parseReviewFields, parsePhotoList, ratingSummary } = require('../utils/reviews');
+
+test('parseRating accepts whole stars from 1 to 5', () => {
+  assert.equal(parseRating('4'), 4);
+  assert.equal(parseRating(5), 5);
+  for (const value of [0, 6, 3.5, 'abc', undefined, null]) {
+    assert.equal(parseRating(value), null, String(value));
+  }
+});
+
+test('parseReviewFields requires a rating unless partial', () => {
+  assert.deepEqual(parseReviewFields({ text: ' Great ' }, { partial: false }), {
+    fields: { text: 'Great' },
+    errors: ['Rating must be a whole number between 1 and 5']
+  });
+  assert.deepEqual(parseReviewFields({ modifications: 'Less sugar' }, { partial: true }), {
+    fields: { modifications: 'Less sugar' },
+    errors: []
+  });
+});
+
+test('parseReviewFields enforces text limits', () => {
+  const { errors } = parseReviewFields({ rating: 3, text: 'x'.repeat(2001), modifications: 'y'.repeat(1001) }, { partial: false });
+  assert.equal(errors.length, 2);
+});
+
+test('parsePhotoList accepts arrays, JSON strings and single URLs', () => {
+  assert.deepEqual(parsePhotoList(['a', 'b']), ['a', 'b']);
+  assert.deepEqual(parsePhotoList('["a","b"]'), ['a', 'b']);
+  assert.deepEqual(parsePhotoList('https://img/x.jpg'), ['https://img/x.jpg']);
+  assert.deepEqual(parsePhotoList(''), []);
+});
+
+test('ratingSummary averages to one decimal with a per-star histogram', () => {
+  assert.deepEqual(ratingSummary([{ value: 5 }, { value: 4 }, { value: 4 }]), {
+    avgRating: 4.3,
+    ratingsCount: 3,
+    ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 }
+  });
+  assert.deepEqual(ratingSummary(), {
+    avgRating: 0,
+    ratingsCount: 0,
+    ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  });
+});
+
+// The review routes with Cloudinary and the models stubbed out
+const app = express();
+app.use('/api/recipes/:id/reviews', require('../routes/reviews'));
+const server = app.listen(0, '127.0.0.1');
+after(() => server.close());
+
+const cook = new User({ username: 'cook', email: 'cook@example.com', password: 'secret-password' });
+const recipe = { _id: new mongoose.Types.ObjectId(), title: 'Soup', author: new mongoose.Types.ObjectId(), ratings: [] };
+const photo = (name) => ({
+  url: `https://res.cloudinary.com/demo/image/upload/v1700000000/recipeverse/recipes/${name}.jpg`,
+  publicId: `recipeverse/recipes/${name}`
+});
+
+const stubRoutes = (t, review = null) => {
+  t.mock.method(Session, 'isActive', async () => true);
+  t.mock.method(User, 'findById', () => ({ select: async () => cook }));
+  t.mock.method(Recipe, 'findById', () => ({ select: () => ({ lean: async () => recipe }) }));
+  t.mock.method(Review, 'findOne', async () => review);
+  t.mock.method(Review, 'findById', () => ({ populate: () => ({ lean: async () => review.toObject() }) }));
+  t.mock.method(Review, 'find', () => ({ distinct: async () => [] }));
+  t.mock.method(Review.prototype, 'save', async function () { return this; });
+  t.mock.method(Review.prototype, 'deleteOne', async () => ({}));
+  t.mock.method(Recipe, 'findOneAndUpdate', () => ({ lean: async () => null }));
+  t.mock.method(Activity, 'deleteMany', async () => ({}));
+  t.mock.method(Notification, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  // Uploads "succeed" under the folder and public_id the storage asks for
+  t.mock.method(cloudinary.uploader, 'upload_stream', (options, callback) => new Writable({
+    write: (chunk, encoding, done) => done(),
+    final: (done) => {
+      const publicId = `${options.folder}/${options.public_id}`;
+      callback(null, { public_id: publicId, secure_url: `https://res.cloudinary.com/demo/image/upload/v1/${publicId}.png` });
+      done();
+    }
+  }));
+  return t.mock.method(cloudinary.uploader, 'destroy', async () => ({ result: 'ok' }));
+};
+
+const send = (method, path, form) => fetch(`http://127.0.0.1:${server.address().port}/api/recipes/${recipe._id}/reviews${path}`, {
+  method,
+  headers: { Authorization: `Bearer ${signAccessToken(cook, new mongoose.Types.ObjectId())}` },
+  body: form
+});
+
+const withPhoto = (fields) => {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  form.append('photos', new Blob([Buffer.from('png')], { type: 'image/png' }), 'dish.png');
+  return form;
+};
+
+test('a rejected review deletes its uploaded photo by public_id', async (t) => {
+  const destroy = stubRoutes(t);
+
+  const res = await send('POST', '/', withPhoto({ text: 'No stars given' }));
+  assert.equal(res.status, 400);
+  assert.equal(destroy.mock.callCount(), 1);
+  assert.match(destroy.mock.calls[0].arguments[0], /^recipeverse\/recipes\/recipe_\d+_\d+$/);
+});
+
+test('removing a photo from a review deletes that photo only', async (t) => {
+  const review = new Review({ recipe: recipe._id, user: cook._id, rating: 4, photos: [photo('a'), photo('b')] });
+  const destroy = stubRoutes(t, review);
+
+  const res = await send('PATCH', `/${review._id}`, withPhoto({ removePhotos: JSON.stringify([photo('a').url]) }));
+  assert.equal(res.status, 200);
+  const { review: presented } = await res.json();
+  assert.equal(presented.photos.length, 2);
+  assert.equal(presented.photos[0], photo('b').url);
+  assert.deepEqual(destroy.mock.calls.map(call => call.arguments[0]), ['recipeverse/recipes/a']);
+});
+
+test('deleting a review deletes its photos', async (t) => {
+  const review = new Review({ recipe: recipe._id, user: cook._id, rating: 4, photos: [photo('a'), photo('b')] });
+  const destroy = stubRoutes(t, review);
+
+  const res = await send('DELETE', `/${review._id}`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(destroy.mock.calls.map(call => call.arguments[0]), ['recipeverse/recipes/a', 'recipeverse/recipes/b']);
+});
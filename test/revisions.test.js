@@ -0,0 +1,62 @@
+// backend/test/revisions.test.js - Recipe snapshots and diffs
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { snapshotOf, changedFields, diffList, diffSnapshots, applySnapshot } = require('../utils/revisions');
+
+const before = snapshotOf({
+  title: 'Soup',
+  ingredients: ['2 onions', '1 l water'],
+  instructions: ['Chop.', 'Boil.', 'Serve.'],
+  tags: ['soup'],
+  servings: 4,
+  image: 'old.jpg'
+});
+
+test('snapshotOf normalises ingredients and fills defaults', () => {
+  assert.equal(before.description, '');
+  assert.deepEqual(before.ingredients[0], { quantity: 2, quantityMax: null, unit: '', item: 'onions', note: '', group: '' });
+  assert.equal(snapshotOf({}).servings, null);
+});
+
+test('changedFields lists only what differs', () => {
+  assert.deepEqual(changedFields(before, { ...before, title: 'Onion soup', servings: 2 }), ['title', 'servings']);
+  assert.deepEqual(changedFields(before, snapshotOf({ ...before })), []);
+});
+
+test('diffList reports added and removed lines in reading order', () => {
+  assert.deepEqual(diffList('instructions', ['Chop.', 'Boil.', 'Serve.'], ['Chop.', 'Fry.', 'Boil.']), [
+    { op: 'equal', value: 'Chop.' },
+    { op: 'added', value: 'Fry.' },
+    { op: 'equal', value: 'Boil.' },
+    { op: 'removed', value: 'Serve.' }
+  ]);
+});
+
+test('diffList compares ingredients by their rendered line', () => {
+  const changes = diffList('ingredients', before.ingredients, snapshotOf({ ingredients: ['2 onions', '2 l water'] }).ingredients);
+  assert.deepEqual(changes.map(change => [change.op, change.value.text]), [
+    ['equal', '2 onions'],
+    ['removed', '1 l water'],
+    ['added', '2 l water']
+  ]);
+});
+
+test('diffSnapshots shows scalars as from/to and lists as changes', () => {
+  const diff = diffSnapshots(before, { ...before, title: 'Onion soup', tags: ['soup', 'vegan'] });
+  assert.deepEqual(diff.title, { from: 'Soup', to: 'Onion soup' });
+  assert.deepEqual(diff.tags.changes.map(change => change.op), ['equal', 'added']);
+  assert.equal(diff.ingredients, undefined);
+});
+
+test('applySnapshot restores everything but the image', () => {
+  const recipe = { title: 'New', image: 'new.jpg', servings: 2 };
+  applySnapshot(recipe, { ...before, servings: null });
+  assert.equal(recipe.title, 'Soup');
+  assert.equal(recipe.image, 'new.jpg');
+  assert.equal(recipe.servings, undefined);
+});
+
+test('snapshotOf keeps legacy group headers out of the ingredients', () => {
+  const snapshot = snapshotOf({ title: 'Pasta', ingredients: ['For the sauce:', '2 tbsp butter'] });
+  assert.deepEqual(snapshot.ingredients.map(e => [e.item, e.group]), [['butter', 'sauce']]);
+});
@@ -0,0 +1,47 @@
+// backend/test/search.test.js - Text search query parsing and highlights
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, highlightRecipe, stem } = require('../utils/search');
+
+test('parseSearchQuery splits words, phrases and exclusions', () => {
+  assert.deepEqual(parseSearchQuery('"Tomato Soup" baking -meat'), {
+    search: '"tomato soup" baking -meat',
+    terms: ['baking'],
+    phrases: ['tomato soup'],
+    excluded: ['meat']
+  });
+});
+
+test('parseSearchQuery strips operators and needs something to search for', () => {
+  assert.equal(parseSearchQuery('$where {} -only').search, 'where -only');
+  assert.equal(parseSearchQuery('-meat -fish'), null);
+  assert.equal(parseSearchQuery('   '), null);
+  assert.equal(parseSearchQuery(Array.from({ length: 20 }, (_, i) => `w${i}`).join(' ')).terms.length, 12);
+});
+
+test('stem folds common English endings', () => {
+  assert.equal(stem('baking'), 'bak');
+  assert.equal(stem('baked'), 'bak');
+  assert.equal(stem('Bake'), 'bak');
+  assert.equal(stem('berries'), 'berry');
+});
+
+test('highlightRecipe marks stemmed matches and escapes the rest', () => {
+  const highlights = highlightRecipe({
+    title: 'Baked <b>tomato</b> soup',
+    description: `${'x'.repeat(100)} we were baking ${'y'.repeat(100)}`,
+    ingredients: [{ item: 'tomato', note: 'diced' }],
+    instructions: ['Bake it']
+  }, parseSearchQuery('baking'));
+
+  assert.deepEqual(highlights.map(h => h.field), ['title', 'description', 'instructions']);
+  assert.equal(highlights[0].snippet, '<mark>Baked</mark> &lt;b&gt;tomato&lt;/b&gt; soup');
+  assert.ok(highlights[1].snippet.startsWith('…'));
+  assert.ok(highlights[1].snippet.endsWith('…'));
+  assert.ok(highlights[1].snippet.includes('<mark>baking</mark>'));
+});
+
+test('highlightRecipe matches phrases across whitespace', () => {
+  const [highlight] = highlightRecipe({ title: 'Tomato   soup' }, parseSearchQuery('"tomato soup"'));
+  assert.equal(highlight.snippet, '<mark>Tomato   soup</mark>');
+});
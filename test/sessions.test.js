@@ -0,0 +1,99 @@
+// backend/test/sessions.test.js - Refresh-token sessions (database calls stubbed)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  hashToken,
+  describeDevice,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('../utils/sessions');
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36' };
+const user = { _id: new mongoose.Types.ObjectId(), username: 'ann', isSuspended: () => false };
+
+test('hashToken is a stable sha256 hex digest', () => {
+  assert.equal(hashToken('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('describeDevice names the browser and system', () => {
+  assert.equal(describeDevice(req.get()), 'Chrome on Windows');
+  assert.equal(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1'), 'Safari on iOS');
+  assert.equal(describeDevice('Mozilla/5.0 (X11; Linux x86_64) Gecko/20100101 Firefox/121.0'), 'Firefox on Linux');
+  assert.equal(describeDevice(''), 'Unknown device');
+});
+
+test('access tokens carry the user and session ids', () => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const payload = verifyAccessToken(signAccessToken(user, sessionId));
+  assert.equal(payload.id, String(user._id));
+  assert.equal(payload.sid, String(sessionId));
+});
+
+test('createSession stores only the hash of the refresh secret', async (t) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const create = t.mock.method(Session, 'create', async (doc) => ({ ...doc, _id: sessionId }));
+
+  const { refreshToken, session } = await createSession(user, req);
+  const [id, secret] = refreshToken.split('.');
+
+  assert.equal(id, String(sessionId));
+  assert.equal(session.tokenHash, hashToken(secret));
+  assert.equal(create.mock.calls[0].arguments[0].device, 'Chrome on Windows');
+});
+
+test('rotateRefreshToken rejects malformed tokens without a lookup', async (t) => {
+  const update = t.mock.method(Session, 'findOneAndUpdate', async () => null);
+  for (const token of [undefined, 'nodot', 'not-an-id.secret', `${new mongoose.Types.ObjectId()}.`]) {
+    await assert.rejects(rotateRefreshToken(token, req), { status: 401 });
+  }
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('rotateRefreshToken swaps the secret and remembers the old hash', async (t) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const update = t.mock.method(Session, 'findOneAndUpdate', async () => ({ _id: sessionId, user: user._id }));
+  t.mock.method(User, 'findById', async () => user);
+
+  const { refreshToken } = await rotateRefreshToken(`${sessionId}.old-secret`, req);
+  const [filter, change] = update.mock.calls[0].arguments;
+
+  assert.equal(filter.tokenHash, hashToken('old-secret'));
+  assert.equal(filter.revokedAt, null);
+  assert.deepEqual(change.$push.rotatedHashes.$each, [hashToken('old-secret')]);
+  assert.equal(change.$set.tokenHash, hashToken(refreshToken.split('.')[1]));
+  assert.notEqual(refreshToken.split('.')[1], 'old-secret');
+});
+
+test('rotateRefreshToken revokes the session when a rotated token is reused', async (t) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const update = t.mock.method(Session, 'findOneAndUpdate', async (filter) =>
+    (filter.rotatedHashes ? { _id: sessionId } : null));
+  t.mock.method(console, 'warn', () => {});
+
+  await assert.rejects(rotateRefreshToken(`${sessionId}.stolen`, req), { status: 401 });
+
+  const [filter, change] = update.mock.calls[1].arguments;
+  assert.equal(filter.rotatedHashes, hashToken('stolen'));
+  assert.equal(change.$set.revokedReason, 'reuse_detected');
+});
+
+test('revokeRefreshToken needs the current secret, not just the session id', async (t) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const update = t.mock.method(Session, 'findOneAndUpdate', async () => null);
+
+  assert.equal(await revokeRefreshToken(String(sessionId)), null);
+  assert.equal(await revokeRefreshToken('garbage.secret'), null);
+  assert.equal(update.mock.callCount(), 0);
+
+  await revokeRefreshToken(`${sessionId}.secret`);
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.equal(String(filter._id), String(sessionId));
+  assert.equal(filter.tokenHash, hashToken('secret'));
+  assert.equal(change.$set.revokedReason, 'logout');
+});
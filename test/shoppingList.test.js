@@ -0,0 +1,106 @@
+// backend/test/shoppingList.test.js - Consolidating recipes into a shopping list
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ShoppingList = require('../models/ShoppingList');
+const { signAccessToken } = require('../utils/sessions');
+const { aisleFor, buildItems, buildManualItem, mergeRegenerated, groupByAisle } = require('../utils/shoppingList');
+
+const sources = [
+  { recipe: { _id: 'r1', title: 'Soup', ingredients: ['2 garlic cloves, minced', '1 cup flour', '2 onions'] }, multiplier: 1 },
+  { recipe: { _id: 'r2', title: 'Stew', ingredients: ['3 cloves garlic', '100 g flour', '1 onion', '1 tbsp olive oil'] }, multiplier: 2 }
+];
+
+test('aisleFor matches whole words, specific names first', () => {
+  assert.equal(aisleFor('peanut butter'), 'pantry');
+  assert.equal(aisleFor('coconut milk'), 'canned goods');
+  assert.equal(aisleFor('onion'), 'produce');
+  assert.equal(aisleFor('pineapple'), 'other');
+});
+
+test('buildItems merges lines naming the same thing and scales them', () => {
+  const items = buildItems(sources);
+  const byKey = Object.fromEntries(items.map(item => [item.key, item]));
+
+  assert.equal(byKey.garlic.text, '8 cloves garlic');
+  assert.equal(byKey.onion.text, '4 onions');
+  assert.equal(byKey['olive oil'].text, '2 tbsp olive oil');
+  assert.deepEqual(byKey.garlic.sources.map(source => source.recipeTitle), ['Soup', 'Stew']);
+});
+
+test('buildItems weighs volumes when another recipe gives a weight', () => {
+  const flour = buildItems(sources).find(item => item.key === 'flour');
+  assert.deepEqual(flour.amounts, [{ quantity: 325, quantityMax: null, unit: 'g' }]);
+  assert.equal(flour.aisle, 'pantry');
+});
+
+test('buildManualItem parses what the user typed', () => {
+  const item = buildManualItem('2 lemons, unwaxed');
+  assert.equal(item.key, 'lemon');
+  assert.equal(item.text, '2 lemons, unwaxed');
+  assert.equal(item.aisle, 'produce');
+  assert.equal(item.manual, true);
+});
+
+test('mergeRegenerated keeps ids, unchanged ticks and manual items', () => {
+  const previous = [
+    { _id: 'i1', key: 'onion', text: '4 onions', checked: true, manual: false },
+    { _id: 'i2', key: 'garlic', text: '5 cloves garlic', checked: true, manual: false },
+    { _id: 'i3', key: 'paper towel', text: 'paper towels', checked: false, manual: true }
+  ];
+  const merged = mergeRegenerated(previous, buildItems(sources));
+  const byKey = Object.fromEntries(merged.map(item => [item.key, item]));
+
+  assert.equal(byKey.onion._id, 'i1');
+  assert.equal(byKey.onion.checked, true);
+  assert.equal(byKey.garlic.checked, false);
+  assert.equal(merged[merged.length - 1]._id, 'i3');
+});
+
+test('groupByAisle follows store order and skips empty aisles', () => {
+  const groups = groupByAisle(buildItems(sources));
+  assert.deepEqual(groups.map(group => group.aisle), ['pantry', 'produce']);
+});
+
+test('buildItems skips the group headers of legacy lists', () => {
+  const items = buildItems([{ recipe: { _id: 'r3', title: 'Pasta', ingredients: ['For the sauce:', '2 tbsp butter'] }, multiplier: 2 }]);
+  assert.deepEqual(items.map(item => item.name), ['butter']);
+  assert.equal(items[0].sources[0].text, '4 tbsp butter');
+});
+
+test('regenerate refuses a recipes value that is not an array', async (t) => {
+  const owner = new User({ username: 'owner', email: 'owner@example.com', password: 'secret-password' });
+  const list = new ShoppingList({
+    owner: owner._id,
+    recipes: [{ recipe: new mongoose.Types.ObjectId(), recipeTitle: 'Soup' }],
+    items: [{ key: 'onion', text: '2 onions' }]
+  });
+  t.mock.method(Session, 'isActive', async () => true);
+  t.mock.method(User, 'findById', () => ({ select: async () => owner }));
+  t.mock.method(ShoppingList, 'findById', async () => list);
+  const save = t.mock.method(list, 'save', async () => list);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/shopping-lists', require('../routes/shoppingLists'));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  after(() => server.close());
+
+  for (const recipes of [{}, null, 'soup']) {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/shopping-lists/${list._id}/regenerate`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${signAccessToken(owner, new mongoose.Types.ObjectId())}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ recipes })
+    });
+    assert.equal(res.status, 400);
+  }
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(list.items.length, 1);
+});
@@ -0,0 +1,106 @@
+// backend/test/trending.test.js - Trending score decay and engagement tallies
+// The scores are computed by MongoDB; a small evaluator runs the generated
+// pipeline stages here so the decay maths can be checked without a database.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const RecipeStat = require('../models/RecipeStat');
+const { WEIGHTS, WINDOWS, recordEngagement, refreshTrending } = require('../utils/trending');
+
+const HOUR = 60 * 60 * 1000;
+
+// Just the aggregation operators the trending stages use
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (!expr || typeof expr !== 'object' || expr instanceof Date) return expr;
+  const [[op, rawArgs]] = Object.entries(expr);
+  const args = [].concat(rawArgs).map(arg => evaluate(arg, doc));
+  switch (op) {
+    case '$add': return args.reduce((sum, value) => sum + value, 0);
+    case '$multiply': return args.reduce((product, value) => product * value, 1);
+    case '$subtract': return args[0] - args[1];
+    case '$divide': return args[0] / args[1];
+    case '$pow': return args[0] ** args[1];
+    case '$max': return Math.max(...args);
+    case '$lt': return args[0] < args[1];
+    case '$cond': return args[0] ? args[1] : args[2];
+    case '$ifNull': return args[0] ?? args[1];
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+// Scores one recipe's buckets the way refreshTrending()'s pipeline would
+const scoreBuckets = async (t, buckets, now) => {
+  let pipeline;
+  t.mock.method(RecipeStat, 'aggregate', (stages) => {
+    pipeline = stages;
+    return { cursor: async function* () {} };
+  });
+  t.mock.method(Recipe, 'countDocuments', async () => 0);
+  await refreshTrending({ dryRun: true, now });
+
+  const [{ $match }, { $project }, { $group }] = pipeline;
+  const rows = buckets
+    .filter(bucket => bucket.hour >= $match.hour.$gte)
+    .map(bucket => ({ age: evaluate($project.age, bucket), points: evaluate($project.points, bucket) }));
+
+  return Object.fromEntries(Object.keys(WINDOWS).map(name => [
+    name,
+    rows.reduce((sum, row) => sum + evaluate($group[name].$sum, row), 0)
+  ]));
+};
+
+const now = new Date('2024-05-06T12:00:00Z');
+const bucketAt = (hoursAgo, counts) => ({ hour: new Date(now.getTime() - (hoursAgo + 0.5) * HOUR), ...counts });
+
+test('a bucket one half-life old counts half', async (t) => {
+  const scores = await scoreBuckets(t, [bucketAt(WINDOWS.day.halfLife, { likes: 2 })], now);
+  assert.equal(scores.day, WEIGHTS.likes);
+  assert.ok(Math.abs(scores.week - 2 * WEIGHTS.likes * 0.5 ** (12 / WINDOWS.week.halfLife)) < 1e-9);
+});
+
+test('interactions are weighted and missing counts are zero', async (t) => {
+  const scores = await scoreBuckets(t, [bucketAt(0, { views: 4, ratings: 1 })], now);
+  assert.equal(scores.day, 4 * WEIGHTS.views + WEIGHTS.ratings);
+});
+
+test('buckets only count inside their window', async (t) => {
+  const scores = await scoreBuckets(t, [
+    bucketAt(30, { likes: 1 }),
+    bucketAt(10 * 24, { likes: 1 }),
+    bucketAt(40 * 24, { likes: 1 })
+  ], now);
+
+  assert.equal(scores.day, 0);
+  assert.ok(scores.week > 0 && scores.week < WEIGHTS.likes);
+  assert.ok(scores.month > scores.week);
+  assert.ok(scores.month < 2 * WEIGHTS.likes);
+});
+
+test('newer engagement outranks the same engagement earlier', async (t) => {
+  const fresh = await scoreBuckets(t, [bucketAt(1, { comments: 1 })], now);
+  const older = await scoreBuckets(t, [bucketAt(20, { comments: 1 })], now);
+  for (const name of Object.keys(WINDOWS)) {
+    assert.ok(fresh[name] > older[name], name);
+  }
+});
+
+test('recordEngagement bumps the current hour and never throws', async (t) => {
+  const recipeId = new mongoose.Types.ObjectId();
+  const update = t.mock.method(RecipeStat, 'updateOne', async () => ({}));
+
+  await recordEngagement(recipeId, 'likes', -1);
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.equal(filter.hour.getTime() % HOUR, 0);
+  assert.deepEqual(change, { $inc: { likes: -1 } });
+  assert.equal(options.upsert, true);
+
+  await recordEngagement(recipeId, 'shares');
+  await recordEngagement(recipeId, 'likes', 0);
+  assert.equal(update.mock.callCount(), 1);
+
+  update.mock.mockImplementation(async () => { throw new Error('down'); });
+  t.mock.method(console, 'error', () => {});
+  await recordEngagement(recipeId, 'views');
+});
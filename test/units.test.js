@@ -0,0 +1,76 @@
+// backend/test/units.test.js - Unit conversion and staple densities
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  VOLUME_ML,
+  findDensity,
+  convertIngredient,
+  addQuantities,
+  convertTemperatures
+} = require('../utils/units');
+
+const perCup = (item) => Math.round(findDensity(item) * VOLUME_ML.cup);
+
+test('findDensity matches staples as whole words, longest first', () => {
+  assert.equal(perCup('brown sugar'), 220);
+  assert.equal(perCup('sugar'), 200);
+  assert.equal(perCup('cream cheese'), 113);
+  assert.equal(perCup('boiling water'), 237);
+  assert.equal(perCup('rolled oats'), 90);
+});
+
+test('findDensity ignores keywords inside other words', () => {
+  assert.equal(findDensity('goats'), null);
+  assert.equal(findDensity('coconuts'), null);
+  assert.equal(findDensity('foil'), null);
+  assert.equal(perCup('goats cheese'), 113);
+});
+
+test('convertIngredient turns cups of flour into grams', () => {
+  const entry = convertIngredient({ quantity: 2, unit: 'cup', item: 'flour' }, 'metric');
+  assert.equal(entry.unit, 'g');
+  assert.equal(entry.quantity, 250);
+  assert.equal(entry.original, '2 cups flour');
+});
+
+test('convertIngredient keeps liquids in ml and spoons in metric', () => {
+  const milk = convertIngredient({ quantity: 1, unit: 'cup', item: 'milk' }, 'metric');
+  assert.equal(milk.unit, 'ml');
+  assert.equal(milk.quantity, 237);
+
+  const spoon = convertIngredient({ quantity: 1, unit: 'tbsp', item: 'sugar' }, 'metric');
+  assert.equal(spoon.unit, 'tbsp');
+});
+
+test('convertIngredient converts weights and ranges to imperial', () => {
+  const entry = convertIngredient({ quantity: 500, quantityMax: 600, unit: 'g', item: 'chicken' }, 'imperial');
+  assert.equal(entry.unit, 'lb');
+  assert.equal(entry.quantity, 1.1);
+  assert.equal(entry.quantityMax, 1.32);
+});
+
+test('convertIngredient leaves unitless entries alone', () => {
+  const entry = convertIngredient({ quantity: 3, unit: '', item: 'eggs' }, 'metric');
+  assert.equal(entry.quantity, 3);
+  assert.equal(entry.original, undefined);
+});
+
+test('addQuantities sums compatible units and keeps others apart', () => {
+  assert.deepEqual(
+    addQuantities([{ quantity: 1, unit: 'cup' }, { quantity: 0.5, unit: 'cup' }]),
+    [{ quantity: 1.5, quantityMax: null, unit: 'cup' }]
+  );
+  assert.deepEqual(
+    addQuantities([{ quantity: 500, unit: 'g' }, { quantity: 1, unit: 'kg' }, { quantity: 2, unit: 'clove' }]),
+    [
+      { quantity: 1.5, quantityMax: null, unit: 'kg' },
+      { quantity: 2, quantityMax: null, unit: 'clove' }
+    ]
+  );
+});
+
+test('convertTemperatures rounds oven temperatures to dial steps', () => {
+  assert.equal(convertTemperatures('Bake at 350°F for 20 minutes', 'metric'), 'Bake at 180°C for 20 minutes');
+  assert.equal(convertTemperatures('Heat to 200 degrees C', 'imperial'), 'Heat to 400°F');
+  assert.equal(convertTemperatures('Bake at 350°F', 'original'), 'Bake at 350°F');
+});
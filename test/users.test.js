@@ -0,0 +1,106 @@
+// backend/test/users.test.js - Follow routes, run through Express with stubbed models
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Recipe = require('../models/Recipe');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { signAccessToken } = require('../utils/sessions');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', require('../routes/users'));
+const server = app.listen(0, '127.0.0.1');
+after(() => server.close());
+
+const newUser = (username) => new User({ username, email: `${username}@example.com`, password: 'secret-password' });
+
+// User.findById for both the auth middleware (.select) and the routes (awaited or .lean())
+const stubUsers = (t, users) => {
+  t.mock.method(Session, 'isActive', async () => true);
+  t.mock.method(User.prototype, 'save', async function () { return this; });
+  t.mock.method(User, 'findById', (id) => {
+    const user = users.find(u => String(u._id) === String(id)) || null;
+    const query = {
+      select: () => query,
+      lean: async () => user?.toObject(),
+      then: (resolve, reject) => Promise.resolve(user).then(resolve, reject)
+    };
+    return query;
+  });
+};
+
+const stubNotifications = (t) => ({
+  updateOne: t.mock.method(Notification, 'updateOne', async () => ({ matchedCount: 0, modifiedCount: 0 })),
+  create: t.mock.method(Notification, 'create', async () => ({})),
+  findOne: t.mock.method(Notification, 'findOne', () => ({ populate() { return this; }, lean: async () => null })),
+  deleteOne: t.mock.method(Notification, 'deleteOne', async () => ({}))
+});
+
+const call = (as, path, method = 'GET') => fetch(`http://127.0.0.1:${server.address().port}/api/users${path}`, {
+  method,
+  headers: { Authorization: `Bearer ${signAccessToken(as, new mongoose.Types.ObjectId())}` }
+});
+const follow = (as, targetId) => call(as, `/${targetId}/follow`, 'POST');
+
+test('POST /:id/follow follows and a second call unfollows', async (t) => {
+  const ann = newUser('ann');
+  const ben = newUser('ben');
+  stubUsers(t, [ann, ben]);
+  stubNotifications(t);
+
+  let res = await follow(ann, ben._id);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { following: true, followersCount: 1, followingCount: 1 });
+  assert.deepEqual(ann.following.map(String), [String(ben._id)]);
+  assert.deepEqual(ben.followers.map(String), [String(ann._id)]);
+
+  res = await follow(ann, ben._id);
+  assert.deepEqual(await res.json(), { following: false, followersCount: 0, followingCount: 0 });
+  assert.equal(ann.following.length, 0);
+});
+
+test('following notifies the followed user and unfollowing takes it back', async (t) => {
+  const ann = newUser('ann');
+  const ben = newUser('ben');
+  stubUsers(t, [ann, ben]);
+  const { create, updateOne } = stubNotifications(t);
+
+  await follow(ann, ben._id);
+  const [created] = create.mock.calls[0].arguments;
+  assert.equal(created.type, 'follow');
+  assert.equal(String(created.recipient), String(ben._id));
+  assert.deepEqual(created.members.map(String), [String(ann._id)]);
+
+  await follow(ann, ben._id);
+  const [filter, change] = updateOne.mock.calls.at(-1).arguments;
+  assert.equal(String(filter.members), String(ann._id));
+  assert.deepEqual(change.$inc, { actorCount: -1 });
+});
+
+test('POST /:id/follow rejects yourself, bad ids and unknown users', async (t) => {
+  const ann = newUser('ann');
+  stubUsers(t, [ann]);
+  stubNotifications(t);
+
+  assert.equal((await follow(ann, ann._id)).status, 400);
+  assert.equal((await follow(ann, 'not-an-id')).status, 400);
+  assert.equal((await follow(ann, new mongoose.Types.ObjectId())).status, 404);
+  assert.equal(ann.following.length, 0);
+});
+
+test('the following feed reads recipes by people followed through the route', async (t) => {
+  const ann = newUser('ann');
+  const ben = newUser('ben');
+  stubUsers(t, [ann, ben]);
+  stubNotifications(t);
+  const aggregate = t.mock.method(Recipe, 'aggregate', async () => []);
+
+  await follow(ann, ben._id);
+  const res = await call(ann, '/me/feed');
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).followingCount, 1);
+  assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match.author.$in.map(String), [String(ben._id)]);
+});
@@ -0,0 +1,26 @@
+// backend/utils/activity.js - Records likes, comments and ratings for feeds
+// Best effort: a failed write is logged and never fails the user's request.
+const Activity = require('../models/Activity');
+
+const logFailure = (err) => console.error('🚨 Activity write failed:', err.message);
+
+/**
+ * Records (or refreshes) an activity. Likes and ratings are one-per-person, so
+ * liking again or changing a rating moves the existing entry to "now".
+ */
+const recordActivity = ({ actor, type, recipe, comment, rating }) => {
+  const base = { actor, type, recipe: recipe._id };
+  const fields = { recipeAuthor: recipe.author, comment, rating, createdAt: new Date() };
+
+  const write = type === 'comment'
+    ? Activity.create({ ...base, ...fields })
+    : Activity.updateOne(base, { $set: fields }, { upsert: true });
+  return write.catch(logFailure);
+};
+
+const removeActivity = (filter) => Activity.deleteMany(filter).catch(logFailure);
+
+module.exports = {
+  recordActivity,
+  removeActivity
+};
@@ -0,0 +1,95 @@
+// backend/utils/collections.js - Access rules and response shapes for cookbooks
+const Recipe = require('../models/Recipe');
+const { isOwner } = require('./permissions');
+
+const findCollaborator = (collection, user) => !!user && (collection.collaborators || [])
+  .find(c => String(c.user?._id || c.user) === String(user.id));
+
+/**
+ * What the viewer is to this collection: 'owner', 'collaborator', 'invited' or null.
+ */
+const roleFor = (collection, user) => {
+  if (isOwner(user, collection.owner)) return 'owner';
+  const collaborator = findCollaborator(collection, user);
+  if (!collaborator) return null;
+  return collaborator.status === 'accepted' ? 'collaborator' : 'invited';
+};
+
+// Invitees may look before deciding; only the owner and accepted collaborators edit
+const canView = (collection, user) =>
+  collection.visibility === 'public' || !!roleFor(collection, user);
+
+const canContribute = (collection, user) =>
+  ['owner', 'collaborator'].includes(roleFor(collection, user));
+
+const summarize = (collection, viewer, cover = '') => ({
+  id: collection._id,
+  title: collection.title,
+  description: collection.description,
+  coverImage: collection.coverImage || cover,
+  visibility: collection.visibility,
+  position: collection.position,
+  owner: collection.owner,
+  recipesCount: collection.recipes?.length || 0,
+  collaborators: (collection.collaborators || []).map(c => ({
+    user: c.user,
+    status: c.status,
+    invitedAt: c.invitedAt,
+    acceptedAt: c.acceptedAt
+  })),
+  role: roleFor(collection, viewer),
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+/**
+ * List view for several (lean) collections. Collections without their own
+ * cover borrow the image of their first visible recipe - looked up in one query.
+ */
+const summarizeCollections = async (collections, viewer) => {
+  const firstIds = collections
+    .filter(c => !c.coverImage)
+    .flatMap(c => (c.recipes || []).slice(0, 4).map(e => e.recipe));
+
+  const images = new Map();
+  if (firstIds.length) {
+    const recipes = await Recipe.find({ _id: { $in: firstIds }, hidden: { $ne: true }, image: { $nin: [null, ''] } })
+      .select('image')
+      .lean();
+    recipes.forEach(r => images.set(String(r._id), r.image));
+  }
+
+  return collections.map(collection => {
+    const cover = (collection.recipes || [])
+      .map(e => images.get(String(e.recipe)))
+      .find(Boolean);
+    return summarize(collection, viewer, cover);
+  });
+};
+
+/**
+ * The collection's entries with the `visible` ones (a Set of recipe id
+ * strings) rearranged into the order of `recipeIds`. Entries the caller can't
+ * see - hidden or deleted recipes - keep their positions. Returns null unless
+ * recipeIds lists every visible recipe exactly once.
+ */
+const reorderVisible = (entries, visible, recipeIds) => {
+  const requested = recipeIds.map(String);
+  if (new Set(requested).size !== requested.length || requested.length !== visible.size ||
+      requested.some(id => !visible.has(id))) {
+    return null;
+  }
+
+  const byId = new Map(entries.map(entry => [String(entry.recipe), entry]));
+  let next = 0;
+  return entries.map(entry => (visible.has(String(entry.recipe)) ? byId.get(requested[next++]) : entry));
+};
+
+module.exports = {
+  roleFor,
+  canView,
+  canContribute,
+  summarize,
+  summarizeCollections,
+  reorderVisible
+};
@@ -0,0 +1,228 @@
+// backend/utils/comments.js - Comment threads, @mentions and visible counts
+// Recipe.commentsCount and Comment.repliesCount count comments other people
+// can see, so hiding or unhiding a comment moves them too.
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { hasPermission } = require('./permissions');
+const { encodeCursor, olderThan, keysetAfter } = require('./cursor');
+const { removeActivity } = require('./activity');
+const { adjustComments } = require('./counters');
+
+const SORTS = ['newest', 'top'];
+const MAX_MENTIONS = 10;
+const REPLY_PREVIEW = 3;
+
+// "@ana", "(@ben_c)" - but not "me@example.com"
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]{3,30})/g;
+
+/**
+ * Usernames mentioned in `text`, in order of appearance, without duplicates.
+ */
+const extractMentions = (text) => {
+  const names = [];
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(/[.-]+$/, ''); // "@ana." ends a sentence
+    if (name.length >= 3 && !names.includes(name)) names.push(name);
+  }
+  return names.slice(0, MAX_MENTIONS);
+};
+
+/**
+ * Accounts mentioned in `text` as [{ _id, username }]. Unknown names are
+ * plain text.
+ */
+const resolveMentions = async (text) => {
+  const names = extractMentions(text);
+  if (!names.length) return [];
+  return User.find({ username: { $in: names }, hidden: { $ne: true } })
+    .select('username')
+    .lean();
+};
+
+// Hidden comments stay visible to their writer and to moderators
+const visibilityFilter = (viewer) => {
+  if (hasPermission(viewer, 'content.viewHidden')) return {};
+  if (!viewer) return { hidden: { $ne: true } };
+  return { $or: [{ hidden: { $ne: true } }, { user: viewer.id }] };
+};
+
+const populateComment = (query) => query
+  .select('-likes')
+  .populate('user', 'username avatar')
+  .populate('mentions', 'username');
+
+/**
+ * Response shape for comments. `liked` says whether the viewer liked each one.
+ */
+const presentComments = async (comments, viewer) => {
+  const liked = viewer && comments.length
+    ? new Set((await Comment.find({ _id: { $in: comments.map(c => c._id) }, likes: viewer.id })
+      .distinct('_id')).map(String))
+    : new Set();
+
+  return comments.map(comment => ({
+    _id: comment._id,
+    recipe: comment.recipe,
+    parent: comment.parent,
+    user: comment.user || { username: 'Unknown' },
+    text: comment.text,
+    mentions: comment.mentions || [],
+    likesCount: comment.likesCount || 0,
+    liked: liked.has(String(comment._id)),
+    ...(comment.parent ? {} : { repliesCount: comment.repliesCount || 0 }),
+    edited: !!comment.editedAt,
+    editedAt: comment.editedAt,
+    hidden: !!comment.hidden,
+    createdAt: comment.createdAt
+  }));
+};
+
+// Cursor position → query fragment, or null when it doesn't fit the sort
+const positionFilter = (sort, cursor) => {
+  if (!mongoose.isValidObjectId(cursor.id)) return null;
+  if (sort === 'top') {
+    if (cursor.s !== 'top' || !Number.isFinite(cursor.v)) return null;
+    return keysetAfter('likesCount', cursor.v, new mongoose.Types.ObjectId(cursor.id));
+  }
+  if (sort === 'replies') {
+    const at = new Date(cursor.t);
+    if (isNaN(at)) return null;
+    return keysetAfter('createdAt', at, new mongoose.Types.ObjectId(cursor.id), 1);
+  }
+  if (cursor.s !== 'newest') return null;
+  const filter = olderThan(cursor);
+  return Object.keys(filter).length ? filter : null;
+};
+
+const positionOf = (sort, comment) => (sort === 'top'
+  ? { s: 'top', v: comment.likesCount || 0, id: String(comment._id) }
+  : { ...(sort === 'newest' ? { s: 'newest' } : {}), t: comment.createdAt.toISOString(), id: String(comment._id) });
+
+const SORT_SPECS = {
+  newest: { createdAt: -1, _id: -1 },
+  top: { likesCount: -1, _id: -1 },
+  replies: { createdAt: 1, _id: 1 }
+};
+
+// One keyset page; `cursor` is a decoded cursor state or null for the first page
+const loadPage = async ({ match, sort, cursor, limit, viewer }) => {
+  const clauses = [match, visibilityFilter(viewer)];
+  if (cursor) {
+    const position = positionFilter(sort, cursor);
+    if (!position) return null;
+    clauses.push(position);
+  }
+
+  const docs = await populateComment(Comment.find({ $and: clauses }))
+    .sort(SORT_SPECS[sort])
+    .limit(limit + 1)
+    .lean();
+
+  const page = docs.slice(0, limit);
+  return {
+    docs: page,
+    nextCursor: docs.length > limit ? encodeCursor(positionOf(sort, page[page.length - 1])) : null
+  };
+};
+
+/**
+ * Top-level comments on a recipe, each with its first few replies.
+ * Returns { comments, nextCursor }, or null when `cursor` (decoded) doesn't
+ * belong to this sort.
+ */
+const loadThreads = async ({ recipeId, viewer, sort = 'newest', cursor = null, limit = 20 }) => {
+  const page = await loadPage({ match: { recipe: recipeId, parent: null }, sort, cursor, limit, viewer });
+  if (!page) return null;
+
+  const replies = await Promise.all(page.docs.map(comment =>
+    loadPage({ match: { parent: comment._id }, sort: 'replies', cursor: null, limit: REPLY_PREVIEW, viewer })
+  ));
+
+  const comments = await presentComments(page.docs, viewer);
+  const presented = await Promise.all(replies.map(r => presentComments(r.docs, viewer)));
+
+  return {
+    comments: comments.map((comment, i) => ({
+      ...comment,
+      replies: presented[i],
+      repliesCursor: replies[i].nextCursor
+    })),
+    nextCursor: page.nextCursor
+  };
+};
+
+/**
+ * Replies to one comment, oldest first. Same return shape as loadThreads().
+ */
+const loadReplies = async ({ parentId, viewer, cursor = null, limit = 20 }) => {
+  const page = await loadPage({ match: { parent: parentId }, sort: 'replies', cursor, limit, viewer });
+  if (!page) return null;
+  return { comments: await presentComments(page.docs, viewer), nextCursor: page.nextCursor };
+};
+
+// A comment's visibility moved by `delta` (+1 shown, -1 gone or hidden)
+const adjustCounts = async (comment, delta) => {
+  await adjustComments(comment.recipe, delta);
+  if (comment.parent) {
+    await Comment.updateOne({ _id: comment.parent }, { $inc: { repliesCount: delta } });
+  }
+};
+
+/**
+ * Deletes a comment and, for a top-level comment, its replies. Keeps the
+ * counters and feeds in step. Returns the ids that were removed.
+ */
+const removeComment = async (comment) => {
+  const replies = comment.parent
+    ? []
+    : await Comment.find({ parent: comment._id }).select('hidden').lean();
+  const ids = [comment._id, ...replies.map(r => r._id)];
+
+  await Comment.deleteMany({ _id: { $in: ids } });
+  await removeActivity({ type: 'comment', comment: { $in: ids } });
+
+  const visible = [comment, ...replies].filter(c => !c.hidden).length;
+  if (visible) await adjustComments(comment.recipe, -visible);
+  if (comment.parent && !comment.hidden) {
+    await Comment.updateOne({ _id: comment.parent }, { $inc: { repliesCount: -1 } });
+  }
+  return ids;
+};
+
+/**
+ * Hides or shows a comment (moderation). Returns false if it's already in
+ * that state or gone.
+ */
+/**
+ * Update that hides content (recording when and why) or lifts the hide.
+ * Shared with the moderation helpers for recipes and profiles.
+ */
+const hiddenUpdate = (hidden, reason) => (hidden
+  ? { $set: { hidden: true, hiddenAt: new Date(), hiddenReason: reason } }
+  : { $set: { hidden: false }, $unset: { hiddenAt: 1, hiddenReason: 1 } });
+
+const setCommentHidden = async (commentId, hidden, reason) => {
+  const comment = await Comment.findOneAndUpdate(
+    { _id: commentId, hidden: hidden ? { $ne: true } : true },
+    hiddenUpdate(hidden, reason)
+  ).lean();
+  if (!comment) return false;
+  await adjustCounts(comment, hidden ? -1 : 1);
+  return true;
+};
+
+module.exports = {
+  SORTS,
+  extractMentions,
+  resolveMentions,
+  visibilityFilter,
+  populateComment,
+  presentComments,
+  loadThreads,
+  loadReplies,
+  adjustCounts,
+  removeComment,
+  hiddenUpdate,
+  setCommentHidden
+};
@@ -0,0 +1,298 @@
+// backend/utils/counters.js - Denormalised engagement counters
+// Recipe.likesCount / ratingsCount / ratingSum / avgRating / commentsCount and
+// User.recipesCount / totalLikes are kept in step with single atomic updates,
+// so concurrent clicks can't overwrite each other. reconcileRecipes() and
+// reconcileUsers() recompute them from the source data and repair any drift
+// (see scripts/reconcile-counters.js).
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const { recordEngagement } = require('./trending');
+
+const BATCH_SIZE = 200;
+
+// List projections read these instead of counting embedded arrays
+const CARD_COUNTERS = {
+  avgRating: { $round: [{ $ifNull: ['$avgRating', 0] }, 1] },
+  ratingsCount: { $ifNull: ['$ratingsCount', 0] },
+  likesCount: { $ifNull: ['$likesCount', 0] },
+  commentsCount: { $ifNull: ['$commentsCount', 0] },
+  forksCount: { $ifNull: ['$forksCount', 0] }
+};
+
+// Update-pipeline stages deriving the rating totals from `ratings` in the same write
+const RATING_TOTALS = [
+  {
+    $set: {
+      ratingsCount: { $size: { $ifNull: ['$ratings', []] } },
+      ratingSum: { $sum: { $ifNull: ['$ratings.value', []] } }
+    }
+  },
+  {
+    $set: {
+      avgRating: {
+        $cond: [{ $gt: ['$ratingsCount', 0] }, { $divide: ['$ratingSum', '$ratingsCount'] }, 0]
+      }
+    }
+  }
+];
+
+const objectId = (id) => new mongoose.Types.ObjectId(String(id));
+const RATING_PROJECTION = { author: 1, ratings: 1, ratingsCount: 1, avgRating: 1 };
+
+/**
+ * Likes or unlikes `recipeId` for `userId`, whichever applies.
+ * Returns { liked, likesCount, recipe: { _id, author } } or null when the
+ * recipe is gone.
+ */
+const toggleLike = async (recipeId, userId) => {
+  const added = await Recipe.findOneAndUpdate(
+    { _id: recipeId, likes: { $ne: userId } },
+    { $addToSet: { likes: userId }, $inc: { likesCount: 1 } },
+    { new: true, projection: { author: 1, likesCount: 1 } }
+  ).lean();
+  if (added) {
+    await User.updateOne({ _id: added.author }, { $inc: { totalLikes: 1 } });
+    await recordEngagement(recipeId, 'likes', 1);
+    return { liked: true, likesCount: added.likesCount, recipe: added };
+  }
+
+  const removed = await Recipe.findOneAndUpdate(
+    { _id: recipeId, likes: userId },
+    { $pull: { likes: userId }, $inc: { likesCount: -1 } },
+    { new: true, projection: { author: 1, likesCount: 1 } }
+  ).lean();
+  if (removed) {
+    await User.updateOne({ _id: removed.author }, { $inc: { totalLikes: -1 } });
+    // Taken back too, so like/unlike loops can't pump the trending score
+    await recordEngagement(recipeId, 'likes', -1);
+    return { liked: false, likesCount: removed.likesCount, recipe: removed };
+  }
+  return null;
+};
+
+const replaceRating = (recipeId, userId, value) => Recipe.findOneAndUpdate(
+  { _id: recipeId, 'ratings.user': userId },
+  [
+    {
+      $set: {
+        ratings: {
+          $map: {
+            input: '$ratings',
+            as: 'r',
+            in: {
+              $cond: [
+                { $eq: ['$$r.user', objectId(userId)] },
+                { $mergeObjects: ['$$r', { value }] },
+                '$$r'
+              ]
+            }
+          }
+        }
+      }
+    },
+    ...RATING_TOTALS
+  ],
+  { new: true, projection: RATING_PROJECTION }
+).lean();
+
+/**
+ * Sets `userId`'s stars on a recipe (adding or changing them) and refreshes
+ * the totals in the same write. Returns the updated recipe's ratings and
+ * totals, or null when it's gone.
+ */
+const setRating = async (recipeId, userId, value) => {
+  const changed = await replaceRating(recipeId, userId, value);
+  if (changed) return changed;
+
+  const added = await Recipe.findOneAndUpdate(
+    { _id: recipeId, 'ratings.user': { $ne: userId } },
+    [
+      {
+        $set: {
+          ratings: {
+            $concatArrays: [
+              { $ifNull: ['$ratings', []] },
+              [{ _id: new mongoose.Types.ObjectId(), user: objectId(userId), value }]
+            ]
+          }
+        }
+      },
+      ...RATING_TOTALS
+    ],
+    { new: true, projection: RATING_PROJECTION }
+  ).lean();
+  if (added) {
+    await recordEngagement(recipeId, 'ratings', 1);
+    return added;
+  }
+
+  // Lost a race with another request from the same person
+  return replaceRating(recipeId, userId, value);
+};
+
+/**
+ * Takes `userId`'s stars off a recipe. Same return value as setRating().
+ */
+const removeRating = async (recipeId, userId) => {
+  const removed = await Recipe.findOneAndUpdate(
+    { _id: recipeId, 'ratings.user': userId },
+    [
+      {
+        $set: {
+          ratings: {
+            $filter: {
+              input: '$ratings',
+              as: 'r',
+              cond: { $ne: ['$$r.user', objectId(userId)] }
+            }
+          }
+        }
+      },
+      ...RATING_TOTALS
+    ],
+    { new: true, projection: RATING_PROJECTION }
+  ).lean();
+  if (removed) {
+    // Taken back like likes are, so rate/unrate loops can't pump trending
+    await recordEngagement(recipeId, 'ratings', -1);
+    return removed;
+  }
+
+  // Nothing of theirs to take off - report the totals as they stand
+  return Recipe.findById(recipeId).select(RATING_PROJECTION).lean();
+};
+
+/**
+ * Moves a recipe's visible comment count by `delta`; returns the new count.
+ */
+const adjustComments = async (recipeId, delta) => {
+  const recipe = await Recipe.findByIdAndUpdate(
+    recipeId,
+    { $inc: { commentsCount: delta } },
+    { new: true, projection: { commentsCount: 1 } }
+  ).lean();
+  if (recipe) await recordEngagement(recipeId, 'comments', delta);
+  return recipe?.commentsCount || 0;
+};
+
+const recipeCreated = (authorId) =>
+  User.updateOne({ _id: authorId }, { $inc: { recipesCount: 1 } });
+
+// Called with the deleted recipe document: its likes leave the author's total too
+const recipeDeleted = (recipe) => User.updateOne(
+  { _id: recipe.author },
+  { $inc: { recipesCount: -1, totalLikes: -(recipe.likes?.length || 0) } }
+);
+
+/**
+ * Recomputes every recipe's counters from its likes, ratings and comments
+ * and fixes the ones that drifted. Returns { checked, repaired }.
+ */
+const reconcileRecipes = async ({ dryRun = false } = {}) => {
+  let checked = 0;
+  let repaired = 0;
+  let batch = [];
+
+  const flush = async () => {
+    const ids = batch.map(r => r._id);
+    const comments = await Comment.aggregate([
+      { $match: { recipe: { $in: ids }, hidden: { $ne: true } } },
+      { $group: { _id: '$recipe', count: { $sum: 1 } } }
+    ]);
+    const commentsById = new Map(comments.map(c => [String(c._id), c.count]));
+
+    const ops = [];
+    for (const recipe of batch) {
+      const ratings = recipe.ratings || [];
+      const ratingSum = ratings.reduce((sum, r) => sum + (r.value || 0), 0);
+      const expected = {
+        likesCount: recipe.likes?.length || 0,
+        ratingsCount: ratings.length,
+        ratingSum,
+        avgRating: ratings.length ? ratingSum / ratings.length : 0,
+        commentsCount: commentsById.get(String(recipe._id)) || 0
+      };
+      const drifted = Object.keys(expected).some(key => recipe[key] !== expected[key]);
+      if (drifted) {
+        ops.push({ updateOne: { filter: { _id: recipe._id }, update: { $set: expected } } });
+      }
+    }
+
+    if (ops.length && !dryRun) await Recipe.bulkWrite(ops, { ordered: false });
+    checked += batch.length;
+    repaired += ops.length;
+    batch = [];
+  };
+
+  const cursor = Recipe.find()
+    .select('likes ratings likesCount ratingsCount ratingSum avgRating commentsCount')
+    .lean()
+    .cursor();
+  for await (const recipe of cursor) {
+    batch.push(recipe);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+
+  return { checked, repaired };
+};
+
+/**
+ * Recomputes User.recipesCount and User.totalLikes from the recipes
+ * collection and fixes the ones that drifted. Returns { checked, repaired }.
+ */
+const reconcileUsers = async ({ dryRun = false } = {}) => {
+  const totals = await Recipe.aggregate([
+    {
+      $group: {
+        _id: '$author',
+        recipesCount: { $sum: 1 },
+        totalLikes: { $sum: { $size: { $ifNull: ['$likes', []] } } }
+      }
+    }
+  ]);
+  const totalsById = new Map(totals.map(t => [String(t._id), t]));
+
+  let checked = 0;
+  let repaired = 0;
+  let ops = [];
+
+  const cursor = User.find().select('recipesCount totalLikes').lean().cursor();
+  for await (const user of cursor) {
+    const expected = totalsById.get(String(user._id)) || { recipesCount: 0, totalLikes: 0 };
+    checked++;
+    if ((user.recipesCount || 0) !== expected.recipesCount || (user.totalLikes || 0) !== expected.totalLikes) {
+      ops.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: { recipesCount: expected.recipesCount, totalLikes: expected.totalLikes } }
+        }
+      });
+    }
+    if (ops.length >= BATCH_SIZE) {
+      if (!dryRun) await User.bulkWrite(ops, { ordered: false });
+      repaired += ops.length;
+      ops = [];
+    }
+  }
+  if (ops.length) {
+    if (!dryRun) await User.bulkWrite(ops, { ordered: false });
+    repaired += ops.length;
+  }
+
+  return { checked, repaired };
+};
+
+module.exports = {
+  CARD_COUNTERS,
+  toggleLike,
+  setRating,
+  removeRating,
+  adjustComments,
+  recipeCreated,
+  recipeDeleted,
+  reconcileRecipes,
+  reconcileUsers
+};
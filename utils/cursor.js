@@ -0,0 +1,171 @@
+// backend/utils/cursor.js - Opaque pagination cursors
+// Cursors are base64url-encoded JSON so clients treat them as tokens, not API.
+const mongoose = require('mongoose');
+
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+/**
+ * Decodes a cursor from a query string. Returns the state object, or null
+ * when it's missing or has been tampered with.
+ */
+const decodeCursor = (raw) => {
+  if (!raw) return null;
+  try {
+    const state = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Query fragment for documents strictly older than the (createdAt, _id)
+ * position { t, id }, matching a { createdAt: -1, _id: -1 } sort.
+ */
+const olderThan = (position) => {
+  if (!position?.t || !mongoose.isValidObjectId(position.id)) return {};
+  const at = new Date(position.t);
+  if (isNaN(at)) return {};
+  const id = new mongoose.Types.ObjectId(position.id);
+  return { $or: [{ createdAt: { $lt: at } }, { createdAt: at, _id: { $lt: id } }] };
+};
+
+/**
+ * Query fragment for documents past the (field, _id) position in a
+ * { [field]: direction, _id: direction } sort. Callers validate the values.
+ */
+const keysetAfter = (field, value, id, direction = -1) => {
+  const op = direction < 0 ? '$lt' : '$gt';
+  return { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] };
+};
+
+// Newest first, ties broken by id - the same order as olderThan()
+const compareNewestFirst = (a, b) =>
+  (new Date(b.createdAt) - new Date(a.createdAt)) || String(b._id).localeCompare(String(a._id));
+
+// ---------------------------------------------------------------------------
+// 📄 List endpoints: ?page= (offset, the original mode) or ?after= / ?before=
+// tokens holding the sort value and _id of the row they point at.
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Sort values survive the JSON round trip: dates are tagged, missing values are null
+const packValue = (value) => (value instanceof Date ? { date: value.toISOString() } : value ?? null);
+
+const unpackValue = (packed) => {
+  if (packed === null || typeof packed === 'number' || typeof packed === 'string') return packed;
+  const date = new Date(packed?.date);
+  return packed?.date && !isNaN(date) ? date : undefined;
+};
+
+/**
+ * Token for a row's position in the list order named `sort` (e.g.
+ * "createdAt:-1"), so it can't be replayed against a different order.
+ */
+const positionCursor = (sort, value, id) =>
+  encodeCursor({ s: sort, v: packValue(value), id: String(id) });
+
+/**
+ * Decodes a positionCursor() token. Returns { value, id } or null when it's
+ * invalid or belongs to another order.
+ */
+const readPosition = (raw, sort) => {
+  const state = decodeCursor(raw);
+  if (!state || state.s !== sort || !mongoose.isValidObjectId(state.id)) return null;
+  const value = unpackValue(state.v);
+  if (value === undefined) return null;
+  return { value, id: new mongoose.Types.ObjectId(state.id) };
+};
+
+/**
+ * Query fragment for rows past `position` in a { [field]: direction,
+ * _id: direction } sort. Missing values sort lowest, as they do in MongoDB.
+ */
+const keysetFilter = (field, direction, { value, id }) => {
+  const op = direction < 0 ? '$lt' : '$gt';
+  if (value === null) {
+    return direction < 0
+      ? { [field]: null, _id: { $lt: id } }
+      : { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+  }
+  const clauses = [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }];
+  if (direction < 0) clauses.push({ [field]: null });
+  return { $or: clauses };
+};
+
+/**
+ * Reads ?page / ?after / ?before / ?limit / ?includeTotal for a list in the
+ * order named `sort`. Cursor mode skips the total count unless it's asked
+ * for; page mode counts unless includeTotal=false. Throws with err.status = 400.
+ */
+const parsePaging = (query, { sort, defaultLimit = 12, maxLimit = 50 }) => {
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit) || defaultLimit));
+  if (query.after && query.before) {
+    throw httpError(400, 'Use either after or before, not both');
+  }
+
+  const raw = query.after || query.before;
+  if (raw || query.paginate === 'cursor') {
+    const position = raw ? readPosition(raw, sort) : null;
+    if (raw && !position) throw httpError(400, 'Invalid cursor');
+    return { mode: 'cursor', limit, position, backwards: !!query.before, includeTotal: query.includeTotal === 'true' };
+  }
+
+  const page = Math.max(1, parseInt(query.page) || 1);
+  return { mode: 'page', limit, page, skip: (page - 1) * limit, includeTotal: query.includeTotal !== 'false' };
+};
+
+/**
+ * Trims rows fetched with `limit + 1` to the page and builds the response's
+ * pagination block. `valueOf(row)` is the row's sort value.
+ */
+const pageResult = (rows, paging, { sort, valueOf, total = null }) => {
+  const hasMore = rows.length > paging.limit;
+  const items = rows.slice(0, paging.limit);
+  const cursorOf = (row) => (row ? positionCursor(sort, valueOf(row), row._id) : null);
+
+  if (paging.mode === 'page') {
+    return {
+      items,
+      pagination: {
+        page: paging.page,
+        limit: paging.limit,
+        total,
+        pages: total === null ? null : Math.ceil(total / paging.limit),
+        hasNext: hasMore,
+        hasPrev: paging.page > 1,
+        nextCursor: hasMore ? cursorOf(items[items.length - 1]) : null
+      }
+    };
+  }
+
+  // `before` pages were read in reverse
+  if (paging.backwards) items.reverse();
+  const hasNext = paging.backwards ? true : hasMore;
+  const hasPrev = paging.backwards ? hasMore : !!paging.position;
+
+  return {
+    items,
+    pagination: {
+      limit: paging.limit,
+      total,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext ? cursorOf(items[items.length - 1]) : null,
+      prevCursor: hasPrev ? cursorOf(items[0]) : null
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  keysetAfter,
+  compareNewestFirst,
+  positionCursor,
+  readPosition,
+  keysetFilter,
+  parsePaging,
+  pageResult
+};
@@ -0,0 +1,60 @@
+// backend/utils/emailVerification.js - Verification tokens & the "verified email" policy
+const crypto = require('crypto');
+const User = require('../models/User');
+const { hashToken } = require('./sessions');
+const { sendTemplate, frontendUrl } = require('./mail');
+
+const POLICY_ACTIONS = ['recipes', 'comments'];
+
+// EMAIL_VERIFICATION_REQUIRED_FOR=recipes,comments (default) | none
+const requiredActions = () => {
+  const raw = process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? POLICY_ACTIONS.join(',');
+  return raw.split(',').map(a => a.trim()).filter(a => POLICY_ACTIONS.includes(a));
+};
+
+const isVerificationRequired = (action) => requiredActions().includes(action);
+
+/**
+ * Stores a fresh verification token for the user's current email (replacing
+ * any earlier one) and emails the link.
+ */
+const sendVerificationEmail = async (user) => {
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      emailVerified: false,
+      'emailVerification.tokenHash': hashToken(token),
+      'emailVerification.expiresAt': new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    }
+  });
+
+  await sendTemplate('verifyEmail', user.email, {
+    username: user.username,
+    verifyUrl: frontendUrl(`/verify-email?token=${token}`),
+    expiresInHours
+  });
+};
+
+/**
+ * Marks the account owning `token` as verified. Returns the user or null.
+ */
+const confirmEmailToken = (token) => User.findOneAndUpdate(
+  {
+    'emailVerification.tokenHash': hashToken(String(token)),
+    'emailVerification.expiresAt': { $gt: new Date() }
+  },
+  {
+    $set: { emailVerified: true },
+    $unset: { emailVerification: 1 }
+  },
+  { new: true }
+);
+
+module.exports = {
+  POLICY_ACTIONS,
+  isVerificationRequired,
+  sendVerificationEmail,
+  confirmEmailToken
+};
@@ -0,0 +1,158 @@
+// backend/utils/feed.js - Home feed: followed users' recipes & activity, plus popular backfill
+// Each source is read newest-first with a (createdAt, _id) cursor and a small
+// limit, so the cost depends on the page size rather than on how many
+// accounts someone follows.
+const Recipe = require('../models/Recipe');
+const Activity = require('../models/Activity');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { olderThan, compareNewestFirst } = require('./cursor');
+const { CARD_COUNTERS } = require('./counters');
+
+const POPULAR_WINDOW_DAYS = 30;
+
+/**
+ * Recipe summaries in the same shape as GET /api/recipes list items.
+ * `stages` run before sorting (e.g. to compute a score to sort on) and
+ * `fields` adds to the projection.
+ */
+const recipeCards = (match, { sort, skip = 0, limit, stages = [], fields = {} }) => Recipe.aggregate([
+  { $match: { hidden: { $ne: true }, ...match } },
+  ...stages,
+  ...(sort ? [{ $sort: sort }] : []),
+  { $skip: skip },
+  { $limit: limit },
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'author',
+      foreignField: '_id',
+      as: 'author',
+      pipeline: [{ $project: { username: 1, avatar: 1 } }]
+    }
+  },
+  { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+  {
+    $project: {
+      author: { $ifNull: ['$author', { username: 'Unknown' }] },
+      title: 1,
+      description: 1,
+      image: 1,
+      tags: 1,
+      ...CARD_COUNTERS,
+      caloriesPerServing: '$nutrition.perServing.calories',
+      createdAt: 1,
+      ...fields
+    }
+  }
+]);
+
+// Fills in the recipe, actor and comment text for activity entries, dropping
+// any whose recipe, comment or actor is gone or hidden
+const hydrateActivities = async (activities) => {
+  if (!activities.length) return [];
+
+  const recipeIds = [...new Set(activities.map(a => String(a.recipe)))];
+  const commentIds = activities.filter(a => a.type === 'comment').map(a => String(a.comment));
+
+  const [cards, actors, comments] = await Promise.all([
+    recipeCards({ _id: { $in: activities.map(a => a.recipe) } }, { limit: recipeIds.length }),
+    User.find({ _id: { $in: activities.map(a => a.actor) }, hidden: { $ne: true } }).select('username avatar').lean(),
+    commentIds.length
+      ? Comment.find({ _id: { $in: commentIds }, hidden: { $ne: true } }).select('text').lean()
+      : []
+  ]);
+
+  const cardById = new Map(cards.map(card => [String(card._id), card]));
+  const actorById = new Map(actors.map(actor => [String(actor._id), actor]));
+  const commentById = new Map(comments.map(comment => [String(comment._id), comment]));
+
+  return activities.flatMap(activity => {
+    const recipe = cardById.get(String(activity.recipe));
+    const actor = actorById.get(String(activity.actor));
+    const comment = activity.type === 'comment' ? commentById.get(String(activity.comment)) : null;
+    if (!recipe || !actor || (activity.type === 'comment' && !comment)) return [];
+
+    return [{
+      type: activity.type,
+      id: activity._id,
+      createdAt: activity.createdAt,
+      actor,
+      recipe,
+      ...(activity.type === 'rating' ? { rating: activity.rating } : {}),
+      ...(comment ? { comment: { id: comment._id, text: comment.text } } : {})
+    }];
+  });
+};
+
+/**
+ * One page of what followed users did, newest first.
+ * Returns { items, last, exhausted } where `last` is the cursor position
+ * ({ t, id }) of the final raw entry read.
+ */
+const followingPage = async ({ following, position, limit, includeActivity }) => {
+  if (!following.length) return { items: [], last: null, exhausted: true };
+
+  const [recipes, activities] = await Promise.all([
+    recipeCards(
+      { author: { $in: following }, ...olderThan(position) },
+      { sort: { createdAt: -1, _id: -1 }, limit: limit + 1 }
+    ),
+    includeActivity
+      ? Activity.find({ actor: { $in: following }, ...olderThan(position) })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean()
+      : []
+  ]);
+
+  const merged = [
+    ...recipes.map(recipe => ({ _id: recipe._id, createdAt: recipe.createdAt, recipe })),
+    ...activities.map(activity => ({ _id: activity._id, createdAt: activity.createdAt, activity }))
+  ].sort(compareNewestFirst);
+
+  const page = merged.slice(0, limit);
+  const hydrated = await hydrateActivities(page.filter(entry => entry.activity).map(entry => entry.activity));
+  const activityById = new Map(hydrated.map(item => [String(item.id), item]));
+
+  const items = page.flatMap(entry => {
+    if (entry.recipe) {
+      return [{ type: 'recipe', id: entry.recipe._id, createdAt: entry.recipe.createdAt, actor: entry.recipe.author, recipe: entry.recipe, reason: 'following' }];
+    }
+    const item = activityById.get(String(entry._id));
+    return item ? [{ ...item, reason: 'following' }] : [];
+  });
+
+  const lastEntry = page[page.length - 1];
+  return {
+    items,
+    last: lastEntry ? { t: new Date(lastEntry.createdAt).toISOString(), id: String(lastEntry._id) } : null,
+    exhausted: merged.length <= limit
+  };
+};
+
+/**
+ * Well-liked recent recipes from people the user doesn't follow, for backfill.
+ */
+const popularPage = async ({ exclude, skip, limit }) => {
+  if (limit <= 0) return [];
+  const since = new Date(Date.now() - POPULAR_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const recipes = await recipeCards(
+    { author: { $nin: exclude }, createdAt: { $gte: since } },
+    { sort: { likesCount: -1, createdAt: -1, _id: -1 }, skip, limit }
+  );
+  return recipes.map(recipe => ({
+    type: 'recipe',
+    id: recipe._id,
+    createdAt: recipe.createdAt,
+    actor: recipe.author,
+    recipe,
+    reason: 'popular'
+  }));
+};
+
+module.exports = {
+  recipeCards,
+  followingPage,
+  popularPage
+};
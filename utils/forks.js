@@ -0,0 +1,51 @@
+// backend/utils/forks.js - Forking recipes and describing where a fork came from
+const Recipe = require('../models/Recipe');
+const { canModify } = require('./permissions');
+
+// Content a fork starts from. The image isn't shared: deleting the original
+// removes its file from storage, which would break the fork.
+const FORKED_FIELDS = ['title', 'description', 'ingredients', 'instructions', 'tags', 'servings'];
+
+/**
+ * Unsaved copy of `original` owned by `authorId`, linked back to it.
+ */
+const buildFork = (original, authorId) => {
+  const plain = original.toObject();
+  const fork = new Recipe({
+    ...Object.fromEntries(FORKED_FIELDS.map(field => [field, plain[field]])),
+    author: authorId,
+    forkedFrom: {
+      recipe: original._id,
+      author: original.author?._id || original.author,
+      title: original.title
+    }
+  });
+  return fork;
+};
+
+/**
+ * "Forked from" block for the single-recipe response. When the original has
+ * been deleted (or hidden) the link is replaced by { available: false }.
+ */
+const describeOrigin = async (forkedFrom, viewer) => {
+  if (!forkedFrom?.recipe) return null;
+
+  const original = await Recipe.findById(forkedFrom.recipe)
+    .select('title author hidden')
+    .populate('author', 'username avatar')
+    .lean();
+  if (!original || (original.hidden && !canModify(viewer, original.author, 'content.viewHidden'))) {
+    return { available: false };
+  }
+
+  return {
+    available: true,
+    recipe: { _id: original._id, title: original.title },
+    author: original.author || { username: 'Unknown' }
+  };
+};
+
+module.exports = {
+  buildFork,
+  describeOrigin
+};
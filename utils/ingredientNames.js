@@ -0,0 +1,159 @@
+// backend/utils/ingredientNames.js - Canonical ingredient names for matching
+// "2 Roma Tomatoes, diced" and "tomato" should compare equal, and so should
+// "fresh cilantro" and "coriander". Used by pantry matching and friends.
+
+// Preparation words, sizes and other adjectives that don't change what you buy
+const DESCRIPTORS = new Set([
+  'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'crushed', 'cubed',
+  'julienned', 'halved', 'quartered', 'peeled', 'seeded', 'deseeded', 'pitted', 'trimmed',
+  'finely', 'roughly', 'coarsely', 'thinly', 'thickly', 'freshly', 'lightly', 'well',
+  'fresh', 'large', 'small', 'medium', 'big', 'ripe', 'frozen', 'thawed', 'softened',
+  'melted', 'room', 'temperature', 'cold', 'warm', 'hot', 'boiling', 'beaten', 'whisked',
+  'boneless', 'skinless', 'organic', 'raw', 'cooked', 'uncooked', 'rinsed', 'drained',
+  'packed', 'heaping', 'level', 'optional', 'about', 'approximately', 'plus', 'more',
+  'extra', 'virgin', 'good', 'quality', 'taste', 'to', 'for', 'serving', 'garnish',
+  'of', 'a', 'an', 'the', 'and', 'or', 'some', 'whole', 'roma', 'cherry', 'baby'
+]);
+
+// Words that turn the noun after them into a different ingredient rather
+// than a kind of it: coconut milk isn't milk, almond butter isn't butter
+const SUBSTITUTE_MODIFIERS = new Set([
+  'almond', 'cashew', 'coconut', 'hazelnut', 'macadamia', 'oat', 'peanut', 'rice',
+  'soy', 'soya', 'hemp', 'pea', 'plant', 'vegan', 'dairy-free', 'cocoa', 'shea',
+  'apple', 'nut', 'seed', 'sunflower'
+]);
+
+// Regional names → one canonical name (checked on the whole cleaned phrase)
+const SYNONYMS = {
+  cilantro: 'coriander',
+  'coriander leaf': 'coriander',
+  scallion: 'green onion',
+  'spring onion': 'green onion',
+  courgette: 'zucchini',
+  aubergine: 'eggplant',
+  'garbanzo bean': 'chickpea',
+  capsicum: 'bell pepper',
+  'red bell pepper': 'bell pepper',
+  'green bell pepper': 'bell pepper',
+  prawn: 'shrimp',
+  'icing sugar': 'powdered sugar',
+  'confectioners sugar': 'powdered sugar',
+  'caster sugar': 'sugar',
+  'granulated sugar': 'sugar',
+  'white sugar': 'sugar',
+  'minced beef': 'ground beef',
+  'beef mince': 'ground beef',
+  'plain flour': 'flour',
+  'all-purpose flour': 'flour',
+  'all purpose flour': 'flour',
+  cornflour: 'cornstarch',
+  'corn starch': 'cornstarch',
+  'bicarbonate of soda': 'baking soda',
+  'double cream': 'heavy cream',
+  'whipping cream': 'heavy cream',
+  'rocket': 'arugula',
+  'swede': 'rutabaga',
+  'chilli': 'chili',
+  'chile': 'chili',
+  'yoghurt': 'yogurt',
+  'passata': 'tomato sauce',
+  'tinned tomato': 'canned tomato',
+  'stock': 'broth',
+  'chicken stock': 'chicken broth',
+  'vegetable stock': 'vegetable broth',
+  'beef stock': 'beef broth'
+};
+
+// Always-available basics callers can opt into (matched exactly, so "sugar"
+// doesn't cover "brown sugar")
+const DEFAULT_STAPLES = ['salt', 'black pepper', 'water', 'oil', 'olive oil', 'vegetable oil', 'sugar', 'ice'];
+
+const IRREGULAR_SINGULARS = {
+  leaves: 'leaf',
+  loaves: 'loaf',
+  halves: 'half',
+  knives: 'knife',
+  potatoes: 'potato',
+  tomatoes: 'tomato',
+  mangoes: 'mango',
+  anchovies: 'anchovy',
+  cherries: 'cherry',
+  berries: 'berry',
+  radishes: 'radish',
+  peaches: 'peach',
+  squashes: 'squash',
+  molasses: 'molasses',
+  hummus: 'hummus',
+  couscous: 'couscous',
+  asparagus: 'asparagus',
+  citrus: 'citrus',
+  swiss: 'swiss',
+  grass: 'grass',
+  glass: 'glass'
+};
+
+const singularize = (word) => {
+  if (IRREGULAR_SINGULARS[word]) return IRREGULAR_SINGULARS[word];
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:ches|shes|xes|oes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Canonical name: lowercased, descriptors dropped, words singularised and
+ * regional synonyms mapped. "2 Roma Tomatoes, diced" → "tomato".
+ */
+const normalizeIngredientName = (name) => {
+  const base = String(name || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .split(',')[0]
+    .replace(/[^a-z\s-]/g, ' ');
+
+  const words = base
+    .split(/\s+/)
+    .filter(word => word && !DESCRIPTORS.has(word) && !/-$/.test(word))
+    .map(singularize);
+
+  const phrase = words.join(' ').trim();
+  return SYNONYMS[phrase] || phrase;
+};
+
+// Whole-word containment: "chicken" ⊂ "chicken thigh", but not "pea" ⊂ "peanut"
+const containsPhrase = (haystack, needle) =>
+  ` ${haystack} `.includes(` ${needle} `);
+
+const headNoun = (name) => name.slice(name.lastIndexOf(' ') + 1);
+
+/**
+ * True when the pantry item `have` can stand in for the recipe's `need`: the
+ * same canonical name, or a more specific kind of the same thing ("whole
+ * milk" covers "milk"). A different head noun never matches, so "chicken
+ * broth" doesn't cover "chicken" and "milk" doesn't cover "coconut milk";
+ * neither does a modifier that names a substitute ("coconut milk" for "milk").
+ */
+const namesMatch = (have, need) => {
+  if (!have || !need) return false;
+  if (have === need) return true;
+  if (headNoun(have) !== headNoun(need) || !containsPhrase(have, need)) return false;
+  const extra = ` ${have} `.replace(` ${need} `, ' ').trim().split(/\s+/);
+  return !extra.some(word => SUBSTITUTE_MODIFIERS.has(word));
+};
+
+/**
+ * Distinct canonical names of a recipe's ingredient lines, leaving out the
+ * default staples (salt, oil, ...) that say nothing about what it is.
+ */
+const ingredientKeys = (names) => [...new Set(
+  (names || []).map(normalizeIngredientName).filter(key => key && !DEFAULT_STAPLES.includes(key))
+)];
+
+module.exports = {
+  DEFAULT_STAPLES,
+  SYNONYMS,
+  normalizeIngredientName,
+  namesMatch,
+  ingredientKeys
+};
@@ -0,0 +1,318 @@
+// backend/utils/ingredients.js - Structured ingredient parsing, scaling & rendering
+// Turns free-text lines like "2 1/2 cups flour, sifted" into
+// { quantity, quantityMax, unit, item, note, group } entries and back.
+
+// 🥄 Canonical units → accepted spellings (matched case-insensitively, "." stripped)
+const UNIT_ALIASES = {
+  cup: ['cup', 'cups', 'c'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons'],
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+  'fl oz': ['fl oz', 'fluid ounce', 'fluid ounces', 'floz'],
+  pt: ['pt', 'pint', 'pints'],
+  qt: ['qt', 'quart', 'quarts'],
+  gal: ['gal', 'gallon', 'gallons'],
+  ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres'],
+  mg: ['mg', 'milligram', 'milligrams'],
+  g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  slice: ['slice', 'slices'],
+  piece: ['piece', 'pieces', 'pc', 'pcs'],
+  stick: ['stick', 'sticks'],
+  bunch: ['bunch', 'bunches'],
+  sprig: ['sprig', 'sprigs'],
+  handful: ['handful', 'handfuls'],
+  package: ['package', 'packages', 'pkg', 'packet', 'packets']
+};
+
+// Units rendered as-is regardless of quantity (abbreviations)
+const ABBREVIATED_UNITS = new Set(['tbsp', 'tsp', 'fl oz', 'pt', 'qt', 'gal', 'ml', 'l', 'mg', 'g', 'kg', 'oz', 'lb']);
+const IRREGULAR_PLURALS = { pinch: 'pinches', dash: 'dashes', bunch: 'bunches' };
+
+// Longest aliases first so "fl oz" wins over "oz" and "tbsp" over "t"
+const ALIAS_LOOKUP = Object.entries(UNIT_ALIASES)
+  .flatMap(([unit, aliases]) => aliases.map(alias => ({ alias, unit })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const UNICODE_FRACTIONS = {
+  '¼': 0.25, '½': 0.5, '¾': 0.75,
+  '⅓': 1 / 3, '⅔': 2 / 3,
+  '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875
+};
+
+// Fractions we are happy to show to cooks (eighths + thirds)
+const DISPLAY_FRACTIONS = [
+  [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [3 / 8, '3/8'], [1 / 2, '1/2'],
+  [5 / 8, '5/8'], [2 / 3, '2/3'], [3 / 4, '3/4'], [7 / 8, '7/8']
+];
+
+const MAX_ITEM_LENGTH = 150;
+
+const NUMBER_TOKEN = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+)';
+const QUANTITY_RE = new RegExp(
+  `^(${NUMBER_TOKEN})(?:\\s*(?:-|–|to)\\s*(${NUMBER_TOKEN}))?(?=\\s|$|[a-zA-Z])`,
+  'i'
+);
+
+// "2½" → "2 1/2", "½" → "1/2" so a single regex handles every shape
+const normalizeUnicodeFractions = (text) =>
+  text.replace(/(\d)?\s*([¼½¾⅓⅔⅛⅜⅝⅞])/g, (match, whole, frac) => {
+    const value = UNICODE_FRACTIONS[frac];
+    const asText = DISPLAY_FRACTIONS.find(([v]) => Math.abs(v - value) < 1e-9)[1];
+    return whole ? `${whole} ${asText}` : asText;
+  });
+
+const parseNumber = (token) => {
+  if (!token) return null;
+  const parts = token.trim().split(/\s+/);
+  let total = 0;
+  for (const part of parts) {
+    if (part.includes('/')) {
+      const [num, den] = part.split('/').map(Number);
+      if (!den) return null;
+      total += num / den;
+    } else {
+      total += parseFloat(part);
+    }
+  }
+  return Number.isFinite(total) ? total : null;
+};
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const matchUnit = (text) => {
+  const lower = text.toLowerCase();
+  for (const { alias, unit } of ALIAS_LOOKUP) {
+    if (!lower.startsWith(alias)) continue;
+    const rest = text.slice(alias.length);
+    // Must end on a word boundary ("cup." / "cups " / end of line)
+    const boundary = rest.match(/^\.?(?=\s|,|$|\))/);
+    if (!boundary) continue;
+    return { unit, rest: rest.slice(boundary[0].length) };
+  }
+  return null;
+};
+
+/**
+ * Parses a single free-text ingredient line.
+ * Lines without a recognisable quantity keep the whole text as `item`.
+ */
+const parseIngredient = (line, group = '') => {
+  let text = normalizeUnicodeFractions(String(line || '').trim()).replace(/\s+/g, ' ');
+
+  const entry = { quantity: null, quantityMax: null, unit: '', item: '', note: '', group };
+
+  const qty = text.match(QUANTITY_RE);
+  if (qty) {
+    entry.quantity = parseNumber(qty[1]);
+    entry.quantityMax = parseNumber(qty[2]);
+    text = text.slice(qty[0].length).trim();
+  }
+
+  // Units only follow a quantity, or an article: "a pinch of salt"
+  let unitMatch = null;
+  if (entry.quantity !== null) {
+    unitMatch = matchUnit(text);
+  } else if (/^(?:a|an)\s+/i.test(text)) {
+    unitMatch = matchUnit(text.replace(/^(?:a|an)\s+/i, ''));
+  }
+  if (unitMatch) {
+    if (entry.quantity === null) entry.quantity = 1;
+    entry.unit = unitMatch.unit;
+    text = unitMatch.rest.trim().replace(/^of\s+/i, '');
+  }
+
+  // "(optional)" / "(about 200g)" → note
+  const notes = [];
+  text = text.replace(/\(([^)]*)\)/g, (m, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  const commaIndex = text.indexOf(',');
+  if (commaIndex > -1) {
+    notes.unshift(text.slice(commaIndex + 1).trim());
+    text = text.slice(0, commaIndex).trim();
+  }
+
+  entry.item = text;
+  entry.note = notes.filter(Boolean).join(', ');
+
+  // Nothing left but a unit ("2 cups") → fall back to the raw line
+  if (!entry.item) {
+    return { quantity: null, quantityMax: null, unit: '', item: String(line).trim(), note: '', group };
+  }
+
+  return entry;
+};
+
+/**
+ * Parses a list of lines or entries. A string line ending in ":" (e.g.
+ * "For the sauce:") starts a group for the lines that follow it.
+ */
+const parseIngredientList = (lines) => {
+  const entries = [];
+  let currentGroup = '';
+
+  for (const line of lines) {
+    if (line && typeof line === 'object') {
+      entries.push(normalizeIngredient(line));
+      continue;
+    }
+    const text = String(line || '').trim();
+    if (text.endsWith(':') && !/\d/.test(text)) {
+      currentGroup = text.slice(0, -1).replace(/^for\s+(the\s+)?/i, '').trim();
+      continue;
+    }
+    entries.push(parseIngredient(text, currentGroup));
+  }
+
+  return entries;
+};
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'string' ? parseNumber(normalizeUnicodeFractions(value)) : Number(value);
+  return Number.isFinite(num) && num >= 0 ? num : null;
+};
+
+const canonicalUnit = (unit) => {
+  if (!unit) return '';
+  const match = matchUnit(String(unit).trim());
+  return match && !match.rest.trim() ? match.unit : String(unit).trim().toLowerCase();
+};
+
+/**
+ * Coerces a stored/submitted value (legacy string or object) into an entry.
+ */
+const normalizeIngredient = (value) => {
+  if (typeof value === 'string') return parseIngredient(value);
+
+  const entry = {
+    quantity: toNumberOrNull(value?.quantity),
+    quantityMax: toNumberOrNull(value?.quantityMax),
+    unit: canonicalUnit(value?.unit),
+    item: String(value?.item || '').trim(),
+    note: String(value?.note || '').trim(),
+    group: String(value?.group || '').trim()
+  };
+  if (entry.quantityMax !== null && (entry.quantity === null || entry.quantityMax <= entry.quantity)) {
+    entry.quantityMax = null;
+  }
+  return entry;
+};
+
+const isLegacyIngredientList = (list) =>
+  Array.isArray(list) && list.some(item => typeof item === 'string');
+
+/**
+ * Entries for a stored list. Legacy string lists are parsed as a whole, so
+ * their "For the sauce:" headers become groups rather than ingredients.
+ */
+const normalizeIngredientList = (list) => (isLegacyIngredientList(list)
+  ? parseIngredientList(list)
+  : (list || []).map(normalizeIngredient));
+
+/**
+ * Renders a quantity with cook-friendly fractions: 2.5 → "2 1/2",
+ * 0.333 → "1/3". Large or metric amounts fall back to decimals.
+ */
+const formatQuantity = (value, unit = '') => {
+  if (value === null || value === undefined) return '';
+  if (['g', 'ml', 'mg'].includes(unit)) {
+    return String(value >= 10 ? Math.round(value) : Math.round(value * 10) / 10);
+  }
+  if (value >= 20) return String(Math.round(value));
+
+  const whole = Math.floor(value);
+  const remainder = value - whole;
+
+  let best = null;
+  for (const [fraction, label] of DISPLAY_FRACTIONS) {
+    const diff = Math.abs(remainder - fraction);
+    if (!best || diff < best.diff) best = { diff, label };
+  }
+
+  // Close enough to a whole number (or to the next one)
+  if (remainder < 1 / 16) return whole || value === 0 ? String(whole) : formatDecimal(value);
+  if (remainder > 15 / 16) return String(whole + 1);
+  if (best.diff > 1 / 16) return formatDecimal(value);
+
+  return whole ? `${whole} ${best.label}` : best.label;
+};
+
+const formatDecimal = (value) => String(Math.round(value * 100) / 100);
+
+// Decided on the rendered amount, so 1.04 cups (shown as "1") stays "cup"
+const pluralizeUnit = (unit, renderedAmount) => {
+  if (!unit || ABBREVIATED_UNITS.has(unit)) return unit;
+  if (!renderedAmount || parseNumber(renderedAmount) <= 1) return unit;
+  return IRREGULAR_PLURALS[unit] || `${unit}s`;
+};
+
+/**
+ * Renders an entry back to a single human-readable line.
+ */
+const formatIngredient = (entry) => {
+  const parts = [];
+  let largest = '';
+  if (entry.quantity !== null && entry.quantity !== undefined) {
+    largest = formatQuantity(entry.quantity, entry.unit);
+    let qty = largest;
+    if (entry.quantityMax !== null && entry.quantityMax !== undefined) {
+      largest = formatQuantity(entry.quantityMax, entry.unit);
+      qty += `-${largest}`;
+    }
+    parts.push(qty);
+  }
+  if (entry.unit) parts.push(pluralizeUnit(entry.unit, largest));
+  parts.push(entry.item);
+
+  let text = parts.filter(Boolean).join(' ');
+  if (entry.note) text += `, ${entry.note}`;
+  return text;
+};
+
+/**
+ * Multiplies every quantity by `factor` (unquantified lines stay as-is).
+ */
+const scaleIngredients = (entries, factor) => entries.map(entry => ({
+  ...entry,
+  quantity: entry.quantity === null || entry.quantity === undefined ? null : roundQuantity(entry.quantity * factor),
+  quantityMax: entry.quantityMax === null || entry.quantityMax === undefined ? null : roundQuantity(entry.quantityMax * factor)
+}));
+
+/**
+ * Shapes entries for API responses: plain objects + a rendered `text` line.
+ */
+const presentIngredients = (entries) => {
+  const list = isLegacyIngredientList(entries) ? parseIngredientList(entries) : entries || [];
+  return list.map(value => {
+    const entry = normalizeIngredient(value);
+    const presented = { ...entry, text: formatIngredient(entry) };
+    // Unit conversion keeps the author's wording alongside the converted line
+    if (value?.original) presented.original = value.original;
+    return presented;
+  });
+};
+
+module.exports = {
+  UNIT_ALIASES,
+  MAX_ITEM_LENGTH,
+  parseNumber,
+  parseIngredient,
+  parseIngredientList,
+  normalizeIngredient,
+  isLegacyIngredientList,
+  normalizeIngredientList,
+  formatQuantity,
+  formatIngredient,
+  scaleIngredients,
+  presentIngredients
+};
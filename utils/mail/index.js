@@ -0,0 +1,61 @@
+// backend/utils/mail/index.js - Mail transport abstraction
+// Routes call sendMail()/sendTemplate(); MAIL_TRANSPORT picks the driver:
+//   smtp   → real delivery via SMTP_* settings (default in production)
+//   outbox → kept in memory (+ written to MAIL_OUTBOX_DIR if set) for dev & tests
+const createSmtpTransport = require('./smtpTransport');
+const createOutboxTransport = require('./outboxTransport');
+const templates = require('./templates');
+
+const DRIVERS = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  const driver = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${driver}" (use ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+
+  transport = DRIVERS[driver]();
+  return transport;
+};
+
+// 🧪 Tests can swap in their own transport (or reset to the env default with null)
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'RecipeVerse <no-reply@recipeverse.app>',
+  to,
+  subject,
+  text,
+  html
+});
+
+/**
+ * Renders a template from ./templates and sends it.
+ */
+const sendTemplate = (name, to, data) => {
+  if (!templates[name]) {
+    throw new Error(`Unknown mail template "${name}"`);
+  }
+  return sendMail({ to, ...templates[name](data) });
+};
+
+// 🔗 Links in emails point at the frontend, not the API
+const frontendUrl = (path) => `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}${path}`;
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail,
+  sendTemplate,
+  frontendUrl
+};
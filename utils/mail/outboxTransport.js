@@ -0,0 +1,45 @@
+// backend/utils/mail/outboxTransport.js - Local outbox driver for development & tests
+// Messages stay in memory (transport.messages); with MAIL_OUTBOX_DIR set each
+// one is also written there as JSON so you can open reset/verify links by hand.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_MESSAGES = 100;
+
+module.exports = ({ dir = process.env.MAIL_OUTBOX_DIR } = {}) => {
+  const messages = [];
+
+  return {
+    name: 'outbox',
+    messages,
+    clear: () => { messages.length = 0; },
+    // Most recent message sent to an address (handy in tests)
+    latestFor: (to) => [...messages].reverse().find(m => m.to === to) || null,
+
+    send: async (message) => {
+      const stored = {
+        id: crypto.randomUUID(),
+        sentAt: new Date().toISOString(),
+        ...message
+      };
+
+      messages.push(stored);
+      if (messages.length > MAX_MESSAGES) messages.shift();
+
+      if (dir) {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          path.join(dir, `${stored.sentAt.replace(/[:.]/g, '-')}_${stored.id}.json`),
+          JSON.stringify(stored, null, 2)
+        );
+      }
+
+      if (process.env.NODE_ENV !== 'production') {
+        console.log(`📬 Outbox: "${stored.subject}" → ${stored.to}`);
+      }
+
+      return { id: stored.id };
+    }
+  };
+};
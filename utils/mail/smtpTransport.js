@@ -0,0 +1,25 @@
+// backend/utils/mail/smtpTransport.js - SMTP driver (nodemailer)
+const nodemailer = require('nodemailer');
+
+module.exports = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST not set in environment');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
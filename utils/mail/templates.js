@@ -0,0 +1,41 @@
+// backend/utils/mail/templates.js - Email templates: (data) => { subject, text, html }
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (body) => `<div style="font-family:Arial,sans-serif;max-width:560px;margin:auto">
+  <h2 style="color:#e85d04">🍲 RecipeVerse</h2>
+  ${body}
+  <p style="color:#888;font-size:12px">If you didn't request this, you can safely ignore this email.</p>
+</div>`;
+
+const passwordReset = ({ username, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your RecipeVerse password',
+  text: `Hi ${username},\n\nUse the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n${resetUrl}\n`,
+  html: layout(`<p>Hi ${escapeHtml(username)},</p>
+  <p>Use the button below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.</p>
+  <p><a href="${escapeHtml(resetUrl)}" style="background:#e85d04;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">Reset password</a></p>`)
+});
+
+const passwordChanged = ({ username }) => ({
+  subject: 'Your RecipeVerse password was changed',
+  text: `Hi ${username},\n\nYour password was just changed and all devices were signed out. If this wasn't you, reset your password immediately.\n`,
+  html: layout(`<p>Hi ${escapeHtml(username)},</p>
+  <p>Your password was just changed and all devices were signed out. If this wasn't you, reset your password immediately.</p>`)
+});
+
+const verifyEmail = ({ username, verifyUrl, expiresInHours }) => ({
+  subject: 'Confirm your RecipeVerse email',
+  text: `Hi ${username},\n\nConfirm this email address to start posting recipes and comments. The link expires in ${expiresInHours} hours.\n\n${verifyUrl}\n`,
+  html: layout(`<p>Hi ${escapeHtml(username)},</p>
+  <p>Confirm this email address to start posting recipes and comments. The link expires in ${expiresInHours} hours.</p>
+  <p><a href="${escapeHtml(verifyUrl)}" style="background:#e85d04;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">Confirm email</a></p>`)
+});
+
+module.exports = {
+  verifyEmail,
+  passwordReset,
+  passwordChanged
+};
@@ -0,0 +1,42 @@
+// backend/utils/mealPlan.js - Calendar-day helpers for the meal planner
+// Days are plain YYYY-MM-DD strings; arithmetic happens in UTC so DST never
+// shifts a plan by a day.
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Returns the normalised YYYY-MM-DD string, or null for anything that isn't a real date.
+ */
+const parseDay = (value) => {
+  const match = DAY_PATTERN.exec(String(value || ''));
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.toISOString().slice(0, 10) === match[0] ? match[0] : null;
+};
+
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+
+const addDays = (day, count) => {
+  const date = toDate(day);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+};
+
+// Days from `from` to `to` (negative when `to` is earlier)
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / (24 * 60 * 60 * 1000));
+
+// Weeks start on Monday
+const weekStart = (day) => addDays(day, -((toDate(day).getUTCDay() + 6) % 7));
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const dayRange = (start, count) => Array.from({ length: count }, (_, i) => addDays(start, i));
+
+module.exports = {
+  parseDay,
+  addDays,
+  daysBetween,
+  weekStart,
+  today,
+  dayRange
+};
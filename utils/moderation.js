@@ -0,0 +1,190 @@
+// backend/utils/moderation.js - Reports, auto-hiding and moderator actions
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Recipe = require('../models/Recipe');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { revokeAllSessions } = require('./sessions');
+const { destroyImage } = require('./uploads');
+const { cleanupDeletedRecipe } = require('./recipeCleanup');
+const { removeComment, hiddenUpdate, setCommentHidden } = require('./comments');
+
+// Open reports needed before content disappears pending review
+const hideThreshold = () => parseInt(process.env.REPORT_HIDE_THRESHOLD) || 5;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Validates a report body ({ reason, details }).
+ * Returns { reason, details } or throws with err.status = 400.
+ */
+const parseReportBody = (body = {}) => {
+  if (!Report.REASONS.includes(body.reason)) {
+    throw httpError(400, `Reason must be one of: ${Report.REASONS.join(', ')}`);
+  }
+  const details = String(body.details || '').trim();
+  if (details.length > 1000) {
+    throw httpError(400, 'Details cannot exceed 1000 characters');
+  }
+  return { reason: body.reason, details };
+};
+
+/**
+ * Looks up reported content. Returns { ownerId, hidden } or null if it's gone.
+ */
+const findTarget = async (targetType, targetId, recipeId) => {
+  if (targetType === 'recipe') {
+    const recipe = await Recipe.findById(targetId).select('author hidden hiddenReason').lean();
+    return recipe && { ownerId: recipe.author, hidden: !!recipe.hidden, hiddenReason: recipe.hiddenReason };
+  }
+  if (targetType === 'comment') {
+    const comment = await Comment.findOne({ _id: targetId, recipe: recipeId }).select('user hidden hiddenReason').lean();
+    return comment && { ownerId: comment.user, hidden: !!comment.hidden, hiddenReason: comment.hiddenReason };
+  }
+  const user = await User.findById(targetId).select('hidden hiddenReason').lean();
+  return user && { ownerId: user._id, hidden: !!user.hidden, hiddenReason: user.hiddenReason };
+};
+
+const setHidden = async ({ targetType, targetId, recipe }, hidden, reason) => {
+  if (targetType === 'recipe') {
+    await Recipe.updateOne({ _id: targetId }, hiddenUpdate(hidden, reason));
+  } else if (targetType === 'comment') {
+    await setCommentHidden(targetId, hidden, reason);
+  } else {
+    await User.updateOne({ _id: targetId }, hiddenUpdate(hidden, reason));
+  }
+};
+
+const deleteTarget = async ({ targetType, targetId, recipe }) => {
+  if (targetType === 'recipe') {
+    const deleted = await Recipe.findByIdAndDelete(targetId);
+    await destroyImage(deleted?.image);
+    if (deleted) await cleanupDeletedRecipe(deleted);
+  } else if (targetType === 'comment') {
+    const comment = await Comment.findOne({ _id: targetId, recipe }).lean();
+    if (comment) await removeComment(comment);
+  } else {
+    throw httpError(400, 'Profiles cannot be deleted from the queue - suspend the account instead');
+  }
+};
+
+/**
+ * Suspends an account (indefinitely unless `days` is given) and signs it out
+ * everywhere. Returns the updated user.
+ */
+const suspendUser = async (user, { reason, days, by }) => {
+  user.suspension = {
+    at: new Date(),
+    until: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+    reason: String(reason || '').trim().slice(0, 500),
+    by
+  };
+  await user.save();
+  await revokeAllSessions(user._id, 'suspended');
+  return user;
+};
+
+/**
+ * Files a report. Duplicate reports from the same person are ignored; once a
+ * target collects `REPORT_HIDE_THRESHOLD` open reports it is hidden.
+ * Returns { report, duplicate, hidden } or throws with err.status.
+ */
+const fileReport = async ({ targetType, targetId, recipe, reporter, reason, details }) => {
+  if (!mongoose.isValidObjectId(targetId) || (recipe && !mongoose.isValidObjectId(recipe))) {
+    throw httpError(400, 'Invalid ID');
+  }
+
+  const target = await findTarget(targetType, targetId, recipe);
+  if (!target) {
+    throw httpError(404, `${targetType[0].toUpperCase()}${targetType.slice(1)} not found`);
+  }
+  if (String(target.ownerId) === String(reporter)) {
+    throw httpError(400, "You can't report your own content");
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      targetType,
+      targetId,
+      recipe,
+      targetOwner: target.ownerId,
+      reporter,
+      reason,
+      details
+    });
+  } catch (err) {
+    if (err.code === 11000) return { report: null, duplicate: true, hidden: target.hidden };
+    throw err;
+  }
+
+  let hidden = target.hidden;
+  if (!hidden) {
+    const openReports = await Report.countDocuments({ targetType, targetId, status: 'open' });
+    if (openReports >= hideThreshold()) {
+      await setHidden({ targetType, targetId, recipe }, true, 'reports');
+      hidden = true;
+      console.log(`🚩 AUTO-HIDDEN ${targetType} ${targetId} (${openReports} reports)`);
+    }
+  }
+
+  return { report, duplicate: false, hidden };
+};
+
+/**
+ * Applies a moderator decision to the target of `report` and closes every
+ * open report against that target, recording who acted.
+ */
+const resolveReport = async (report, { action, note, days, moderator }) => {
+  const target = {
+    targetType: report.targetType,
+    targetId: report.targetId,
+    recipe: report.recipe
+  };
+
+  if (action === 'dismiss') {
+    // Undo an automatic hide - a moderator looked and found nothing wrong.
+    // A hide another moderator chose stays until it's lifted on purpose.
+    const current = await findTarget(target.targetType, target.targetId, target.recipe);
+    if (current?.hidden && current.hiddenReason === 'reports') await setHidden(target, false);
+  } else if (action === 'hide') {
+    await setHidden(target, true, 'moderator');
+  } else if (action === 'delete') {
+    await deleteTarget(target);
+  } else if (action === 'suspend_author') {
+    const author = await User.findById(report.targetOwner);
+    if (!author) throw httpError(404, 'Author not found');
+    if (author.role === 'admin') throw httpError(400, 'Admins cannot be suspended');
+    await suspendUser(author, {
+      reason: note || `Reported for ${report.reason}`,
+      days,
+      by: moderator.id
+    });
+    // Their reported content stays out of sight too
+    if (await findTarget(target.targetType, target.targetId, target.recipe)) {
+      await setHidden(target, true, 'moderator');
+    }
+  }
+
+  const resolution = {
+    action,
+    by: moderator.id,
+    at: new Date(),
+    note: String(note || '').trim().slice(0, 1000)
+  };
+  await Report.updateMany(
+    { targetType: report.targetType, targetId: report.targetId, status: 'open' },
+    { $set: { status: action === 'dismiss' ? 'dismissed' : 'resolved', resolution } }
+  );
+
+  console.log(`🛡️ MODERATION: ${action} ${report.targetType} ${report.targetId} (by ${moderator.username})`);
+  return resolution;
+};
+
+module.exports = {
+  hideThreshold,
+  parseReportBody,
+  fileReport,
+  resolveReport,
+  suspendUser
+};
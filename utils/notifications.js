@@ -0,0 +1,174 @@
+// backend/utils/notifications.js - Emits and describes in-app notifications
+// Best effort like activity logging: failures are logged, never surfaced.
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { publish, userChannel } = require('./realtime');
+
+const logFailure = (err) => console.error('🚨 Notification failed:', err.message);
+
+// Muted types are stored as false; missing preferences mean everything is on
+const isMuted = async (recipientId, type) => {
+  const user = await User.findById(recipientId).select('preferences.notifications').lean();
+  return !user || user.preferences?.notifications?.[type] === false;
+};
+
+const createGroup = async (group, actor, preview) => {
+  try {
+    await Notification.create({ ...group, actors: [actor], members: [actor], actorCount: 1, preview, latestAt: new Date() });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false; // someone else just created it
+    throw err;
+  }
+};
+
+const addToGroup = async (group, actor, text) => {
+  // A new person joins the group
+  const joined = await Notification.updateOne(
+    { ...group, members: { $ne: actor } },
+    {
+      $push: {
+        actors: { $each: [actor], $position: 0, $slice: Notification.MAX_RECENT_ACTORS },
+        members: actor
+      },
+      $inc: { actorCount: 1 },
+      $set: { preview: text, latestAt: new Date() }
+    }
+  );
+  if (joined.matchedCount) return true;
+
+  // Someone already in it did it again (another comment, a changed rating)
+  const repeated = await Notification.updateOne(group, { $set: { preview: text, latestAt: new Date() } });
+  if (repeated.matchedCount) return true;
+
+  return createGroup(group, actor, text);
+};
+
+/**
+ * Tells `recipient` that `actor` did something. Folds into the recipient's
+ * unread notification for the same type and recipe when there is one.
+ */
+const notify = async ({ recipient, actor, type, recipe = null, preview = '' }) => {
+  try {
+    if (!recipient || String(recipient) === String(actor)) return;
+    if (await isMuted(recipient, type)) return;
+
+    const group = { recipient, type, recipe, read: false };
+    const text = String(preview).slice(0, 140);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (await addToGroup(group, actor, text)) {
+        await pushLatest(group);
+        return;
+      }
+    }
+  } catch (err) {
+    logFailure(err);
+  }
+};
+
+/**
+ * Takes `actor` back out of an unread notification (unlike, unfollow) and
+ * drops the notification when nobody is left.
+ */
+const retract = async ({ recipient, actor, type, recipe = null }) => {
+  try {
+    const group = { recipient, type, recipe, read: false };
+    const result = await Notification.updateOne(
+      { ...group, members: actor },
+      { $pull: { actors: actor, members: actor }, $inc: { actorCount: -1 } }
+    );
+    if (result.modifiedCount) {
+      await Notification.deleteOne({ ...group, actorCount: { $lte: 0 } });
+    }
+  } catch (err) {
+    logFailure(err);
+  }
+};
+
+const VERBS = {
+  like: 'liked your',
+  comment: 'commented on your',
+  reply: 'replied to your comment on',
+  mention: 'mentioned you on',
+  rating: 'rated your'
+};
+
+/**
+ * "Ana liked your Lasagna", "Ana and Ben ...", "Ana and 12 others ...".
+ * Expects `actors` and `recipe` to be populated.
+ */
+const describe = (notification) => {
+  const [first, second] = notification.actors || [];
+  const others = Math.max(0, (notification.actorCount || 1) - 1);
+
+  let who = first?.username || 'Someone';
+  if (others === 1 && second) {
+    who += ` and ${second.username}`;
+  } else if (others > 0) {
+    who += ` and ${others} other${others === 1 ? '' : 's'}`;
+  }
+
+  if (notification.type === 'follow') return `${who} started following you`;
+  return `${who} ${VERBS[notification.type]} ${notification.recipe?.title || 'recipe'}`;
+};
+
+/**
+ * { unreadCount, unreadByType } for a user's badge.
+ */
+const unreadSummary = async (recipient) => {
+  const counts = await Notification.aggregate([
+    { $match: { recipient: new mongoose.Types.ObjectId(String(recipient)), read: false } },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+  const unreadByType = Object.fromEntries(Notification.TYPES.map(type => [type, 0]));
+  counts.forEach(c => { unreadByType[c._id] = c.count; });
+  return {
+    unreadCount: Object.values(unreadByType).reduce((sum, n) => sum + n, 0),
+    unreadByType
+  };
+};
+
+const present = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  message: describe(notification),
+  recipe: notification.recipe,
+  actors: (notification.actors || []).slice(0, 3),
+  actorCount: notification.actorCount,
+  preview: notification.preview,
+  read: notification.read,
+  latestAt: notification.latestAt
+});
+
+// 📡 Live updates: the changed notification plus fresh badge counts
+const pushLatest = async (group) => {
+  const notification = await Notification.findOne(group)
+    .populate('actors', 'username avatar')
+    .populate('recipe', 'title image')
+    .lean();
+  if (!notification) return;
+  await publish(userChannel(group.recipient), 'notification', {
+    notification: present(notification),
+    ...(await unreadSummary(group.recipient))
+  });
+};
+
+/**
+ * Sends fresh badge counts to the user's other tabs/devices and returns them.
+ */
+const publishUnread = async (recipient) => {
+  const summary = await unreadSummary(recipient);
+  await publish(userChannel(recipient), 'notifications_read', summary);
+  return summary;
+};
+
+module.exports = {
+  notify,
+  retract,
+  describe,
+  unreadSummary,
+  present,
+  publishUnread
+};
@@ -0,0 +1,108 @@
+// backend/utils/nutrition.js - Nutrition estimation from the bundled food table
+// Matches structured ingredients against data/nutrients.json (no external API)
+// and sums calories, protein, fat, carbs, fibre and sodium.
+const { foods } = require('../data/nutrients.json');
+const { normalizeIngredientList, formatIngredient } = require('./ingredients');
+const { VOLUME_ML, WEIGHT_G } = require('./units');
+
+const NUTRIENTS = ['calories', 'protein', 'fat', 'carbs', 'fibre', 'sodium'];
+
+// Tiny amounts that no recipe table lists per food
+const GENERIC_UNIT_GRAMS = { pinch: 0.36, dash: 0.6 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every alias as a whole-word pattern (with optional plural), longest first
+// so "olive oil" beats "oil" and "peanut butter" beats "butter"
+const ALIAS_MATCHERS = foods
+  .flatMap(food => food.aliases.map(alias => ({
+    food,
+    length: alias.length,
+    pattern: new RegExp(`\\b${escapeRegex(alias.toLowerCase())}(?:e?s)?\\b`)
+  })))
+  .sort((a, b) => b.length - a.length);
+
+/**
+ * Finds the food table entry for an ingredient name, or null.
+ */
+const matchFood = (item) => {
+  const name = String(item || '').toLowerCase().replace(/[^a-z\s-]/g, ' ');
+  const match = ALIAS_MATCHERS.find(({ pattern }) => pattern.test(name));
+  return match ? match.food : null;
+};
+
+/**
+ * Converts an ingredient amount to grams using the matched food's density,
+ * piece weight or per-unit weights. Returns null when that isn't possible.
+ */
+const toGrams = (entry, food) => {
+  if (entry.quantity === null) return null;
+
+  // Ranges ("2-3 cloves") count as their midpoint
+  const amount = entry.quantityMax !== null
+    ? (entry.quantity + entry.quantityMax) / 2
+    : entry.quantity;
+
+  if (WEIGHT_G[entry.unit]) return amount * WEIGHT_G[entry.unit];
+  if (VOLUME_ML[entry.unit]) return amount * VOLUME_ML[entry.unit] * food.density;
+  if (!entry.unit || entry.unit === 'piece') {
+    return food.pieceWeight ? amount * food.pieceWeight : null;
+  }
+
+  const perUnit = food.units?.[entry.unit] ?? GENERIC_UNIT_GRAMS[entry.unit];
+  return perUnit ? amount * perUnit : null;
+};
+
+const emptyTotals = () => Object.fromEntries(NUTRIENTS.map(key => [key, 0]));
+
+// kcal and mg as whole numbers, macros to one decimal
+const roundTotals = (totals) => Object.fromEntries(NUTRIENTS.map(key => [
+  key,
+  ['calories', 'sodium'].includes(key)
+    ? Math.round(totals[key])
+    : Math.round(totals[key] * 10) / 10
+]));
+
+/**
+ * Estimates nutrition for a list of ingredients.
+ * `perServing` is only set when the recipe declares its servings.
+ */
+const estimateNutrition = (ingredients, servings) => {
+  const totals = emptyTotals();
+  const unmatched = [];
+  let matchedCount = 0;
+
+  for (const entry of normalizeIngredientList(ingredients)) {
+    const food = matchFood(entry.item);
+    const grams = food ? toGrams(entry, food) : null;
+
+    if (grams === null) {
+      unmatched.push(formatIngredient(entry));
+      continue;
+    }
+
+    matchedCount++;
+    for (const key of NUTRIENTS) {
+      totals[key] += (food.per100g[key] || 0) * grams / 100;
+    }
+  }
+
+  const perServing = servings
+    ? roundTotals(Object.fromEntries(NUTRIENTS.map(key => [key, totals[key] / servings])))
+    : null;
+
+  return {
+    total: roundTotals(totals),
+    perServing,
+    unmatched,
+    matchedCount,
+    computedAt: new Date()
+  };
+};
+
+module.exports = {
+  NUTRIENTS,
+  matchFood,
+  toGrams,
+  estimateNutrition
+};
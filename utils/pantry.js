@@ -0,0 +1,61 @@
+// backend/utils/pantry.js - "What can I cook?" coverage scoring
+const { normalizeIngredientList, formatIngredient } = require('./ingredients');
+const { normalizeIngredientName, namesMatch, SYNONYMS } = require('./ingredientNames');
+
+/**
+ * Canonical, de-duplicated names from a user's list of ingredients.
+ */
+const toPantryKeys = (items) => [...new Set(
+  (items || []).map(normalizeIngredientName).filter(Boolean)
+)];
+
+/**
+ * Words to hand to the text index when looking for candidate recipes,
+ * including every regional spelling of each pantry item.
+ */
+const candidateSearchTerms = (pantryKeys) => {
+  const terms = new Set(pantryKeys);
+  for (const [alias, canonical] of Object.entries(SYNONYMS)) {
+    if (pantryKeys.includes(canonical)) terms.add(alias);
+  }
+  return [...terms].join(' ');
+};
+
+const isOptional = (entry) => /\boptional\b|\bto taste\b|\bfor serving\b|\bgarnish\b/i
+  .test(`${entry.item} ${entry.note}`);
+
+/**
+ * Scores one recipe against the pantry. Optional lines ("to taste",
+ * "optional", garnish) never count as missing.
+ * Returns { matchPercent, matchedCount, totalCount, matched, missing }.
+ */
+const scoreRecipe = (ingredients, pantryKeys, stapleKeys = []) => {
+  const matched = [];
+  const missing = [];
+  let totalCount = 0;
+
+  for (const entry of normalizeIngredientList(ingredients)) {
+    const key = normalizeIngredientName(entry.item);
+    const text = formatIngredient(entry);
+
+    const covered = stapleKeys.includes(key) || pantryKeys.some(p => namesMatch(p, key));
+    if (isOptional(entry) && !covered) continue;
+
+    totalCount++;
+    (covered ? matched : missing).push(text);
+  }
+
+  return {
+    matchPercent: totalCount ? Math.round((matched.length / totalCount) * 100) : 0,
+    matchedCount: matched.length,
+    totalCount,
+    matched,
+    missing
+  };
+};
+
+module.exports = {
+  toPantryKeys,
+  candidateSearchTerms,
+  scoreRecipe
+};
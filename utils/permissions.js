@@ -0,0 +1,44 @@
+// backend/utils/permissions.js - Roles and what each one may do
+// Owners can always manage their own content; permissions cover everyone else's.
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'recipes.editAny',
+    'recipes.deleteAny',
+    'comments.editAny',
+    'comments.deleteAny',
+    'content.viewHidden',
+    'reports.moderate'
+  ],
+  admin: [
+    'recipes.editAny',
+    'recipes.deleteAny',
+    'comments.editAny',
+    'comments.deleteAny',
+    'content.viewHidden',
+    'reports.moderate',
+    'users.manageRoles',
+    'users.suspend'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (user, permission) =>
+  !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Author check that also works when ids are ObjectIds (req.user.id is one)
+const isOwner = (user, ownerId) =>
+  !!user && !!ownerId && String(ownerId._id || ownerId) === String(user.id);
+
+const canModify = (user, ownerId, permission) =>
+  isOwner(user, ownerId) || hasPermission(user, permission);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  isOwner,
+  canModify
+};
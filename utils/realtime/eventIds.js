@@ -0,0 +1,13 @@
+// backend/utils/realtime/eventIds.js - Ordering for "<ms>-<seq>" event ids
+
+const parts = (id) => String(id || '0-0').split('-').map(n => parseInt(n) || 0);
+
+const compareEventIds = (a, b) => {
+  const [aMs, aSeq] = parts(a);
+  const [bMs, bSeq] = parts(b);
+  return aMs - bMs || aSeq - bSeq;
+};
+
+const isEventId = (value) => /^\d+-\d+$/.test(String(value || ''));
+
+module.exports = { compareEventIds, isEventId };
@@ -0,0 +1,58 @@
+// backend/utils/realtime/index.js - Pub/sub behind the live updates stream
+// Routes call publish(); the SSE endpoint subscribes. REALTIME_ADAPTER picks the
+// driver (only `memory` ships here); other instances are fanned out to by
+// plugging in a shared-broker adapter with setAdapter().
+//
+// Adapter contract:
+//   publish(channel, { type, data }) → Promise<{ id, type, data }>
+//   subscribe(channel, handler)      → unsubscribe()
+//   since(channel, lastEventId)      → Promise<events | null> (null = history gone)
+const createMemoryAdapter = require('./memoryAdapter');
+const { compareEventIds, isEventId } = require('./eventIds');
+
+const DRIVERS = {
+  memory: createMemoryAdapter
+};
+
+let adapter = null;
+
+const getAdapter = () => {
+  if (adapter) return adapter;
+
+  const driver = process.env.REALTIME_ADAPTER || 'memory';
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown REALTIME_ADAPTER "${driver}" (use ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+
+  adapter = DRIVERS[driver]();
+  return adapter;
+};
+
+// 🧪 Swap in another adapter (or reset to the env default with null)
+const setAdapter = (custom) => {
+  adapter = custom;
+};
+
+const recipeChannel = (recipeId) => `recipe:${recipeId}`;
+const userChannel = (userId) => `user:${userId}`;
+
+/**
+ * Best effort: a broker hiccup is logged and never fails the request that
+ * triggered the event.
+ */
+const publish = (channel, type, data) => Promise.resolve()
+  .then(() => getAdapter().publish(channel, { type, data }))
+  .catch(err => {
+    console.error('🚨 Realtime publish failed:', err.message);
+    return null;
+  });
+
+module.exports = {
+  getAdapter,
+  setAdapter,
+  publish,
+  recipeChannel,
+  userChannel,
+  compareEventIds,
+  isEventId
+};
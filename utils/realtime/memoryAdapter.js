@@ -0,0 +1,88 @@
+// backend/utils/realtime/memoryAdapter.js - Single-process pub/sub with replay history
+// Fine for one node and for tests. Multi-node deployments plug in an adapter
+// backed by a shared broker (e.g. Redis Streams) with the same four methods.
+const { EventEmitter } = require('events');
+const { compareEventIds } = require('./eventIds');
+
+const createMemoryAdapter = ({
+  historySize = parseInt(process.env.REALTIME_HISTORY_SIZE) || 200,
+  historyMs = (parseInt(process.env.REALTIME_HISTORY_MINUTES) || 10) * 60 * 1000
+} = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open connection
+
+  // channel → { events: [...], evictedUpTo: id of the newest dropped event }
+  const history = new Map();
+  let lastTime = Date.now();
+  let seq = 0;
+  let publishes = 0;
+  // Newest event dropped along with a swept channel. Starts at this process's
+  // first id: anything older was published before a restart and is gone too.
+  let forgottenUpTo = `${lastTime}-0`;
+
+  // Redis-style "<ms>-<seq>" ids, monotonic even if the clock steps back
+  const nextId = () => {
+    const now = Date.now();
+    if (now > lastTime) {
+      lastTime = now;
+      seq = 0;
+    } else {
+      seq++;
+    }
+    return `${lastTime}-${seq}`;
+  };
+
+  const trim = (entry, now) => {
+    while (entry.events.length &&
+      (entry.events.length > historySize || now - entry.events[0].at > historyMs)) {
+      entry.evictedUpTo = entry.events.shift().id;
+    }
+  };
+
+  // Forget channels nobody has published to for a while
+  const sweep = (now) => {
+    for (const [channel, entry] of history) {
+      trim(entry, now);
+      if (!entry.events.length && !emitter.listenerCount(channel)) {
+        history.delete(channel);
+        if (entry.evictedUpTo && compareEventIds(entry.evictedUpTo, forgottenUpTo) > 0) {
+          forgottenUpTo = entry.evictedUpTo;
+        }
+      }
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async publish(channel, { type, data }) {
+      const event = { id: nextId(), type, data, at: Date.now() };
+      // A channel coming back after a sweep can't vouch for what it had before
+      const entry = history.get(channel) || { events: [], evictedUpTo: forgottenUpTo };
+      entry.events.push(event);
+      trim(entry, event.at);
+      history.set(channel, entry);
+
+      if (++publishes % 500 === 0) sweep(event.at);
+
+      emitter.emit(channel, event);
+      return event;
+    },
+
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+
+    // Events after `lastId`, or null when some of them have already been dropped
+    async since(channel, lastId) {
+      const entry = history.get(channel);
+      if (!entry) return compareEventIds(lastId, forgottenUpTo) < 0 ? null : [];
+      trim(entry, Date.now());
+      if (compareEventIds(lastId, entry.evictedUpTo) < 0) return null;
+      return entry.events.filter(event => compareEventIds(event.id, lastId) > 0);
+    }
+  };
+};
+
+module.exports = createMemoryAdapter;
@@ -0,0 +1,44 @@
+// backend/utils/recipeCleanup.js - Tidy up documents that point at a deleted recipe
+const Recipe = require('../models/Recipe');
+const Collection = require('../models/Collection');
+const Comment = require('../models/Comment');
+const MealPlanEntry = require('../models/MealPlanEntry');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const RecipeRevision = require('../models/RecipeRevision');
+const Review = require('../models/Review');
+const RecipeStat = require('../models/RecipeStat');
+const { destroyImage } = require('./uploads');
+const { recipeDeleted } = require('./counters');
+
+/**
+ * Called with the deleted recipe document (by its author or a moderator).
+ * Forks of it keep working; their attribution simply shows as unavailable.
+ */
+const cleanupDeletedRecipe = async (recipe) => {
+  const recipeId = recipe._id;
+  await recipeDeleted(recipe);
+  if (recipe.forkedFrom?.recipe) {
+    await Recipe.updateOne({ _id: recipe.forkedFrom.recipe }, { $inc: { forksCount: -1 } });
+  }
+  await Collection.updateMany(
+    { 'recipes.recipe': recipeId },
+    { $pull: { recipes: { recipe: recipeId } } }
+  );
+  // Planned meals keep their title snapshot and show up as "recipe removed"
+  await MealPlanEntry.updateMany(
+    { recipe: recipeId },
+    { $set: { recipe: null, recipeDeletedAt: new Date() } }
+  );
+  await Comment.deleteMany({ recipe: recipeId });
+  await Activity.deleteMany({ recipe: recipeId });
+  await Notification.deleteMany({ recipe: recipeId });
+  await RecipeRevision.deleteMany({ recipe: recipeId });
+  await RecipeStat.deleteMany({ recipe: recipeId });
+
+  const reviews = await Review.find({ recipe: recipeId, 'photos.0': { $exists: true } }).select('photos').lean();
+  await Promise.all(reviews.flatMap(review => review.photos).map(photo => destroyImage(photo.publicId)));
+  await Review.deleteMany({ recipe: recipeId });
+};
+
+module.exports = { cleanupDeletedRecipe };
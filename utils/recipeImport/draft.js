@@ -0,0 +1,197 @@
+// backend/utils/recipeImport/draft.js - schema.org Recipe → RecipeVerse draft
+// Shapes the fields into what validateRecipeData (routes/recipes.js) accepts,
+// trimming anything over its limits and saying so in `warnings`.
+const { clean } = require('xss-clean/lib/xss');
+const { MAX_ITEM_LENGTH } = require('../ingredients');
+const { toText } = require('./html');
+const { isType } = require('./schemaOrg');
+
+// Same limits validateRecipeData enforces
+const LIMITS = {
+  titleMax: 100,
+  ingredients: 20,
+  steps: 15,
+  stepLength: 300,
+  tags: 10
+};
+
+const list = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Imported text skips the request-body XSS filter, so it gets the same treatment here
+const plain = (value, options) => clean(toText(value, options));
+
+const firstText = (value) => {
+  for (const item of list(value)) {
+    const text = typeof item === 'object' ? plain(item.name || item.text || '') : plain(item);
+    if (text) return text;
+  }
+  return '';
+};
+
+// Cuts at a word boundary and marks the cut
+const clip = (text, max) => {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max * 0.6 ? cut.slice(0, space) : cut).trim()}…`;
+};
+
+// Long steps become several, split between sentences where possible
+const splitStep = (text, max) => {
+  if (text.length <= max) return [text];
+  const sentences = text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [text];
+  const parts = [];
+  let current = '';
+  for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+    if (current && `${current} ${sentence}`.length > max) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+    while (current.length > max) {
+      const cut = clip(current, max);
+      parts.push(cut);
+      current = current.slice(cut.length - 1).trim();
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+};
+
+/**
+ * Flat step texts from recipeInstructions: a string (one step per line), a
+ * list of strings, HowToStep, HowToSection (its name leads its first step) or
+ * ItemList, nested any way.
+ */
+const flattenInstructions = (value, depth = 0) => {
+  if (depth > 5) return [];
+  return list(value).flatMap(item => {
+    if (typeof item === 'string') {
+      return plain(item, { keepLines: true }).split('\n').map(line => line.trim()).filter(Boolean);
+    }
+    if (!item || typeof item !== 'object') return [];
+
+    if (isType(item, 'HowToSection') || (item.itemListElement && !isType(item, 'HowToStep'))) {
+      const steps = flattenInstructions(item.itemListElement, depth + 1);
+      const name = firstText(item.name);
+      if (name && steps.length) steps[0] = `${name}: ${steps[0]}`;
+      return steps;
+    }
+    // HowToStep (or a bare object): text is the step, name is often a short title
+    const text = plain(item.text || item.description || item.name || '', { keepLines: true });
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  });
+};
+
+// "4 servings", "Serves 4-6", ["4", "4 servings"], 4 → 4
+const parseYield = (value) => {
+  for (const item of list(value)) {
+    const match = String(typeof item === 'object' ? item.value ?? item.name ?? '' : item).match(/\d+/);
+    const servings = match ? parseInt(match[0], 10) : NaN;
+    if (Number.isInteger(servings) && servings >= 1 && servings <= 100) return servings;
+  }
+  return undefined;
+};
+
+const absoluteUrl = (value, base) => {
+  try {
+    const url = new URL(String(value).trim(), base || undefined);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// image may be a URL, an ImageObject, or a list of either
+const pickImage = (value, base) => {
+  for (const item of list(value)) {
+    const url = absoluteUrl(typeof item === 'object' ? item.url || item.contentUrl || item['@id'] || '' : item, base);
+    if (url) return url;
+  }
+  return null;
+};
+
+const personName = (value) => {
+  for (const item of list(value)) {
+    const name = typeof item === 'object' ? firstText(item.name) : plain(item);
+    if (name) return clip(name, 100);
+  }
+  return '';
+};
+
+/**
+ * Maps a schema.org Recipe to { body, image, source, warnings }. `body` has
+ * the same shape as a POST /api/recipes form body (list fields as JSON
+ * strings), ready for validateRecipeData's checks.
+ */
+const buildDraft = ({ recipe, meta }, { pageUrl = null } = {}) => {
+  const warnings = [];
+
+  let title = firstText(recipe.name) || firstText(recipe.headline) || meta.title || '';
+  if (title.length > LIMITS.titleMax) {
+    title = clip(title, LIMITS.titleMax);
+    warnings.push('Title was shortened to 100 characters');
+  }
+
+  let ingredients = list(recipe.recipeIngredient ?? recipe.ingredients)
+    .map(line => plain(typeof line === 'object' ? line.name || line.text || '' : line))
+    .filter(Boolean);
+  if (ingredients.some(line => line.length > MAX_ITEM_LENGTH)) {
+    ingredients = ingredients.map(line => clip(line, MAX_ITEM_LENGTH));
+    warnings.push(`Ingredient lines were shortened to ${MAX_ITEM_LENGTH} characters`);
+  }
+  if (ingredients.length > LIMITS.ingredients) {
+    warnings.push(`Only the first ${LIMITS.ingredients} of ${ingredients.length} ingredients were kept`);
+    ingredients = ingredients.slice(0, LIMITS.ingredients);
+  }
+
+  let instructions = flattenInstructions(recipe.recipeInstructions);
+  if (instructions.some(step => step.length > LIMITS.stepLength)) {
+    instructions = instructions.flatMap(step => splitStep(step, LIMITS.stepLength));
+    warnings.push(`Steps longer than ${LIMITS.stepLength} characters were split`);
+  }
+  if (instructions.length > LIMITS.steps) {
+    warnings.push(`Only the first ${LIMITS.steps} of ${instructions.length} steps were kept`);
+    instructions = instructions.slice(0, LIMITS.steps);
+  }
+
+  // keywords is usually "a, b, c"; category and cuisine make good tags too
+  const tags = [...new Set(
+    [...list(recipe.keywords), ...list(recipe.recipeCategory), ...list(recipe.recipeCuisine)]
+      .flatMap(value => plain(typeof value === 'object' ? value.name || '' : value).split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(tag => tag && tag.length <= 30)
+  )];
+  if (tags.length > LIMITS.tags) {
+    warnings.push(`Only the first ${LIMITS.tags} of ${tags.length} tags were kept`);
+  }
+
+  const servings = parseYield(recipe.recipeYield);
+  const sourceUrl = absoluteUrl(firstText(recipe.url) || meta.canonicalUrl || pageUrl || '', pageUrl);
+
+  let siteName = meta.siteName || personName(recipe.publisher);
+  if (!siteName && sourceUrl) siteName = new URL(sourceUrl).hostname.replace(/^www\./, '');
+
+  return {
+    body: {
+      title,
+      description: firstText(recipe.description),
+      ingredients: JSON.stringify(ingredients),
+      instructions: JSON.stringify(instructions),
+      tags: JSON.stringify(tags.slice(0, LIMITS.tags)),
+      ...(servings ? { servings } : {})
+    },
+    image: pickImage(recipe.image, sourceUrl || pageUrl),
+    source: {
+      url: sourceUrl,
+      name: clip(siteName || '', 100),
+      author: personName(recipe.author)
+    },
+    warnings
+  };
+};
+
+module.exports = {
+  LIMITS,
+  buildDraft
+};
@@ -0,0 +1,124 @@
+// backend/utils/recipeImport/html.js - Just enough HTML handling for recipe pages
+// A forgiving tokenizer that builds an element tree (for microdata), plus
+// helpers to turn markup fragments into plain text.
+
+// Elements that never have children or a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose contents are raw text, not markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'template', 'noscript', 'textarea'];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', deg: '°', times: '×',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  frac12: '½', frac13: '⅓', frac14: '¼', frac34: '¾', frac23: '⅔',
+  eacute: 'é', egrave: 'è', ecirc: 'ê', agrave: 'à', aacute: 'á', acirc: 'â',
+  ccedil: 'ç', iacute: 'í', oacute: 'ó', ocirc: 'ô', uacute: 'ú', uuml: 'ü',
+  ouml: 'ö', auml: 'ä', ntilde: 'ñ', szlig: 'ß', copy: '©', reg: '®', trade: '™'
+};
+
+const decodeEntities = (text) => String(text || '').replace(
+  /&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi,
+  (match, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isInteger(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : match;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  }
+);
+
+// Formatting inside a word or before punctuation ("<b>fluffy</b>.") leaves no gap
+const INLINE_TAG_RE = /<\/?(?:a|abbr|b|em|i|mark|small|span|strong|sub|sup|u)\b[^>]*>/gi;
+
+/**
+ * Plain text from a fragment that may contain markup: tags become spaces
+ * (block-level breaks become newlines when `keepLines`), entities are decoded
+ * and whitespace is collapsed.
+ */
+const toText = (value, { keepLines = false } = {}) => {
+  let text = String(value ?? '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+  if (keepLines) {
+    text = text.replace(/<\s*(br|\/p|\/li|\/div|\/h[1-6])\b[^>]*>/gi, '\n');
+  }
+  text = decodeEntities(text.replace(INLINE_TAG_RE, '').replace(/<[^>]*>/g, ' '));
+  return keepLines
+    ? text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n')
+    : text.replace(/\s+/g, ' ').trim();
+};
+
+const ATTRIBUTE_RE = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  for (const [, name, dq, sq, bare] of source.matchAll(ATTRIBUTE_RE)) {
+    const key = name.toLowerCase();
+    if (!(key in attrs)) attrs[key] = decodeEntities(dq ?? sq ?? bare ?? '');
+  }
+  return attrs;
+};
+
+const TOKEN_RE = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<\/\s*([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+
+/**
+ * Element tree of `html`: nodes are { tag, attrs, children } or text strings.
+ * Mismatched and unclosed tags are tolerated the way browsers mostly do:
+ * a closing tag closes everything opened after its match.
+ */
+const parseHtml = (html) => {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const source = String(html || '');
+  const lower = source.toLowerCase();
+  let last = 0;
+
+  const addText = (text) => {
+    if (text) stack[stack.length - 1].children.push(text);
+  };
+
+  TOKEN_RE.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_RE.exec(source))) {
+    addText(source.slice(last, match.index));
+    last = TOKEN_RE.lastIndex;
+
+    const [token, closing, opening, rawAttrs] = match;
+    if (closing) {
+      const tag = closing.toLowerCase();
+      const at = stack.map(node => node.tag).lastIndexOf(tag);
+      if (at > 0) stack.length = at;
+      continue;
+    }
+    if (!opening) continue; // comment, doctype, CDATA, processing instruction
+
+    const tag = opening.toLowerCase();
+    const node = { tag, attrs: parseAttributes(rawAttrs), children: [] };
+    stack[stack.length - 1].children.push(node);
+
+    if (RAW_TEXT_ELEMENTS.includes(tag)) {
+      const end = lower.indexOf(`</${tag}`, last);
+      const stop = end === -1 ? source.length : end;
+      node.children.push(source.slice(last, stop));
+      const close = source.indexOf('>', stop);
+      last = close === -1 ? source.length : close + 1;
+      TOKEN_RE.lastIndex = last;
+      continue;
+    }
+    if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) stack.push(node);
+  }
+  addText(source.slice(last));
+
+  return root;
+};
+
+module.exports = {
+  decodeEntities,
+  toText,
+  parseHtml
+};
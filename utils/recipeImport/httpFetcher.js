@@ -0,0 +1,187 @@
+// backend/utils/recipeImport/httpFetcher.js - Fetches recipe pages over HTTP(S)
+// Only public addresses are contacted (no localhost, private ranges or cloud
+// metadata endpoints, however they're written in IPv6), redirects are followed by hand so every hop is checked,
+// and slow or oversized pages are cut off. Each connection goes to the address
+// that was checked, so a DNS answer that changes in between (rebinding) can't
+// point the request somewhere private.
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+// Teredo and local-use NAT64 hide or rewrite the real target, so they're refused outright
+const PRIVATE_V6 = [
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+];
+
+const PRIVATE = new net.BlockList();
+for (const [base, bits] of PRIVATE_V4) PRIVATE.addSubnet(base, bits, 'ipv4');
+for (const [base, bits] of PRIVATE_V6) PRIVATE.addSubnet(base, bits, 'ipv6');
+
+// The 16 bytes of an IPv6 address ("::" expanded, a trailing dotted quad read as two groups)
+const v6Bytes = (address) => {
+  let text = address;
+  const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (quad) {
+    const [a, b, c, d] = quad.slice(1).map(Number);
+    text = `${text.slice(0, quad.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const groups = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const left = groups(head);
+  const right = tail === undefined ? [] : groups(tail);
+  const words = [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+  return words.flatMap(word => [word >> 8, word & 0xff]);
+};
+
+const startsWith = (bytes, prefix) => prefix.every((byte, i) => bytes[i] === byte);
+const ZEROS_10 = Array(10).fill(0);
+
+// IPv4 address carried inside an IPv6 one: mapped (::ffff:a.b.c.d), translated
+// (::ffff:0:a.b.c.d), compatible (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d) or 6to4 (2002:aabb:ccdd::)
+const embeddedV4 = (address) => {
+  const bytes = v6Bytes(address);
+  const quad = (at) => bytes.slice(at, at + 4).join('.');
+  if (startsWith(bytes, [...ZEROS_10, 0xff, 0xff])) return quad(12);
+  if (startsWith(bytes, [...Array(8).fill(0), 0xff, 0xff, 0, 0])) return quad(12);
+  if (startsWith(bytes, [...ZEROS_10, 0, 0])) return quad(12);
+  if (startsWith(bytes, [0, 0x64, 0xff, 0x9b, ...Array(8).fill(0)])) return quad(12);
+  if (startsWith(bytes, [0x20, 0x02])) return quad(2);
+  return null;
+};
+
+const isPrivateAddress = (raw) => {
+  const address = String(raw).replace(/%.*$/, '');
+  switch (net.isIP(address)) {
+    case 4:
+      return PRIVATE.check(address, 'ipv4');
+    case 6: {
+      if (PRIVATE.check(address, 'ipv6')) return true;
+      const inner = embeddedV4(address);
+      return !!inner && PRIVATE.check(inner, 'ipv4');
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Parses and checks `raw`, returning { url, address, family } with the
+ * resolved address the request must connect to.
+ */
+const assertPublicUrl = async (raw) => {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw httpError(400, 'URL is not valid');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw httpError(400, 'Only http and https URLs can be imported');
+  }
+  if (url.username || url.password) {
+    throw httpError(400, 'URLs with credentials cannot be imported');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  } catch {
+    throw httpError(422, `Could not resolve ${host}`);
+  }
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw httpError(400, 'That address cannot be imported from');
+  }
+  return { url, ...addresses[0] };
+};
+
+// GET over http(s) to the checked address. The URL's hostname is kept, so the
+// Host header, TLS SNI and certificate check are for the real site.
+const get = ({ url, address, family }, { headers, signal }) => new Promise((resolve, reject) => {
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.get(url, { headers, signal, lookup }, resolve);
+  req.on('error', reject);
+});
+
+// Reads at most `maxBytes` of the body, failing once it goes over
+const readLimited = async (response, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw httpError(413, `Page is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`);
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const createHttpFetcher = ({
+  timeoutMs = parseInt(process.env.RECIPE_IMPORT_TIMEOUT_MS) || 8000,
+  maxBytes = (parseInt(process.env.RECIPE_IMPORT_MAX_MB) || 3) * 1024 * 1024,
+  maxRedirects = 3,
+  userAgent = 'RecipeVerseImporter/1.0 (+https://recipe-verse.vercel.app)'
+} = {}) => ({
+  async fetch(target) {
+    let page = await assertPublicUrl(target);
+    const signal = AbortSignal.timeout(timeoutMs);
+    const headers = {
+      'User-Agent': userAgent,
+      Accept: 'text/html,application/xhtml+xml',
+      'Accept-Encoding': 'identity'
+    };
+
+    try {
+      for (let hop = 0; ; hop++) {
+        const response = await get(page, { headers, signal });
+        const { statusCode: status, headers: responseHeaders } = response;
+
+        if (status >= 300 && status < 400 && responseHeaders.location) {
+          response.resume();
+          if (hop >= maxRedirects) throw httpError(502, 'Too many redirects');
+          page = await assertPublicUrl(new URL(responseHeaders.location, page.url).href);
+          continue;
+        }
+        if (status < 200 || status >= 300) {
+          response.resume();
+          throw httpError(502, `The page answered with HTTP ${status}`);
+        }
+
+        const type = responseHeaders['content-type'] || '';
+        if (type && !/html|xml/i.test(type)) {
+          response.destroy();
+          throw httpError(422, 'That URL is not a web page');
+        }
+        try {
+          return { url: page.url.href, html: await readLimited(response, maxBytes) };
+        } finally {
+          response.destroy();
+        }
+      }
+    } catch (err) {
+      if (err.status) throw err;
+      if (signal.aborted || err.name === 'TimeoutError' || err.name === 'AbortError') {
+        throw httpError(504, 'The page took too long to respond');
+      }
+      throw httpError(502, 'Could not fetch the page');
+    }
+  }
+});
+
+module.exports = createHttpFetcher;
+module.exports.isPrivateAddress = isPrivateAddress;
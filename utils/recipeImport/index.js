@@ -0,0 +1,68 @@
+// backend/utils/recipeImport/index.js - Turn a recipe web page into a draft
+// Routes call importRecipe() with pasted HTML or a URL. URLs are fetched by
+// the driver RECIPE_IMPORT_FETCHER picks:
+//   http → fetch the page directly (default; see httpFetcher.js for the guards)
+//   none → URL imports switched off, pasted HTML still works
+// Anything else (a headless browser, a caching proxy) plugs in with setFetcher().
+//
+// Fetcher contract:
+//   fetch(url) → Promise<{ url: final URL after redirects, html }>
+//   errors carry err.status
+const createHttpFetcher = require('./httpFetcher');
+const { extractRecipe } = require('./schemaOrg');
+const { buildDraft } = require('./draft');
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const DRIVERS = {
+  http: createHttpFetcher,
+  none: () => ({
+    fetch: async () => {
+      throw httpError(503, 'Importing from a URL is turned off - paste the page HTML instead');
+    }
+  })
+};
+
+let fetcher = null;
+
+const getFetcher = () => {
+  if (fetcher) return fetcher;
+
+  const driver = process.env.RECIPE_IMPORT_FETCHER || 'http';
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown RECIPE_IMPORT_FETCHER "${driver}" (use ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+
+  fetcher = DRIVERS[driver]();
+  return fetcher;
+};
+
+// 🧪 Swap in another fetcher (or reset to the env default with null)
+const setFetcher = (custom) => {
+  fetcher = custom;
+};
+
+/**
+ * Finds the schema.org Recipe in `html` (or the page at `url`) and maps it.
+ * Returns { body, image, source, warnings, format } - see draft.js. Throws
+ * with err.status 422 when the page has no recipe markup.
+ */
+const importRecipe = async ({ html, url }) => {
+  let page = { url: null, html };
+  if (!html) {
+    page = await getFetcher().fetch(url);
+  }
+
+  const found = extractRecipe(page.html);
+  if (!found) {
+    throw httpError(422, 'No schema.org Recipe (JSON-LD or microdata) found on that page');
+  }
+
+  const draft = buildDraft(found, { pageUrl: page.url || url || null });
+  return { ...draft, format: found.format };
+};
+
+module.exports = {
+  importRecipe,
+  setFetcher
+};
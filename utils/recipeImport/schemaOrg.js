@@ -0,0 +1,179 @@
+// backend/utils/recipeImport/schemaOrg.js - Find a schema.org Recipe in a page
+// JSON-LD blocks are read first; microdata (itemscope/itemprop) is the fallback.
+// Either way the result is a JSON-LD-shaped object, so the mapping in draft.js
+// only has to understand one format.
+const { parseHtml, toText } = require('./html');
+
+const JSON_LD_RE = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+
+// "Recipe", "schema:Recipe", "http://schema.org/Recipe", or an array holding one
+const isType = (node, type) => {
+  const types = [].concat(node?.['@type'] || []);
+  return types.some(t => String(t).replace(/^.*[/:#]/, '') === type);
+};
+
+const parseJson = (raw) => {
+  const cleaned = raw
+    .trim()
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/^<!--|-->$/g, '')
+    // Some CMSes leave raw newlines inside strings
+    .replace(/[\u0000-\u001f]+/g, ' ');
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    return null;
+  }
+};
+
+// Every object in a JSON-LD document, following arrays, @graph and nesting
+const walkJsonLd = function* (value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 8) return;
+  if (Array.isArray(value)) {
+    for (const item of value) yield* walkJsonLd(item, depth + 1);
+    return;
+  }
+  yield value;
+  for (const child of Object.values(value)) {
+    if (child && typeof child === 'object') yield* walkJsonLd(child, depth + 1);
+  }
+};
+
+/**
+ * Recipe nodes from the page's JSON-LD blocks, plus the site name when a
+ * WebSite/Organization node gives one.
+ */
+const fromJsonLd = (html) => {
+  const recipes = [];
+  let siteName = null;
+
+  for (const [, raw] of String(html).matchAll(JSON_LD_RE)) {
+    const doc = parseJson(raw);
+    for (const node of walkJsonLd(doc)) {
+      if (isType(node, 'Recipe')) recipes.push(node);
+      else if (!siteName && (isType(node, 'WebSite') || isType(node, 'Organization')) && typeof node.name === 'string') {
+        siteName = node.name;
+      }
+    }
+  }
+
+  return { recipes, siteName };
+};
+
+// What an itemprop element contributes, per the microdata spec
+const propertyValue = (node) => {
+  const { tag, attrs } = node;
+  if ('content' in attrs) return attrs.content;
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe', 'track'].includes(tag)) return attrs.src || '';
+  if (['a', 'link', 'area'].includes(tag)) return attrs.href || '';
+  if (tag === 'time' && attrs.datetime) return attrs.datetime;
+  if (['data', 'meter'].includes(tag) && 'value' in attrs) return attrs.value;
+  // Instructions are often marked up as HTML; keep the line breaks
+  return toText(node.children.map(child => (typeof child === 'string' ? child : renderBreaks(child))).join(''), { keepLines: true });
+};
+
+// Rebuilds enough markup (line breaks) for toText to split steps on
+const renderBreaks = (node) => {
+  if (typeof node === 'string') return node;
+  if (['script', 'style', 'template'].includes(node.tag)) return '';
+  const inner = node.children.map(renderBreaks).join('');
+  return ['p', 'li', 'div', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(node.tag)
+    ? `${inner}<br>`
+    : ` ${inner} `;
+};
+
+// Properties of one itemscope element, without crossing into nested items
+const readItem = (scope) => {
+  const item = { '@type': (scope.attrs.itemtype || '').split(/\s+/).filter(Boolean) };
+
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') continue;
+      const names = (child.attrs.itemprop || '').split(/\s+/).filter(Boolean);
+      const nested = 'itemscope' in child.attrs;
+      if (names.length) {
+        const value = nested ? readItem(child) : propertyValue(child);
+        for (const name of names) (item[name] = item[name] || []).push(value);
+      }
+      if (!nested) visit(child);
+    }
+  };
+  visit(scope);
+
+  // Single values read like JSON-LD
+  for (const [key, value] of Object.entries(item)) {
+    if (key !== '@type' && value.length === 1) item[key] = value[0];
+  }
+  return item;
+};
+
+/**
+ * Recipe items marked up with microdata.
+ */
+const fromMicrodata = (html) => {
+  const recipes = [];
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') continue;
+      if ('itemscope' in child.attrs && isType({ '@type': (child.attrs.itemtype || '').split(/\s+/) }, 'Recipe')) {
+        recipes.push(readItem(child));
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(parseHtml(html));
+  return recipes;
+};
+
+// <meta property="og:site_name">, <link rel="canonical"> and the <title> as fallbacks
+const pageMeta = (html) => {
+  const source = String(html);
+  const meta = (name) => {
+    const tag = source.match(new RegExp(`<meta\\b[^>]*(?:property|name)\\s*=\\s*["']${name}["'][^>]*>`, 'i'));
+    const content = tag && tag[0].match(/content\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    return content ? toText(content[1] ?? content[2]) : null;
+  };
+  const canonical = source.match(/<link\b[^>]*rel\s*=\s*["']canonical["'][^>]*>/i);
+  const href = canonical && canonical[0].match(/href\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+  const title = source.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+
+  return {
+    siteName: meta('og:site_name'),
+    canonicalUrl: href ? toText(href[1] ?? href[2]) : null,
+    title: title ? toText(title[1]) : null
+  };
+};
+
+/**
+ * The best schema.org Recipe on the page: { recipe, format, meta } where
+ * format is 'json-ld' or 'microdata', or null when the page has none. The
+ * recipe with the most ingredients wins when there are several.
+ */
+const extractRecipe = (html) => {
+  const meta = pageMeta(html);
+  const jsonLd = fromJsonLd(html);
+  const pick = (list) => list.reduce((best, candidate) => {
+    const count = (node) => [].concat(node.recipeIngredient || node.ingredients || []).length;
+    return !best || count(candidate) > count(best) ? candidate : best;
+  }, null);
+
+  if (jsonLd.recipes.length) {
+    return {
+      recipe: pick(jsonLd.recipes),
+      format: 'json-ld',
+      meta: { ...meta, siteName: meta.siteName || jsonLd.siteName }
+    };
+  }
+
+  const microdata = fromMicrodata(html);
+  if (microdata.length) {
+    return { recipe: pick(microdata), format: 'microdata', meta };
+  }
+  return null;
+};
+
+module.exports = {
+  isType,
+  extractRecipe
+};
@@ -0,0 +1,255 @@
+// backend/utils/recommendations.js - "Similar recipes" and personal recommendations
+// Both are scored inside MongoDB from tags, Recipe.ingredientKeys and the
+// engagement counters; nothing leaves the database but the final cards.
+//
+//   similarity = 0.4 × tag overlap + 0.6 × ingredient overlap   (Jaccard, 0-1)
+//   quality    = 0.6 + 0.25 × (damped rating / 5) + 0.15 × likes (log scale, 0-1)
+//   score      = match × quality
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const Comment = require('../models/Comment');
+const { recipeCards } = require('./feed');
+
+const TAG_WEIGHT = 0.4;
+const INGREDIENT_WEIGHT = 0.6;
+
+// A few average ratings' worth of prior keeps one 5-star vote from winning
+const PRIOR_RATING = 3.5;
+const PRIOR_VOTES = 5;
+
+// Likes stop adding quality at 10^3
+const LIKES_SCALE = 3;
+
+// Taste profile: the strongest tags / ingredients across what someone liked or rated 4+
+const PROFILE_TAGS = 15;
+const PROFILE_INGREDIENTS = 25;
+const PROFILE_RECIPES = 200;
+
+const size = (expr) => ({ $size: { $ifNull: [expr, []] } });
+
+// User-entered strings go in as literals, so a tag like "$price" stays text
+const shared = (field, values) => ({ $setIntersection: [{ $ifNull: [field, []] }, { $literal: values }] });
+
+// |a ∩ b| / |a ∪ b|, 0 when both are empty
+const jaccard = (field, values) => {
+  const union = size({ $setUnion: [{ $ifNull: [field, []] }, { $literal: values }] });
+  return {
+    $cond: [
+      { $gt: [union, 0] },
+      { $divide: [size(shared(field, values)), union] },
+      0
+    ]
+  };
+};
+
+const QUALITY = {
+  $add: [
+    0.6,
+    {
+      $multiply: [0.25 / 5, {
+        $divide: [
+          { $add: [{ $ifNull: ['$ratingSum', 0] }, PRIOR_RATING * PRIOR_VOTES] },
+          { $add: [{ $ifNull: ['$ratingsCount', 0] }, PRIOR_VOTES] }
+        ]
+      }]
+    },
+    {
+      $multiply: [0.15, {
+        $min: [1, { $divide: [{ $log10: { $add: [{ $ifNull: ['$likesCount', 0] }, 1] } }, LIKES_SCALE] }]
+      }]
+    }
+  ]
+};
+
+/**
+ * Recipes sharing tags and ingredients with `recipe` (which needs _id, author,
+ * tags and ingredientKeys), best first. `excludeAuthor` leaves out the same
+ * author's other recipes.
+ */
+const similarRecipes = (recipe, { limit = 6, excludeAuthor = false } = {}) => {
+  const tags = recipe.tags || [];
+  const keys = recipe.ingredientKeys || [];
+  if (!tags.length && !keys.length) return [];
+
+  return recipeCards(
+    {
+      _id: { $ne: recipe._id },
+      ...(excludeAuthor ? { author: { $ne: recipe.author } } : {}),
+      $or: [{ tags: { $in: tags } }, { ingredientKeys: { $in: keys } }]
+    },
+    {
+      stages: [
+        {
+          $set: {
+            similarity: {
+              $add: [
+                { $multiply: [TAG_WEIGHT, jaccard('$tags', tags)] },
+                { $multiply: [INGREDIENT_WEIGHT, jaccard('$ingredientKeys', keys)] }
+              ]
+            }
+          }
+        },
+        { $set: { matchScore: { $multiply: ['$similarity', QUALITY] } } }
+      ],
+      sort: { matchScore: -1, _id: -1 },
+      limit,
+      fields: {
+        similarity: { $round: ['$similarity', 3] },
+        sharedTags: shared('$tags', tags),
+        sharedIngredients: shared('$ingredientKeys', keys)
+      }
+    }
+  );
+};
+
+/**
+ * Weighted tags and ingredients from what `userId` liked or rated 4-5 stars:
+ * { tags: [{ k, w }], ingredients: [{ k, w }] }. A like counts 1, five stars
+ * another 1 and four stars 0.5.
+ */
+const tasteProfile = async (userId) => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const [profile] = await Recipe.aggregate([
+    {
+      $match: {
+        $or: [{ likes: user }, { ratings: { $elemMatch: { user, value: { $gte: 4 } } } }]
+      }
+    },
+    { $sort: { _id: -1 } },
+    { $limit: PROFILE_RECIPES },
+    {
+      $project: {
+        tags: 1,
+        ingredientKeys: 1,
+        weight: {
+          $add: [
+            { $cond: [{ $in: [user, { $ifNull: ['$likes', []] }] }, 1, 0] },
+            {
+              $max: [0, {
+                $divide: [{
+                  $subtract: [{
+                    $max: {
+                      $map: {
+                        input: { $filter: { input: { $ifNull: ['$ratings', []] }, cond: { $eq: ['$$this.user', user] } } },
+                        in: '$$this.value'
+                      }
+                    }
+                  }, 3]
+                }, 2]
+              }]
+            }
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', w: { $sum: '$weight' } } },
+          { $sort: { w: -1, _id: 1 } },
+          { $limit: PROFILE_TAGS },
+          { $project: { _id: 0, k: '$_id', w: 1 } }
+        ],
+        ingredients: [
+          { $unwind: '$ingredientKeys' },
+          { $group: { _id: '$ingredientKeys', w: { $sum: '$weight' } } },
+          { $sort: { w: -1, _id: 1 } },
+          { $limit: PROFILE_INGREDIENTS },
+          { $project: { _id: 0, k: '$_id', w: 1 } }
+        ]
+      }
+    }
+  ]);
+  return profile || { tags: [], ingredients: [] };
+};
+
+// Share of the profile's weight whose keys appear in `field`, 0-1
+const affinity = (field, weighted) => {
+  const total = weighted.reduce((sum, entry) => sum + entry.w, 0);
+  if (!total) return 0;
+  return {
+    $divide: [
+      {
+        $sum: {
+          $map: {
+            input: { $filter: { input: { $literal: weighted }, cond: { $in: ['$$this.k', { $ifNull: [field, []] }] } } },
+            in: '$$this.w'
+          }
+        }
+      },
+      total
+    ]
+  };
+};
+
+/**
+ * Recipes for `userId` that match their taste profile and that they haven't
+ * written, liked, rated or commented on. Topped up with this week's trending
+ * recipes when history is thin. Returns { recipes, basedOn }.
+ */
+const recommendationsFor = async (userId, { limit = 12 } = {}) => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const [profile, touched, commented] = await Promise.all([
+    tasteProfile(userId),
+    Recipe.distinct('_id', { $or: [{ author: user }, { likes: user }, { 'ratings.user': user }] }),
+    Comment.distinct('recipe', { user })
+  ]);
+  const seen = [...touched, ...commented];
+  const base = { _id: { $nin: seen }, author: { $ne: user } };
+
+  const tags = profile.tags.map(entry => entry.k);
+  const keys = profile.ingredients.map(entry => entry.k);
+
+  const personal = tags.length || keys.length
+    ? await recipeCards(
+      { ...base, $or: [{ tags: { $in: tags } }, { ingredientKeys: { $in: keys } }] },
+      {
+        stages: [
+          {
+            $set: {
+              affinity: {
+                $add: [
+                  { $multiply: [TAG_WEIGHT, affinity('$tags', profile.tags)] },
+                  { $multiply: [INGREDIENT_WEIGHT, affinity('$ingredientKeys', profile.ingredients)] }
+                ]
+              }
+            }
+          },
+          { $set: { matchScore: { $multiply: ['$affinity', QUALITY] } } }
+        ],
+        sort: { matchScore: -1, _id: -1 },
+        limit,
+        fields: {
+          reason: { $literal: 'taste' },
+          matchedTags: shared('$tags', tags)
+        }
+      }
+    )
+    : [];
+
+  const popular = personal.length < limit
+    ? await recipeCards(
+      { ...base, _id: { $nin: [...seen, ...personal.map(recipe => recipe._id)] } },
+      {
+        sort: { 'trending.week': -1, avgRating: -1, _id: -1 },
+        limit: limit - personal.length,
+        fields: { reason: { $literal: 'trending' }, matchedTags: { $literal: [] } }
+      }
+    )
+    : [];
+
+  return {
+    recipes: [...personal, ...popular],
+    basedOn: {
+      tags: tags.slice(0, 5),
+      ingredients: keys.slice(0, 5)
+    }
+  };
+};
+
+module.exports = {
+  similarRecipes,
+  tasteProfile,
+  recommendationsFor
+};
@@ -0,0 +1,142 @@
+// backend/utils/reviews.js - Reviews, the star ratings they carry, and rating summaries
+// A review's stars are mirrored into Recipe.ratings, whose totals
+// utils/counters.js keeps up to date for sorting and list cards.
+const Review = require('../models/Review');
+const { recordActivity, removeActivity } = require('./activity');
+const { notify, retract } = require('./notifications');
+const { publish, recipeChannel } = require('./realtime');
+const { setRating, removeRating } = require('./counters');
+
+const SORTS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const parseRating = (value) => {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+/**
+ * Validates review fields from a (possibly multipart) body.
+ * Returns { fields, errors }; `partial` allows leaving fields out.
+ */
+const parseReviewFields = (body, { partial }) => {
+  const fields = {};
+  const errors = [];
+
+  if (!partial || body.rating !== undefined) {
+    const rating = parseRating(body.rating);
+    if (rating === null) errors.push('Rating must be a whole number between 1 and 5');
+    else fields.rating = rating;
+  }
+  if (body.text !== undefined) {
+    const text = String(body.text).trim();
+    if (text.length > 2000) errors.push('Review text cannot exceed 2000 characters');
+    else fields.text = text;
+  }
+  if (body.modifications !== undefined) {
+    const modifications = String(body.modifications).trim();
+    if (modifications.length > 1000) errors.push('Modifications cannot exceed 1000 characters');
+    else fields.modifications = modifications;
+  }
+
+  return { fields, errors };
+};
+
+// removePhotos arrives as an array, a JSON array string or a single URL
+const parsePhotoList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)];
+  } catch {
+    return [String(value)];
+  }
+};
+
+/**
+ * { avgRating, ratingsCount, ratingHistogram } from a recipe's ratings,
+ * where ratingHistogram counts ratings per star: { 1: 0, ..., 5: 12 }.
+ */
+const ratingSummary = (ratings = []) => {
+  const ratingHistogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let sum = 0;
+  for (const { value } of ratings) {
+    if (ratingHistogram[value] !== undefined) ratingHistogram[value] += 1;
+    sum += value;
+  }
+  return {
+    avgRating: parseFloat((sum / (ratings.length || 1)).toFixed(1)),
+    ratingsCount: ratings.length,
+    ratingHistogram
+  };
+};
+
+/**
+ * Records `value` stars from `userId` on `recipe` and tells the feed, the
+ * author and live viewers. Returns the fresh rating summary.
+ */
+const applyRating = async (recipe, userId, value) => {
+  const updated = await setRating(recipe._id, userId, value);
+  const summary = ratingSummary(updated?.ratings);
+
+  await recordActivity({ actor: userId, type: 'rating', recipe, rating: value });
+  await notify({
+    recipient: recipe.author,
+    actor: userId,
+    type: 'rating',
+    recipe: recipe._id,
+    preview: `${value}/5`
+  });
+  await publish(recipeChannel(recipe._id), 'rating', { recipeId: recipe._id, ...summary });
+
+  return summary;
+};
+
+/**
+ * Takes `userId`'s stars back off `recipe` (their review was deleted).
+ */
+const clearRating = async (recipe, userId) => {
+  const updated = await removeRating(recipe._id, userId);
+  const summary = ratingSummary(updated?.ratings);
+
+  await removeActivity({ actor: userId, type: 'rating', recipe: recipe._id });
+  await retract({ recipient: recipe.author, actor: userId, type: 'rating', recipe: recipe._id });
+  await publish(recipeChannel(recipe._id), 'rating', { recipeId: recipe._id, ...summary });
+
+  return summary;
+};
+
+/**
+ * Response shape for reviews. `votedHelpful` says whether the viewer voted.
+ */
+const presentReviews = async (reviews, viewer) => {
+  const voted = viewer && reviews.length
+    ? new Set((await Review.find({ _id: { $in: reviews.map(r => r._id) }, helpful: viewer.id })
+      .distinct('_id')).map(String))
+    : new Set();
+
+  return reviews.map(({ helpful, ...review }) => ({
+    ...review,
+    user: review.user || { username: 'Unknown' },
+    photos: (review.photos || []).map(photo => photo.url),
+    helpfulCount: review.helpfulCount || 0,
+    votedHelpful: voted.has(String(review._id)),
+    edited: !!review.editedAt
+  }));
+};
+
+module.exports = {
+  SORTS,
+  parseRating,
+  parseReviewFields,
+  parsePhotoList,
+  ratingSummary,
+  applyRating,
+  clearRating,
+  presentReviews
+};
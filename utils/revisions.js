@@ -0,0 +1,143 @@
+// backend/utils/revisions.js - Recipe history: snapshots, field diffs and list diffs
+const RecipeRevision = require('../models/RecipeRevision');
+const { normalizeIngredient, normalizeIngredientList, formatIngredient } = require('./ingredients');
+
+// Everything an edit can change. `image` is recorded but never reverted: the
+// old file is deleted from storage when it is replaced.
+const REVISION_FIELDS = ['title', 'description', 'ingredients', 'instructions', 'tags', 'servings', 'image'];
+const REVERTIBLE_FIELDS = REVISION_FIELDS.filter(field => field !== 'image');
+const LIST_FIELDS = ['ingredients', 'instructions', 'tags'];
+
+const snapshotOf = (recipe) => ({
+  title: recipe.title || '',
+  description: recipe.description || '',
+  ingredients: normalizeIngredientList(recipe.ingredients)
+    .map(({ quantity, quantityMax, unit, item, note, group }) => ({ quantity, quantityMax, unit, item, note, group })),
+  instructions: [...(recipe.instructions || [])],
+  tags: [...(recipe.tags || [])],
+  servings: recipe.servings ?? null,
+  image: recipe.image || ''
+});
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const changedFields = (before, after) => REVISION_FIELDS.filter(field => !same(before[field], after[field]));
+
+// How list entries are compared: ingredients by their rendered line
+const listKey = (field, value) => (field === 'ingredients'
+  ? `${value.group || ''}|${formatIngredient(normalizeIngredient(value))}`
+  : String(value));
+
+/**
+ * Line diff via longest common subsequence:
+ * [{ op: 'equal' | 'added' | 'removed', value }] in reading order.
+ */
+const diffList = (field, from = [], to = []) => {
+  const a = from.map(value => listKey(field, value));
+  const b = to.map(value => listKey(field, value));
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ op: 'equal', value: to[j] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ op: 'removed', value: from[i++] });
+    } else {
+      ops.push({ op: 'added', value: to[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ op: 'removed', value: from[i++] });
+  while (j < b.length) ops.push({ op: 'added', value: to[j++] });
+  // Rendered line alongside structured ingredients, like presentIngredients()
+  return field === 'ingredients'
+    ? ops.map(({ op, value }) => ({ op, value: { ...value, text: formatIngredient(normalizeIngredient(value)) } }))
+    : ops;
+};
+
+/**
+ * Field-level diff between two snapshots. Only changed fields appear:
+ * scalars as { from, to }, lists as { changes: [...] } (see diffList).
+ */
+const diffSnapshots = (from, to) => {
+  const diff = {};
+  for (const field of changedFields(from, to)) {
+    diff[field] = LIST_FIELDS.includes(field)
+      ? { changes: diffList(field, from[field], to[field]) }
+      : { from: from[field] ?? null, to: to[field] ?? null };
+  }
+  return diff;
+};
+
+const createRevision = async (data) => {
+  // Two edits racing for the same number: the loser takes the next one
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await RecipeRevision.findOne({ recipe: data.recipe }).sort({ number: -1 }).select('number').lean();
+    try {
+      return await RecipeRevision.create({ ...data, number: (latest?.number || 0) + 1 });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error('Could not allocate a revision number');
+};
+
+/**
+ * Stores the recipe's state after an edit. `before` is the snapshot taken
+ * before the edit, used to backfill a baseline for recipes older than history.
+ * Returns the new revision, or null when nothing changed.
+ */
+const recordRevision = async (recipe, { editor, before, revertedFrom }) => {
+  const after = snapshotOf(recipe);
+  const changed = before ? changedFields(before, after) : REVISION_FIELDS;
+  if (!changed.length) return null;
+
+  if (before && !(await RecipeRevision.exists({ recipe: recipe._id }))) {
+    await createRevision({
+      recipe: recipe._id,
+      editor: recipe.author,
+      changedFields: REVISION_FIELDS,
+      baseline: true,
+      snapshot: before,
+      createdAt: recipe.createdAt
+    });
+  }
+
+  return createRevision({
+    recipe: recipe._id,
+    editor,
+    changedFields: changed,
+    revertedFrom,
+    snapshot: after
+  });
+};
+
+/**
+ * Copies an older snapshot's revertible fields onto a recipe document.
+ */
+const applySnapshot = (recipe, snapshot) => {
+  for (const field of REVERTIBLE_FIELDS) {
+    recipe[field] = field === 'servings' ? (snapshot.servings ?? undefined) : snapshot[field];
+  }
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotOf,
+  changedFields,
+  diffList,
+  diffSnapshots,
+  recordRevision,
+  applySnapshot
+};
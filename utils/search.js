@@ -0,0 +1,131 @@
+// backend/utils/search.js - Recipe full-text search helpers
+// Queries go to MongoDB's weighted text index (see models/Recipe.js) instead of
+// user-supplied regexes. Supports words, "exact phrases" and -exclusions.
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 12;
+const SNIPPET_RADIUS = 60;
+
+// Fields shown as highlights, in the order they are weighted in the index
+const HIGHLIGHT_FIELDS = ['title', 'tags', 'ingredients', 'description', 'instructions'];
+
+/**
+ * Splits a raw query into { terms, phrases, excluded } and rebuilds a safe
+ * `$text.$search` string from them. Returns null when nothing searchable is left.
+ */
+const parseSearchQuery = (raw) => {
+  const input = String(raw || '').slice(0, MAX_QUERY_LENGTH);
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+
+  const withoutPhrases = input.replace(/"([^"]*)"/g, (match, phrase) => {
+    const clean = phrase.replace(/[^\p{L}\p{N}\s'-]/gu, ' ').replace(/\s+/g, ' ').trim();
+    if (clean) phrases.push(clean.toLowerCase());
+    return ' ';
+  });
+
+  for (const token of withoutPhrases.split(/\s+/)) {
+    const negated = token.startsWith('-');
+    const word = token.replace(/^-+/, '').replace(/[^\p{L}\p{N}'-]/gu, '').replace(/^-+|-+$/g, '');
+    if (!word) continue;
+    (negated ? excluded : terms).push(word.toLowerCase());
+  }
+
+  if (!terms.length && !phrases.length) return null;
+
+  const limitedTerms = terms.slice(0, MAX_TERMS);
+  const limitedExcluded = excluded.slice(0, MAX_TERMS);
+  const search = [
+    ...phrases.slice(0, 3).map(p => `"${p}"`),
+    ...limitedTerms,
+    ...limitedExcluded.map(w => `-${w}`)
+  ].join(' ');
+
+  return { search, terms: limitedTerms, phrases: phrases.slice(0, 3), excluded: limitedExcluded };
+};
+
+// Light English stemming so "baking" highlights "bake"/"baked" like Mongo matches them
+const stem = (word) => word
+  .toLowerCase()
+  .replace(/(?:ies)$/, 'y')
+  .replace(/(?:ing|ed|es|s|ly)$/, '')
+  .replace(/e$/, '');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildHighlighter = ({ terms, phrases }) => {
+  const patterns = [
+    ...phrases.map(p => escapeRegex(p).replace(/\s+/g, '\\s+')),
+    ...terms.map(t => `${escapeRegex(stem(t) || t)}\\p{L}*`)
+  ];
+  if (!patterns.length) return null;
+  return new RegExp(`\\b(?:${patterns.join('|')})`, 'giu');
+};
+
+/**
+ * Cuts a window around the first match and wraps every match in <mark>.
+ * Text is HTML-escaped, so the snippet is safe to render as HTML.
+ */
+const makeSnippet = (text, matcher) => {
+  matcher.lastIndex = 0;
+  const first = matcher.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const window = text.slice(start, end);
+
+  let html = '';
+  let cursor = 0;
+  matcher.lastIndex = 0;
+  for (const match of window.matchAll(matcher)) {
+    html += escapeHtml(window.slice(cursor, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  html += escapeHtml(window.slice(cursor));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+const fieldTexts = (doc, field) => {
+  const value = doc[field];
+  if (!value) return [];
+  if (field === 'ingredients') {
+    return value.map(i => (typeof i === 'string' ? i : [i.item, i.note].filter(Boolean).join(', ')));
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Builds `[{ field, snippet }]` for a search result (at most one per field).
+ */
+const highlightRecipe = (doc, parsed) => {
+  const matcher = buildHighlighter(parsed);
+  if (!matcher) return [];
+
+  const highlights = [];
+  for (const field of HIGHLIGHT_FIELDS) {
+    for (const text of fieldTexts(doc, field)) {
+      const snippet = makeSnippet(String(text), matcher);
+      if (snippet) {
+        highlights.push({ field, snippet });
+        break;
+      }
+    }
+  }
+  return highlights;
+};
+
+module.exports = {
+  parseSearchQuery,
+  highlightRecipe,
+  stem
+};
@@ -0,0 +1,195 @@
+// backend/utils/sessions.js - Access tokens, rotating refresh tokens & auth cookies
+// Access tokens are short-lived JWTs carrying the session id (`sid`); refresh
+// tokens are opaque "<sessionId>.<secret>" strings kept in an httpOnly cookie.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_COOKIE = 'token';
+const REFRESH_TOKEN_COOKIE = 'refreshToken';
+
+const jwtSecret = () => process.env.JWT_SECRET || 'fallback-secret-change-in-prod';
+const accessTtlMinutes = () => parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const refreshTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// 📱 "Chrome on Windows" from a user-agent string (good enough for a sessions list)
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, re]) => re.test(userAgent))?.[0];
+  const os = systems.find(([, re]) => re.test(userAgent))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, username: user.username, sid: sessionId },
+  jwtSecret(),
+  { expiresIn: `${accessTtlMinutes()}m` }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, jwtSecret());
+
+const newRefreshSecret = () => crypto.randomBytes(40).toString('hex');
+const refreshExpiry = () => new Date(Date.now() + refreshTtlDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Starts a new session (refresh token family) for a user signing in.
+ * Returns { accessToken, refreshToken, session }.
+ */
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const userAgent = req.get('User-Agent') || '';
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    device: describeDevice(userAgent),
+    userAgent: userAgent.slice(0, 500),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+};
+
+/**
+ * Swaps a refresh token for a new pair. A token that was already rotated
+ * out is treated as stolen: the whole session family is revoked.
+ * Returns { accessToken, refreshToken, session, user } or throws with err.status.
+ */
+const rotateRefreshToken = async (rawToken, req) => {
+  const [sessionId, secret] = String(rawToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    throw Object.assign(new Error('Invalid refresh token'), { status: 401 });
+  }
+
+  const presentedHash = hashToken(secret);
+  const nextSecret = newRefreshSecret();
+
+  // Atomic compare-and-swap so two refreshes can't both win
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ip: req.ip
+      },
+      $push: { rotatedHashes: { $each: [presentedHash], $slice: -50 } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, rotatedHashes: presentedHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+    );
+    if (reused) {
+      console.warn('🚨 Refresh token reuse detected - session revoked:', sessionId);
+    }
+    throw Object.assign(new Error('Refresh token invalid or revoked'), { status: 401 });
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.isSuspended()) {
+    await revokeSession(session._id, user ? 'suspended' : 'revoked');
+    throw Object.assign(new Error(user ? 'Account suspended' : 'User not found'), { status: 401 });
+  }
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    session,
+    user
+  };
+};
+
+const revokeSession = (sessionId, reason = 'logout', userId) => Session.findOneAndUpdate(
+  { _id: sessionId, revokedAt: null, ...(userId ? { user: userId } : {}) },
+  { $set: { revokedAt: new Date(), revokedReason: reason } },
+  { new: true }
+);
+
+/**
+ * Revokes the session a refresh token belongs to, but only when the token's
+ * secret is the session's current one (so a bare session id isn't enough).
+ * Returns the revoked session or null.
+ */
+const revokeRefreshToken = async (rawToken, reason = 'logout') => {
+  const [sessionId, secret] = String(rawToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  return Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hashToken(secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+// 🍪 Cross-site frontends (Vercel/Netlify) need SameSite=None; Secure in production
+const cookieBase = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax'
+  };
+};
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie(ACCESS_TOKEN_COOKIE, accessToken, {
+    ...cookieBase(),
+    maxAge: accessTtlMinutes() * 60 * 1000
+  });
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...cookieBase(),
+    path: '/api/auth',
+    maxAge: refreshTtlDays() * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, cookieBase());
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...cookieBase(), path: '/api/auth' });
+};
+
+module.exports = {
+  REFRESH_TOKEN_COOKIE,
+  accessTtlMinutes,
+  hashToken,
+  describeDevice,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies
+};
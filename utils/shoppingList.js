@@ -0,0 +1,162 @@
+// backend/utils/shoppingList.js - Turns recipes into a consolidated shopping list
+const { normalizeIngredient, normalizeIngredientList, formatIngredient, scaleIngredients, parseIngredient } = require('./ingredients');
+const { normalizeIngredientName } = require('./ingredientNames');
+const { VOLUME_ML, WEIGHT_G, addQuantities, convertIngredient } = require('./units');
+
+// Store sections in walking order; the first aisle with a matching keyword wins,
+// so specific names ("peanut butter", "coconut milk") come before generic ones
+const AISLES = [
+  ['canned goods', ['canned', 'tinned', 'coconut milk', 'tomato paste', 'tomato sauce', 'broth', 'bean', 'chickpea']],
+  ['pantry', ['peanut butter', 'almond butter', 'flour', 'sugar', 'rice', 'pasta', 'spaghetti', 'noodle', 'oat', 'quinoa', 'lentil',
+    'oil', 'vinegar', 'honey', 'syrup', 'soy sauce', 'sauce', 'ketchup', 'mustard', 'mayonnaise', 'baking', 'yeast',
+    'cornstarch', 'cocoa', 'chocolate', 'vanilla', 'breadcrumb', 'nut', 'almond', 'walnut', 'pecan', 'raisin', 'seed', 'stock cube']],
+  ['spices & seasonings', ['salt', 'black pepper', 'peppercorn', 'cumin', 'paprika', 'cinnamon', 'nutmeg', 'oregano', 'thyme',
+    'rosemary', 'turmeric', 'curry', 'chili powder', 'chili flake', 'cayenne', 'clove', 'bay leaf', 'spice', 'seasoning', 'allspice']],
+  ['frozen', ['frozen', 'ice cream', 'ice']],
+  ['dairy & eggs', ['milk', 'butter', 'cream', 'cheese', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'yogurt', 'egg', 'ghee']],
+  ['meat & seafood', ['chicken', 'beef', 'pork', 'lamb', 'turkey', 'bacon', 'sausage', 'ham', 'mince', 'steak', 'fish', 'salmon',
+    'tuna', 'cod', 'shrimp', 'prawn', 'crab', 'anchovy', 'chorizo']],
+  ['bakery', ['bread', 'baguette', 'tortilla', 'pita', 'bun', 'roll', 'croissant']],
+  ['produce', ['onion', 'garlic', 'tomato', 'potato', 'carrot', 'celery', 'pepper', 'lettuce', 'spinach', 'kale', 'cabbage',
+    'broccoli', 'cauliflower', 'zucchini', 'eggplant', 'mushroom', 'cucumber', 'avocado', 'lemon', 'lime', 'orange', 'apple',
+    'banana', 'berry', 'ginger', 'coriander', 'parsley', 'basil', 'mint', 'dill', 'chive', 'leek', 'squash', 'pumpkin', 'corn',
+    'pea', 'arugula', 'herb', 'fruit', 'vegetable', 'chili', 'shallot', 'scallion', 'green onion']],
+  ['beverages', ['wine', 'beer', 'juice', 'coffee', 'tea', 'water', 'soda']]
+];
+
+const AISLE_ORDER = [...AISLES.map(([aisle]) => aisle), 'other'];
+
+const containsWord = (name, keyword) => ` ${name} `.includes(` ${keyword} `) ||
+  ` ${name} `.includes(` ${keyword}s `);
+
+/**
+ * Store section for a canonical ingredient name ("other" when unknown).
+ */
+const aisleFor = (name) => {
+  const match = AISLES.find(([, keywords]) => keywords.some(keyword => containsWord(name, keyword)));
+  return match ? match[0] : 'other';
+};
+
+// "2 garlic cloves" → 2 clove garlic, so it merges with "3 cloves garlic"
+const TRAILING_UNIT_RE = /^(.*\S)\s+(cloves?|slices?|sprigs?|sticks?)$/i;
+
+const liftTrailingUnit = (entry) => {
+  const match = entry.unit ? null : TRAILING_UNIT_RE.exec(entry.item);
+  return match ? normalizeIngredient({ ...entry, item: match[1], unit: match[2] }) : entry;
+};
+
+// Cups of flour in one recipe and grams in another: weigh everything when the
+// density is known (convertIngredient leaves liquids in ml and unknowns alone)
+const reconcileMeasures = (entries) => {
+  const hasVolume = entries.some(entry => VOLUME_ML[entry.unit]);
+  const hasWeight = entries.some(entry => WEIGHT_G[entry.unit]);
+  if (!hasVolume || !hasWeight) return entries;
+  return entries.map(entry => (VOLUME_ML[entry.unit] ? convertIngredient(entry, 'metric') : entry));
+};
+
+// Good enough for a shopping list: "2 onions", "3 tomatoes", "2 cherries"
+const pluralizeName = (name) => {
+  if (/s$/i.test(name)) return name;
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(?:o|ch|sh|x)$/i.test(name)) return `${name}es`;
+  return `${name}s`;
+};
+
+// "1 1/4 cups + 2 tbsp flour"
+const renderItem = (rawName, amounts) => {
+  const counted = amounts.find(amount => !amount.unit);
+  const name = counted && (counted.quantityMax ?? counted.quantity) > 1 ? pluralizeName(rawName) : rawName;
+
+  if (amounts.length <= 1) {
+    return formatIngredient({ ...(amounts[0] || { quantity: null, quantityMax: null, unit: '' }), item: name, note: '' });
+  }
+  const parts = amounts.map(amount => formatIngredient({ ...amount, item: '', note: '' }).trim());
+  return `${parts.join(' + ')} ${name}`;
+};
+
+/**
+ * Merges the ingredients of several recipes into shopping list items.
+ * `sources` is [{ recipe, multiplier }] with recipe docs carrying _id, title
+ * and ingredients. Lines that name the same thing ("garlic cloves", "2 garlic
+ * cloves, minced") share one item; every item remembers which recipe lines it
+ * came from.
+ */
+const buildItems = (sources) => {
+  const byKey = new Map();
+
+  for (const { recipe, multiplier } of sources) {
+    for (const value of normalizeIngredientList(recipe.ingredients)) {
+      const [entry] = scaleIngredients([liftTrailingUnit(value)], multiplier);
+      const key = normalizeIngredientName(entry.item) || entry.item.toLowerCase();
+      if (!key) continue;
+
+      const item = byKey.get(key) || { key, name: entry.item.toLowerCase(), amounts: [], sources: [] };
+      item.amounts.push(entry);
+      item.sources.push({ recipe: recipe._id, recipeTitle: recipe.title, text: formatIngredient(entry) });
+      byKey.set(key, item);
+    }
+  }
+
+  return [...byKey.values()].map(item => {
+    const amounts = addQuantities(reconcileMeasures(item.amounts));
+    return {
+      key: item.key,
+      name: item.name,
+      amounts,
+      text: renderItem(item.name, amounts),
+      aisle: aisleFor(item.key),
+      manual: false,
+      checked: false,
+      sources: item.sources
+    };
+  });
+};
+
+/**
+ * A line the user typed themselves ("2 lemons", "paper towels").
+ */
+const buildManualItem = (text) => {
+  const entry = liftTrailingUnit(parseIngredient(text));
+  const key = normalizeIngredientName(entry.item) || entry.item.toLowerCase();
+  const amounts = addQuantities([entry]);
+  return {
+    key,
+    name: entry.item,
+    amounts,
+    text: entry.note ? `${renderItem(entry.item, amounts)}, ${entry.note}` : renderItem(entry.item, amounts),
+    aisle: aisleFor(key),
+    manual: true,
+    checked: false,
+    sources: []
+  };
+};
+
+/**
+ * Rebuilt recipe items keep the id of the item they replace, and stay checked
+ * when the amount to buy hasn't changed. Manual items are carried over as-is.
+ */
+const mergeRegenerated = (previous, rebuilt) => {
+  const old = new Map(previous.filter(item => !item.manual).map(item => [item.key, item]));
+  const merged = rebuilt.map(item => {
+    const before = old.get(item.key);
+    if (!before) return item;
+    return { ...item, _id: before._id, checked: before.checked && before.text === item.text };
+  });
+  return [...merged, ...previous.filter(item => item.manual)];
+};
+
+/**
+ * Groups items by aisle in store order: [{ aisle, items }].
+ */
+const groupByAisle = (items) => AISLE_ORDER
+  .map(aisle => ({ aisle, items: items.filter(item => item.aisle === aisle) }))
+  .filter(group => group.items.length);
+
+module.exports = {
+  AISLE_ORDER,
+  aisleFor,
+  buildItems,
+  buildManualItem,
+  mergeRegenerated,
+  groupByAisle
+};
@@ -0,0 +1,275 @@
+// backend/utils/trending.js - Time-decayed "trending" and "hot" recipe rankings
+// Engagement is tallied cheaply as it happens (hourly RecipeStat buckets plus
+// Recipe.viewsCount); refreshTrending() folds it into the indexed
+// Recipe.trending.{day,week,month} and Recipe.hotScore that list sorts read.
+// It runs every TRENDING_REFRESH_MINUTES (default 15, 0 = off) in the API
+// process and can be run by hand with `npm run trending:refresh`.
+//
+//   trending[window] = Σ points × ½^(age / halfLife)  over that window's buckets
+//   hotScore         = lifetime points / (age in hours + 2)^1.5   (HN-style gravity)
+const Recipe = require('../models/Recipe');
+const RecipeStat = require('../models/RecipeStat');
+
+const HOUR = 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+// How much one of each interaction is worth
+const WEIGHTS = {
+  views: 0.25,
+  likes: 3,
+  comments: 4,
+  ratings: 5
+};
+
+// Window length and the half-life its buckets decay with, in hours
+const WINDOWS = {
+  day: { hours: 24, halfLife: 12 },
+  week: { hours: 7 * 24, halfLife: 3 * 24 },
+  month: { hours: 30 * 24, halfLife: 10 * 24 }
+};
+const DEFAULT_WINDOW = 'week';
+
+// Recipes older than this drop out of the hot ranking altogether
+const HOT_MAX_AGE_DAYS = 30;
+const HOT_GRAVITY = 1.5;
+
+const hourOf = (date = new Date()) => new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+
+const trendingField = (window) => `trending.${window}`;
+
+/**
+ * Adds `delta` interactions of `kind` (views, likes, ratings, comments) to the
+ * recipe's current hour. Best effort: a failure is logged, never thrown.
+ */
+const recordEngagement = async (recipeId, kind, delta = 1) => {
+  if (!WEIGHTS[kind] || !delta) return;
+  try {
+    await RecipeStat.updateOne(
+      { recipe: recipeId, hour: hourOf() },
+      { $inc: { [kind]: delta } },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error('📉 Engagement tally failed:', err.message);
+  }
+};
+
+// Someone other than the author opened the recipe
+const recordView = async (recipeId) => {
+  try {
+    await Recipe.updateOne({ _id: recipeId }, { $inc: { viewsCount: 1 } });
+  } catch (err) {
+    console.error('📉 View count failed:', err.message);
+  }
+  await recordEngagement(recipeId, 'views');
+};
+
+// Σ weight × count, given the field path holding each kind of interaction
+const pointsExpression = (fields) => ({
+  $add: Object.entries(fields).map(([kind, path]) => ({
+    $multiply: [{ $ifNull: [path, 0] }, WEIGHTS[kind]]
+  }))
+});
+
+const windowScore = ({ hours, halfLife }) => ({
+  $sum: {
+    $cond: [
+      { $lt: ['$age', hours] },
+      { $multiply: ['$points', { $pow: [0.5, { $divide: ['$age', halfLife] }] }] },
+      0
+    ]
+  }
+});
+
+const round = (value) => Math.max(0, Math.round(value * 1000) / 1000);
+
+/**
+ * Recomputes Recipe.trending from the buckets of the last 30 days, zeroes
+ * recipes that went quiet, and recomputes hotScore for recent recipes.
+ * Returns { trending, cooled, hot } counts; dryRun only counts.
+ */
+const refreshTrending = async ({ dryRun = false, now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - WINDOWS.month.hours * HOUR);
+  let trending = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length && !dryRun) await Recipe.bulkWrite(ops, { ordered: false });
+    trending += ops.length;
+    ops = [];
+  };
+
+  const scores = RecipeStat.aggregate([
+    { $match: { hour: { $gte: since } } },
+    {
+      $project: {
+        recipe: 1,
+        // Hours since the middle of the bucket's hour
+        age: { $max: [0, { $subtract: [{ $divide: [{ $subtract: [now, '$hour'] }, HOUR] }, 0.5] }] },
+        points: pointsExpression({
+          views: '$views',
+          likes: '$likes',
+          comments: '$comments',
+          ratings: '$ratings'
+        })
+      }
+    },
+    {
+      $group: {
+        _id: '$recipe',
+        ...Object.fromEntries(Object.entries(WINDOWS).map(([name, window]) => [name, windowScore(window)]))
+      }
+    }
+  ]).cursor();
+
+  for await (const score of scores) {
+    ops.push({
+      updateOne: {
+        filter: { _id: score._id },
+        update: {
+          $set: {
+            'trending.day': round(score.day),
+            'trending.week': round(score.week),
+            'trending.month': round(score.month),
+            'trending.refreshedAt': now
+          }
+        }
+      }
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // Anything this run didn't touch has had no engagement for a month
+  // (a dry run can't tell those apart, so its count includes both)
+  const quiet = {
+    'trending.month': { $gt: 0 },
+    $or: [{ 'trending.refreshedAt': { $lt: now } }, { 'trending.refreshedAt': null }]
+  };
+  const cooled = dryRun
+    ? await Recipe.countDocuments(quiet)
+    : (await Recipe.updateMany(quiet, {
+      $set: { 'trending.day': 0, 'trending.week': 0, 'trending.month': 0, 'trending.refreshedAt': now }
+    })).modifiedCount;
+
+  const hotSince = new Date(now.getTime() - HOT_MAX_AGE_DAYS * 24 * HOUR);
+  const recent = { createdAt: { $gte: hotSince } };
+  const stale = { createdAt: { $lt: hotSince }, hotScore: { $gt: 0 } };
+  let hot;
+  if (dryRun) {
+    hot = await Recipe.countDocuments({ $or: [recent, stale] });
+  } else {
+    const ageHours = { $divide: [{ $subtract: [now, '$createdAt'] }, HOUR] };
+    const [fresh, expired] = await Promise.all([
+      Recipe.updateMany(recent, [{
+        $set: {
+          hotScore: {
+            $divide: [
+              pointsExpression({
+                views: '$viewsCount',
+                likes: '$likesCount',
+                comments: '$commentsCount',
+                ratings: '$ratingsCount'
+              }),
+              { $pow: [{ $add: [{ $max: [0, ageHours] }, 2] }, HOT_GRAVITY] }
+            ]
+          }
+        }
+      }]),
+      Recipe.updateMany(stale, { $set: { hotScore: 0 } })
+    ]);
+    hot = fresh.modifiedCount + expired.modifiedCount;
+  }
+
+  return { trending, cooled, hot };
+};
+
+let timer = null;
+
+/**
+ * Runs refreshTrending() now and every TRENDING_REFRESH_MINUTES. Errors are
+ * logged; the next run simply tries again.
+ */
+const startTrendingJob = () => {
+  const minutes = process.env.TRENDING_REFRESH_MINUTES === undefined
+    ? 15
+    : Number(process.env.TRENDING_REFRESH_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0 || timer) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await refreshTrending();
+    } catch (err) {
+      console.error('🔥 Trending refresh failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  run();
+};
+
+const stopTrendingJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Only the top recipes of a window are grouped into tags
+const TAG_CANDIDATES = 1000;
+
+/**
+ * Tags ranked by the summed trending score of their recipes, each with its
+ * top `perTag` recipe cards (shaped by `cardProjection`).
+ */
+const trendingTags = async ({ window, limit = 10, perTag = 3, cardProjection }) => {
+  const field = trendingField(window);
+  const tags = await Recipe.aggregate([
+    { $match: { hidden: { $ne: true }, [field]: { $gt: 0 }, 'tags.0': { $exists: true } } },
+    { $sort: { [field]: -1, _id: -1 } },
+    { $limit: TAG_CANDIDATES },
+    { $project: { ...cardProjection, tags: 1, trendingScore: `$${field}`, tag: '$tags' } },
+    { $unwind: '$tag' },
+    {
+      $group: {
+        _id: '$tag',
+        score: { $sum: '$trendingScore' },
+        recipesCount: { $sum: 1 },
+        recipes: { $push: '$$ROOT' }
+      }
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        tag: '$_id',
+        score: { $round: ['$score', 3] },
+        recipesCount: 1,
+        recipes: { $slice: ['$recipes', perTag] }
+      }
+    }
+  ]);
+
+  const recipes = tags.flatMap(entry => entry.recipes);
+  recipes.forEach(recipe => { delete recipe.tag; });
+  await Recipe.populate(recipes, { path: 'author', select: 'username avatar' });
+  return tags;
+};
+
+module.exports = {
+  WEIGHTS,
+  WINDOWS,
+  DEFAULT_WINDOW,
+  trendingField,
+  recordEngagement,
+  recordView,
+  refreshTrending,
+  startTrendingJob,
+  stopTrendingJob,
+  trendingTags
+};
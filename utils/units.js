@@ -0,0 +1,261 @@
+// backend/utils/units.js - Metric/imperial conversion for ingredients & instructions
+// Conversion tables live here (not in the clients) so every app shows the same numbers.
+const { normalizeIngredient, normalizeIngredientList, formatIngredient } = require('./ingredients');
+
+const UNIT_SYSTEMS = ['original', 'metric', 'imperial'];
+
+// 🧪 Volumes in millilitres (US customary)
+const VOLUME_ML = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  'fl oz': 29.5735,
+  cup: 236.588,
+  pt: 473.176,
+  qt: 946.353,
+  gal: 3785.41,
+  ml: 1,
+  l: 1000
+};
+
+// ⚖️ Weights in grams
+const WEIGHT_G = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
+// 🥣 Grams per US cup for common staples, matched as whole words with the
+// longest keyword first (see STAPLE_MATCHERS). Liquids are listed so grams
+// can become cups, but metric cooks measure them in ml.
+const CUP_DENSITIES = [
+  ['powdered sugar', 120], ['icing sugar', 120], ['confectioners sugar', 120],
+  ['brown sugar', 220],
+  ['sugar', 200],
+  ['almond flour', 96],
+  ['whole wheat flour', 120],
+  ['flour', 125],
+  ['cornstarch', 128], ['corn starch', 128],
+  ['cocoa', 85],
+  ['rolled oats', 90], ['oats', 90],
+  ['rice', 185],
+  ['quinoa', 170],
+  ['lentils', 190],
+  ['peanut butter', 258],
+  ['butter', 227],
+  ['oil', 218],
+  ['honey', 340],
+  ['maple syrup', 315],
+  ['yogurt', 245], ['yoghurt', 245],
+  ['milk', 245],
+  ['cream', 238],
+  ['water', 237],
+  ['grated parmesan', 100], ['parmesan', 100],
+  ['shredded cheese', 113], ['cheese', 113],
+  ['breadcrumbs', 108], ['bread crumbs', 108],
+  ['chocolate chips', 170],
+  ['raisins', 150],
+  ['walnuts', 117], ['almonds', 143], ['nuts', 130],
+  ['salt', 288]
+];
+
+const LIQUIDS = new Set(['oil', 'maple syrup', 'milk', 'cream', 'water']);
+
+const SPOON_UNITS = new Set(['tsp', 'tbsp']);
+const roundTo = (value, step) => Number((Math.round(value / step) * step).toFixed(2));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so "goats cheese" isn't oats and "boiling water" isn't oil;
+// longest first so "brown sugar" beats "sugar" and "cream cheese" is cheese
+const STAPLE_MATCHERS = CUP_DENSITIES
+  .map(staple => ({ staple, pattern: new RegExp(`\\b${escapeRegex(staple[0])}\\b`) }))
+  .sort((a, b) => b.staple[0].length - a.staple[0].length);
+
+const findStaple = (item) => {
+  const name = String(item || '').toLowerCase();
+  const match = STAPLE_MATCHERS.find(({ pattern }) => pattern.test(name));
+  return match ? match.staple : null;
+};
+
+// Grams per ml for a known staple, or null
+const findDensity = (item) => {
+  const staple = findStaple(item);
+  return staple ? staple[1] / VOLUME_ML.cup : null;
+};
+
+const unitKind = (unit) => {
+  if (VOLUME_ML[unit]) return 'volume';
+  if (WEIGHT_G[unit]) return 'weight';
+  return null;
+};
+
+// Picks the most natural metric unit for a base amount
+const toMetricUnit = (amount, kind) => {
+  if (kind === 'volume') {
+    return amount >= 1000 ? { unit: 'l', factor: 1000 } : { unit: 'ml', factor: 1 };
+  }
+  return amount >= 1000 ? { unit: 'kg', factor: 1000 } : { unit: 'g', factor: 1 };
+};
+
+// Picks the most natural US unit for a base amount (ml or g)
+const toImperialUnit = (amount, kind) => {
+  if (kind === 'volume') {
+    if (amount < VOLUME_ML.tbsp) return { unit: 'tsp', factor: VOLUME_ML.tsp };
+    if (amount < VOLUME_ML.cup / 4) return { unit: 'tbsp', factor: VOLUME_ML.tbsp };
+    return { unit: 'cup', factor: VOLUME_ML.cup };
+  }
+  return amount < WEIGHT_G.lb ? { unit: 'oz', factor: WEIGHT_G.oz } : { unit: 'lb', factor: WEIGHT_G.lb };
+};
+
+const precision = (unit) => (['g', 'ml'].includes(unit) ? 1 : 0.01);
+
+/**
+ * Converts a single ingredient entry into the requested unit system.
+ * Returns the entry unchanged when it is already in that system or has no
+ * convertible unit ("3 eggs", "a pinch of salt").
+ */
+const convertIngredient = (value, system) => {
+  const entry = normalizeIngredient(value);
+  const withTemps = {
+    ...entry,
+    item: convertTemperatures(entry.item, system),
+    note: convertTemperatures(entry.note, system)
+  };
+  if (system === 'original' || entry.quantity === null) return withTemps;
+
+  const kind = unitKind(entry.unit);
+  if (!kind) return withTemps;
+
+  // Cooks in metric countries still use spoons
+  if (system === 'metric' && SPOON_UNITS.has(entry.unit)) return withTemps;
+
+  const isMetric = ['ml', 'l', 'mg', 'g', 'kg'].includes(entry.unit);
+  if ((system === 'metric') === isMetric) return withTemps;
+
+  const toBase = kind === 'volume' ? VOLUME_ML[entry.unit] : WEIGHT_G[entry.unit];
+  let base = entry.quantity * toBase;
+  let baseMax = entry.quantityMax === null ? null : entry.quantityMax * toBase;
+  let targetKind = kind;
+
+  // Ingredient-aware: cups of flour become grams, grams of sugar become cups
+  const staple = findStaple(entry.item);
+  const density = staple ? staple[1] / VOLUME_ML.cup : null;
+  if (density && system === 'metric' && kind === 'volume' && !LIQUIDS.has(staple[0])) {
+    base *= density;
+    if (baseMax !== null) baseMax *= density;
+    targetKind = 'weight';
+  } else if (density && system === 'imperial' && kind === 'weight') {
+    base /= density;
+    if (baseMax !== null) baseMax /= density;
+    targetKind = 'volume';
+  }
+
+  const target = system === 'metric' ? toMetricUnit(base, targetKind) : toImperialUnit(base, targetKind);
+  const step = precision(target.unit);
+
+  return {
+    ...withTemps,
+    quantity: roundTo(base / target.factor, step),
+    quantityMax: baseMax === null ? null : roundTo(baseMax / target.factor, step),
+    unit: target.unit,
+    original: formatIngredient(entry)
+  };
+};
+
+const convertIngredients = (entries, system) =>
+  normalizeIngredientList(entries).map(entry => convertIngredient(entry, system));
+
+const METRIC_UNITS = new Set(['ml', 'l', 'mg', 'g', 'kg']);
+
+/**
+ * Adds up several amounts of the same ingredient. Compatible units are summed
+ * (keeping the unit when they all agree, otherwise picking a natural one in
+ * the system they share); incompatible ones ("2 cloves" vs "1 tbsp") stay
+ * separate. Unquantified amounts are ignored. Returns [{ quantity, quantityMax, unit }].
+ */
+const addQuantities = (amounts) => {
+  const groups = new Map();
+
+  for (const amount of amounts) {
+    if (amount.quantity === null || amount.quantity === undefined) continue;
+    const unit = amount.unit || '';
+    const kind = unitKind(unit);
+    const toBase = kind === 'volume' ? VOLUME_ML[unit] : kind === 'weight' ? WEIGHT_G[unit] : 1;
+    const key = kind || `unit:${unit}`;
+
+    const group = groups.get(key) || { kind, units: new Set(), min: 0, max: 0, hasRange: false };
+    group.units.add(unit);
+    group.min += amount.quantity * toBase;
+    group.max += (amount.quantityMax ?? amount.quantity) * toBase;
+    if (amount.quantityMax !== null && amount.quantityMax !== undefined) group.hasRange = true;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()].map(group => {
+    const [firstUnit] = group.units;
+    let target = { unit: firstUnit, factor: 1 };
+    if (group.kind && group.units.size === 1) {
+      target.factor = group.kind === 'volume' ? VOLUME_ML[firstUnit] : WEIGHT_G[firstUnit];
+    } else if (group.kind) {
+      const allMetric = [...group.units].every(unit => METRIC_UNITS.has(unit));
+      target = allMetric ? toMetricUnit(group.min, group.kind) : toImperialUnit(group.min, group.kind);
+    }
+
+    const step = precision(target.unit);
+    return {
+      quantity: roundTo(group.min / target.factor, step),
+      quantityMax: group.hasRange ? roundTo(group.max / target.factor, step) : null,
+      unit: target.unit
+    };
+  });
+};
+
+const TEMPERATURE_RE = /(\d{2,3})(?:\s*(?:°|º|degrees?)\s*|)(fahrenheit|celsius|F|C)\b/gi;
+
+// Oven dials go in steps (180°C ↔ 350°F); candy and proofing temps stay exact
+const OVEN_RANGES = {
+  C: { min: 120, max: 290, step: 10 },
+  F: { min: 250, max: 550, step: 25 }
+};
+
+const formatTemperature = (value, scale) => {
+  const { min, max, step } = OVEN_RANGES[scale];
+  const rounded = value >= min && value <= max ? roundTo(value, step) : Math.round(value);
+  return `${rounded}°${scale}`;
+};
+
+/**
+ * Rewrites temperatures like "350°F", "180 degrees C" or "200C" in free text.
+ */
+const convertTemperatures = (text, system) => {
+  if (!text || system === 'original') return text;
+
+  return text.replace(TEMPERATURE_RE, (match, degrees, scaleWord) => {
+    const scale = scaleWord[0].toUpperCase();
+    const value = Number(degrees);
+    if (system === 'metric' && scale === 'F') {
+      return formatTemperature((value - 32) * 5 / 9, 'C');
+    }
+    if (system === 'imperial' && scale === 'C') {
+      return formatTemperature(value * 9 / 5 + 32, 'F');
+    }
+    return match;
+  });
+};
+
+const convertInstructions = (steps, system) =>
+  (steps || []).map(step => convertTemperatures(step, system));
+
+module.exports = {
+  UNIT_SYSTEMS,
+  VOLUME_ML,
+  WEIGHT_G,
+  findDensity,
+  convertIngredient,
+  convertIngredients,
+  addQuantities,
+  convertTemperatures,
+  convertInstructions
+};
@@ -0,0 +1,87 @@
+// backend/utils/uploads.js - Cloudinary-backed multer uploads shared by all routes
+const multer = require('multer');
+const cloudinary = require('cloudinary').v2;
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Enhanced Cloudinary storage with better params
+const storage = new CloudinaryStorage({
+  cloudinary,
+  params: async (req, file) => {
+    const isValidFormat = ['jpg', 'jpeg', 'png', 'webp'].includes(file.mimetype.split('/')[1]);
+    if (!isValidFormat) {
+      throw new Error('Invalid image format');
+    }
+
+    return {
+      folder: 'recipeverse/recipes',
+      allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+      public_id: `recipe_${Date.now()}_${Math.round(Math.random() * 1e9)}`,
+      transformation: [
+        { width: 1200, height: 800, crop: 'fill', quality: 'auto' },
+        { width: 400, height: 267, crop: 'fill', quality: 'auto' }
+      ],
+    };
+  },
+});
+
+// File size limit: 5MB
+const fileFilter = (req, file, cb) => {
+  if (file.size > 5 * 1024 * 1024) {
+    return cb(new Error('File size too large. Maximum 5MB allowed.'), false);
+  }
+  cb(null, true);
+};
+
+const upload = multer({ 
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter 
+});
+
+// Cloudinary public_id of a delivery URL: the path after /upload/ (folders
+// included) without the version and extension
+const publicIdOf = (imageUrl) => {
+  const match = imageUrl.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.\w+)?$/);
+  return match ? match[1] : null;
+};
+
+// 🗑️ Best-effort removal of a stored image by its public_id (file.filename
+// for fresh uploads) or, for older records, its delivery URL
+const destroyImage = async (image) => {
+  if (!image || !cloudinary.uploader.destroy) return;
+  const publicId = /^https?:\/\//.test(image) ? publicIdOf(image) : image;
+  if (!publicId) return;
+  await cloudinary.uploader.destroy(publicId).catch(console.error);
+};
+
+// 🌐 Copies a remote image (e.g. from an imported recipe page) into our storage.
+// Cloudinary fetches it, not this server. Returns the stored URL or null.
+const importImage = async (imageUrl) => {
+  if (!imageUrl || !cloudinary.uploader.upload) return null;
+  try {
+    const result = await cloudinary.uploader.upload(imageUrl, {
+      folder: 'recipeverse/recipes',
+      allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+      public_id: `recipe_${Date.now()}_${Math.round(Math.random() * 1e9)}`,
+      transformation: [{ width: 1200, height: 800, crop: 'fill', quality: 'auto' }]
+    });
+    return result.secure_url;
+  } catch (err) {
+    console.error('Image import failed:', err.message || err);
+    return null;
+  }
+};
+
+module.exports = {
+  cloudinary,
+  upload,
+  destroyImage,
+  importImage
+};